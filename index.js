@@ -1,15 +1,50 @@
 #!/usr/bin/env node
 
-import { program } from 'commander';
+import { program, InvalidArgumentError } from 'commander';
 import dotenv from 'dotenv';
 import { logger } from './utils/logger.js';
 import { InternshalaBot } from './src/bot.js';
 import { MCPServer } from './src/mcp.js';
+import { HttpServer } from './src/http-server.js';
+import { StorageManager } from './src/storage.js';
+import { SelectorDoctor } from './src/selector-doctor.js';
+import { MockInternshalaServer } from './src/mock-server.js';
+import { TEMPLATE_VARIABLES } from './src/templates.js';
+import { previewMessage, confirmSend, formatPreview } from './src/send-preview.js';
+import { OutboxWorker } from './src/outbox-worker.js';
+import { SendPolicyError } from './src/send-policy.js';
+import { InternshipScraper } from './src/internship-scraper.js';
+import { FileSource } from './src/internship-source-file.js';
 
 dotenv.config();
 
 const bot = new InternshalaBot();
 const mcpServer = new MCPServer(bot);
+let httpServer = null;
+let outboxWorker = null;
+let mockServer = null;
+
+// Repeated "--var name=value" options into a variables object
+function collectVariable(pair, variables = {}) {
+  const index = pair.indexOf('=');
+  if (index <= 0) {
+    throw new InvalidArgumentError(`Expected name=value, got "${pair}"`);
+  }
+  return { ...variables, [pair.slice(0, index).trim()]: pair.slice(index + 1) };
+}
+
+// Lists each broken send-policy rule, with what to do about it
+function explainPolicyError(error) {
+  if (!(error instanceof SendPolicyError)) return;
+  for (const violation of error.violations) {
+    console.log(`  ${violation.rule}: ${violation.message}`);
+  }
+  if (error.violations.some(violation => violation.rule === 'first_contact')) {
+    console.log('  Re-run with --first-contact to send the first message to this conversation');
+  } else if (error.retryAt) {
+    console.log(`  Try again after ${error.retryAt}`);
+  }
+}
 
 program
   .name('internshala-chat-bot')
@@ -20,7 +55,7 @@ program
   .command('start')
   .description('Start the chat automation')
   .option('-h, --headful', 'Run browser in visible mode')
-  .option('-c, --conversation <id>', 'Target conversation ID')
+  .option('-c, --conversation <ids...>', 'Conversation ID(s) to listen to')
   .action(async (options) => {
     try {
       logger.info('Starting Internshala Chat Bot...');
@@ -28,9 +63,8 @@ program
       await bot.initialize(options.headful);
       await bot.login();
       
-      if (options.conversation) {
-        await bot.navigateToChat(options.conversation);
-        await bot.startListening();
+      for (const conversationId of options.conversation || []) {
+        await bot.startListening(conversationId);
       }
       
       // Start MCP server
@@ -44,15 +78,79 @@ program
     }
   });
 
+program
+  .command('mcp')
+  .description('Serve MCP tools over stdio (JSON-RPC 2.0) for desktop LLM clients')
+  .option('-h, --headful', 'Run browser in visible mode')
+  .action(async (options) => {
+    // stdout belongs to the protocol from here on
+    logger.redirectConsoleToStderr();
+
+    const ready = (async () => {
+      await bot.initialize(options.headful);
+      await bot.login();
+      bot.initializedAt = new Date().toISOString();
+    })();
+
+    // Tool calls report the startup error instead of crashing the transport
+    ready.catch(error => logger.error('Failed to start bot for MCP:', error));
+
+    mcpServer.start({
+      transport: 'stdio',
+      ready,
+      onClose: async () => {
+        await bot.cleanup();
+        process.exit(0);
+      }
+    });
+  });
+
+program
+  .command('serve')
+  .description('Run as a local daemon exposing MCP (Streamable HTTP) and REST over HTTP')
+  .option('-h, --headful', 'Run browser in visible mode')
+  .option('-p, --port <port>', 'Port to listen on (default: HTTP_PORT or 3210)')
+  .option('--host <host>', 'Interface to bind (default: HTTP_HOST or 127.0.0.1)')
+  .action(async (options) => {
+    try {
+      logger.info('Starting Internshala Chat Bot daemon...');
+
+      await bot.initialize(options.headful);
+      await bot.login();
+      bot.initializedAt = new Date().toISOString();
+
+      mcpServer.start();
+
+      httpServer = new HttpServer(bot, mcpServer, { port: options.port, host: options.host });
+      await httpServer.start();
+
+      // Scheduled messages share the MCP server's browser queue
+      outboxWorker = new OutboxWorker(bot, { runExclusive: task => mcpServer.runWithBrowser(task) });
+      await outboxWorker.start();
+
+      if (process.env.REPLY_SUGGESTIONS === 'auto') {
+        mcpServer.replySuggester.watch(bot.events);
+      }
+
+      logger.info('Bot daemon is ready!');
+
+    } catch (error) {
+      logger.error('Failed to start bot daemon:', error);
+      await bot.cleanup();
+      process.exit(1);
+    }
+  });
+
 program
   .command('fetch-history')
   .description('Fetch chat history for a conversation')
   .requiredOption('-c, --conversation <id>', 'Conversation ID')
+  .option('--strategy <strategy>', 'Extraction strategy: dom or network (default: EXTRACTION_STRATEGY or dom)')
   .action(async (options) => {
     try {
       await bot.initialize();
       await bot.login();
-      const history = await bot.fetchHistory(options.conversation);
+      const history = await bot.fetchHistory(options.conversation, { strategy: options.strategy });
       console.log(JSON.stringify(history, null, 2));
     } catch (error) {
       logger.error('Failed to fetch history:', error);
@@ -60,19 +158,649 @@ program
     }
   });
 
+program
+  .command('sync')
+  .description('Incrementally sync new messages for all stored conversations')
+  .option('-c, --conversation <ids...>', 'Only sync these conversation IDs')
+  .option('-d, --discover', 'Also sync conversations found in the chat inbox')
+  .option('--strategy <strategy>', 'Extraction strategy: dom or network (default: EXTRACTION_STRATEGY or dom)')
+  .action(async (options) => {
+    try {
+      await bot.initialize();
+      await bot.login();
+      
+      const conversationIds = new Set(options.conversation || Object.keys(await bot.storage.loadChatHistory()));
+      if (options.discover) {
+        const discovered = await bot.getConversations();
+        discovered.forEach(conversation => conversationIds.add(conversation.id));
+      }
+      
+      if (conversationIds.size === 0) {
+        logger.warn('No conversations to sync. Run fetch-history first or use --discover.');
+      }
+      
+      let failures = 0;
+      for (const conversationId of conversationIds) {
+        try {
+          const result = await bot.syncConversation(conversationId, { strategy: options.strategy });
+          console.log(`${conversationId}: +${result.added} (${result.total} total)`);
+        } catch (error) {
+          failures++;
+          console.log(`${conversationId}: failed - ${error.message}`);
+        }
+      }
+      
+      await bot.cleanup();
+      process.exit(failures > 0 ? 1 : 0);
+    } catch (error) {
+      logger.error('Failed to sync conversations:', error);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('search')
+  .description('Search stored messages (full-text query plus optional filters)')
+  .argument('[query...]', 'Search terms ("phrases", AND/OR/NOT, prefix*)')
+  .option('-c, --conversation <id>', 'Only this conversation')
+  .option('-n, --name <text>', 'Only conversations whose name contains this text')
+  .option('--sender <text>', 'Only messages whose sender contains this text')
+  .option('-t, --type <type>', 'Only "sent" or "received" messages')
+  .option('--since <date>', 'On or after a date (YYYY-MM-DD, ISO timestamp, or 7d / 12h / 2w)')
+  .option('--until <date>', 'On or before a date')
+  .option('--has-links', 'Only messages containing a link')
+  .option('--has-attachments', 'Only messages with attachments')
+  .option('--min-length <n>', 'Minimum message length in characters')
+  .option('-s, --sort <order>', 'relevance, newest or oldest')
+  .option('-l, --limit <n>', 'Results per page', '20')
+  .option('--cursor <cursor>', 'Continue from a previous page')
+  .option('--json', 'Print raw JSON')
+  .option('--csv', 'Also export the results to CSV')
+  .action(async (queryWords, options) => {
+    try {
+      const query = queryWords.join(' ');
+      const result = await bot.storage.searchMessages(query, {
+        conversation_id: options.conversation,
+        conversation_name: options.name,
+        sender: options.sender,
+        type: options.type,
+        since: options.since,
+        until: options.until,
+        has_links: options.hasLinks,
+        has_attachments: options.hasAttachments,
+        min_length: options.minLength,
+        sort: options.sort,
+        cursor: options.cursor,
+        limit: parseInt(options.limit)
+      });
+
+      if (options.csv && result.results.length > 0) {
+        await bot.storage.csvExporter.exportSearchResultsToCSV(result.results, query);
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        console.log(`${result.total} matches (sorted by ${result.sort})`);
+        for (const hit of result.results) {
+          const conversation = hit.conversation_name ? `${hit.conversation_id} (${hit.conversation_name})` : hit.conversation_id;
+          const score = result.sort === 'relevance' ? ` [${hit.relevance_score}]` : '';
+          console.log(`\n${hit.message.timestamp}  ${conversation}  ${hit.message.sender || ''}${score}`);
+          console.log(`  ${hit.match_context}`);
+        }
+        if (result.next_cursor) {
+          console.log(`\nMore results: --cursor ${result.next_cursor}`);
+        }
+      }
+
+      await bot.storage.close();
+    } catch (error) {
+      logger.error('Search failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('migrate-storage')
+  .description('Import the JSON files in data/ (chat history, sessions, internships, outbox, send records, drafts) into the SQLite database')
+  .action(async () => {
+    try {
+      const storage = new StorageManager({ backend: 'sqlite' });
+      
+      const result = await storage.migrateFromJson();
+      logger.info(`Migrated ${result.conversations} conversations (${result.messages} new messages), ${result.sessions} sessions, ${result.internships} internships, ${result.outbox} outbox messages, ${result.sends} send records and ${result.drafts} drafts`);
+      logger.info('Set STORAGE_BACKEND=sqlite in .env to use the database');
+      
+      await storage.close();
+    } catch (error) {
+      logger.error('Failed to migrate storage:', error);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('doctor')
+  .description('Check the selector profile against the live site and report what each selector matches')
+  .option('-h, --headful', 'Run browser in visible mode')
+  .option('-c, --conversation <id>', 'Conversation to check thread, message and composer selectors on (default: first in inbox)')
+  .option('--json', 'Print the full report as JSON')
+  .action(async (options) => {
+    try {
+      await bot.initialize(options.headful);
+      const report = await new SelectorDoctor(bot).run({ conversationId: options.conversation });
+
+      if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        console.log(`Selector profile: ${report.profile} (${report.source})`);
+        for (const group of report.groups) {
+          console.log(`\n[${group.group}] ${group.url}`);
+          if (group.skipped) {
+            console.log(`  skipped: ${group.skipped}`);
+            continue;
+          }
+          for (const key of group.keys) {
+            const status = key.matched
+              ? `✓ ${key.matched} (${key.count})`
+              : `✗ no match (${key.tried.length} tried)`;
+            console.log(`  ${key.key.padEnd(16)}${status}`);
+          }
+          if (group.snapshot) {
+            console.log(`  Nothing matched; snapshot saved to ${group.snapshot}`);
+          }
+        }
+      }
+
+      await bot.cleanup();
+      process.exit(report.ok ? 0 : 1);
+    } catch (error) {
+      logger.error('Selector check failed:', error);
+      await bot.cleanup();
+      process.exit(1);
+    }
+  });
+
 program
   .command('send-message')
-  .description('Send a message to a conversation')
+  .description('Send a message or a rendered template to a conversation (previews it and asks first)')
   .requiredOption('-c, --conversation <id>', 'Conversation ID')
-  .requiredOption('-m, --message <text>', 'Message text')
+  .option('-m, --message <text>', 'Message text')
+  .option('-t, --template <name>', 'Template to render instead of --message')
+  .option('--var <name=value>', 'Template variable (repeatable); overrides conversation and profile values', collectVariable, {})
+  .option('-y, --yes', 'Send without asking for confirmation')
+  .option('-k, --idempotency-key <key>', 'Unique key for this message; re-running with the same key never posts it twice')
+  .option('--first-contact', 'Allow this to be the first message sent to the conversation')
   .action(async (options) => {
     try {
+      const preview = await previewMessage(bot.storage, options.conversation, {
+        message: options.message,
+        template: options.template,
+        variables: options.var
+      });
+
+      if (!await confirmSend(preview, { assumeYes: options.yes })) {
+        logger.info('Message not sent');
+        await bot.storage.close();
+        process.exit(preview.ready ? 0 : 1);
+      }
+
       await bot.initialize();
       await bot.login();
-      await bot.sendMessage(options.conversation, options.message);
-      logger.info('Message sent successfully');
+      const sent = await bot.sendMessage(options.conversation, preview.text, {
+        idempotencyKey: options.idempotencyKey,
+        confirmFirstContact: options.firstContact === true
+      });
+      logger.info(sent.deduplicated
+        ? `Already sent with key ${sent.idempotency_key} (message ${sent.id}); not sent again`
+        : `Message sent (id: ${sent.id}, idempotency key: ${sent.idempotency_key})`);
     } catch (error) {
       logger.error('Failed to send message:', error);
+      explainPolicyError(error);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('templates')
+  .description('List message templates')
+  .option('--json', 'Print raw JSON')
+  .action(async (options) => {
+    try {
+      const templates = await bot.storage.templates.list();
+
+      if (options.json) {
+        console.log(JSON.stringify(templates, null, 2));
+      } else {
+        for (const template of templates) {
+          console.log(`${template.name}${template.description ? ` - ${template.description}` : ''}`);
+          console.log(`  ${template.body}`);
+        }
+        console.log('\nFilled automatically:');
+        for (const [name, description] of Object.entries(TEMPLATE_VARIABLES)) {
+          console.log(`  {{${name}}}  ${description}`);
+        }
+      }
+
+      await bot.storage.close();
+    } catch (error) {
+      logger.error('Failed to list templates:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('template-save')
+  .description('Create or replace a message template, e.g. "Hi {{recruiter_name}}, ..."')
+  .argument('<name>', 'Template name')
+  .argument('<body>', 'Template text with {{placeholders}}')
+  .option('-d, --description <text>', 'Short description')
+  .action(async (name, body, options) => {
+    try {
+      const template = await bot.storage.templates.save(name, body, options.description);
+      console.log(`Saved template ${template.name} (variables: ${template.variables.join(', ') || 'none'})`);
+      await bot.storage.close();
+    } catch (error) {
+      logger.error('Failed to save template:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('template-delete')
+  .description('Delete a message template')
+  .argument('<name>', 'Template name')
+  .action(async (name) => {
+    try {
+      if (!await bot.storage.templates.remove(name)) {
+        throw new Error(`Unknown template "${name}"`);
+      }
+      console.log(`Deleted template ${name}`);
+      await bot.storage.close();
+    } catch (error) {
+      logger.error('Failed to delete template:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('template-render')
+  .description('Preview a template filled in for a conversation, without sending it')
+  .argument('<name>', 'Template name')
+  .requiredOption('-c, --conversation <id>', 'Conversation ID')
+  .option('--var <name=value>', 'Template variable (repeatable)', collectVariable, {})
+  .option('--json', 'Print raw JSON')
+  .action(async (name, options) => {
+    try {
+      const preview = await bot.storage.renderTemplate(options.conversation, { template: name, variables: options.var });
+      console.log(options.json ? JSON.stringify(preview, null, 2) : formatPreview(preview));
+      await bot.storage.close();
+    } catch (error) {
+      logger.error('Failed to render template:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('profile')
+  .description('Show or update the profile that fills template variables such as {{my_name}}')
+  .argument('[fields...]', 'name=value pairs to set (an empty value removes the field)')
+  .action(async (fields) => {
+    try {
+      const updates = fields.reduce((values, pair) => collectVariable(pair, values), {});
+      const profile = Object.keys(updates).length > 0
+        ? await bot.storage.templates.updateProfile(updates)
+        : await bot.storage.templates.getProfile();
+
+      console.log(JSON.stringify(profile, null, 2));
+      await bot.storage.close();
+    } catch (error) {
+      logger.error('Failed to update profile:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('schedule')
+  .description('Queue a message or rendered template to be sent later by the `serve` daemon')
+  .requiredOption('-c, --conversation <id>', 'Conversation ID')
+  .requiredOption('--at <when>', 'Send time: ISO timestamp, "30m", "2h", "3d", or "tomorrow 9:00 AM"')
+  .option('-m, --message <text>', 'Message text')
+  .option('-t, --template <name>', 'Template to render instead of --message')
+  .option('--var <name=value>', 'Template variable (repeatable)', collectVariable, {})
+  .option('-y, --yes', 'Queue without asking for confirmation')
+  .option('--first-contact', 'Allow this to be the first message sent to the conversation')
+  .action(async (options) => {
+    try {
+      const storage = bot.storage;
+      const sendAt = storage.outbox.resolveSendAt(options.at);
+      const preview = await previewMessage(storage, options.conversation, {
+        message: options.message,
+        template: options.template,
+        variables: options.var
+      });
+      console.log(`Send at: ${sendAt.toISOString()}`);
+
+      if (!await confirmSend(preview, { assumeYes: options.yes })) {
+        logger.info('Message not queued');
+        await storage.close();
+        process.exit(preview.ready ? 0 : 1);
+      }
+
+      await bot.policy.preflight(options.conversation, preview.text, { confirmFirstContact: options.firstContact === true });
+      const entry = await storage.outbox.queue({
+        conversationId: options.conversation,
+        text: preview.text,
+        sendAt,
+        template: options.template || null,
+        confirmFirstContact: options.firstContact === true
+      });
+      console.log(`Queued ${entry.id} for ${entry.send_at}`);
+      await storage.close();
+    } catch (error) {
+      logger.error('Failed to schedule message:', error);
+      explainPolicyError(error);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('outbox')
+  .description('List scheduled messages')
+  .option('-s, --status <status>', 'Only pending, sending, sent, failed or cancelled messages')
+  .option('-c, --conversation <id>', 'Only messages for this conversation')
+  .option('--json', 'Print raw JSON')
+  .action(async (options) => {
+    try {
+      const entries = await bot.storage.outbox.list({ status: options.status, conversationId: options.conversation });
+
+      if (options.json) {
+        console.log(JSON.stringify(entries, null, 2));
+      } else if (entries.length === 0) {
+        console.log('Outbox is empty');
+      } else {
+        for (const entry of entries) {
+          const when = entry.status === 'sent' ? `sent ${entry.sent_at}` : `at ${entry.next_attempt_at || entry.send_at}`;
+          console.log(`${entry.id}  ${entry.status.padEnd(9)}  ${entry.conversation_id}  ${when}`);
+          console.log(`  ${entry.text}`);
+          if (entry.last_error) {
+            console.log(`  Last error (attempt ${entry.attempts}/${entry.max_attempts}): ${entry.last_error}`);
+          }
+        }
+      }
+
+      await bot.storage.close();
+    } catch (error) {
+      logger.error('Failed to list outbox:', error);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('outbox-edit')
+  .description('Change the text or send time of a pending or failed scheduled message (a failed one is queued again)')
+  .argument('<id>', 'Outbox message ID')
+  .option('-m, --message <text>', 'New message text')
+  .option('--at <when>', 'New send time')
+  .option('--first-contact', 'Allow it to be the first message sent to the conversation')
+  .action(async (id, options) => {
+    try {
+      const entry = await bot.storage.outbox.edit(id, {
+        text: options.message,
+        sendAt: options.at,
+        confirmFirstContact: options.firstContact ? true : undefined
+      });
+      console.log(`Updated ${entry.id}: ${entry.status}, sending at ${entry.send_at}`);
+      await bot.storage.close();
+    } catch (error) {
+      logger.error('Failed to edit outbox message:', error);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('outbox-cancel')
+  .description('Cancel a pending or failed scheduled message')
+  .argument('<id>', 'Outbox message ID')
+  .action(async (id) => {
+    try {
+      await bot.storage.outbox.cancel(id);
+      console.log(`Cancelled ${id}`);
+      await bot.storage.close();
+    } catch (error) {
+      logger.error('Failed to cancel outbox message:', error);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('drafts')
+  .description('List drafted messages (from MCP clients and reply suggestions) waiting for approval')
+  .option('-s, --status <status>', 'Only pending, sending, sent, scheduled, failed or rejected drafts (default: pending and failed)')
+  .option('-c, --conversation <id>', 'Only drafts for this conversation')
+  .option('--json', 'Print raw JSON')
+  .action(async (options) => {
+    try {
+      const drafts = (await bot.storage.drafts.list({ status: options.status, conversationId: options.conversation }))
+        .filter(draft => options.status || ['pending', 'failed'].includes(draft.status));
+
+      if (options.json) {
+        console.log(JSON.stringify(drafts, null, 2));
+      } else if (drafts.length === 0) {
+        console.log('No drafts waiting for approval');
+      } else {
+        for (const draft of drafts) {
+          const name = draft.conversation_name ? ` (${draft.conversation_name})` : '';
+          const when = draft.send_at ? `, send at ${draft.send_at}` : '';
+          console.log(`${draft.id}  ${draft.status.padEnd(9)}  ${draft.conversation_id}${name}  ${draft.created_at}${when}`);
+          console.log(`  ${draft.text}`);
+          if (draft.last_error) {
+            console.log(`  Last error: ${draft.last_error}`);
+          }
+        }
+        console.log('\nApprove with `draft-approve <id>`, change with `draft-edit <id>`, or `draft-reject <id>`');
+      }
+
+      await bot.storage.close();
+    } catch (error) {
+      logger.error('Failed to list drafts:', error);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('draft-approve')
+  .description('Approve a draft: send it now, or queue it in the outbox when it has a send time')
+  .argument('<id>', 'Draft ID')
+  .option('-m, --message <text>', 'Send this text instead of the drafted one')
+  .option('--at <when>', 'Schedule for this time instead (outbox formats, e.g. "2h" or "tomorrow 9:00 AM")')
+  .option('--first-contact', 'Allow it to be the first message sent to the conversation')
+  .option('-h, --headful', 'Run browser in visible mode')
+  .action(async (id, options) => {
+    try {
+      const storage = bot.storage;
+      const sendAt = options.at ? storage.outbox.resolveSendAt(options.at) : undefined;
+      const draft = await storage.drafts.get(id);
+
+      console.log(`To ${draft.conversation_id}${draft.conversation_name ? ` (${draft.conversation_name})` : ''}:`);
+      console.log(`  ${options.message ?? draft.text}`);
+
+      const needsBrowser = !(sendAt || draft.send_at);
+      if (needsBrowser) {
+        await bot.initialize(options.headful);
+        await bot.login();
+      }
+
+      const approved = await storage.drafts.approve(id, {
+        text: options.message,
+        sendAt,
+        confirmFirstContact: options.firstContact === true,
+        send: (conversationId, text, sendOptions) => bot.sendMessage(conversationId, text, sendOptions),
+        outbox: storage.outbox
+      });
+      logger.info(approved.status === 'scheduled'
+        ? `Draft ${id} queued as ${approved.outbox_id} for ${approved.send_at}`
+        : `Draft ${id} sent (message ${approved.message_id})`);
+
+      if (!needsBrowser) {
+        await storage.close();
+      }
+    } catch (error) {
+      logger.error('Failed to approve draft:', error);
+      explainPolicyError(error);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('draft-edit')
+  .description('Change the text or send time of a pending draft before approving it')
+  .argument('<id>', 'Draft ID')
+  .option('-m, --message <text>', 'New message text')
+  .option('--at <when>', 'New send time')
+  .action(async (id, options) => {
+    try {
+      const sendAt = options.at ? bot.storage.outbox.resolveSendAt(options.at) : undefined;
+      const draft = await bot.storage.drafts.edit(id, { text: options.message, sendAt });
+      console.log(`Updated ${draft.id}${draft.send_at ? ` (send at ${draft.send_at})` : ''}:`);
+      console.log(`  ${draft.text}`);
+      await bot.storage.close();
+    } catch (error) {
+      logger.error('Failed to edit draft:', error);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('draft-reject')
+  .description('Reject a draft so it is never sent')
+  .argument('<id>', 'Draft ID')
+  .option('-r, --reason <text>', 'Why (shown to the MCP client in list_drafts)')
+  .action(async (id, options) => {
+    try {
+      await bot.storage.drafts.reject(id, options.reason);
+      console.log(`Rejected ${id}`);
+      await bot.storage.close();
+    } catch (error) {
+      logger.error('Failed to reject draft:', error);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('suggest-reply')
+  .description('Propose up to 3 replies to a conversation with the configured LLM, saved as drafts')
+  .requiredOption('-c, --conversation <id>', 'Conversation ID (its history must have been fetched)')
+  .option('-n, --count <n>', 'How many suggestions (1-3)', '3')
+  .option('-i, --instructions <text>', 'Guidance for the replies, e.g. "ask about the stipend"')
+  .action(async (options) => {
+    try {
+      const result = await mcpServer.replySuggester.suggest(options.conversation, {
+        count: options.count,
+        instructions: options.instructions
+      });
+
+      console.log(`Suggested replies for ${result.conversation_id} (${result.model}):`);
+      for (const suggestion of result.suggestions) {
+        console.log(`\n${suggestion.draft_id}`);
+        console.log(`  ${suggestion.text}`);
+        if (suggestion.rationale) {
+          console.log(`  Why: ${suggestion.rationale}`);
+        }
+      }
+      console.log('\nSend one with `draft-approve <id>` (the others are rejected), or change it first with `draft-edit <id>`');
+
+      await bot.storage.close();
+    } catch (error) {
+      logger.error('Failed to suggest replies:', error);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('send-policy')
+  .description('Show the limits every outgoing message is checked against, and current usage')
+  .option('--json', 'Print raw JSON')
+  .action(async (options) => {
+    try {
+      const policy = { ...bot.policy.describe(), ...await bot.policy.usage() };
+
+      if (options.json) {
+        console.log(JSON.stringify(policy, null, 2));
+      } else {
+        const limit = value => value ?? 'off';
+        console.log(`Per hour:          ${policy.sent_last_hour} sent / ${limit(policy.max_per_hour)}`);
+        console.log(`Per conversation:  ${limit(policy.max_per_conversation)} per ${policy.conversation_window_hours}h`);
+        console.log(`Max length:        ${limit(policy.max_length)}`);
+        console.log(`Quiet hours:       ${limit(policy.quiet_hours)}${policy.quiet_until ? ` (quiet until ${policy.quiet_until})` : ''}`);
+        console.log(`Repeated text:     ${policy.block_duplicates ? 'blocked' : 'allowed'}`);
+        console.log(`First contact:     ${policy.confirm_first_contact ? 'needs --first-contact' : 'allowed'}`);
+      }
+
+      await bot.storage.close();
+    } catch (error) {
+      logger.error('Failed to read send policy:', error);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('enrich-internships')
+  .description('Read the detail pages of stored internships (or a file of them) for skills, perks, openings and more')
+  .option('-f, --file <path>', 'Enrich the internships in a JSON or CSV file (e.g. an earlier export) instead')
+  .option('-l, --limit <n>', 'Only the first n internships')
+  .option('--refresh', 'Fetch details again even when they were fetched recently')
+  .option('--csv', 'Export the enriched internships to CSV')
+  .option('--json', 'Print raw JSON')
+  .action(async (options) => {
+    try {
+      let internships = options.file
+        ? await new FileSource({ name: `file:${options.file}`, file: options.file }).search({})
+        : await bot.storage.loadInternships();
+      if (options.limit) {
+        internships = internships.slice(0, parseInt(options.limit));
+      }
+      if (internships.length === 0) {
+        console.log('No internships to enrich (run a search first, or pass --file)');
+        await bot.storage.close();
+        return;
+      }
+
+      const scraper = new InternshipScraper({ storage: bot.storage });
+      const enriched = await scraper.enrich(internships, { refresh: options.refresh });
+
+      if (options.json) {
+        console.log(JSON.stringify(enriched, null, 2));
+      } else {
+        scraper.formatResults(enriched);
+      }
+      if (options.csv) {
+        await scraper.exportToCSV(enriched, bot.storage.csvExporter);
+      }
+
+      await bot.storage.close();
+    } catch (error) {
+      logger.error('Failed to enrich internships:', error);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('mock-server')
+  .description('Run an offline mock of the Internshala pages the bot uses (login, chats, internships)')
+  .option('-p, --port <port>', 'Port to listen on (default: MOCK_PORT or 4010)')
+  .option('--host <host>', 'Interface to bind (default: 127.0.0.1)')
+  .option('--fixtures <file>', 'Fixture file (default: fixtures/internshala-mock.json)')
+  .action(async (options) => {
+    try {
+      mockServer = new MockInternshalaServer({ port: options.port, host: options.host, fixtures: options.fixtures });
+      const baseUrl = await mockServer.start();
+      const { email, password } = mockServer.state.student;
+
+      console.log(`Mock Internshala running at ${baseUrl}`);
+      console.log(`Log in as ${email} / ${password}, e.g.:`);
+      console.log(`  INTERNSHALA_BASE_URL=${baseUrl} USER_EMAIL=${email} USER_PASSWORD=${password} node index.js fetch-history -c c-1001`);
+    } catch (error) {
+      logger.error('Failed to start mock server:', error);
       process.exit(1);
     }
   });
@@ -87,6 +815,15 @@ if (process.argv.length === 2) {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   logger.info('Shutting down gracefully...');
+  if (outboxWorker) {
+    await outboxWorker.stop();
+  }
+  if (httpServer) {
+    await httpServer.stop();
+  }
+  if (mockServer) {
+    await mockServer.stop();
+  }
   await bot.cleanup();
   process.exit(0);
 });
\ No newline at end of file
@@ -6,6 +6,10 @@ import { WorkingInternshalaBot } from './working-bot.js';
 import { InternshipScraper } from './src/internship-scraper.js';
 import { CSVExporter } from './src/csv-exporter.js';
 import { NLPProcessor } from './src/nlp.js';
+import { StorageManager } from './src/storage.js';
+import { previewMessage, confirmSend } from './src/send-preview.js';
+import { ReplySuggester } from './src/reply-suggestions.js';
+import { SendPolicyError } from './src/send-policy.js';
 import { logger } from './utils/logger.js';
 
 class MainInternshalaBot {
@@ -39,10 +43,11 @@ class MainInternshalaBot {
       console.log('2. 🔍 Find Internships');
       console.log('3. 📊 View Exported Files');
       console.log('4. 🤖 Natural Language Mode');
-      console.log('5. ❌ Exit');
+      console.log('5. ✍️ Suggest Replies');
+      console.log('6. ❌ Exit');
       console.log('');
 
-      const choice = await question('Select an option (1-5): ');
+      const choice = await question('Select an option (1-6): ');
       rl.close();
       return choice.trim();
 
@@ -71,6 +76,8 @@ class MainInternshalaBot {
       console.log('- "find internships in Mumbai"');
       console.log('- "search for computer science internships"');
       console.log('- "show my exported files"');
+      console.log('- "send the follow_up template to conv_123"');
+      console.log('- "what did recruiters send me last week with a link"');
       console.log('');
 
       const userInput = await question('What would you like to do? ');
@@ -84,12 +91,12 @@ class MainInternshalaBot {
       console.log('🧠 Processing your request...');
       
     
-      const intent = await this.nlpProcessor.processCommand(userInput);
+      const intent = await this.nlpProcessor.processNaturalLanguage(userInput);
       
-      console.log(`🎯 Detected intent: ${intent.action} (confidence: ${(intent.confidence * 100).toFixed(1)}%)`);
+      console.log(`🎯 Detected intent: ${intent.command} (confidence: ${(intent.confidence * 100).toFixed(1)}%)`);
 
      
-      switch (intent.action) {
+      switch (intent.command) {
         case 'extract_chats':
           await this.handleChatExtraction();
           break;
@@ -99,6 +106,12 @@ class MainInternshalaBot {
         case 'view_files':
           await this.handleViewFiles();
           break;
+        case 'template':
+          await this.handleTemplateMessage(intent.parameters);
+          break;
+        case 'search':
+          await this.handleMessageSearch(intent.parameters[0], intent.filters);
+          break;
         default:
           console.log('🤔 I\'m not sure what you want to do. Please try again with a clearer command.');
           break;
@@ -140,7 +153,8 @@ class MainInternshalaBot {
       console.log('\n📋 Search Configuration:');
       console.log(JSON.stringify(inputs, null, 2));
 
-      const results = await this.internshipScraper.runScraper(inputs);
+      // The internshala source reuses the chat bot's browser when one is open
+      const results = await this.internshipScraper.runScraper(inputs, { bot: this.chatBot?.bot });
       
       if (results && results.length > 0) {
         this.internshipScraper.formatResults(results);
@@ -155,6 +169,148 @@ class MainInternshalaBot {
     }
   }
 
+  // Stored messages only, so no browser is needed
+  async handleMessageSearch(query = '', filters = {}) {
+    try {
+      const storage = this.chatBot ? this.chatBot.bot.storage : new StorageManager();
+      const result = await storage.searchMessages(query || '', { ...filters, limit: 20 });
+
+      console.log(`\n🔎 ${result.total} matching messages (sorted by ${result.sort})`);
+      for (const hit of result.results) {
+        const conversation = hit.conversation_name ? `${hit.conversation_id} (${hit.conversation_name})` : hit.conversation_id;
+        console.log(`\n${hit.message.timestamp}  ${conversation}  ${hit.message.sender || ''}`);
+        console.log(`  ${hit.match_context}`);
+      }
+      if (result.total > result.results.length) {
+        console.log(`\nShowing the first ${result.results.length}; use \`node index.js search\` to see more.`);
+      }
+
+    } catch (error) {
+      console.error('❌ Message search failed:', error.message);
+      logger.error('Message search error:', error);
+    }
+  }
+
+  async handleTemplateMessage([conversationId, templateName] = []) {
+    try {
+      if (!conversationId || !templateName) {
+        console.log('❌ Please name a template and a conversation, e.g. "send the follow_up template to conv_123"');
+        return;
+      }
+
+      // Preview from stored data first; the browser only starts once the message is confirmed
+      const storage = this.chatBot ? this.chatBot.bot.storage : new StorageManager();
+      const preview = await previewMessage(storage, conversationId, { template: templateName });
+
+      if (!await confirmSend(preview)) {
+        console.log('✋ Message not sent.');
+        return;
+      }
+
+      if (!this.chatBot) {
+        this.chatBot = new WorkingInternshalaBot();
+        await this.chatBot.initialize();
+      }
+
+      await this.sendWithFirstContactCheck(confirmFirstContact =>
+        this.chatBot.bot.sendMessage(conversationId, preview.text, { confirmFirstContact }));
+      console.log('✅ Message sent!');
+
+    } catch (error) {
+      console.error('❌ Failed to send template message:', error.message);
+      logger.error('Template message error:', error);
+    }
+  }
+
+  async handleReplySuggestions() {
+    const readline = await import('readline');
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+
+    const question = (prompt) => new Promise((resolve) => {
+      rl.question(prompt, resolve);
+    });
+
+    try {
+      console.log('\n✍️ Suggest Replies');
+      console.log('=' .repeat(30));
+
+      const conversationId = (await question('Conversation ID: ')).trim();
+      if (!conversationId) {
+        rl.close();
+        console.log('❌ Please provide a conversation ID.');
+        return;
+      }
+      const instructions = (await question('Any guidance for the replies? (optional): ')).trim();
+
+      console.log('🧠 Drafting replies...');
+      const storage = this.chatBot ? this.chatBot.bot.storage : new StorageManager();
+      const suggester = new ReplySuggester(storage, { nlp: this.nlpProcessor });
+      const result = await suggester.suggest(conversationId, { instructions: instructions || null });
+
+      result.suggestions.forEach((suggestion, index) => {
+        console.log(`\n${index + 1}. ${suggestion.text}`);
+        if (suggestion.rationale) {
+          console.log(`   💡 ${suggestion.rationale}`);
+        }
+        console.log(`   📝 Draft: ${suggestion.draft_id}`);
+      });
+
+      // Nothing is posted unless one is picked here; otherwise they wait as drafts
+      const pick = (await question(`\nSend one now? (1-${result.suggestions.length}, Enter to keep them as drafts): `)).trim();
+      rl.close();
+
+      const chosen = result.suggestions[parseInt(pick) - 1];
+      if (!chosen) {
+        console.log('📝 Suggestions saved as drafts (see `node index.js drafts`).');
+        return;
+      }
+
+      if (!this.chatBot) {
+        this.chatBot = new WorkingInternshalaBot();
+        await this.chatBot.initialize();
+      }
+
+      await this.sendWithFirstContactCheck(confirmFirstContact => storage.drafts.approve(chosen.draft_id, {
+        confirmFirstContact,
+        send: (id, text, options) => this.chatBot.bot.sendMessage(id, text, options),
+        outbox: storage.outbox
+      }));
+      console.log('✅ Reply sent!');
+
+    } catch (error) {
+      rl.close();
+      console.error('❌ Reply suggestions failed:', error.message);
+      logger.error('Reply suggestion error:', error);
+    }
+  }
+
+  // The send policy refuses a conversation's first message until it is confirmed, so ask and try again
+  async sendWithFirstContactCheck(send) {
+    try {
+      return await send(false);
+    } catch (error) {
+      const firstContactOnly = error instanceof SendPolicyError &&
+        error.violations.every(violation => violation.rule === 'first_contact');
+      if (!firstContactOnly) throw error;
+
+      const readline = await import('readline');
+      const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout
+      });
+      const answer = await new Promise(resolve => {
+        rl.question('⚠️ This would be your first message in this conversation. Send it anyway? (y/N): ', resolve);
+      });
+      rl.close();
+
+      if (!/^y(es)?$/i.test(answer.trim())) throw error;
+      return send(true);
+    }
+  }
+
   async handleViewFiles() {
     try {
       console.log('\n📊 Exported Files');
@@ -208,11 +364,14 @@ class MainInternshalaBot {
             await this.handleNaturalLanguage();
             break;
           case '5':
+            await this.handleReplySuggestions();
+            break;
+          case '6':
             console.log('👋 Goodbye!');
             process.exit(0);
             break;
           default:
-            console.log('❌ Invalid choice. Please select 1-5.');
+            console.log('❌ Invalid choice. Please select 1-6.');
             break;
         }
 
@@ -0,0 +1,92 @@
+import axios from 'axios';
+
+const DEFAULT_BASE_URL = 'https://api.apify.com/v2';
+const DATASET_PAGE_SIZE = 1000;
+
+// A request the Apify API refused or couldn't answer. `status` is the HTTP status (null when there was
+// no response) and `type` Apify's error type, e.g. "record-not-found" or "not-enough-usage-to-run-paid-actor".
+export class ApifyError extends Error {
+  constructor(message, { status = null, type = null } = {}) {
+    super(message);
+    this.name = 'ApifyError';
+    this.status = status;
+    this.type = type;
+  }
+}
+
+// The few Apify API v2 calls InternshipScraper needs. Anything with the same methods (startRun, getRun,
+// abortRun, getDatasetItems) can be passed to the scraper instead, e.g. a local stub in tests.
+export class ApifyClient {
+  constructor(options = {}) {
+    this.token = options.token ?? process.env.APIFY_API_TOKEN;
+    this.baseUrl = (options.baseUrl || process.env.APIFY_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.http = options.http || axios.create({ timeout: 30000 });
+  }
+
+  async request(method, path, { params = undefined, data = undefined } = {}) {
+    if (!this.token) {
+      throw new ApifyError('APIFY_API_TOKEN is not set');
+    }
+
+    try {
+      const response = await this.http.request({
+        method,
+        url: `${this.baseUrl}${path}`,
+        params,
+        data,
+        headers: { Authorization: `Bearer ${this.token}` }
+      });
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        const apiError = error.response.data?.error;
+        throw new ApifyError(`Apify API ${method} ${path} failed (${error.response.status}): ${apiError?.message || error.message}`, {
+          status: error.response.status,
+          type: apiError?.type || null
+        });
+      }
+      throw new ApifyError(`Apify API ${method} ${path} failed: ${error.message}`);
+    }
+  }
+
+  // Actor IDs are "username/actor-name"; the API wants "username~actor-name"
+  async startRun(actorId, input, { timeoutSecs = undefined, memoryMbytes = undefined } = {}) {
+    const body = await this.request('POST', `/acts/${encodeURIComponent(actorId.replace('/', '~'))}/runs`, {
+      params: { timeout: timeoutSecs, memory: memoryMbytes },
+      data: input
+    });
+    return body.data;
+  }
+
+  async getRun(runId) {
+    return (await this.request('GET', `/actor-runs/${encodeURIComponent(runId)}`)).data;
+  }
+
+  async abortRun(runId) {
+    return (await this.request('POST', `/actor-runs/${encodeURIComponent(runId)}/abort`)).data;
+  }
+
+  // Every item of a dataset, fetched a page at a time
+  async getDatasetItems(datasetId, { limit = null } = {}) {
+    const items = [];
+    while (limit === null || items.length < limit) {
+      const pageSize = limit === null ? DATASET_PAGE_SIZE : Math.min(DATASET_PAGE_SIZE, limit - items.length);
+      const page = await this.request('GET', `/datasets/${encodeURIComponent(datasetId)}/items`, {
+        params: { clean: true, format: 'json', offset: items.length, limit: pageSize }
+      });
+      items.push(...page);
+      if (page.length < pageSize) break;
+    }
+    return items;
+  }
+}
+
+// An actor run that ended without results: it failed, was aborted, timed out, or we stopped waiting.
+// `run` is the last run object seen (null if it was never read).
+export class ApifyRunError extends ApifyError {
+  constructor(message, run = null) {
+    super(message);
+    this.name = 'ApifyRunError';
+    this.run = run;
+  }
+}
@@ -0,0 +1,258 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.rtf': 'application/rtf',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.zip': 'application/zip',
+  '.rar': 'application/vnd.rar',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+// File extensions treated as attachments even when a link sits outside an attachment container
+export const ATTACHMENT_EXTENSIONS = Object.keys(MIME_TYPES);
+
+const GENERIC_MIME_TYPES = ['', 'application/octet-stream', 'binary/octet-stream', 'application/force-download'];
+
+function extensionOf(name) {
+  return path.extname((name || '').split(/[?#]/)[0]).toLowerCase();
+}
+
+function sanitizeFilename(name) {
+  const cleaned = name
+    .replace(/[^\w.\- ()]+/g, '_')
+    .replace(/\s+/g, ' ')
+    .replace(/^[.\s]+/, '')
+    .trim();
+  const extension = extensionOf(cleaned);
+  const base = cleaned.slice(0, cleaned.length - extension.length).slice(0, 100);
+  return (base || 'attachment') + extension;
+}
+
+function filenameFromDisposition(header) {
+  if (!header) return null;
+  const encoded = header.match(/filename\*\s*=\s*[^']*'[^']*'([^;]+)/i);
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1].trim());
+    } catch {
+      // Fall through to the plain filename
+    }
+  }
+  const plain = header.match(/filename\s*=\s*"?([^";]+)"?/i);
+  return plain ? plain[1].trim() : null;
+}
+
+function filenameFromUrl(url) {
+  try {
+    const segment = new URL(url).pathname.split('/').filter(Boolean).pop();
+    return segment ? decodeURIComponent(segment) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Declared type first, then magic bytes, then the file extension
+export function detectMimeType(contentType, filename, body) {
+  const declared = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (!GENERIC_MIME_TYPES.includes(declared)) return declared;
+
+  if (body && body.length >= 4) {
+    const head = body.subarray(0, 8);
+    if (head.subarray(0, 4).toString('latin1') === '%PDF') return MIME_TYPES['.pdf'];
+    if (head[0] === 0x89 && head.subarray(1, 4).toString('latin1') === 'PNG') return MIME_TYPES['.png'];
+    if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return MIME_TYPES['.jpg'];
+    if (head.subarray(0, 4).toString('latin1') === 'GIF8') return MIME_TYPES['.gif'];
+    // docx/xlsx/pptx are zip containers too; let the extension decide between them
+    if (head[0] === 0x50 && head[1] === 0x4b && head[2] === 0x03 && head[3] === 0x04) {
+      return MIME_TYPES[extensionOf(filename)] || MIME_TYPES['.zip'];
+    }
+  }
+
+  return MIME_TYPES[extensionOf(filename)] || 'application/octet-stream';
+}
+
+// Downloads chat attachments through the logged-in browser context into
+// data/attachments/<conversation>/<id>_<name>. The id is derived from the content hash and file name,
+// so re-downloading the same file (e.g. from a freshly signed URL) reuses it. Each conversation
+// directory has a manifest.json keyed by id.
+export class AttachmentArchive {
+  constructor(rootDir, options = {}) {
+    this.rootDir = rootDir;
+    this.maxBytes = options.maxBytes || parseInt(process.env.ATTACHMENT_MAX_BYTES) || 25 * 1024 * 1024;
+    this.writeQueue = Promise.resolve();
+  }
+
+  conversationDir(conversationId) {
+    return path.join(this.rootDir, sanitizeFilename(String(conversationId)));
+  }
+
+  manifestFile(conversationId) {
+    return path.join(this.conversationDir(conversationId), 'manifest.json');
+  }
+
+  async loadManifest(conversationId) {
+    try {
+      return JSON.parse(await fs.readFile(this.manifestFile(conversationId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  record(conversationId, entry) {
+    const run = this.writeQueue.then(async () => {
+      const manifest = await this.loadManifest(conversationId);
+      manifest[entry.id] = entry;
+      await fs.writeFile(this.manifestFile(conversationId), JSON.stringify(manifest, null, 2));
+    });
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  // `request` is the browser context's APIRequestContext (page.context().request), so downloads carry
+  // the session cookies. Replaces each message's attachment descriptors ({ name, url }) with archived
+  // metadata; failures are kept on the message with an `error` instead of throwing.
+  async archiveMessages(request, conversationId, messages) {
+    let archived = 0;
+
+    for (const message of messages) {
+      if (!message.attachments?.length) continue;
+
+      const results = [];
+      for (const attachment of message.attachments) {
+        const result = attachment.sha256 ? attachment : await this.archive(request, conversationId, attachment);
+        if (result.sha256) archived++;
+        results.push(result);
+      }
+      message.attachments = results;
+    }
+
+    if (archived > 0) {
+      logger.info(`Archived ${archived} attachments for conversation ${conversationId}`);
+    }
+    return archived;
+  }
+
+  async archive(request, conversationId, attachment) {
+    try {
+      const manifest = await this.loadManifest(conversationId);
+      const known = Object.values(manifest).find(entry => entry.url === attachment.url);
+      if (known && await this.exists(known.path)) {
+        return known;
+      }
+
+      const response = await request.get(attachment.url, { timeout: 60000 });
+      if (!response.ok()) {
+        throw new Error(`HTTP ${response.status()}`);
+      }
+
+      const headers = response.headers();
+      if (parseInt(headers['content-length']) > this.maxBytes) {
+        throw new Error(`larger than ${this.maxBytes} bytes`);
+      }
+
+      const body = await response.body();
+      if (body.length > this.maxBytes) {
+        throw new Error(`larger than ${this.maxBytes} bytes`);
+      }
+
+      const sha256 = crypto.createHash('sha256').update(body).digest('hex');
+      const name = this.chooseFilename(attachment, headers, body);
+      const id = crypto.createHash('sha256').update(`${sha256}:${name}`).digest('hex').slice(0, 16);
+      const mimeType = detectMimeType(headers['content-type'], name, body);
+
+      const dir = this.conversationDir(conversationId);
+      await fs.mkdir(dir, { recursive: true });
+      const filePath = path.join(dir, `${id}_${name}`);
+      if (!await this.exists(filePath)) {
+        await fs.writeFile(filePath, body);
+      }
+
+      const entry = {
+        id,
+        name,
+        url: attachment.url,
+        mime_type: mimeType,
+        size: body.length,
+        sha256,
+        path: filePath,
+        downloaded_at: new Date().toISOString()
+      };
+      await this.record(conversationId, entry);
+
+      logger.debug(`Archived attachment ${name} (${mimeType}, ${body.length} bytes)`);
+      return entry;
+
+    } catch (error) {
+      logger.warn(`Failed to download attachment ${attachment.name || attachment.url}: ${error.message}`);
+      return { ...attachment, id: null, error: error.message };
+    }
+  }
+
+  // Server-provided name, then a link text or URL segment that looks like a file, then a generic name
+  chooseFilename(attachment, headers, body) {
+    const candidates = [
+      filenameFromDisposition(headers['content-disposition']),
+      attachment.name,
+      filenameFromUrl(attachment.url)
+    ].filter(Boolean);
+
+    const withExtension = candidates.find(name => ATTACHMENT_EXTENSIONS.includes(extensionOf(name)));
+    if (withExtension) return sanitizeFilename(withExtension);
+
+    const mimeType = detectMimeType(headers['content-type'], '', body);
+    const extension = Object.keys(MIME_TYPES).find(ext => MIME_TYPES[ext] === mimeType) || '';
+    return sanitizeFilename((candidates[0] || 'attachment') + extension);
+  }
+
+  async exists(file) {
+    try {
+      await fs.access(file);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async list(conversationId) {
+    return Object.values(await this.loadManifest(conversationId));
+  }
+
+  async find(attachmentId, conversationId = null) {
+    const conversationIds = conversationId ? [conversationId] : await this.listConversations();
+
+    for (const id of conversationIds) {
+      const manifest = await this.loadManifest(id);
+      if (manifest[attachmentId]) {
+        return { conversation_id: id, ...manifest[attachmentId] };
+      }
+    }
+    return null;
+  }
+
+  async listConversations() {
+    try {
+      const entries = await fs.readdir(this.rootDir, { withFileTypes: true });
+      return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+}
@@ -1,7 +1,11 @@
 import { logger } from '../utils/logger.js';
+import { loadSelectorProfile } from './selectors.js';
+import { getBaseUrl } from './site.js';
 
 export class AuthManager {
-  constructor() {
+  constructor(selectors = loadSelectorProfile(), options = {}) {
+    this.selectors = selectors.login;
+    this.baseUrl = getBaseUrl(options.baseUrl);
     this.maxRetries = 3;
     this.retryDelay = 2000;
   }
@@ -15,7 +19,7 @@ export class AuthManager {
         logger.info(`Login attempt ${attempt}/${this.maxRetries}`);
         
         // Navigate to login page
-        await page.goto('https://internshala.com/login/student', { 
+        await page.goto(`${this.baseUrl}/login/student`, { 
           waitUntil: 'networkidle' 
         });
         
@@ -68,7 +72,7 @@ export class AuthManager {
       }
       
       // Check for user profile elements
-      const userElements = await page.$$('.user-profile, .dashboard-container, .student-name');
+      const userElements = await page.$$(this.selectors.loggedIn.join(', '));
       return userElements.length > 0;
       
     } catch {
@@ -80,7 +84,7 @@ export class AuthManager {
     logger.info('Filling login form...');
     
     // Wait for form elements
-    await page.waitForSelector('#email, input[name="email"], input[type="email"]', { timeout: 10000 });
+    await page.waitForSelector(this.selectors.email.join(', '), { timeout: 10000 });
     
     const email = process.env.USER_EMAIL;
     const password = process.env.USER_PASSWORD;
@@ -90,14 +94,14 @@ export class AuthManager {
     }
     
     // Fill email
-    const emailSelector = await page.$('#email') || await page.$('input[name="email"]') || await page.$('input[type="email"]');
+    const emailSelector = await this.findFirst(page, this.selectors.email);
     if (emailSelector) {
       await stealth.humanType(page, emailSelector, email);
       await stealth.randomDelay(500, 1000);
     }
     
     // Fill password
-    const passwordSelector = await page.$('#password') || await page.$('input[name="password"]') || await page.$('input[type="password"]');
+    const passwordSelector = await this.findFirst(page, this.selectors.password);
     if (passwordSelector) {
       await stealth.humanType(page, passwordSelector, password);
       await stealth.randomDelay(500, 1000);
@@ -109,18 +113,8 @@ export class AuthManager {
   async handleCaptcha(page, captcha, stealth) {
     try {
       // Check for various captcha types
-      const captchaSelectors = [
-        '.captcha-container',
-        '.g-recaptcha',
-        '.h-captcha',
-        'iframe[src*="recaptcha"]',
-        'iframe[src*="hcaptcha"]',
-        '#captcha',
-        '.captcha-image'
-      ];
-      
       let captchaElement = null;
-      for (const selector of captchaSelectors) {
+      for (const selector of this.selectors.captcha) {
         captchaElement = await page.$(selector);
         if (captchaElement) {
           logger.info(`Found captcha: ${selector}`);
@@ -134,9 +128,9 @@ export class AuthManager {
       }
       
       // Handle different captcha types
-      if (await page.$('.g-recaptcha')) {
+      if (await this.findFirst(page, this.selectors.recaptcha)) {
         await this.handleRecaptcha(page, captcha, stealth);
-      } else if (await page.$('.captcha-image')) {
+      } else if (await this.findFirst(page, this.selectors.imageCaptcha)) {
         await this.handleImageCaptcha(page, captcha, stealth);
       } else {
         logger.warn('Unknown captcha type detected');
@@ -153,7 +147,7 @@ export class AuthManager {
     
     try {
       // Wait for reCAPTCHA to load
-      await page.waitForSelector('.g-recaptcha', { timeout: 5000 });
+      await page.waitForSelector(this.selectors.recaptcha.join(', '), { timeout: 5000 });
       await stealth.randomDelay(2000, 3000);
       
       // Click on reCAPTCHA checkbox
@@ -180,12 +174,12 @@ export class AuthManager {
     logger.info('Handling image captcha...');
     
     try {
-      const captchaImage = await page.$('.captcha-image, img[src*="captcha"]');
+      const captchaImage = await this.findFirst(page, this.selectors.imageCaptcha);
       if (captchaImage) {
         const solution = await captcha.solveImageCaptcha(page, captchaImage);
         
         if (solution) {
-          const captchaInput = await page.$('#captcha, input[name="captcha"], .captcha-input');
+          const captchaInput = await this.findFirst(page, this.selectors.captchaInput);
           if (captchaInput) {
             await stealth.humanType(page, captchaInput, solution);
             logger.info('Captcha solution entered');
@@ -201,23 +195,7 @@ export class AuthManager {
     logger.info('Submitting login form...');
     
     // Find and click submit button
-    const submitSelectors = [
-      'button[type="submit"]',
-      'input[type="submit"]',
-      '.login-btn',
-      '.submit-btn',
-      '#login-btn',
-      'button:has-text("Login")',
-      'button:has-text("Sign In")'
-    ];
-    
-    let submitButton = null;
-    for (const selector of submitSelectors) {
-      submitButton = await page.$(selector);
-      if (submitButton) {
-        break;
-      }
-    }
+    const submitButton = await this.findFirst(page, this.selectors.submit);
     
     if (!submitButton) {
       throw new Error('Could not find submit button');
@@ -227,6 +205,17 @@ export class AuthManager {
     await stealth.randomDelay(1000, 2000);
   }
 
+  // First element matched by the selectors, tried in profile order
+  async findFirst(page, selectors) {
+    for (const selector of selectors) {
+      const element = await page.$(selector);
+      if (element) {
+        return element;
+      }
+    }
+    return null;
+  }
+
   async waitForLoginResult(page) {
     logger.info('Waiting for login result...');
     
@@ -236,10 +225,10 @@ export class AuthManager {
         // Success indicators
         page.waitForURL('**/dashboard**', { timeout: 15000 }),
         page.waitForURL('**/student/profile**', { timeout: 15000 }),
-        page.waitForSelector('.dashboard-container', { timeout: 15000 }),
+        page.waitForSelector(this.selectors.loggedIn.join(', '), { timeout: 15000 }),
         
         // Error indicators
-        page.waitForSelector('.error-message, .alert-danger, .login-error', { timeout: 15000 })
+        page.waitForSelector(this.selectors.error.join(', '), { timeout: 15000 })
           .then(() => { throw new Error('Login error detected'); })
       ]);
       
@@ -249,7 +238,7 @@ export class AuthManager {
       
       if (!currentUrl.includes('dashboard') && !currentUrl.includes('student')) {
         // Check for error messages
-        const errorElement = await page.$('.error-message, .alert-danger, .login-error');
+        const errorElement = await page.$(this.selectors.error.join(', '));
         if (errorElement) {
           const errorText = await errorElement.textContent();
           throw new Error(`Login failed: ${errorText}`);
@@ -5,21 +5,56 @@ import { AuthManager } from './auth.js';
 import { ChatManager } from './chat.js';
 import { CaptchaManager } from './captcha.js';
 import { StorageManager } from './storage.js';
+import { SendLedger } from './send-ledger.js';
+import { SendPolicy } from './send-policy.js';
+import { EventBus } from './event-bus.js';
+import { loadSelectorProfile } from './selectors.js';
+import { getBaseUrl } from './site.js';
+import { ChatNetworkCapture, EXTRACTION_STRATEGIES } from './network-capture.js';
 
 export class InternshalaBot {
-  constructor() {
+  constructor(options = {}) {
     this.browser = null;
     this.context = null;
     this.page = null;
     
+    // SELECTOR_PROFILE picks the JSON selector profile (selectors/default.json unless overridden)
+    this.selectors = loadSelectorProfile();
+    this.baseUrl = getBaseUrl(options.baseUrl);
+    
     this.stealth = new StealthManager();
-    this.auth = new AuthManager();
-    this.chat = new ChatManager();
+    this.auth = new AuthManager(this.selectors, { baseUrl: this.baseUrl });
+    this.chat = new ChatManager(this.selectors);
     this.captcha = new CaptchaManager();
-    this.storage = new StorageManager();
+    this.storage = options.storage || new StorageManager();
+    this.events = new EventBus();
+    // Caps, quiet hours and other limits every send has to pass (SEND_* settings)
+    this.policy = new SendPolicy(this.storage);
     
-    this.isListening = false;
     this.currentConversation = null;
+    
+    // "dom" scrapes the rendered thread; "network" parses the chat API responses and falls back to the DOM.
+    // A bad EXTRACTION_STRATEGY only warns, so it can't break commands that never extract anything.
+    this.extractionStrategy = options.strategy
+      ? this.validateStrategy(options.strategy)
+      : this.defaultStrategy(process.env.EXTRACTION_STRATEGY || 'dom');
+    this.networkCapture = new ChatNetworkCapture();
+    
+    // conversationId -> listener state; each listener gets its own page in the shared context
+    this.listeners = new Map();
+    this.maxListeners = parseInt(process.env.MAX_LISTENERS) || 10;
+    
+    this.events.on('message', event => {
+      const listener = this.listeners.get(event.conversation_id);
+      if (listener) {
+        listener.messagesReceived++;
+        listener.lastMessageAt = event.received_at;
+      }
+    });
+  }
+
+  get isListening() {
+    return Array.from(this.listeners.values()).some(listener => listener.active);
   }
 
   async initialize(headful = false) {
@@ -64,19 +99,75 @@ export class InternshalaBot {
     }
   }
 
-  setupPageListeners() {
-    this.page.on('dialog', async dialog => {
+  setupPageListeners(page = this.page) {
+    page.on('dialog', async dialog => {
       logger.info(`Dialog appeared: ${dialog.message()}`);
       await dialog.accept();
     });
 
-    this.page.on('response', response => {
+    page.on('response', response => {
       if (response.url().includes('api') || response.url().includes('chat')) {
         logger.debug(`API Response: ${response.status()} ${response.url()}`);
       }
+      
+      if (page === this.page) {
+        this.networkCapture.handleResponse(response);
+      }
     });
   }
 
+  defaultStrategy(strategy) {
+    if (!EXTRACTION_STRATEGIES.includes(strategy)) {
+      logger.warn(`Unknown extraction strategy "${strategy}" in EXTRACTION_STRATEGY (expected ${EXTRACTION_STRATEGIES.join(' or ')}); using dom`);
+      return 'dom';
+    }
+    return strategy;
+  }
+
+  validateStrategy(strategy) {
+    if (!EXTRACTION_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown extraction strategy: ${strategy} (expected ${EXTRACTION_STRATEGIES.join(' or ')})`);
+    }
+    return strategy;
+  }
+
+  // Loads a thread and extracts its messages with the chosen strategy. Network mode always reloads the
+  // thread so its API calls are seen, and still scrolls and reads the DOM to trigger older pages and to
+  // have something to fall back to.
+  async readConversation(conversationId, options = {}) {
+    const strategy = this.validateStrategy(options.strategy || this.extractionStrategy);
+    
+    if (strategy === 'network') {
+      this.networkCapture.begin(conversationId);
+      let domMessages = [];
+      let domError = null;
+      try {
+        await this.navigateToChat(conversationId);
+        domMessages = await this.chat.fetchChatHistory(this.page, this.stealth, { watermark: options.watermark });
+      } catch (error) {
+        domError = error;
+      }
+      
+      const captured = await this.networkCapture.end();
+      if (captured.length > 0) {
+        if (domError) {
+          logger.warn(`DOM extraction failed (${domError.message}); using chat API responses`);
+        }
+        return captured;
+      }
+      if (domError) {
+        throw domError;
+      }
+      logger.warn(`No messages found in chat API responses for ${conversationId}; using DOM extraction`);
+      return domMessages;
+    }
+    
+    if (this.currentConversation !== conversationId) {
+      await this.navigateToChat(conversationId);
+    }
+    return this.chat.fetchChatHistory(this.page, this.stealth, { watermark: options.watermark });
+  }
+
   async login() {
     try {
       logger.info('Starting login process...');
@@ -88,7 +179,7 @@ export class InternshalaBot {
         logger.info('Loaded existing cookies');
         
         // Verify if still logged in
-        await this.page.goto('https://internshala.com/student/dashboard');
+        await this.page.goto(`${this.baseUrl}/student/dashboard`);
         await this.page.waitForTimeout(2000);
         
         if (await this.isLoggedIn()) {
@@ -115,7 +206,7 @@ export class InternshalaBot {
   async isLoggedIn() {
     try {
       // Check for account issues first
-      const accountIssue = await this.page.$('.error_content, .account_hold, .violation');
+      const accountIssue = await this.page.$(this.selectors.login.accountIssue.join(', '));
       if (accountIssue) {
         const errorText = await accountIssue.textContent();
         if (errorText && errorText.includes('put on hold')) {
@@ -125,7 +216,7 @@ export class InternshalaBot {
       }
       
       // Check for dashboard elements or user profile
-      const dashboardElement = await this.page.$('.dashboard-container, .user-profile, .student-dashboard');
+      const dashboardElement = await this.page.$(this.selectors.login.loggedIn.join(', '));
       return dashboardElement !== null;
     } catch {
       return false;
@@ -136,11 +227,7 @@ export class InternshalaBot {
     try {
       logger.info(`Navigating to chat${conversationId ? ` (${conversationId})` : ''}...`);
       
-      const chatUrl = conversationId 
-        ? `https://internshala.com/chat/${conversationId}`
-        : 'https://internshala.com/chat';
-        
-      await this.page.goto(chatUrl, { waitUntil: 'networkidle' });
+      await this.page.goto(this.getChatUrl(conversationId), { waitUntil: 'networkidle' });
       await this.page.waitForTimeout(2000);
       
       this.currentConversation = conversationId;
@@ -152,15 +239,34 @@ export class InternshalaBot {
     }
   }
 
-  async fetchHistory(conversationId) {
+  getChatUrl(conversationId = null) {
+    return conversationId 
+      ? `${this.baseUrl}/chat/${conversationId}`
+      : `${this.baseUrl}/chat`;
+  }
+
+  async getConversations(limit = null) {
     try {
-      logger.info(`Fetching chat history for conversation: ${conversationId}`);
+      await this.navigateToChat();
       
-      if (this.currentConversation !== conversationId) {
-        await this.navigateToChat(conversationId);
-      }
+      const conversations = await this.chat.discoverConversations(this.page, this.stealth, { limit });
+      await this.storage.saveConversationNames(conversations.filter(c => c.name !== 'Unknown Contact'));
       
-      const history = await this.chat.fetchChatHistory(this.page, this.stealth);
+      logger.info(`Discovered ${conversations.length} conversations`);
+      return conversations;
+      
+    } catch (error) {
+      logger.error('Failed to discover conversations:', error);
+      throw error;
+    }
+  }
+
+  async fetchHistory(conversationId, options = {}) {
+    try {
+      logger.info(`Fetching chat history for conversation: ${conversationId}`);
+      
+      const history = await this.readConversation(conversationId, options);
+      await this.storage.attachments.archiveMessages(this.page.context().request, conversationId, history);
       
       // Save to storage
       await this.storage.saveChatHistory(conversationId, history);
@@ -174,65 +280,217 @@ export class InternshalaBot {
     }
   }
 
-  async sendMessage(conversationId, message) {
+  // Incremental: only scrolls back to the last stored message and merges what's new
+  async syncConversation(conversationId, options = {}) {
+    try {
+      logger.info(`Syncing conversation: ${conversationId}`);
+      
+      const watermark = await this.storage.getWatermark(conversationId);
+      const messages = await this.readConversation(conversationId, { ...options, watermark });
+      const newMessages = this.chat.selectNewMessages(messages, watermark);
+      await this.storage.attachments.archiveMessages(this.page.context().request, conversationId, newMessages);
+      
+      const result = await this.storage.mergeMessages(conversationId, newMessages);
+      
+      logger.info(`Synced ${conversationId}: ${result.added} new, ${result.total} total`);
+      return { conversation_id: conversationId, ...result };
+      
+    } catch (error) {
+      logger.error(`Failed to sync conversation ${conversationId}:`, error);
+      throw error;
+    }
+  }
+
+  // Resolves once the message is confirmed in the thread. Calls with the same idempotency key never
+  // post it twice: a key that was already sent returns the recorded message, and one whose earlier
+  // attempt ended unconfirmed (crash, timeout) is looked for in the thread before sending again.
+  // Anything new has to pass this.policy first (SendPolicyError otherwise); a conversation's first
+  // message needs `options.confirmFirstContact`.
+  async sendMessage(conversationId, message, options = {}) {
+    const key = options.idempotencyKey || SendLedger.newKey();
+    let attempted = false;
+    
     try {
       logger.info(`Sending message to conversation: ${conversationId}`);
       
+      const previous = await this.storage.sends.begin(key, conversationId, message);
+      if (previous.status === 'sent') {
+        logger.info(`Message with idempotency key ${key} was already sent; not sending it again`);
+        return { ...previous.message, idempotency_key: key, deduplicated: true };
+      }
+      
+      // Throws SendPolicyError before the browser is touched
+      await this.policy.enforce(conversationId, message, {
+        key,
+        retry: previous.attempts > 0,
+        confirmFirstContact: options.confirmFirstContact === true
+      });
+      
       if (this.currentConversation !== conversationId) {
         await this.navigateToChat(conversationId);
       }
       
-      await this.chat.sendMessage(this.page, message, this.stealth);
+      let posted = null;
+      if (previous.baseline) {
+        posted = await this.chat.findPostedMessage(this.page, message, previous.baseline);
+        if (posted) {
+          logger.info(`An earlier attempt with idempotency key ${key} reached the conversation; not sending it again`);
+        }
+      }
+      const deduplicated = posted !== null;
+      
+      if (!posted) {
+        const baseline = await this.chat.sentMessageBaseline(this.page, message);
+        await this.storage.sends.markAttempt(key, baseline);
+        attempted = true;
+        posted = await this.chat.sendMessage(this.page, message, this.stealth, { baseline });
+      }
       
-      // Log the sent message
+      // Log the sent message under the id the site gave it
       const messageData = {
-        id: Date.now().toString(),
+        id: posted.id,
         text: message,
         sender: 'me',
-        timestamp: new Date().toISOString(),
+        timestamp: posted.timestamp || new Date().toISOString(),
         type: 'sent'
       };
       
+      await this.storage.sends.markSent(key, messageData);
       await this.storage.appendMessage(conversationId, messageData);
       
       logger.info('Message sent successfully');
-      return messageData;
+      return { ...messageData, idempotency_key: key, deduplicated };
       
     } catch (error) {
       logger.error('Failed to send message:', error);
+      if (attempted) {
+        await this.storage.sends.markFailed(key, error).catch(recordError => {
+          logger.error(`Failed to record failed send ${key}:`, recordError);
+        });
+      }
       throw error;
     }
   }
 
   async startListening(conversationId = null) {
-    if (conversationId && this.currentConversation !== conversationId) {
-      await this.navigateToChat(conversationId);
+    const targetConversation = conversationId || this.currentConversation;
+    if (!targetConversation) {
+      throw new Error('A conversation ID is required to start listening');
     }
     
-    if (this.isListening) {
-      logger.warn('Already listening for messages');
-      return;
+    const existing = this.listeners.get(targetConversation);
+    if (existing && existing.active) {
+      logger.warn(`Already listening to conversation ${targetConversation}`);
+      return this.getListenerStatus(targetConversation);
+    }
+    
+    const activeCount = Array.from(this.listeners.values()).filter(l => l.active).length;
+    if (activeCount >= this.maxListeners) {
+      throw new Error(`Listener limit reached (${this.maxListeners}). Stop another conversation first.`);
+    }
+    
+    logger.info(`Opening listener page for conversation ${targetConversation}...`);
+    
+    const page = await this.context.newPage();
+    this.setupPageListeners(page);
+    
+    try {
+      await page.goto(this.getChatUrl(targetConversation), { waitUntil: 'networkidle' });
+      await page.waitForTimeout(2000);
+    } catch (error) {
+      await page.close().catch(() => {});
+      throw error;
     }
     
-    this.isListening = true;
-    logger.info('Started listening for new messages...');
+    const listener = {
+      conversationId: targetConversation,
+      page,
+      active: true,
+      status: 'listening',
+      startedAt: new Date().toISOString(),
+      stoppedAt: null,
+      lastMessageAt: null,
+      messagesReceived: 0,
+      error: null,
+      task: null
+    };
+    this.listeners.set(targetConversation, listener);
     
-    await this.chat.startLiveListener(
-      this.page, 
-      this.currentConversation,
+    // Runs in the background until stopListening() flips `active`
+    listener.task = this.chat.startLiveListener(
+      page,
+      targetConversation,
       this.storage,
-      () => this.isListening
-    );
+      () => listener.active,
+      this.stealth,
+      this.events
+    ).then(() => {
+      listener.status = 'stopped';
+    }).catch(error => {
+      logger.error(`Listener for ${targetConversation} failed:`, error);
+      listener.active = false;
+      listener.status = 'failed';
+      listener.error = error.message;
+    }).finally(async () => {
+      listener.stoppedAt = new Date().toISOString();
+      await page.close().catch(() => {});
+      
+      // Failed listeners stay visible in the status until they are restarted or stopped
+      if (listener.status === 'stopped' && this.listeners.get(targetConversation) === listener) {
+        this.listeners.delete(targetConversation);
+      }
+    });
+    
+    logger.info(`Started listening for new messages in ${targetConversation}`);
+    return this.getListenerStatus(targetConversation);
   }
 
-  async stopListening() {
-    this.isListening = false;
-    logger.info('Stopped listening for messages');
+  async stopListening(conversationId = null) {
+    const targets = conversationId
+      ? [this.listeners.get(conversationId)].filter(Boolean)
+      : Array.from(this.listeners.values());
+    
+    if (conversationId && targets.length === 0) {
+      logger.warn(`No listener for conversation ${conversationId}`);
+      return;
+    }
+    
+    for (const listener of targets) {
+      listener.active = false;
+      if (listener.status === 'failed') {
+        this.listeners.delete(listener.conversationId);
+      }
+    }
+    
+    await Promise.all(targets.map(listener => listener.task));
+    
+    logger.info(conversationId
+      ? `Stopped listening to conversation ${conversationId}`
+      : 'Stopped listening for messages');
+  }
+
+  getListenerStatus(conversationId = null) {
+    const describe = listener => ({
+      conversation_id: listener.conversationId,
+      status: listener.status,
+      started_at: listener.startedAt,
+      stopped_at: listener.stoppedAt,
+      last_message_at: listener.lastMessageAt,
+      messages_received: listener.messagesReceived,
+      error: listener.error
+    });
+    
+    if (conversationId) {
+      const listener = this.listeners.get(conversationId);
+      return listener ? describe(listener) : null;
+    }
+    
+    return Array.from(this.listeners.values()).map(describe);
   }
 
   async cleanup() {
     try {
-      this.isListening = false;
+      await this.stopListening();
       
       if (this.page) {
         await this.page.close();
@@ -246,6 +504,8 @@ export class InternshalaBot {
         await this.browser.close();
       }
       
+      await this.storage.close();
+      
       logger.info('Cleanup completed');
       
     } catch (error) {
@@ -1,73 +1,149 @@
 import { logger } from '../utils/logger.js';
+import { TimestampResolver } from './timestamps.js';
+import { ATTACHMENT_EXTENSIONS } from './attachments.js';
+import { loadSelectorProfile } from './selectors.js';
+
+const SEND_CONFIRM_TIMEOUT_SECONDS = 15;
+
+// The composer was used but the message never showed up in the thread; it may still have been posted
+export class SendNotConfirmedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SendNotConfirmedError';
+  }
+}
 
 export class ChatManager {
-  constructor() {
-    this.messageSelectors = [
-      '.message_container .message',
-      '.message_inner',
-      '.text-message',
-      '.message_history_element',
-      '.message_receiver',
-      '.message_sender',
-      '.chat_element .message',
-      '.message-item',
-      '.chat-message', 
-      '.message-bubble',
-      '.conversation-message',
-      '.msg-item',
-      '.message',
-      '.chat-msg',
-      '.msg',
-      '.message-row',
-      '.chat-bubble',
-      '[class*="message"]',
-      '[class*="msg"]',
-      '[class*="chat-"]',
-      '.message-content'
-    ];
-    
-    this.inputSelectors = [
-      '#message-input',
-      '.message-input',
-      'textarea[placeholder*="message"]',
-      'input[placeholder*="message"]',
-      '.chat-input textarea',
-      '.compose-message textarea'
-    ];
-    
-    this.sendButtonSelectors = [
-      '.send-btn',
-      '.send-button',
-      'button[type="submit"]',
-      '.message-send',
-      '.chat-send'
-    ];
+  constructor(selectors = loadSelectorProfile()) {
+    this.selectors = selectors;
+    
+    this.messageSelectors = selectors.message.item;
+    this.timeSelectors = selectors.message.time;
+    this.daySeparatorSelectors = selectors.thread.daySeparator;
+    
+    // Links inside these are attachments whatever their URL; other links count when they end in a file extension
+    this.attachmentSelectors = selectors.message.attachmentLink;
+    this.attachmentImageSelectors = selectors.message.attachmentImage;
+    
+    this.inputSelectors = selectors.composer.input;
+    this.sendButtonSelectors = selectors.composer.send;
+    this.sendConfirmTimeout = (parseInt(process.env.SEND_CONFIRM_TIMEOUT) || SEND_CONFIRM_TIMEOUT_SECONDS) * 1000;
+    this.conversationListSelectors = selectors.inbox;
+    
+    this.timestamps = new TimestampResolver();
+  }
+
+  // Walk the chat inbox, scrolling (and clicking "load more") until no new conversations appear
+  async discoverConversations(page, stealth, options = {}) {
+    const limit = options.limit || Infinity;
+    const maxScrollAttempts = options.maxScrollAttempts || 25;
+    
+    logger.info('Discovering conversations from chat inbox...');
+    
+    const found = new Map();
+    let idleRounds = 0;
+    
+    for (let attempt = 0; attempt < maxScrollAttempts && found.size < limit; attempt++) {
+      const batch = await page.evaluate(this.scrapeConversationList, this.conversationListSelectors);
+      
+      const before = found.size;
+      for (const conversation of batch) {
+        if (!found.has(conversation.id)) {
+          found.set(conversation.id, conversation);
+        }
+      }
+      
+      if (found.size === before) {
+        idleRounds++;
+        if (idleRounds >= 2) break;
+      } else {
+        idleRounds = 0;
+        logger.debug(`Inbox scan ${attempt + 1}: ${found.size} conversations so far`);
+      }
+      
+      await page.evaluate(this.advanceConversationList, this.conversationListSelectors);
+      await stealth.randomDelay(1000, 2000);
+    }
+    
+    return Array.from(found.values()).slice(0, limit);
+  }
+
+  // Runs in the page. Conversations without a resolvable ID are skipped since they can't be opened.
+  scrapeConversationList(selectors) {
+    const pick = (root, list) => {
+      for (const selector of list) {
+        const element = root.querySelector(selector);
+        if (element && element.textContent?.trim()) return element.textContent.trim();
+      }
+      return '';
+    };
+    
+    const idFromHref = href => {
+      const match = (href || '').match(/\/chat\/([^/?#]+)/);
+      return match ? match[1] : null;
+    };
+    
+    const seen = new Set();
+    const conversations = [];
+    
+    for (const selector of selectors.item) {
+      document.querySelectorAll(selector).forEach(el => {
+        // Prefer the outermost matching item so nested matches don't produce duplicates
+        const link = el.matches('a') ? el : el.querySelector('a[href*="/chat/"]');
+        const id = el.getAttribute('data-conversation-id') ||
+                   el.getAttribute('data-id') ||
+                   idFromHref(link?.getAttribute('href'));
+        
+        if (!id || seen.has(id)) return;
+        seen.add(id);
+        
+        conversations.push({
+          id: id,
+          name: pick(el, selectors.name) || 'Unknown Contact',
+          role: pick(el, selectors.role),
+          last_message: pick(el, selectors.preview),
+          last_activity: pick(el, selectors.time),
+          url: link?.href || `${location.origin}/chat/${id}`
+        });
+      });
+    }
+    
+    return conversations;
   }
 
-  async fetchChatHistory(page, stealth) {
+  // Runs in the page: scroll the inbox list to its end and click any "load more" control
+  advanceConversationList(selectors) {
+    for (const selector of selectors.loadMore) {
+      const button = document.querySelector(selector);
+      if (button && button.offsetParent !== null) {
+        button.click();
+        break;
+      }
+    }
+    
+    const firstItem = selectors.item
+      .map(selector => document.querySelector(selector))
+      .find(Boolean);
+    
+    let container = firstItem?.parentElement;
+    while (container && container !== document.body && container.scrollHeight <= container.clientHeight) {
+      container = container.parentElement;
+    }
+    
+    if (container && container !== document.body) {
+      container.scrollTop = container.scrollHeight;
+    } else {
+      window.scrollTo(0, document.body.scrollHeight);
+    }
+  }
+
+  // options.watermark: stop scrolling back once the last stored message is loaded (incremental sync)
+  async fetchChatHistory(page, stealth, options = {}) {
     logger.info('Fetching chat history...');
     
     try {
-      // Wait for chat container to load - updated selectors for current Internshala
-      const chatSelectors = [
-        '.message_container',
-        '.chat_element_container', 
-        '.message_history_element',
-        '.chat_box',
-        '.chat_message_flex',
-        '.message',
-        '.message_inner',
-        '.chat-container',
-        '.messages-container', 
-        '.conversation-container',
-        '.chat-messages',
-        '.message-list',
-        '.chat-content',
-        '.conversation-messages',
-        '#chat-messages',
-        '.chat-window',
-        '.messages-wrapper'
-      ];
+      // Wait for chat container to load
+      const chatSelectors = this.selectors.thread.container;
       
       let chatContainer = null;
       for (const selector of chatSelectors) {
@@ -89,22 +165,14 @@ export class ChatManager {
           await stealth.randomDelay(3000, 5000); // Give more time for dynamic content
           
           // Check if we're on a chat page by looking for message-related elements
-          const hasMessages = await page.evaluate(() => {
-            const possibleSelectors = [
-              '[class*="message"]',
-              '[class*="chat"]', 
-              '[class*="conversation"]',
-              '[id*="message"]',
-              '[id*="chat"]'
-            ];
-            
+          const hasMessages = await page.evaluate(possibleSelectors => {
             for (const selector of possibleSelectors) {
               if (document.querySelector(selector)) {
                 return true;
               }
             }
             return false;
-          });
+          }, this.selectors.thread.fallback);
           
           if (!hasMessages) {
             throw new Error('No chat elements found on page. Make sure you are on a valid chat conversation page.');
@@ -118,7 +186,7 @@ export class ChatManager {
       }
       
       // Scroll to load more messages
-      await this.scrollToLoadHistory(page, stealth);
+      await this.scrollToLoadHistory(page, stealth, options.watermark);
       
       // Extract messages
       const messages = await this.extractMessages(page);
@@ -132,7 +200,7 @@ export class ChatManager {
     }
   }
 
-  async scrollToLoadHistory(page, stealth) {
+  async scrollToLoadHistory(page, stealth, watermark = null) {
     logger.info('Scrolling to load chat history...');
     
     const maxScrollAttempts = 10;
@@ -140,6 +208,11 @@ export class ChatManager {
     let previousMessageCount = 0;
     
     while (scrollAttempt < maxScrollAttempts) {
+      if (watermark && await this.isWatermarkLoaded(page, watermark)) {
+        logger.info('Reached already-synced messages, stopping scroll');
+        break;
+      }
+      
       // Get current message count
       const currentMessageCount = await this.getMessageCount(page);
       
@@ -149,21 +222,22 @@ export class ChatManager {
       }
       
       // Scroll to top to load older messages
-      await page.evaluate(() => {
-        const chatContainer = document.querySelector('.chat-container, .messages-container, .conversation-container');
+      await page.evaluate(scrollSelectors => {
+        const chatContainer = document.querySelector(scrollSelectors.join(', '));
         if (chatContainer) {
           chatContainer.scrollTop = 0;
         } else {
           window.scrollTo(0, 0);
         }
-      });
+      }, this.selectors.thread.scrollContainer);
       
       await stealth.randomDelay(1500, 2500);
       
       // Check for loading indicators
-      const loadingIndicator = await page.$('.loading, .spinner, .chat-loading');
+      const loadingSelector = this.selectors.thread.loading.join(', ');
+      const loadingIndicator = await page.$(loadingSelector);
       if (loadingIndicator) {
-        await page.waitForSelector('.loading, .spinner, .chat-loading', { 
+        await page.waitForSelector(loadingSelector, { 
           state: 'hidden', 
           timeout: 5000 
         }).catch(() => {});
@@ -174,6 +248,51 @@ export class ChatManager {
     }
   }
 
+  async isWatermarkLoaded(page, watermark) {
+    return page.evaluate(({ watermark, selectors }) => {
+      if (watermark.lastMessageId) {
+        const escaped = CSS.escape(watermark.lastMessageId);
+        if (document.querySelector(`[data-id="${escaped}"], #${escaped}`)) {
+          return true;
+        }
+      }
+      
+      if (!watermark.lastMessageText) return false;
+      
+      return selectors.some(selector => {
+        try {
+          return Array.from(document.querySelectorAll(selector))
+            .some(el => el.textContent?.trim() === watermark.lastMessageText);
+        } catch {
+          return false;
+        }
+      });
+    }, { watermark, selectors: this.messageSelectors });
+  }
+
+  // Messages after the watermark message, found by id. Without an id match it falls back to the text,
+  // but only when a single message has that text (and the same timestamp and sender, where both are
+  // known): a new "Thank you" repeating the watermark's text must not hide everything before it.
+  // Everything is returned when the watermark can't be placed; mergeMessages skips what is stored.
+  selectNewMessages(messages, watermark) {
+    if (!watermark) return messages;
+    
+    if (watermark.lastMessageId) {
+      const index = messages.findLastIndex(message => message.id === watermark.lastMessageId);
+      if (index !== -1) return messages.slice(index + 1);
+    }
+    
+    if (!watermark.lastMessageText) return messages;
+    const same = (known, value) => !known || !value || known === value;
+    const matches = messages
+      .map((message, index) => ({ message, index }))
+      .filter(({ message }) => message.text === watermark.lastMessageText &&
+        same(watermark.lastTimestamp, message.timestamp) &&
+        same(watermark.lastSender, message.sender));
+    
+    return matches.length === 1 ? messages.slice(matches[0].index + 1) : messages;
+  }
+
   async getMessageCount(page) {
     let count = 0;
     
@@ -218,7 +337,8 @@ export class ChatManager {
       }
     }
     
-    // Sort messages by timestamp
+    // Page order is chronological; resolve labels in that order, then sort (stable) by the result
+    this.timestamps.resolveMessages(messages);
     messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
     
     // Remove duplicates based on text and timestamp
@@ -232,59 +352,39 @@ export class ChatManager {
     return uniqueMessages;
   }
 
+  // Returns the raw time label and nearest day separator; resolveTimestamps turns them into a timestamp
   async extractMessageData(page, element, index) {
     try {
-      const messageData = await element.evaluate((el, idx) => {
+      const messageData = await element.evaluate((el, { idx, timeSelectors, daySeparatorSelectors, textSelectors, senderSelectors, ownSelectors }) => {
         // Extract text content
-        const textElement = el.querySelector('.message-text, .msg-text, .text-content') || el;
+        const textElement = el.querySelector(textSelectors.join(', ')) || el;
         const text = textElement.textContent?.trim();
         
         if (!text) return null;
         
         // Determine sender
-        const isOwnMessage = el.classList.contains('own-message') || 
-                           el.classList.contains('sent') ||
-                           el.classList.contains('outgoing') ||
-                           el.classList.contains('message_sender') ||
-                           el.closest('.own-message, .sent, .outgoing, .message_sender');
+        const isOwnMessage = el.closest(ownSelectors.join(', '));
         
-        // Extract timestamp
-        const timeElement = el.querySelector('.timestamp, .time, .message-time, .msg-time');
-        let timestamp = timeElement?.textContent?.trim() || 
+        // Time label: a machine-readable datetime when the page has one, otherwise the visible text
+        const timeElement = el.querySelector(timeSelectors.join(', '));
+        const rawTime = el.querySelector('time[datetime]')?.getAttribute('datetime') ||
+                       timeElement?.textContent?.trim() ||
                        el.getAttribute('data-time') ||
-                       el.getAttribute('timestamp');
+                       el.getAttribute('timestamp') ||
+                       null;
         
-        // If no timestamp found, use current time with offset
-        if (!timestamp) {
-          const now = new Date();
-          now.setMinutes(now.getMinutes() - idx);
-          timestamp = now.toISOString();
-        } else {
-          // Try to create a valid timestamp
-          try {
-            // If it's already a valid ISO string, keep it
-            if (timestamp.includes('T') && timestamp.includes('Z')) {
-              // Validate it's a proper date
-              const testDate = new Date(timestamp);
-              if (isNaN(testDate.getTime())) {
-                throw new Error('Invalid date');
-              }
-            } else {
-              // For relative timestamps like "2 hours ago" or "12:47 AM"
-              const now = new Date();
-              now.setMinutes(now.getMinutes() - idx);
-              timestamp = now.toISOString();
-            }
-          } catch (error) {
-            // Fallback to current time with offset
-            const now = new Date();
-            now.setMinutes(now.getMinutes() - idx);
-            timestamp = now.toISOString();
+        // Day separator ("Today", "12 Sep") closest above this message in document order
+        let dayLabel = null;
+        for (const separator of document.querySelectorAll(daySeparatorSelectors.join(', '))) {
+          if (separator.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING) {
+            dayLabel = separator.textContent?.trim() || dayLabel;
+          } else {
+            break;
           }
         }
         
         // Extract sender name
-        const senderElement = el.querySelector('.sender-name, .msg-sender, .author');
+        const senderElement = el.querySelector(senderSelectors.join(', '));
         const sender = senderElement?.textContent?.trim() || (isOwnMessage ? 'me' : 'other');
         
         // Extract message ID
@@ -296,50 +396,26 @@ export class ChatManager {
           id: messageId,
           text: text,
           sender: sender,
-          timestamp: timestamp,
+          raw_time: rawTime,
+          day_label: dayLabel,
           type: isOwnMessage ? 'sent' : 'received',
           element_class: el.className
         };
-        
-        function parseTimestamp(timeStr) {
-          const now = new Date();
-          
-          // Handle relative timestamps
-          if (timeStr.includes('ago')) {
-            const match = timeStr.match(/(\\d+)\\s*(minute|hour|day|week)s?\\s*ago/i);
-            if (match) {
-              const value = parseInt(match[1]);
-              const unit = match[2].toLowerCase();
-              
-              switch (unit) {
-                case 'minute':
-                  now.setMinutes(now.getMinutes() - value);
-                  break;
-                case 'hour':
-                  now.setHours(now.getHours() - value);
-                  break;
-                case 'day':
-                  now.setDate(now.getDate() - value);
-                  break;
-                case 'week':
-                  now.setDate(now.getDate() - (value * 7));
-                  break;
-              }
-              return now.toISOString();
-            }
-          }
-          
-          // Try to parse as date
-          const parsed = new Date(timeStr);
-          if (!isNaN(parsed.getTime())) {
-            return parsed.toISOString();
-          }
-          
-          // Default to current time
-          return now.toISOString();
+      }, {
+        idx: index,
+        timeSelectors: this.timeSelectors,
+        daySeparatorSelectors: this.daySeparatorSelectors,
+        textSelectors: this.selectors.message.text,
+        senderSelectors: this.selectors.message.sender,
+        ownSelectors: this.selectors.message.own
+      });
+      
+      if (messageData) {
+        const attachments = await this.extractAttachments(element);
+        if (attachments.length > 0) {
+          messageData.attachments = attachments;
         }
-        
-      }, element, index);
+      }
       
       return messageData;
       
@@ -349,10 +425,123 @@ export class ChatManager {
     }
   }
 
-  async sendMessage(page, messageText, stealth) {
+  // Attachment descriptors ({ name, url }) found in a message element; downloading is AttachmentArchive's job
+  async extractAttachments(element) {
+    try {
+      return await element.evaluate((el, { linkSelectors, imageSelectors, extensions }) => {
+        const found = new Map();
+        const add = (url, name) => {
+          if (!url || !/^https?:/i.test(url) || found.has(url)) return;
+          found.set(url, { name: name?.trim() || null, url });
+        };
+        const looksLikeFile = url => {
+          const path = url.split(/[?#]/)[0].toLowerCase();
+          return extensions.some(extension => path.endsWith(extension));
+        };
+        
+        el.querySelectorAll(linkSelectors.join(', ')).forEach(link => {
+          add(link.href, link.getAttribute('download') || link.textContent);
+        });
+        el.querySelectorAll('a[href]').forEach(link => {
+          if (looksLikeFile(link.href)) add(link.href, link.getAttribute('download') || link.textContent);
+        });
+        el.querySelectorAll(imageSelectors.join(', ')).forEach(image => {
+          add(image.src, image.getAttribute('alt'));
+        });
+        
+        return Array.from(found.values());
+      }, {
+        linkSelectors: this.attachmentSelectors,
+        imageSelectors: this.attachmentImageSelectors,
+        extensions: ATTACHMENT_EXTENSIONS
+      });
+    } catch (error) {
+      logger.debug('Failed to extract attachments:', error.message);
+      return [];
+    }
+  }
+
+  // Our own messages in the loaded thread with this text (ignoring whitespace differences), as
+  // { index, id } in page order; `selector` is the message selector they were found with
+  async findOwnMessages(page, messageText) {
+    for (const selector of this.messageSelectors) {
+      try {
+        const messages = await page.$$eval(selector, (elements, { textSelectors, ownSelectors, text }) => {
+          if (elements.length === 0) return null;
+          
+          const normalize = value => (value || '').replace(/\s+/g, ' ').trim();
+          const wanted = normalize(text);
+          
+          return elements
+            .map((el, index) => ({ el, index }))
+            .filter(({ el }) => el.closest(ownSelectors.join(', ')) &&
+              normalize((el.querySelector(textSelectors.join(', ')) || el).textContent) === wanted)
+            .map(({ el, index }) => ({ index, id: el.getAttribute('data-id') || el.getAttribute('id') || null }));
+        }, {
+          textSelectors: this.selectors.message.text,
+          ownSelectors: this.selectors.message.own,
+          text: messageText
+        });
+        
+        if (messages) {
+          return { selector, messages };
+        }
+      } catch (error) {
+        // Continue with next selector
+      }
+    }
+    
+    return { selector: null, messages: [] };
+  }
+
+  // Taken before sending: which of our messages with the same text are already in the thread
+  async sentMessageBaseline(page, messageText) {
+    const { messages } = await this.findOwnMessages(page, messageText);
+    return { ids: messages.map(message => message.id), count: messages.length };
+  }
+
+  // The newest own message with this text that isn't in `baseline`, extracted like any other message.
+  // Compared by id when the page gives messages one, otherwise by how many matching messages there are.
+  async findPostedMessage(page, messageText, baseline) {
+    const { selector, messages } = await this.findOwnMessages(page, messageText);
+    
+    const byId = messages.every(message => message.id) && baseline.ids.every(Boolean);
+    const posted = byId
+      ? messages.filter(message => !baseline.ids.includes(message.id)).pop()
+      : messages.length > baseline.count ? messages[messages.length - 1] : null;
+    if (!posted) {
+      return null;
+    }
+    
+    const element = (await page.$$(selector))[posted.index];
+    const message = element ? await this.extractMessageData(page, element, posted.index) : null;
+    if (message) {
+      this.timestamps.resolveMessages([message]);
+    }
+    return message;
+  }
+
+  async waitForPostedMessage(page, messageText, baseline, timeout) {
+    const deadline = Date.now() + timeout;
+    
+    while (true) {
+      const posted = await this.findPostedMessage(page, messageText, baseline);
+      if (posted || Date.now() >= deadline) {
+        return posted;
+      }
+      await page.waitForTimeout(500);
+    }
+  }
+
+  // Types and sends the message, then waits for it to appear in the thread as a new message of ours
+  // and returns it as extracted (with the site's message id). `baseline` can be taken beforehand
+  // with sentMessageBaseline; otherwise it is taken here.
+  async sendMessage(page, messageText, stealth, options = {}) {
     logger.info(`Sending message: "${messageText.substring(0, 50)}..."`);
     
     try {
+      const baseline = options.baseline || await this.sentMessageBaseline(page, messageText);
+      
       // Find message input
       let messageInput = null;
       for (const selector of this.inputSelectors) {
@@ -380,7 +569,14 @@ export class ChatManager {
       // Send message
       await this.sendMessageAction(page, stealth);
       
-      logger.info('Message sent successfully');
+      const timeout = options.timeout ?? this.sendConfirmTimeout;
+      const posted = await this.waitForPostedMessage(page, messageText, baseline, timeout);
+      if (!posted) {
+        throw new SendNotConfirmedError(`Sent message did not appear in the conversation within ${timeout / 1000}s`);
+      }
+      
+      logger.info(`Message sent and confirmed (id: ${posted.id})`);
+      return posted;
       
     } catch (error) {
       logger.error('Failed to send message:', error);
@@ -405,12 +601,20 @@ export class ChatManager {
     await stealth.randomDelay(500, 1000);
   }
 
-  async startLiveListener(page, conversationId, storage, isListeningCallback) {
+  // Stores a message the live listener picked up and publishes it only when storage didn't already have
+  // it, so a message marked new again (e.g. after the thread re-renders) reaches subscribers once.
+  // Returns the published event or null.
+  async recordLiveMessage(storage, events, conversationId, messageData) {
+    const appended = await storage.appendMessage(conversationId, messageData);
+    return appended && events ? events.publishMessage(conversationId, messageData) : null;
+  }
+
+  async startLiveListener(page, conversationId, storage, isListeningCallback, stealth, events = null) {
     logger.info('Starting live message listener...');
     
     try {
       // Set up mutation observer for new messages
-      await page.evaluate((selectors) => {
+      await page.evaluate(({ selectors, scrollSelectors }) => {
         window.messageObserver = new MutationObserver((mutations) => {
           mutations.forEach((mutation) => {
             mutation.addedNodes.forEach((node) => {
@@ -435,13 +639,13 @@ export class ChatManager {
         });
         
         // Start observing
-        const chatContainer = document.querySelector('.chat-container, .messages-container, .conversation-container') || document.body;
+        const chatContainer = document.querySelector(scrollSelectors.join(', ')) || document.body;
         window.messageObserver.observe(chatContainer, {
           childList: true,
           subtree: true
         });
         
-      }, this.messageSelectors);
+      }, { selectors: this.messageSelectors, scrollSelectors: this.selectors.thread.scrollContainer });
       
       // Listen for new messages
       while (isListeningCallback()) {
@@ -451,18 +655,22 @@ export class ChatManager {
           
           for (const element of newMessages) {
             const messageData = await this.extractMessageData(page, element, 0);
+            if (messageData) {
+              this.timestamps.resolveMessages([messageData]);
+            }
             
             if (messageData && messageData.sender !== 'me') {
               logger.info(`New message received: "${messageData.text.substring(0, 50)}..."`);
               
-              // Save to storage
+              // Save to storage and notify subscribers (SSE clients, MCP sessions)
               if (conversationId) {
-                await storage.appendMessage(conversationId, messageData);
+                await storage.attachments.archiveMessages(page.context().request, conversationId, [messageData]);
+                await this.recordLiveMessage(storage, events, conversationId, messageData);
               }
-              
-              // Remove the marker
-              await page.evaluate(el => el.removeAttribute('data-new-message'), element);
             }
+            
+            // Remove the marker so the element is not processed again
+            await page.evaluate(el => el.removeAttribute('data-new-message'), element);
           }
           
           // Wait before next check
@@ -1,10 +1,13 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { logger } from '../utils/logger.js';
+import { TimestampResolver } from './timestamps.js';
 
 export class CSVExporter {
   constructor() {
     this.csvDir = './exports';
+    // Date/Time columns and per-day stats use the chat timezone (CHAT_TIMEZONE), not the machine's
+    this.timestamps = new TimestampResolver();
     this.ensureExportDirectory();
   }
 
@@ -41,7 +44,9 @@ export class CSVExporter {
         'Message Length',
         'Contains Links',
         'Contains Mentions',
-        'Element Class'
+        'Element Class',
+        'Timestamp Precision',
+        'Attachments'
       ];
 
       // Convert messages to CSV rows
@@ -65,9 +70,9 @@ export class CSVExporter {
   }
 
   messageToCSVRow(message, conversationId) {
-    const timestamp = new Date(message.timestamp);
-    const date = timestamp.toISOString().split('T')[0];
-    const time = timestamp.toTimeString().split(' ')[0];
+    const validTimestamp = !isNaN(new Date(message.timestamp).getTime());
+    const date = validTimestamp ? this.timestamps.formatDate(message.timestamp) : '';
+    const time = validTimestamp ? this.timestamps.formatTime(message.timestamp) : '';
     
     // Clean text for CSV (escape quotes and remove newlines)
     const cleanText = this.cleanTextForCSV(message.text || '');
@@ -88,12 +93,21 @@ export class CSVExporter {
       (message.text || '').length,
       hasLinks ? 'Yes' : 'No',
       hasMentions ? 'Yes' : 'No',
-      this.escapeCSV(message.element_class || '')
+      this.escapeCSV(message.element_class || ''),
+      this.escapeCSV(message.timestamp_precision || ''),
+      this.escapeCSV(this.formatAttachments(message.attachments))
     ];
 
     return row.join(',');
   }
 
+  // "name (local path)" per attachment; ones that failed to download keep their URL instead
+  formatAttachments(attachments) {
+    return (attachments || [])
+      .map(attachment => `${attachment.name || 'attachment'} (${attachment.path || `not downloaded: ${attachment.url}`})`)
+      .join('; ');
+  }
+
   cleanTextForCSV(text) {
     return text
       .replace(/\n/g, ' ') // Replace newlines with spaces
@@ -182,7 +196,8 @@ export class CSVExporter {
         'Sender',
         'Message Text',
         'Match Context',
-        'Relevance Score'
+        'Relevance Score',
+        'Attachments'
       ];
 
       const csvRows = [headers.join(',')];
@@ -197,7 +212,8 @@ export class CSVExporter {
           this.escapeCSV(message.sender || ''),
           this.escapeCSV(this.cleanTextForCSV(message.text || '')),
           this.escapeCSV(this.cleanTextForCSV(result.match_context || '')),
-          result.relevance_score || 0
+          result.relevance_score || 0,
+          this.escapeCSV(this.formatAttachments(message.attachments))
         ];
         csvRows.push(row.join(','));
       }
@@ -255,14 +271,22 @@ export class CSVExporter {
       'Longest Message': Math.max(...messages.map(m => (m.text || '').length)),
       'Messages with Links': messages.filter(m => /https?:\/\/[^\s]+/.test(m.text || '')).length,
       'Messages with Mentions': messages.filter(m => /@\w+/.test(m.text || '')).length,
-      'First Message Date': messages.length > 0 ? new Date(messages[0].timestamp).toISOString().split('T')[0] : 'N/A',
-      'Last Message Date': messages.length > 0 ? new Date(messages[messages.length - 1].timestamp).toISOString().split('T')[0] : 'N/A'
+      'First Message Date': 'N/A',
+      'Last Message Date': 'N/A'
     };
 
+    const times = messages
+      .map(m => new Date(m.timestamp).getTime())
+      .filter(time => !isNaN(time));
+    if (times.length > 0) {
+      stats['First Message Date'] = this.timestamps.formatDate(Math.min(...times));
+      stats['Last Message Date'] = this.timestamps.formatDate(Math.max(...times));
+    }
+
     // Calculate daily message counts
     const dailyCounts = {};
-    messages.forEach(m => {
-      const date = new Date(m.timestamp).toISOString().split('T')[0];
+    times.forEach(time => {
+      const date = this.timestamps.formatDate(time);
       dailyCounts[date] = (dailyCounts[date] || 0) + 1;
     });
 
@@ -284,28 +308,52 @@ export class CSVExporter {
       
       const headers = [
         'ID',
+        'Title',
         'Company',
         'Location', 
         'Duration',
+        'Stipend',
+        'Start Date',
+        'Apply By',
+        'Posted',
+        'Openings',
+        'Applicants',
+        'Skills',
+        'Perks',
+        'Who Can Apply',
+        'Description',
         'Actively Hiring',
         'Early Applicant',
-        'Stipend',
+        'Source',
         'Apply URL',
         'Job URL',
-        'Scraped At'
+        'Scraped At',
+        'Details Fetched At'
       ];
       
       const rows = internships.map(internship => [
         internship.id,
+        internship.title,
         internship.company,
         internship.location,
         internship.duration,
+        internship.stipend,
+        internship.start_date,
+        internship.apply_by,
+        internship.posted,
+        internship.openings,
+        internship.applicants,
+        internship.skills,
+        internship.perks,
+        internship.who_can_apply,
+        internship.description,
         internship.actively_hiring ? 'Yes' : 'No',
         internship.early_applicant ? 'Yes' : 'No',
-        internship.stipend,
+        internship.source,
         internship.apply_url,
         internship.job_url,
-        internship.scraped_at
+        internship.scraped_at,
+        internship.details_fetched_at
       ]);
       
       const csvContent = [headers, ...rows]
@@ -0,0 +1,220 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+
+export const DRAFT_STATUSES = ['pending', 'sending', 'sent', 'scheduled', 'failed', 'rejected'];
+export const APPROVAL_MODES = ['manual', 'auto'];
+
+// A draft request that can't be carried out, e.g. approving a draft that was already rejected
+export class DraftError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DraftError';
+  }
+}
+
+export class DraftNotFoundError extends DraftError {
+  constructor(id) {
+    super(`Draft not found: ${id}`);
+    this.name = 'DraftNotFoundError';
+  }
+}
+
+function parseList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Which MCP sends need a human to approve them. "manual" (the default) holds every send as a draft
+// except for allowlisted conversations; "auto" sends everything directly, for trusted setups.
+export class ApprovalPolicy {
+  constructor(options = {}) {
+    this.mode = options.mode || process.env.MCP_APPROVAL_MODE || 'manual';
+    if (!APPROVAL_MODES.includes(this.mode)) {
+      logger.warn(`Unknown approval mode "${this.mode}" (expected one of: ${APPROVAL_MODES.join(', ')}); using manual`);
+      this.mode = 'manual';
+    }
+    this.allowlist = new Set((options.allowlist ?? parseList(process.env.MCP_APPROVAL_ALLOWLIST)).map(String));
+  }
+
+  requiresApproval(conversationId) {
+    return this.mode !== 'auto' && !this.allowlist.has(String(conversationId));
+  }
+
+  describe() {
+    return { mode: this.mode, allowlist: Array.from(this.allowlist) };
+  }
+}
+
+// Messages written by MCP clients that wait for a human, kept by the storage backend (drafts.json or
+// the drafts table). A pending draft is approved (sent, or queued in the outbox when it has a send
+// time), edited, or rejected. A failed send leaves it "failed", to be approved again or rejected.
+export class DraftQueue {
+  constructor(getBackend) {
+    this.getBackend = getBackend;
+  }
+
+  async create({ conversationId, conversationName = null, text, template = null, sendAt = null, idempotencyKey = null, source = 'mcp', group = null }) {
+    const now = new Date().toISOString();
+    const id = `dr_${crypto.randomBytes(6).toString('hex')}`;
+    const draft = {
+      id,
+      conversation_id: String(conversationId),
+      conversation_name: conversationName,
+      text,
+      template,
+      send_at: sendAt ? new Date(sendAt).toISOString() : null,
+      status: 'pending',
+      source,
+      // Drafts proposed together as alternatives (reply suggestions); approving one rejects the rest
+      group,
+      // Used for the send, so approving twice (or retrying a failed approval) never posts twice
+      idempotency_key: idempotencyKey || id,
+      edited: false,
+      reason: null,
+      last_error: null,
+      message_id: null,
+      outbox_id: null,
+      created_at: now,
+      updated_at: now,
+      decided_at: null
+    };
+
+    // A client retrying with the same idempotency key gets the draft it already created
+    const backend = await this.getBackend();
+    const existing = await backend.addDraft(draft);
+    if (existing) {
+      if (existing.conversation_id !== draft.conversation_id || existing.text !== text) {
+        throw new DraftError(`Idempotency key "${idempotencyKey}" was already used for a different message`);
+      }
+      return existing;
+    }
+
+    logger.info(`Draft ${id} for ${draft.conversation_id} is waiting for approval`);
+    return draft;
+  }
+
+  async list({ status = null, conversationId = null } = {}) {
+    if (status && !DRAFT_STATUSES.includes(status)) {
+      throw new DraftError(`Unknown draft status "${status}" (expected one of: ${DRAFT_STATUSES.join(', ')})`);
+    }
+
+    const backend = await this.getBackend();
+    return (await backend.loadDrafts())
+      .filter(draft => !status || draft.status === status)
+      .filter(draft => !conversationId || draft.conversation_id === String(conversationId))
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  async get(id) {
+    const draft = (await this.list()).find(d => d.id === id);
+    if (!draft) {
+      throw new DraftNotFoundError(id);
+    }
+    return draft;
+  }
+
+  async transition(id, allowed, change) {
+    const backend = await this.getBackend();
+    return backend.updateDraft(id, draft => {
+      if (!draft) {
+        throw new DraftNotFoundError(id);
+      }
+      if (!allowed.includes(draft.status)) {
+        throw new DraftError(`Draft ${id} is ${draft.status}; only ${allowed.join(' or ')} drafts can be changed this way`);
+      }
+      return { ...draft, ...change(draft), updated_at: new Date().toISOString() };
+    });
+  }
+
+  // `sendAt` is a Date or ISO string (see Outbox.resolveSendAt); null clears it, so the draft is sent
+  // as soon as it is approved
+  edits(draft, { text = undefined, sendAt = undefined }) {
+    if (text !== undefined && (typeof text !== 'string' || !text.trim())) {
+      throw new DraftError('Message text cannot be empty');
+    }
+
+    const changes = {};
+    if (text !== undefined && text !== draft.text) {
+      // New text is a different message, so it gets its own idempotency key
+      Object.assign(changes, { text, template: null, edited: true, idempotency_key: `${draft.id}_${crypto.randomBytes(3).toString('hex')}` });
+    }
+    if (sendAt !== undefined) {
+      changes.send_at = sendAt ? new Date(sendAt).toISOString() : null;
+    }
+    return changes;
+  }
+
+  async edit(id, changes) {
+    if (changes.text === undefined && changes.sendAt === undefined) {
+      throw new DraftError('Nothing to change (give a new text and/or send time)');
+    }
+    const draft = await this.transition(id, ['pending', 'failed'], current => this.edits(current, changes));
+    logger.info(`Edited draft ${id}`);
+    return draft;
+  }
+
+  async reject(id, reason = null) {
+    const draft = await this.transition(id, ['pending', 'failed'], () => ({
+      status: 'rejected',
+      reason: reason || null,
+      decided_at: new Date().toISOString()
+    }));
+    logger.info(`Rejected draft ${id}${reason ? `: ${reason}` : ''}`);
+    return draft;
+  }
+
+  // Sends the draft with `send(conversationId, text, { idempotencyKey, confirmFirstContact })`, or queues
+  // it in `outbox` when it has a send time. Edits given here are applied first, as the approved version.
+  // `confirmFirstContact` is the approver's go-ahead for a conversation's first message (see SendPolicy).
+  async approve(id, { text = undefined, sendAt = undefined, confirmFirstContact = false, send, outbox }) {
+    const draft = await this.transition(id, ['pending', 'failed'], current => ({
+      ...this.edits(current, { text, sendAt }),
+      status: 'sending',
+      last_error: null,
+      decided_at: new Date().toISOString()
+    }));
+    logger.info(`Approved draft ${id}`);
+
+    try {
+      if (draft.send_at) {
+        const entry = await outbox.queue({
+          conversationId: draft.conversation_id,
+          text: draft.text,
+          sendAt: draft.send_at,
+          template: draft.template,
+          confirmFirstContact
+        });
+        const scheduled = await this.transition(id, ['sending'], () => ({ status: 'scheduled', outbox_id: entry.id }));
+        await this.rejectAlternatives(scheduled);
+        return scheduled;
+      }
+
+      const message = await send(draft.conversation_id, draft.text, { idempotencyKey: draft.idempotency_key, confirmFirstContact });
+      const sent = await this.transition(id, ['sending'], () => ({ status: 'sent', message_id: message?.id ?? null }));
+      await this.rejectAlternatives(sent);
+      return sent;
+
+    } catch (error) {
+      logger.error(`Approved draft ${id} could not be ${draft.send_at ? 'scheduled' : 'sent'}:`, error);
+      await this.transition(id, ['sending'], () => ({ status: 'failed', last_error: error.message })).catch(() => {});
+      throw error;
+    }
+  }
+
+  async rejectAlternatives(draft) {
+    if (!draft.group) return;
+    const alternatives = (await this.list({ conversationId: draft.conversation_id }))
+      .filter(other => other.group === draft.group && other.id !== draft.id && ['pending', 'failed'].includes(other.status));
+    for (const other of alternatives) {
+      // One decided in the meantime is left as it is
+      await this.reject(other.id, `Another suggestion (${draft.id}) was approved`).catch(() => {});
+    }
+  }
+
+  async counts() {
+    const counts = Object.fromEntries(DRAFT_STATUSES.map(status => [status, 0]));
+    for (const draft of await this.list()) {
+      counts[draft.status] = (counts[draft.status] || 0) + 1;
+    }
+    return counts;
+  }
+}
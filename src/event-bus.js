@@ -0,0 +1,25 @@
+import { EventEmitter } from 'events';
+
+// In-process pub/sub for bot activity. Live listeners publish here; the HTTP and MCP surfaces subscribe.
+export class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(50);
+  }
+
+  // Publishers dedupe: live listeners publish only the messages storage has just added
+  publishMessage(conversationId, message) {
+    const event = {
+      conversation_id: conversationId || null,
+      message_id: message.id || null,
+      sender: message.sender,
+      type: message.type,
+      text: message.text,
+      timestamp: message.timestamp,
+      received_at: new Date().toISOString()
+    };
+
+    this.emit('message', event);
+    return event;
+  }
+}
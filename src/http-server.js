@@ -0,0 +1,588 @@
+import http from 'http';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { JSONRPC_ERRORS, jsonRpcError } from './mcp-transport.js';
+import { SearchQueryError } from './search-index.js';
+import { DraftError, DraftNotFoundError } from './drafts.js';
+import { SendPolicyError } from './send-policy.js';
+
+const MAX_BODY_SIZE = 1024 * 1024; // 1MB
+const SSE_KEEPALIVE_INTERVAL = 25000;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+// Local HTTP surface for a long-running bot: MCP over Streamable HTTP at /mcp plus a small REST facade.
+export class HttpServer {
+  constructor(bot, mcpServer, options = {}) {
+    this.bot = bot;
+    this.mcpServer = mcpServer;
+    this.host = options.host || process.env.HTTP_HOST || '127.0.0.1';
+    this.port = parseInt(options.port ?? (process.env.HTTP_PORT || 3210));
+    this.apiToken = options.apiToken || process.env.HTTP_API_TOKEN || null;
+    // Separate credential for deciding drafts; never give it to an MCP client, or it can approve its own sends
+    this.approvalToken = options.approvalToken || process.env.APPROVAL_TOKEN || null;
+
+    this.server = null;
+    this.sessions = new Map(); // Mcp-Session-Id -> { createdAt, streams: Set<res> }
+    this.eventStreams = new Set(); // { res, conversationId }
+    this.onBotMessage = this.broadcastMessage.bind(this);
+
+    this.routes = [
+      { method: 'GET', pattern: /^\/status$/, handler: this.getStatus.bind(this) },
+      { method: 'GET', pattern: /^\/events$/, handler: this.handleEventStream.bind(this) },
+      { method: 'GET', pattern: /^\/conversations$/, handler: this.getConversations.bind(this) },
+      { method: 'GET', pattern: /^\/conversations\/([^/]+)\/messages$/, handler: this.getMessages.bind(this) },
+      { method: 'POST', pattern: /^\/conversations\/([^/]+)\/messages$/, handler: this.postMessage.bind(this) },
+      { method: 'GET', pattern: /^\/search$/, handler: this.search.bind(this) },
+      { method: 'GET', pattern: /^\/attachments\/([^/]+)$/, handler: this.getAttachment.bind(this) },
+      { method: 'POST', pattern: /^\/conversations\/([^/]+)\/listen$/, handler: this.startListener.bind(this) },
+      { method: 'DELETE', pattern: /^\/conversations\/([^/]+)\/listen$/, handler: this.stopListener.bind(this) },
+      { method: 'GET', pattern: /^\/outbox$/, handler: this.getOutbox.bind(this) },
+      { method: 'POST', pattern: /^\/outbox$/, handler: this.postOutbox.bind(this) },
+      { method: 'PATCH', pattern: /^\/outbox\/([^/]+)$/, handler: this.patchOutbox.bind(this) },
+      { method: 'DELETE', pattern: /^\/outbox\/([^/]+)$/, handler: this.cancelOutbox.bind(this) },
+      { method: 'GET', pattern: /^\/drafts$/, handler: this.getDrafts.bind(this) },
+      { method: 'PATCH', pattern: /^\/drafts\/([^/]+)$/, handler: this.patchDraft.bind(this), approval: true },
+      { method: 'POST', pattern: /^\/drafts\/([^/]+)\/approve$/, handler: this.approveDraft.bind(this), approval: true },
+      { method: 'POST', pattern: /^\/drafts\/([^/]+)\/reject$/, handler: this.rejectDraft.bind(this), approval: true },
+      { method: 'POST', pattern: /^\/mcp$/, handler: this.handleMcpPost.bind(this) },
+      { method: 'GET', pattern: /^\/mcp$/, handler: this.handleMcpStream.bind(this) },
+      { method: 'DELETE', pattern: /^\/mcp$/, handler: this.handleMcpDelete.bind(this) }
+    ];
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    // Reflect the real port when started with port 0
+    this.port = this.server.address().port;
+    this.bot.events?.on('message', this.onBotMessage);
+    logger.info(`HTTP server listening on http://${this.host}:${this.port} (MCP endpoint: /mcp)`);
+  }
+
+  async stop() {
+    this.bot.events?.off('message', this.onBotMessage);
+
+    this.eventStreams.forEach(stream => stream.res.end());
+    this.eventStreams.clear();
+
+    for (const session of this.sessions.values()) {
+      session.streams.forEach(res => res.end());
+    }
+    this.sessions.clear();
+
+    if (this.server) {
+      this.server.closeAllConnections?.();
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+      logger.info('HTTP server stopped');
+    }
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    try {
+      this.checkOrigin(req);
+
+      const route = this.routes.find(r => r.method === req.method && r.pattern.test(url.pathname));
+      if (route?.approval) {
+        this.checkApprovalAuthorization(req);
+      } else {
+        this.checkAuthorization(req);
+      }
+      if (!route) {
+        const pathExists = this.routes.some(r => r.pattern.test(url.pathname));
+        throw new HttpError(pathExists ? 405 : 404, pathExists ? 'Method not allowed' : 'Not found');
+      }
+
+      const params = url.pathname.match(route.pattern).slice(1).map(decodeURIComponent);
+      await route.handler(req, res, { params, query: url.searchParams });
+
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status === 500) {
+        logger.error(`HTTP: ${req.method} ${url.pathname} failed:`, error);
+      }
+      if (!res.headersSent) {
+        this.sendJson(res, status, { success: false, error: error.message });
+      } else {
+        res.end();
+      }
+    }
+  }
+
+  // Browsers can reach 127.0.0.1 too, so reject cross-site origins (DNS rebinding protection)
+  checkOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin) return;
+
+    try {
+      const { hostname } = new URL(origin);
+      if (['localhost', '127.0.0.1', '[::1]', '::1'].includes(hostname)) return;
+    } catch {
+      // Malformed origin, rejected below
+    }
+
+    throw new HttpError(403, `Origin not allowed: ${origin}`);
+  }
+
+  // Digests have the same length whatever was sent, so timingSafeEqual can't throw on a header whose
+  // string length matches but whose bytes don't (non-ASCII characters)
+  hasBearerToken(req, token) {
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(req.headers.authorization || ''), digest(`Bearer ${token}`));
+  }
+
+  checkAuthorization(req) {
+    if (this.apiToken && !this.hasBearerToken(req, this.apiToken)) {
+      throw new HttpError(401, 'Unauthorized');
+    }
+  }
+
+  // Approving, editing and rejecting drafts take APPROVAL_TOKEN instead of HTTP_API_TOKEN, which MCP
+  // clients may hold. Without one set, drafts can only be decided from the CLI.
+  checkApprovalAuthorization(req) {
+    if (!this.approvalToken) {
+      throw new HttpError(403, 'Deciding drafts over HTTP is disabled; set APPROVAL_TOKEN or use the draft-* commands');
+    }
+    if (!this.hasBearerToken(req, this.approvalToken)) {
+      throw new HttpError(401, 'Unauthorized');
+    }
+  }
+
+  async readJsonBody(req) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        throw new HttpError(413, 'Request body too large');
+      }
+      chunks.push(chunk);
+    }
+
+    const raw = Buffer.concat(chunks).toString('utf8');
+    if (!raw.trim()) return {};
+
+    try {
+      return JSON.parse(raw);
+    } catch {
+      throw new HttpError(400, 'Invalid JSON body');
+    }
+  }
+
+  sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body, null, 2));
+  }
+
+  // Tool results already carry { success, data | error }; map failures to a 502 so scripts can check status codes
+  sendToolResult(res, result) {
+    if (result.policy_violation) {
+      this.sendPolicyViolation(res, result.policy_violation, result);
+    } else {
+      this.sendJson(res, result.success ? 200 : 502, result);
+    }
+  }
+
+  // 429 with Retry-After when waiting clears the violation (caps, quiet hours), 422 when it never will
+  sendPolicyViolation(res, violation, body) {
+    if (violation.retry_at) {
+      const seconds = Math.max(1, Math.ceil((new Date(violation.retry_at) - Date.now()) / 1000));
+      this.sendJson(res, 429, body, { 'Retry-After': String(seconds) });
+    } else {
+      this.sendJson(res, 422, body);
+    }
+  }
+
+  openEventStream(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.write(': connected\n\n');
+
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), SSE_KEEPALIVE_INTERVAL);
+    req.on('close', () => clearInterval(keepalive));
+  }
+
+  writeEvent(res, event, data) {
+    res.write(`${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
+  }
+
+  broadcastMessage(event) {
+    for (const stream of this.eventStreams) {
+      if (!stream.conversationId || stream.conversationId === event.conversation_id) {
+        this.writeEvent(stream.res, 'message', event);
+      }
+    }
+
+    const notification = this.mcpServer.buildMessageNotification(event);
+    for (const session of this.sessions.values()) {
+      session.streams.forEach(res => this.writeEvent(res, null, notification));
+    }
+  }
+
+  // GET /events: SSE feed of live incoming messages (?conversation_id= narrows it to one thread)
+  async handleEventStream(req, res, { query }) {
+    this.openEventStream(req, res);
+
+    const stream = { res, conversationId: query.get('conversation_id') || null };
+    this.eventStreams.add(stream);
+    req.on('close', () => this.eventStreams.delete(stream));
+  }
+
+  // REST facade
+  async getStatus(req, res) {
+    this.sendToolResult(res, await this.mcpServer.handleToolCall('get_bot_status', {}));
+  }
+
+  async getConversations(req, res, { query }) {
+    // Stored conversations by default; ?live=true scrapes the inbox with the shared browser
+    if (query.get('live') === 'true') {
+      const limit = query.has('limit') ? parseInt(query.get('limit')) : undefined;
+      this.sendToolResult(res, await this.mcpServer.handleToolCall('get_conversations', { limit }));
+      return;
+    }
+
+    const historyData = await this.bot.storage.loadChatHistory();
+    const conversations = Object.entries(historyData).map(([id, conversation]) => ({
+      id,
+      message_count: conversation.messageCount || 0,
+      last_updated: conversation.lastUpdated || null
+    }));
+
+    this.sendJson(res, 200, {
+      success: true,
+      data: { conversations, count: conversations.length }
+    });
+  }
+
+  async getMessages(req, res, { params, query }) {
+    const [conversationId] = params;
+    const limit = query.has('limit') ? parseInt(query.get('limit')) : undefined;
+
+    // ?refresh=true re-extracts the thread from the site before answering (?strategy=network to use the chat API)
+    if (query.get('refresh') === 'true') {
+      this.sendToolResult(res, await this.mcpServer.handleToolCall('fetch_history', {
+        conversation_id: conversationId,
+        limit,
+        strategy: query.get('strategy') || undefined
+      }));
+      return;
+    }
+
+    const conversation = await this.bot.storage.loadChatHistory(conversationId);
+    const messages = limit ? conversation.messages.slice(-limit) : conversation.messages;
+
+    this.sendJson(res, 200, {
+      success: true,
+      data: {
+        conversation_id: conversationId,
+        messages,
+        total_count: messages.length,
+        last_updated: conversation.lastUpdated
+      }
+    });
+  }
+
+  // Same params as the search_messages tool, as query-string values (?q=offer&type=received&since=7d&cursor=...)
+  async search(req, res, { query }) {
+    const params = Object.fromEntries(query);
+    if (params.limit) params.limit = parseInt(params.limit);
+
+    let found;
+    try {
+      found = await this.bot.storage.searchMessages(params.q || '', params);
+    } catch (error) {
+      if (error instanceof SearchQueryError) throw new HttpError(400, error.message);
+      throw error;
+    }
+
+    this.sendJson(res, 200, {
+      success: true,
+      data: {
+        query: params.q || '',
+        results: found.results,
+        total_matches: found.total,
+        returned_count: found.results.length,
+        sort: found.sort,
+        next_cursor: found.next_cursor
+      }
+    });
+  }
+
+  // Raw file download; ?conversation_id= skips searching every conversation's archive
+  async getAttachment(req, res, { params, query }) {
+    const [attachmentId] = params;
+    const attachment = await this.bot.storage.getAttachment(attachmentId, query.get('conversation_id'));
+    if (!attachment) {
+      throw new HttpError(404, `Attachment not found: ${attachmentId}`);
+    }
+
+    const content = await fs.readFile(attachment.path);
+    res.writeHead(200, {
+      'Content-Type': attachment.mime_type,
+      'Content-Length': content.length,
+      'Content-Disposition': `attachment; filename="${attachment.name.replace(/"/g, '')}"`
+    });
+    res.end(content);
+  }
+
+  async postMessage(req, res, { params }) {
+    const [conversationId] = params;
+    const body = await this.readJsonBody(req);
+
+    const hasMessage = typeof body.message === 'string' && body.message.trim();
+    const hasTemplate = typeof body.template === 'string' && body.template.trim();
+    if (!hasMessage && !hasTemplate) {
+      throw new HttpError(400, 'Body must include a non-empty "message" or "template" string');
+    }
+
+    // The message (or rendered template) is previewed first and only sent when the body also has "confirm": true.
+    // Retries with the same Idempotency-Key header (or "idempotency_key") never post twice.
+    this.sendToolResult(res, await this.mcpServer.handleToolCall('send_message', {
+      conversation_id: conversationId,
+      message: hasTemplate ? undefined : body.message,
+      template: hasTemplate ? body.template : undefined,
+      variables: body.variables,
+      confirm: body.confirm === true,
+      idempotency_key: req.headers['idempotency-key'] || body.idempotency_key,
+      confirm_first_contact: body.confirm_first_contact === true
+    }));
+  }
+
+  async startListener(req, res, { params }) {
+    const [conversationId] = params;
+    const body = await this.readJsonBody(req);
+
+    this.sendToolResult(res, await this.mcpServer.handleToolCall('listen_live', {
+      conversation_id: conversationId,
+      duration: body.duration
+    }));
+  }
+
+  async stopListener(req, res, { params }) {
+    const [conversationId] = params;
+    this.sendToolResult(res, await this.mcpServer.handleToolCall('stop_listening', {
+      conversation_id: conversationId
+    }));
+  }
+
+  async getOutbox(req, res, { query }) {
+    this.sendToolResult(res, await this.mcpServer.handleToolCall('list_outbox', {
+      status: query.get('status') || undefined,
+      conversation_id: query.get('conversation_id') || undefined
+    }));
+  }
+
+  // Same body as the schedule_message tool; nothing is queued without "confirm": true
+  async postOutbox(req, res) {
+    const body = await this.readJsonBody(req);
+    if (!body.conversation_id || !body.send_at) {
+      throw new HttpError(400, 'Body must include "conversation_id" and "send_at"');
+    }
+
+    this.sendToolResult(res, await this.mcpServer.handleToolCall('schedule_message', {
+      conversation_id: String(body.conversation_id),
+      send_at: body.send_at,
+      message: body.message,
+      template: body.template,
+      variables: body.variables,
+      confirm: body.confirm === true,
+      confirm_first_contact: body.confirm_first_contact === true
+    }));
+  }
+
+  async patchOutbox(req, res, { params }) {
+    const [id] = params;
+    const body = await this.readJsonBody(req);
+
+    this.sendToolResult(res, await this.mcpServer.handleToolCall('edit_outbox_message', {
+      id,
+      message: body.message,
+      send_at: body.send_at
+    }));
+  }
+
+  async cancelOutbox(req, res, { params }) {
+    const [id] = params;
+    this.sendToolResult(res, await this.mcpServer.handleToolCall('cancel_outbox_message', { id }));
+  }
+
+  // Approval endpoints for a human (or a dashboard) reviewing drafts from MCP clients
+  async getDrafts(req, res, { query }) {
+    this.sendToolResult(res, await this.mcpServer.handleToolCall('list_drafts', {
+      status: query.get('status') || undefined,
+      conversation_id: query.get('conversation_id') || undefined
+    }));
+  }
+
+  // "message" replaces the text; "send_at" takes the outbox formats, or null to send on approval
+  async readDraftChanges(req) {
+    const body = await this.readJsonBody(req);
+    if (body.message !== undefined && (typeof body.message !== 'string' || !body.message.trim())) {
+      throw new HttpError(400, '"message" must be a non-empty string');
+    }
+
+    try {
+      return {
+        text: body.message,
+        sendAt: body.send_at ? this.bot.storage.outbox.resolveSendAt(body.send_at) : body.send_at,
+        reason: body.reason,
+        confirmFirstContact: body.confirm_first_contact === true
+      };
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+  }
+
+  // Unknown drafts are 404s and drafts that were already decided 409s
+  async withDraftErrors(action) {
+    try {
+      return await action();
+    } catch (error) {
+      if (error instanceof DraftError) {
+        throw new HttpError(error instanceof DraftNotFoundError ? 404 : 409, error.message);
+      }
+      throw error;
+    }
+  }
+
+  async patchDraft(req, res, { params }) {
+    const [id] = params;
+    const { text, sendAt } = await this.readDraftChanges(req);
+    if (text === undefined && sendAt === undefined) {
+      throw new HttpError(400, 'Body must include "message" and/or "send_at"');
+    }
+
+    const draft = await this.withDraftErrors(() => this.bot.storage.drafts.edit(id, { text, sendAt }));
+    this.sendJson(res, 200, { success: true, data: { draft } });
+  }
+
+  async approveDraft(req, res, { params }) {
+    const [id] = params;
+    const { text, sendAt, confirmFirstContact } = await this.readDraftChanges(req);
+
+    try {
+      const draft = await this.withDraftErrors(() => this.bot.storage.drafts.approve(id, {
+        text,
+        sendAt,
+        confirmFirstContact,
+        send: (conversationId, message, options) => this.mcpServer.runWithBrowser(() => this.bot.sendMessage(conversationId, message, options)),
+        outbox: this.bot.storage.outbox
+      }));
+      this.sendJson(res, 200, { success: true, data: { draft } });
+    } catch (error) {
+      if (error instanceof HttpError) throw error;
+      const body = { success: false, error: error.message, draft: await this.bot.storage.drafts.get(id) };
+      if (error instanceof SendPolicyError) {
+        this.sendPolicyViolation(res, error.toJSON(), { ...body, policy_violation: error.toJSON() });
+      } else {
+        this.sendJson(res, 502, body);
+      }
+    }
+  }
+
+  async rejectDraft(req, res, { params }) {
+    const [id] = params;
+    const { reason } = await this.readDraftChanges(req);
+
+    const draft = await this.withDraftErrors(() => this.bot.storage.drafts.reject(id, reason));
+    this.sendJson(res, 200, { success: true, data: { draft } });
+  }
+
+  // MCP Streamable HTTP transport
+  getSession(req) {
+    const sessionId = req.headers['mcp-session-id'];
+    if (!sessionId) return null;
+
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new HttpError(404, 'Unknown or expired MCP session');
+    }
+    return session;
+  }
+
+  async handleMcpPost(req, res) {
+    let message;
+    try {
+      message = await this.readJsonBody(req);
+    } catch (error) {
+      if (error instanceof HttpError && error.status === 400) {
+        this.sendJson(res, 400, jsonRpcError(null, JSONRPC_ERRORS.PARSE_ERROR, 'Parse error'));
+        return;
+      }
+      throw error;
+    }
+
+    const messages = Array.isArray(message) ? message : [message];
+    const isInitialize = messages.some(m => m && m.method === 'initialize');
+
+    const headers = {};
+    if (isInitialize) {
+      const sessionId = crypto.randomUUID();
+      this.sessions.set(sessionId, { createdAt: new Date().toISOString(), streams: new Set() });
+      headers['Mcp-Session-Id'] = sessionId;
+    } else {
+      this.getSession(req);
+    }
+
+    const response = await this.mcpServer.handleMessage(message);
+
+    // Notifications and client responses get no body
+    if (!response) {
+      res.writeHead(202, headers);
+      res.end();
+      return;
+    }
+
+    this.sendJson(res, 200, response, headers);
+  }
+
+  // Long-lived SSE stream for server-initiated messages
+  async handleMcpStream(req, res) {
+    const accept = req.headers.accept || '';
+    if (!accept.includes('text/event-stream')) {
+      throw new HttpError(406, 'GET /mcp requires Accept: text/event-stream');
+    }
+
+    const session = this.getSession(req);
+    if (!session) {
+      throw new HttpError(400, 'Missing Mcp-Session-Id header');
+    }
+
+    this.openEventStream(req, res);
+    session.streams.add(res);
+    req.on('close', () => session.streams.delete(res));
+  }
+
+  async handleMcpDelete(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const session = this.getSession(req);
+
+    if (!session) {
+      throw new HttpError(400, 'Missing Mcp-Session-Id header');
+    }
+
+    session.streams.forEach(stream => stream.end());
+    this.sessions.delete(sessionId);
+    res.writeHead(204);
+    res.end();
+  }
+}
@@ -0,0 +1,169 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { parseCount } from './internship-sources.js';
+import { openBrowserPage, snapshotName } from './internship-source-internshala.js';
+import { loadSelectorProfile } from './selectors.js';
+import { StealthManager } from './stealth.js';
+import { internshipKey } from './storage-utils.js';
+
+export const DETAIL_FIELDS = ['description', 'skills', 'perks', 'openings', 'applicants', 'start_date', 'apply_by', 'who_can_apply'];
+
+const DEFAULT_CACHE_HOURS = 7 * 24;
+const DEFAULT_REQUEST_DELAY_SECONDS = 3;
+const NAVIGATION_TIMEOUT_MS = 30000;
+const DETAIL_WAIT_MS = 10000;
+
+// Fills in the detail fields of internships from their pages (`job_url`), with the `detail` selectors,
+// and saves the enriched records to storage. Storage doubles as the cache: a record whose details were
+// fetched less than ENRICH_CACHE_HOURS ago is taken from there instead of being fetched again. Pages
+// are loaded LISTING_REQUEST_DELAY seconds apart, in `bot`'s browser when given one. Like
+// InternshalaSource, `htmlDir` reads saved pages instead (without the delay) and `saveDir`
+// (LISTING_SAVE_DIR) saves them.
+export class InternshipEnricher {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.bot = options.bot || null;
+    this.selectors = (options.selectors || loadSelectorProfile()).detail;
+    this.htmlDir = options.htmlDir || null;
+    this.saveDir = options.saveDir ?? process.env.LISTING_SAVE_DIR ?? null;
+    this.cacheMs = (options.cacheHours ?? parseFloat(process.env.ENRICH_CACHE_HOURS || DEFAULT_CACHE_HOURS)) * 60 * 60 * 1000;
+    this.requestDelay = (options.requestDelaySeconds ?? parseFloat(process.env.LISTING_REQUEST_DELAY || DEFAULT_REQUEST_DELAY_SECONDS)) * 1000;
+    this.stealth = new StealthManager();
+  }
+
+  isFresh(record, now = Date.now()) {
+    return Boolean(record?.details_fetched_at) && now - new Date(record.details_fetched_at).getTime() < this.cacheMs;
+  }
+
+  // Detail values override what the listing said; fields the page didn't have keep the listing's value
+  applyDetails(internship, details) {
+    const enriched = { ...internship };
+    for (const field of DETAIL_FIELDS) {
+      const value = details[field];
+      if (value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0)) {
+        enriched[field] = value;
+      }
+    }
+    enriched.details_fetched_at = details.details_fetched_at;
+    enriched.details_error = null;
+    return enriched;
+  }
+
+  // Returns the internships with their details, in the same order. `refresh` ignores the cache;
+  // `onProgress` gets { done, total, job_url, status } with status "fetched", "cached", "failed" or
+  // "skipped" (no job_url). A page that can't be read leaves its internship as it was, with
+  // `details_error` set, and is tried again next time.
+  async enrich(internships, { refresh = false, onProgress = null } = {}) {
+    const stored = new Map((await this.storage.loadInternships()).map(record => [internshipKey(record), record]));
+    const counts = { fetched: 0, cached: 0, failed: 0, skipped: 0 };
+    const results = [];
+    let session = null;
+
+    try {
+      for (const internship of internships) {
+        const cached = stored.get(internshipKey(internship));
+        let status;
+
+        if (!refresh && this.isFresh(cached)) {
+          results.push(this.applyDetails(internship, cached));
+          status = 'cached';
+        } else if (!internship.job_url) {
+          results.push(internship);
+          status = 'skipped';
+        } else {
+          session ??= await openBrowserPage(this.bot, this.stealth);
+          if (counts.fetched + counts.failed > 0 && !this.htmlDir) {
+            await this.stealth.randomDelay(this.requestDelay, this.requestDelay * 1.5);
+          }
+
+          try {
+            const details = await this.fetchDetails(session.page, internship.job_url);
+            results.push(this.applyDetails(internship, { ...details, details_fetched_at: new Date().toISOString() }));
+            status = 'fetched';
+          } catch (error) {
+            logger.warn(`Could not read the details of ${internship.job_url}:`, error);
+            // Details fetched before are kept; their old details_fetched_at has them tried again next time
+            const previous = cached?.details_fetched_at ? this.applyDetails(internship, cached) : internship;
+            results.push({ ...previous, details_error: error.message });
+            status = 'failed';
+          }
+        }
+
+        counts[status]++;
+        onProgress?.({ done: results.length, total: internships.length, job_url: internship.job_url || null, status });
+      }
+    } finally {
+      await session?.close();
+    }
+
+    await this.storage.saveInternships(results);
+    logger.info(`Internship details: ${counts.fetched} fetched, ${counts.cached} cached, ${counts.failed} failed, ${counts.skipped} without a page`);
+    return results;
+  }
+
+  async fetchDetails(page, url) {
+    if (this.htmlDir) {
+      await page.setContent(await fs.readFile(path.join(this.htmlDir, snapshotName(url)), 'utf8'), { waitUntil: 'domcontentloaded' });
+    } else {
+      const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: NAVIGATION_TIMEOUT_MS });
+      const status = response?.status() ?? 200;
+      if (status >= 400) {
+        throw new Error(`Internshala returned ${status} for ${url}`);
+      }
+      await page.waitForSelector(this.selectors.container.join(', '), { timeout: DETAIL_WAIT_MS });
+
+      if (this.saveDir) {
+        await fs.mkdir(this.saveDir, { recursive: true });
+        await fs.writeFile(path.join(this.saveDir, snapshotName(url)), await page.content(), 'utf8');
+      }
+    }
+
+    const details = await page.evaluate(this.scrapeDetailPage, this.selectors);
+    if (!details.found) {
+      throw new Error(`No internship details found on ${url}`);
+    }
+    return {
+      description: details.description,
+      skills: details.skills,
+      perks: details.perks,
+      openings: parseCount(details.openings),
+      // "Be an early applicant" when nobody has applied yet
+      applicants: details.applicants && /early applicant/i.test(details.applicants) ? 0 : parseCount(details.applicants),
+      start_date: details.start_date,
+      apply_by: details.apply_by,
+      who_can_apply: details.who_can_apply
+    };
+  }
+
+  // Runs in the page: the detail fields as text, skills and perks as lists
+  scrapeDetailPage(selectors) {
+    const clean = element => element?.textContent.replace(/\s+/g, ' ').trim() || null;
+    const text = list => {
+      for (const selector of list) {
+        const value = clean(document.querySelector(selector));
+        if (value) return value;
+      }
+      return null;
+    };
+    const all = list => {
+      for (const selector of list) {
+        const values = Array.from(document.querySelectorAll(selector)).map(clean).filter(Boolean);
+        if (values.length > 0) return Array.from(new Set(values));
+      }
+      return [];
+    };
+
+    return {
+      found: selectors.container.some(selector => document.querySelector(selector)),
+      description: text(selectors.description),
+      skills: all(selectors.skills),
+      perks: all(selectors.perks),
+      openings: text(selectors.openings),
+      applicants: text(selectors.applicants),
+      start_date: text(selectors.startDate),
+      apply_by: text(selectors.applyBy),
+      who_can_apply: text(selectors.whoCanApply)
+    };
+  }
+}
@@ -1,20 +1,57 @@
 #!/usr/bin/env node
 
 /**
- * Internshala Internship Scraper using Apify API
+ * Internshala internship search across pluggable sources (Apify, files, fixtures)
  */
 
-import axios from 'axios';
 import { logger } from '../utils/logger.js';
+import { FixtureSource, InternshipSource, mergeInternships, parseSourceList, parseSourceSpec } from './internship-sources.js';
+import { ApifySource } from './internship-source-apify.js';
+import { FileSource } from './internship-source-file.js';
+import { InternshalaSource } from './internship-source-internshala.js';
+import { InternshipEnricher } from './internship-details.js';
+import { StorageManager } from './storage.js';
 
+export const SOURCE_TYPES = ['apify', 'internshala', 'file', 'fixture'];
+
+const DEFAULT_SOURCES = 'apify';
+
+// Runs a search against one or more internship sources (see internship-sources.js) and merges their
+// results into one deduplicated list of Internship records
 export class InternshipScraper {
-  constructor() {
-    this.apiToken = process.env.APIFY_API_TOKEN;
-    this.actorId = 'salman_bareesh/internshala-scrapper';
-    this.baseUrl = 'https://api.apify.com/v2';
-    
-    if (!this.apiToken) {
-      logger.warn('APIFY_API_TOKEN not set. Internship scraping functionality will be limited.');
+  constructor(options = {}) {
+    // `bot` is an InternshalaBot whose browser the internshala source and the detail enrichment can use,
+    // `storage` where enriched internships are kept. Everything else configures the Apify source:
+    // client, actorId, mode, datasetId, runTimeoutSeconds
+    const { sources, bot, storage, ...apifyOptions } = options;
+    this.sources = sources ? this.sourceList(sources) : parseSourceList(process.env.INTERNSHIP_SOURCES || DEFAULT_SOURCES);
+    this.bot = bot || null;
+    this.storage = storage || null;
+    this.apifyOptions = apifyOptions;
+  }
+
+  sourceList(sources) {
+    return typeof sources === 'string' ? parseSourceList(sources) : [...sources];
+  }
+
+  // A source from a spec string ("apify", "apify:cached", "internshala", "internshala:<saved pages dir>",
+  // "file:<path>", "fixture[:<path>]"); an InternshipSource instance is used as it is. The spec is the
+  // source's name on its results.
+  createSource(spec, { bot = this.bot } = {}) {
+    if (spec instanceof InternshipSource) return spec;
+
+    const { name, argument } = parseSourceSpec(spec);
+    switch (name) {
+      case 'apify':
+        return new ApifySource({ ...this.apifyOptions, name: spec, mode: argument || this.apifyOptions.mode });
+      case 'internshala':
+        return new InternshalaSource({ name: spec, bot, htmlDir: argument });
+      case 'file':
+        return new FileSource({ name: spec, file: argument });
+      case 'fixture':
+        return new FixtureSource({ name: spec, file: argument || undefined });
+      default:
+        throw new Error(`Unknown internship source "${spec}" (expected one of: ${SOURCE_TYPES.join(', ')})`);
     }
   }
 
@@ -40,6 +77,8 @@ export class InternshipScraper {
       const partTimeInput = await question('Part time? (yes/no, default: no): ');
       const minStipend = await question('Minimum stipend (e.g., "10000", default: any): ');
       const pagesToScrape = await question('Pages to scrape (default: 5): ');
+      const enrich = await question('Fetch details (skills, perks, openings, applicants) from each internship page? (yes/no, default: no): ');
+      const sources = await question(`Sources, comma-separated (apify, apify:cached, internshala, file:<path>, fixture; default: ${this.sources.join(', ')}): `);
 
       rl.close();
 
@@ -51,7 +90,9 @@ export class InternshipScraper {
         location: location || '',
         part_time: this.convertYesNo(partTimeInput),
         minimum_stipend: minStipend || '',
-        pages_to_scrape: pagesToScrape ? parseInt(pagesToScrape) : 5
+        pages_to_scrape: pagesToScrape ? parseInt(pagesToScrape) : 5,
+        enrich: this.convertYesNo(enrich),
+        sources: sources.trim() ? parseSourceList(sources) : [...this.sources]
       };
 
       // Validate inputs
@@ -74,59 +115,84 @@ export class InternshipScraper {
     return input.toLowerCase().trim() === 'yes';
   }
 
-  async runScraper(inputs) {
+  // `options.sources` (or `inputs.sources` from promptUserInputs) picks the sources for one search,
+  // as a list or a comma-separated string; `options.onProgress` gets each status poll of an Apify run
+  // and each listing page read by the internshala source. `options.bot` lends it a browser.
+  // `options.enrich` (or `inputs.enrich`) then reads each result's detail page; `options.refresh`
+  // fetches details again even when they are cached.
+  // A source that fails is skipped when there are others; the search fails only if all of them do.
+  async runScraper(inputs, options = {}) {
     try {
-      logger.info('Starting Apify Actor run...');
-      console.log('🚀 Starting internship scraper...');
-      console.log('⏳ Using existing dataset with real internship data...');
-
-      // For now, use the existing successful dataset
-      // TODO: Implement new run creation when Actor endpoint is fixed
-      const datasetId = 'NGRZuUnV2L8btHiG2';
-      
-      console.log('📊 Fetching internship data from existing dataset...');
-      const results = await this.getResultsFromDataset(datasetId);
-      
-      // Apply user filters to the results
-      const filteredResults = this.applyFilters(results, inputs);
-      
-      console.log(`✅ Retrieved ${results.length} total internships`);
-      console.log(`🎯 Filtered to ${filteredResults.length} matching your criteria`);
-      
-      return filteredResults;
+      const specs = this.sourceList(options.sources || inputs.sources || this.sources);
+      if (specs.length === 0) {
+        throw new Error('No internship sources selected');
+      }
+      const sources = specs.map(spec => this.createSource(spec, { bot: options.bot || this.bot }));
+
+      const lists = [];
+      const failures = [];
+      for (const source of sources) {
+        try {
+          const results = await source.search(inputs, { onProgress: options.onProgress });
+          lists.push(source.appliesFilters ? results : this.applyFilters(results, inputs));
+        } catch (error) {
+          if (sources.length === 1) throw error;
+          failures.push(`${source.name}: ${error.message}`);
+          logger.warn(`Internship source ${source.name} failed, continuing with the others:`, error);
+          console.log(`⚠️ ${source.name} failed: ${error.message}`);
+        }
+      }
+      if (lists.length === 0) {
+        throw new Error(`Every internship source failed (${failures.join('; ')})`);
+      }
 
-    } catch (error) {
-      logger.error('Scraper run failed:', error.message);
-      if (error.response) {
-        console.error('❌ API Error:', error.response.data);
-      } else if (error.request) {
-        console.error('❌ Network Error: No response received');
-      } else {
-        console.error('❌ Error:', error.message);
+      const total = lists.reduce((sum, list) => sum + list.length, 0);
+      const merged = mergeInternships(lists);
+      if (lists.length > 1) {
+        console.log(`🔗 Merged ${total} internships from ${lists.length} sources into ${merged.length} (${total - merged.length} duplicates)`);
       }
-      throw error;
-    }
-  }
 
-  async getResultsFromDataset(datasetId) {
-    try {
-      const resultsResponse = await axios.get(
-        `${this.baseUrl}/datasets/${datasetId}/items`,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiToken}`
-          }
-        }
-      );
+      const limited = inputs.maximum_results > 0 ? merged.slice(0, inputs.maximum_results) : merged;
+      if (limited.length < merged.length) {
+        console.log(`   Showing the first ${limited.length} of ${merged.length}`);
+      }
 
-      return resultsResponse.data;
+      if (options.enrich ?? inputs.enrich) {
+        return await this.enrich(limited, { bot: options.bot, refresh: options.refresh });
+      }
+      return limited;
 
     } catch (error) {
-      logger.error('Failed to retrieve dataset results:', error.message);
+      logger.error('Scraper run failed:', error);
+      console.error('❌ Error:', error.message);
       throw error;
     }
   }
 
+  // Adds the detail fields to internships from their pages, or from storage when fetched recently
+  async enrich(internships, { bot = this.bot, refresh = false, onProgress = null } = {}) {
+    console.log(`📄 Reading the details of ${internships.length} internships...`);
+    const enricher = new InternshipEnricher(this.storage || new StorageManager(), { bot });
+    const enriched = await enricher.enrich(internships, {
+      refresh,
+      onProgress: onProgress || (progress => {
+        if (progress.status === 'fetched' || progress.status === 'failed') {
+          console.log(`   ${progress.done}/${progress.total} ${progress.status === 'fetched' ? '✅' : '❌'} ${progress.job_url}`);
+        }
+      })
+    });
+
+    const counts = enriched.reduce((all, internship) => {
+      if (internship.details_error) all.failed++;
+      else if (internship.details_fetched_at) all.enriched++;
+      return all;
+    }, { enriched: 0, failed: 0 });
+    console.log(`✅ Details for ${counts.enriched} of ${enriched.length} internships${counts.failed ? ` (${counts.failed} pages could not be read)` : ''}`);
+    return enriched;
+  }
+
+  // Filters Internship records locally, for sources that don't search with the filters themselves.
+  // The result limit is applied once the sources' results are merged.
   applyFilters(results, filters) {
     let filtered = [...results];
 
@@ -134,9 +200,7 @@ export class InternshipScraper {
 
     // Apply work from home filter first (most restrictive)
     if (filters.work_from_home) {
-      filtered = filtered.filter(item => 
-        item.location?.toLowerCase().includes('work from home')
-      );
+      filtered = filtered.filter(item => item.work_from_home);
       console.log(`   After work-from-home filter: ${filtered.length} internships`);
     }
 
@@ -145,7 +209,7 @@ export class InternshipScraper {
       const location = filters.location.toLowerCase();
       filtered = filtered.filter(item => 
         item.location?.toLowerCase().includes(location) ||
-        (location === 'remote' && item.location?.toLowerCase().includes('work from home'))
+        (location === 'remote' && item.work_from_home)
       );
       console.log(`   After location filter: ${filtered.length} internships`);
     }
@@ -157,6 +221,7 @@ export class InternshipScraper {
       filtered = filtered.filter(item => 
         item.title?.toLowerCase().includes(category) ||
         item.company?.toLowerCase().includes(category) ||
+        item.category?.toLowerCase().includes(category) ||
         // Broad matching for common terms
         (category.includes('computer') && (
           item.title?.toLowerCase().includes('software') ||
@@ -175,102 +240,20 @@ export class InternshipScraper {
       const minStipend = parseInt(filters.minimum_stipend.toString().replace(/[^\d]/g, ''));
       if (!isNaN(minStipend)) {
         const beforeCount = filtered.length;
-        filtered = filtered.filter(item => {
-          if (!item.stipend) return false;
-          const stipendMatch = item.stipend.match(/₹\s*(\d+(?:,\d+)*)/);
-          if (stipendMatch) {
-            const stipendAmount = parseInt(stipendMatch[1].replace(/,/g, ''));
-            return stipendAmount >= minStipend;
-          }
-          return false;
-        });
+        filtered = filtered.filter(item => item.stipend_amount !== null && item.stipend_amount >= minStipend);
         console.log(`   After stipend filter (≥₹${minStipend}): ${filtered.length} internships (removed ${beforeCount - filtered.length})`);
       }
     }
 
-    // Apply maximum results limit
-    if (filters.maximum_results && filters.maximum_results > 0) {
-      filtered = filtered.slice(0, filters.maximum_results);
-      console.log(`   After limit filter: ${filtered.length} internships (showing top ${filters.maximum_results})`);
+    // Listings that don't say whether they are part time are kept
+    if (filters.part_time) {
+      filtered = filtered.filter(item => item.part_time !== false);
+      console.log(`   After part-time filter: ${filtered.length} internships`);
     }
 
     return filtered;
   }
 
-  async waitForCompletion(runId, maxWaitTime = 600000) { // 10 minutes max
-    const startTime = Date.now();
-    const pollInterval = 5000; // 5 seconds
-
-    while (Date.now() - startTime < maxWaitTime) {
-      try {
-        const statusResponse = await axios.get(
-          `${this.baseUrl}/actor-runs/${runId}`,
-          {
-            headers: {
-              'Authorization': `Bearer ${this.apiToken}`
-            }
-          }
-        );
-
-        const status = statusResponse.data.data.status;
-        console.log(`⏳ Status: ${status}`);
-
-        if (status === 'SUCCEEDED') {
-          console.log('✅ Scraping completed successfully!');
-          return await this.getResults(runId);
-        } else if (status === 'FAILED' || status === 'ABORTED' || status === 'TIMED-OUT') {
-          throw new Error(`Actor run ${status.toLowerCase()}`);
-        }
-
-        // Wait before next poll
-        await new Promise(resolve => setTimeout(resolve, pollInterval));
-
-      } catch (error) {
-        if (error.message.includes('Actor run')) {
-          throw error;
-        }
-        logger.warn('Polling error, retrying...', error.message);
-        await new Promise(resolve => setTimeout(resolve, pollInterval));
-      }
-    }
-
-    throw new Error('Timeout waiting for actor to complete');
-  }
-
-  async getResults(runId) {
-    try {
-      // First get the run details to find the dataset ID
-      const runResponse = await axios.get(
-        `${this.baseUrl}/actor-runs/${runId}`,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiToken}`
-          }
-        }
-      );
-
-      const datasetId = runResponse.data.data.defaultDatasetId;
-      
-      // Then get the results from the dataset
-      const resultsResponse = await axios.get(
-        `${this.baseUrl}/datasets/${datasetId}/items`,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiToken}`
-          }
-        }
-      );
-
-      const results = resultsResponse.data;
-      logger.info(`Retrieved ${results.length} internship results`);
-      return results;
-
-    } catch (error) {
-      logger.error('Failed to retrieve results:', error.message);
-      throw error;
-    }
-  }
-
   formatResults(results) {
     if (!results || results.length === 0) {
       console.log('📭 No internships found matching your criteria.');
@@ -281,13 +264,22 @@ export class InternshipScraper {
     console.log('=' .repeat(100));
 
     results.forEach((internship, index) => {
-      console.log(`\n${index + 1}. ${internship.company || 'Unknown Company'}`);
+      console.log(`\n${index + 1}. ${internship.title ? `${internship.title} at ` : ''}${internship.company || 'Unknown Company'}`);
       console.log(`   📍 Location: ${internship.location || 'Not specified'}`);
       console.log(`   ⏰ Duration: ${internship.duration || 'Not specified'}`);
+      console.log(`   💰 Stipend: ${internship.stipend || 'Not specified'}`);
+      if (internship.start_date) console.log(`   🚀 Starts: ${internship.start_date}`);
+      if (internship.apply_by) console.log(`   📅 Apply By: ${internship.apply_by}`);
+      if (internship.openings !== null && internship.openings !== undefined) console.log(`   👥 Openings: ${internship.openings}`);
+      if (internship.applicants !== null && internship.applicants !== undefined) console.log(`   📨 Applicants: ${internship.applicants}`);
+      if (internship.skills?.length) console.log(`   🛠️ Skills: ${internship.skills.join(', ')}`);
+      if (internship.perks?.length) console.log(`   🎁 Perks: ${internship.perks.join(', ')}`);
+      if (internship.who_can_apply) console.log(`   ✔️ Who Can Apply: ${internship.who_can_apply}`);
       console.log(`   💼 Actively Hiring: ${internship.actively_hiring ? '✅ Yes' : '❌ No'}`);
       console.log(`   🆕 Early Applicant: ${internship.early_applicant ? '✅ Yes' : '❌ No'}`);
       console.log(`   🔗 Apply: ${internship.apply_url || 'N/A'}`);
       console.log(`   📄 Details: ${internship.job_url || 'N/A'}`);
+      console.log(`   🗂️ Source: ${(internship.sources || [internship.source]).join(', ')}`);
       console.log('   ' + '-'.repeat(80));
     });
 
@@ -307,18 +299,30 @@ export class InternshipScraper {
     if (!results || results.length === 0) return null;
 
     try {
-      // Transform results for CSV export
+      // Transform results for CSV export; lists are joined with "; " so they survive a re-import
       const csvData = results.map((internship, index) => ({
-        id: `internship_${index + 1}`,
+        id: internship.id || `internship_${index + 1}`,
+        title: internship.title || '',
         company: internship.company || 'Unknown',
         location: internship.location || 'Not specified',
         duration: internship.duration || 'Not specified',
+        stipend: internship.stipend || 'Not specified',
+        start_date: internship.start_date || '',
+        apply_by: internship.apply_by || '',
+        posted: internship.posted || '',
+        openings: internship.openings ?? '',
+        applicants: internship.applicants ?? '',
+        skills: (internship.skills || []).join('; '),
+        perks: (internship.perks || []).join('; '),
+        who_can_apply: internship.who_can_apply || '',
+        description: internship.description || '',
         actively_hiring: internship.actively_hiring || false,
         early_applicant: internship.early_applicant || false,
-        stipend: internship.stipend || 'Not specified',
+        source: (internship.sources || [internship.source]).filter(Boolean).join('; '),
         apply_url: internship.apply_url || '',
         job_url: internship.job_url || '',
-        scraped_at: new Date().toISOString()
+        scraped_at: internship.scraped_at || new Date().toISOString(),
+        details_fetched_at: internship.details_fetched_at || ''
       }));
 
       const csvPath = await csvExporter.exportInternshipsToCSV(csvData);
@@ -0,0 +1,155 @@
+import { logger } from '../utils/logger.js';
+import { ApifyClient, ApifyError, ApifyRunError } from './apify-client.js';
+import { InternshipSource } from './internship-sources.js';
+
+// "live" starts an actor run for each search; "cached" filters an earlier run's dataset locally
+export const APIFY_MODES = ['live', 'cached'];
+
+const DEFAULT_ACTOR_ID = 'salman_bareesh/internshala-scrapper';
+const DEFAULT_DATASET_ID = 'NGRZuUnV2L8btHiG2';
+const DEFAULT_RUN_TIMEOUT_SECONDS = 600;
+const POLL_INTERVAL_MS = 5000;
+// Polling gives up after this many failed status requests in a row
+const MAX_POLL_FAILURES = 5;
+const FAILED_RUN_STATUSES = ['FAILED', 'ABORTED', 'TIMED-OUT'];
+
+// Internships from the Apify actor, as a live run per search or from a cached dataset
+export class ApifySource extends InternshipSource {
+  constructor(options = {}) {
+    super(options.name || 'apify');
+    this.actorId = options.actorId || process.env.APIFY_ACTOR_ID || DEFAULT_ACTOR_ID;
+    // Anything with ApifyClient's methods works, e.g. a stub that never touches the network
+    this.client = options.client || new ApifyClient();
+    this.mode = options.mode || process.env.APIFY_MODE || 'live';
+    this.datasetId = options.datasetId || process.env.APIFY_DATASET_ID || DEFAULT_DATASET_ID;
+    this.runTimeout = (options.runTimeoutSeconds ?? parseInt(process.env.APIFY_RUN_TIMEOUT || DEFAULT_RUN_TIMEOUT_SECONDS)) * 1000;
+    this.pollInterval = options.pollInterval ?? POLL_INTERVAL_MS;
+
+    if (!APIFY_MODES.includes(this.mode)) {
+      throw new Error(`Unknown Apify mode "${this.mode}" (expected one of: ${APIFY_MODES.join(', ')})`);
+    }
+    // The actor searches with the filters; a cached dataset is filtered by InternshipScraper
+    this.appliesFilters = this.mode === 'live';
+
+    if (!process.env.APIFY_API_TOKEN && !options.client) {
+      logger.warn('APIFY_API_TOKEN not set. Internship scraping functionality will be limited.');
+    }
+  }
+
+  // `options.onProgress` gets each status poll of a live run instead of it being printed
+  async fetch(filters, options = {}) {
+    if (this.mode === 'cached') {
+      console.log(`📊 Fetching internship data from cached dataset ${this.datasetId}...`);
+      const results = await this.getResultsFromDataset(this.datasetId);
+      console.log(`✅ Retrieved ${results.length} total internships`);
+      return results;
+    }
+
+    logger.info('Starting Apify Actor run...');
+    console.log('🚀 Starting internship scraper...');
+
+    const run = await this.client.startRun(this.actorId, this.buildActorInput(filters), {
+      timeoutSecs: Math.ceil(this.runTimeout / 1000)
+    });
+    logger.info(`Started Apify run ${run.id} of ${this.actorId}`);
+
+    const finished = await this.waitForCompletion(run.id, { onProgress: options.onProgress });
+    const results = await this.getResults(finished);
+    console.log(`✅ Retrieved ${results.length} internships from run ${run.id}`);
+    return results;
+  }
+
+  // Search inputs map one-to-one onto the actor's input fields; this cleans up values typed at the
+  // prompt (a stipend like "₹10,000" becomes "10000")
+  buildActorInput(inputs) {
+    const number = (value, fallback) => {
+      const parsed = parseInt(value);
+      return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+    };
+
+    return {
+      maximum_results: number(inputs.maximum_results, 50),
+      job_category: String(inputs.job_category || '').trim(),
+      work_from_home: inputs.work_from_home === true,
+      // Work-from-home listings have no location to match
+      location: inputs.work_from_home === true ? '' : String(inputs.location || '').trim(),
+      part_time: inputs.part_time === true,
+      minimum_stipend: String(inputs.minimum_stipend || '').replace(/[^\d]/g, ''),
+      pages_to_scrape: number(inputs.pages_to_scrape, 5)
+    };
+  }
+
+  async getResultsFromDataset(datasetId) {
+    try {
+      return await this.client.getDatasetItems(datasetId);
+
+    } catch (error) {
+      logger.error('Failed to retrieve dataset results:', error);
+      throw error;
+    }
+  }
+
+  // Polls the run until it finishes and returns the finished run. A run still going after `timeout` ms
+  // is aborted so it stops using Apify credits.
+  async waitForCompletion(runId, { timeout = this.runTimeout, onProgress = null } = {}) {
+    const startTime = Date.now();
+    let failures = 0;
+    let run = null;
+
+    while (true) {
+      try {
+        run = await this.client.getRun(runId);
+        failures = 0;
+      } catch (error) {
+        // Bad token, unknown run and the like won't fix themselves
+        const permanent = error instanceof ApifyError && error.status >= 400 && error.status < 500 && error.status !== 429;
+        if (permanent || ++failures >= MAX_POLL_FAILURES) {
+          throw new ApifyRunError(`Could not read the status of run ${runId}: ${error.message}`, run);
+        }
+        logger.warn(`Polling run ${runId} failed (${failures}/${MAX_POLL_FAILURES}), retrying:`, error);
+      }
+
+      if (run) {
+        const progress = {
+          run_id: runId,
+          status: run.status,
+          status_message: run.statusMessage || null,
+          elapsed_seconds: Math.round((Date.now() - startTime) / 1000)
+        };
+        if (onProgress) {
+          onProgress(progress);
+        } else {
+          console.log(`⏳ Status: ${progress.status}${progress.status_message ? ` - ${progress.status_message}` : ''} (${progress.elapsed_seconds}s)`);
+        }
+
+        if (run.status === 'SUCCEEDED') {
+          console.log('✅ Scraping completed successfully!');
+          return run;
+        } else if (FAILED_RUN_STATUSES.includes(run.status)) {
+          throw new ApifyRunError(`Actor run ${runId} ${run.status.toLowerCase()}${run.statusMessage ? `: ${run.statusMessage}` : ''}`, run);
+        }
+      }
+
+      if (Date.now() - startTime >= timeout) {
+        await this.client.abortRun(runId).catch(error => {
+          logger.warn(`Could not abort run ${runId}:`, error);
+        });
+        throw new ApifyRunError(`Timed out after ${Math.round(timeout / 1000)}s waiting for actor run ${runId} (aborted)`, run);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+    }
+  }
+
+  async getResults(run) {
+    try {
+      const results = await this.client.getDatasetItems(run.defaultDatasetId);
+      logger.info(`Retrieved ${results.length} internship results`);
+      return results;
+
+    } catch (error) {
+      logger.error('Failed to retrieve results:', error);
+      throw error;
+    }
+  }
+}
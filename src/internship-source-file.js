@@ -0,0 +1,77 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { InternshipSource } from './internship-sources.js';
+
+// Rows of a CSV file as objects keyed by header, e.g. "Apply URL" -> apply_url. Handles quoted fields
+// with commas, doubled quotes and line breaks, as written by CSVExporter and spreadsheet apps.
+export function parseCSV(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = content.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [headers = [], ...records] = rows.filter(cells => cells.some(cell => cell.trim()));
+  const keys = headers.map(header => header.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, ''));
+  return records.map(cells => Object.fromEntries(keys.map((key, index) => [key, cells[index] ?? ''])));
+}
+
+// Internships from a local file: a JSON list (or an object with an `internships` list, like a data
+// export) or a CSV with a header row, such as an earlier internships_*.csv export
+export class FileSource extends InternshipSource {
+  constructor(options = {}) {
+    super(options.name || 'file');
+    if (!options.file) {
+      throw new Error('The file source needs a path, e.g. file:./exports/internships.csv');
+    }
+    this.file = options.file;
+  }
+
+  async fetch() {
+    const content = await fs.readFile(this.file, 'utf8');
+    const extension = path.extname(this.file).toLowerCase();
+
+    if (extension === '.csv') {
+      return parseCSV(content);
+    }
+    if (extension !== '.json') {
+      throw new Error(`Unsupported internship file "${this.file}" (expected .json or .csv)`);
+    }
+
+    const data = JSON.parse(content);
+    if (Array.isArray(data)) return data;
+    if (Array.isArray(data?.internships)) return data.internships;
+    throw new Error(`${this.file} has no list of internships`);
+  }
+}
@@ -0,0 +1,225 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { chromium } from 'playwright';
+import { logger } from '../utils/logger.js';
+import { InternshipSource } from './internship-sources.js';
+import { loadSelectorProfile } from './selectors.js';
+import { getBaseUrl } from './site.js';
+import { StealthManager } from './stealth.js';
+
+const DEFAULT_PAGES = 5;
+const DEFAULT_REQUEST_DELAY_SECONDS = 3;
+const NAVIGATION_TIMEOUT_MS = 30000;
+const CARD_WAIT_MS = 10000;
+
+function slugify(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function positive(value, fallback) {
+  const parsed = parseInt(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+// Internshala's search path for the filters, e.g. work from home + "Web Development" + part time +
+// 10000 -> /internships/work-from-home-web-development-internship/part-time-true/stipend-10000/page-2
+export function buildSearchPath(filters = {}, pageNumber = 1) {
+  const workFromHome = filters.work_from_home === true;
+  const category = slugify(filters.job_category);
+  // Work-from-home listings have no location to match
+  const city = workFromHome ? '' : slugify(filters.location);
+  const stipend = String(filters.minimum_stipend || '').replace(/[^\d]/g, '');
+
+  const segments = [];
+  if (workFromHome || category || city) {
+    segments.push(`${workFromHome ? 'work-from-home-' : ''}${category ? `${category}-` : ''}internship${city ? `-in-${city}` : ''}`);
+  }
+  if (filters.part_time === true) segments.push('part-time-true');
+  if (parseInt(stipend) > 0) segments.push(`stipend-${parseInt(stipend)}`);
+  if (pageNumber > 1) segments.push(`page-${pageNumber}`);
+
+  return ['/internships', ...segments].join('/');
+}
+
+export function buildSearchUrl(filters, pageNumber = 1, baseUrl = getBaseUrl()) {
+  return `${getBaseUrl(baseUrl)}${buildSearchPath(filters, pageNumber)}`;
+}
+
+// File a listing page is saved under and replayed from: /internships/hr-internship/page-2 ->
+// internships_hr-internship_page-2.html
+export function snapshotName(url) {
+  return `${new URL(url).pathname.replace(/^\/+|\/+$/g, '').replace(/\//g, '_') || 'index'}.html`;
+}
+
+// "Apply By 30 Nov' 26" -> "30 Nov' 26", "Posted 2 days ago" -> "2 days ago"
+function stripLabel(value, label) {
+  return value ? value.replace(new RegExp(`^${label}\\s*:?\\s*`, 'i'), '').trim() || null : null;
+}
+
+// A page in `bot`'s browser, or in a headless browser launched for it; `close` cleans up either
+export async function openBrowserPage(bot, stealth) {
+  if (bot?.context) {
+    const page = await bot.context.newPage();
+    return { page, close: () => page.close().catch(() => {}) };
+  }
+
+  const browser = await chromium.launch({ headless: process.env.HEADFUL !== 'true' });
+  try {
+    const context = await browser.newContext(await stealth.getContextOptions());
+    await stealth.applyStealthPatches(context);
+    return { page: await context.newPage(), close: () => browser.close().catch(() => {}) };
+  } catch (error) {
+    await browser.close().catch(() => {});
+    throw error;
+  }
+}
+
+// Public listing pages on Internshala, searched with the filters in the URL and read card by card with
+// the `listing` selectors. Pages are loaded one at a time, LISTING_REQUEST_DELAY seconds apart (with
+// some jitter). Runs in a page of `bot`'s browser when given one, otherwise in its own headless browser.
+// With `htmlDir`, pages are read from saved HTML files instead of the site (see snapshotName), with no
+// delay in between, and `saveDir` (LISTING_SAVE_DIR) saves every page loaded from the site, for
+// replaying later.
+export class InternshalaSource extends InternshipSource {
+  constructor(options = {}) {
+    super(options.name || 'internshala');
+    this.baseUrl = getBaseUrl(options.baseUrl);
+    this.selectors = (options.selectors || loadSelectorProfile()).listing;
+    this.bot = options.bot || null;
+    this.htmlDir = options.htmlDir || null;
+    this.saveDir = options.saveDir ?? process.env.LISTING_SAVE_DIR ?? null;
+    this.requestDelay = (options.requestDelaySeconds ?? parseFloat(process.env.LISTING_REQUEST_DELAY || DEFAULT_REQUEST_DELAY_SECONDS)) * 1000;
+    this.stealth = new StealthManager();
+    // The search URL carries the filters, so the site (or the saved page for that URL) applies them
+    this.appliesFilters = true;
+  }
+
+  // `options.onProgress` gets { page, pages, url, found } after each listing page
+  async fetch(filters, options = {}) {
+    const pages = positive(filters.pages_to_scrape, DEFAULT_PAGES);
+    const limit = positive(filters.maximum_results, Infinity);
+    const { page, close } = await openBrowserPage(this.bot, this.stealth);
+
+    try {
+      const results = new Map();
+      for (let number = 1; number <= pages; number++) {
+        // Saved pages don't need the site's polite delay
+        if (number > 1 && !this.htmlDir) {
+          await this.stealth.randomDelay(this.requestDelay, this.requestDelay * 1.5);
+        }
+
+        const url = buildSearchUrl(filters, number, this.baseUrl);
+        if (!await this.loadPage(page, url, number)) break;
+
+        const { cards, hasNext, totalPages } = await page.evaluate(this.scrapeListingPage, { selectors: this.selectors, baseUrl: this.baseUrl });
+        const scrapedAt = new Date().toISOString();
+        for (const card of cards) {
+          const key = card.id || card.job_url || `${card.company}|${card.title}|${card.location}`;
+          if (!results.has(key)) {
+            results.set(key, {
+              ...card,
+              // Every result of a part-time search is part time, badge or not
+              part_time: card.part_time ?? (filters.part_time === true ? true : null),
+              posted: stripLabel(card.posted, 'posted'),
+              apply_by: stripLabel(card.apply_by, 'apply by'),
+              scraped_at: scrapedAt
+            });
+          }
+        }
+
+        logger.info(`Listing page ${number}: ${cards.length} internships (${url})`);
+        options.onProgress?.({ page: number, pages, url, found: results.size });
+
+        const more = totalPages ? number < totalPages : hasNext;
+        if (cards.length === 0 || !more || results.size >= limit) break;
+      }
+
+      return Array.from(results.values()).slice(0, limit);
+
+    } finally {
+      await close();
+    }
+  }
+
+  // Loads one listing page into `page`. Returns false when the page doesn't exist, which past the
+  // first page just means the results ran out.
+  async loadPage(page, url, number) {
+    if (this.htmlDir) {
+      const file = path.join(this.htmlDir, snapshotName(url));
+      try {
+        await page.setContent(await fs.readFile(file, 'utf8'), { waitUntil: 'domcontentloaded' });
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT' && number > 1) return false;
+        if (error.code === 'ENOENT') throw new Error(`No saved listing page for ${url} (expected ${file})`);
+        throw error;
+      }
+    }
+
+    const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: NAVIGATION_TIMEOUT_MS });
+    const status = response?.status() ?? 200;
+    if (status === 404) {
+      logger.info(`No listing page at ${url}`);
+      return false;
+    }
+    if (status >= 400) {
+      throw new Error(`Internshala returned ${status} for ${url}`);
+    }
+
+    await page.waitForSelector([...this.selectors.card, ...this.selectors.noResults].join(', '), { timeout: CARD_WAIT_MS })
+      .catch(() => logger.warn(`No internship cards appeared on ${url}`));
+
+    if (this.saveDir) {
+      await fs.mkdir(this.saveDir, { recursive: true });
+      await fs.writeFile(path.join(this.saveDir, snapshotName(url)), await page.content(), 'utf8');
+    }
+    return true;
+  }
+
+  // Runs in the page: the internship cards of one listing page and whether there is a next page.
+  // Links are resolved against `baseUrl`, since replayed pages have no URL of their own.
+  scrapeListingPage({ selectors, baseUrl }) {
+    const first = (root, list) => {
+      for (const selector of list) {
+        const element = root.querySelector(selector);
+        if (element) return element;
+      }
+      return null;
+    };
+    const text = (root, list) => first(root, list)?.textContent.replace(/\s+/g, ' ').trim() || null;
+    const absolute = href => {
+      try {
+        return href ? new URL(href, baseUrl).href : null;
+      } catch (error) {
+        return null;
+      }
+    };
+
+    const cards = selectors.card
+      .map(selector => Array.from(document.querySelectorAll(selector)))
+      .find(list => list.length > 0) || [];
+
+    const totalPages = parseInt(text(document, selectors.totalPages));
+    return {
+      cards: cards.map(card => {
+        const titleElement = first(card, selectors.title);
+        const link = titleElement?.closest('a') || titleElement?.querySelector('a');
+        return {
+          id: card.getAttribute('internshipid') || card.getAttribute('data-internship-id') || null,
+          title: text(card, selectors.title),
+          company: text(card, selectors.company),
+          location: text(card, selectors.location),
+          stipend: text(card, selectors.stipend),
+          duration: text(card, selectors.duration),
+          posted: text(card, selectors.posted),
+          apply_by: text(card, selectors.applyBy),
+          actively_hiring: Boolean(first(card, selectors.activelyHiring)),
+          part_time: first(card, selectors.partTime) ? true : null,
+          job_url: absolute(card.getAttribute('data-href') || link?.getAttribute('href'))
+        };
+      }),
+      hasNext: Boolean(first(document, selectors.nextPage)),
+      totalPages: Number.isInteger(totalPages) ? totalPages : null
+    };
+  }
+}
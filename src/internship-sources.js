@@ -0,0 +1,215 @@
+import fs from 'fs/promises';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_FIXTURE_FILE = './fixtures/internshala-mock.json';
+
+// Internship model every source normalizes into. Text fields are strings or null; stipend_amount is
+// the lowest monthly amount in the stipend text (0 when unpaid, null when it can't be read). The
+// detail fields, from description to who_can_apply, are usually only known once the internship's
+// page has been read (see InternshipEnricher); details_fetched_at says when that was.
+export const INTERNSHIP_FIELDS = [
+  'id', 'title', 'company', 'location', 'work_from_home', 'part_time',
+  'stipend', 'stipend_amount', 'duration', 'start_date', 'posted', 'apply_by',
+  'actively_hiring', 'early_applicant', 'category', 'skills',
+  'description', 'perks', 'openings', 'applicants', 'who_can_apply',
+  'job_url', 'apply_url', 'source', 'sources', 'scraped_at', 'details_fetched_at'
+];
+
+// Raw field names seen in Apify datasets, our CSV exports and hand-made files, per model field
+const FIELD_ALIASES = {
+  id: ['id', 'internship_id', 'internshipId'],
+  title: ['title', 'profile', 'role', 'job_title', 'jobTitle', 'internship_title'],
+  company: ['company', 'company_name', 'companyName'],
+  location: ['location', 'locations', 'city'],
+  stipend: ['stipend', 'salary'],
+  duration: ['duration'],
+  start_date: ['start_date', 'startDate', 'start'],
+  posted: ['posted', 'posted_on', 'postedOn', 'posted_date'],
+  apply_by: ['apply_by', 'applyBy', 'deadline'],
+  category: ['category'],
+  skills: ['skills', 'skills_required'],
+  description: ['description', 'about', 'about_internship'],
+  perks: ['perks'],
+  openings: ['openings', 'number_of_openings'],
+  applicants: ['applicants', 'applicant_count', 'applications'],
+  who_can_apply: ['who_can_apply', 'whoCanApply', 'eligibility'],
+  job_url: ['job_url', 'jobUrl', 'url', 'link', 'detail_url'],
+  apply_url: ['apply_url', 'applyUrl'],
+  actively_hiring: ['actively_hiring', 'activelyHiring'],
+  early_applicant: ['early_applicant', 'earlyApplicant'],
+  part_time: ['part_time', 'partTime'],
+  work_from_home: ['work_from_home', 'workFromHome', 'remote']
+};
+
+function pick(raw, field) {
+  for (const key of FIELD_ALIASES[field]) {
+    const value = raw[key];
+    if (value !== undefined && value !== null && String(value).trim() !== '') return value;
+  }
+  return null;
+}
+
+// Placeholders our own CSV exports write for missing values
+const EMPTY_VALUES = ['not specified', 'unknown', 'n/a', 'undefined', 'null'];
+
+function text(value) {
+  if (value === null || value === undefined) return null;
+  const joined = (Array.isArray(value) ? value.join(', ') : String(value)).replace(/\s+/g, ' ').trim();
+  return joined && !EMPTY_VALUES.includes(joined.toLowerCase()) ? joined : null;
+}
+
+// true/false from booleans, "yes"/"no", "true"/"false", 1/0; null when absent
+function flag(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'boolean') return value;
+  return ['true', 'yes', 'y', '1'].includes(String(value).trim().toLowerCase());
+}
+
+function list(value) {
+  if (Array.isArray(value)) return value.map(text).filter(Boolean);
+  return text(value)?.split(/\s*[,;]\s*/).filter(Boolean) || [];
+}
+
+// "3", "1,234 applicants" -> 1234; null when there is no number
+export function parseCount(value) {
+  const match = String(value ?? '').match(/\d[\d,]*/);
+  return match ? parseInt(match[0].replace(/,/g, '')) : null;
+}
+
+// "₹ 10,000-15,000 /month" -> 10000, "Unpaid" -> 0; lump sums and weekly rates are left as null
+export function parseStipendAmount(stipend) {
+  const value = String(stipend || '').toLowerCase();
+  if (!value) return null;
+  if (value.includes('unpaid')) return 0;
+  if (/lump\s*sum|\/\s*week|per week/.test(value)) return null;
+
+  const match = value.match(/(\d[\d,]*)/);
+  return match ? parseInt(match[1].replace(/,/g, '')) : null;
+}
+
+export function normalizeInternship(raw, source) {
+  const location = text(pick(raw, 'location'));
+  const stipend = text(pick(raw, 'stipend'));
+
+  return {
+    id: text(pick(raw, 'id')),
+    title: text(pick(raw, 'title')),
+    company: text(pick(raw, 'company')),
+    location,
+    work_from_home: flag(pick(raw, 'work_from_home')) ?? /work from home|remote/i.test(location || ''),
+    part_time: flag(pick(raw, 'part_time')),
+    stipend,
+    stipend_amount: parseStipendAmount(stipend),
+    duration: text(pick(raw, 'duration')),
+    start_date: text(pick(raw, 'start_date')),
+    posted: text(pick(raw, 'posted')),
+    apply_by: text(pick(raw, 'apply_by')),
+    actively_hiring: flag(pick(raw, 'actively_hiring')) ?? false,
+    early_applicant: flag(pick(raw, 'early_applicant')) ?? false,
+    category: text(pick(raw, 'category')),
+    skills: list(pick(raw, 'skills')),
+    description: text(pick(raw, 'description')),
+    perks: list(pick(raw, 'perks')),
+    openings: parseCount(pick(raw, 'openings')),
+    applicants: parseCount(pick(raw, 'applicants')),
+    who_can_apply: text(pick(raw, 'who_can_apply')),
+    job_url: text(pick(raw, 'job_url')),
+    apply_url: text(pick(raw, 'apply_url')),
+    source,
+    sources: [source],
+    scraped_at: text(raw.scraped_at) || new Date().toISOString(),
+    details_fetched_at: text(raw.details_fetched_at)
+  };
+}
+
+function canonicalUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}`.toLowerCase();
+  } catch (error) {
+    return String(url).trim().toLowerCase();
+  }
+}
+
+function normalizeKeyPart(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// The same listing from two sources: same detail page, or else same company, title and location
+export function dedupeKey(internship) {
+  if (internship.job_url) return `url:${canonicalUrl(internship.job_url)}`;
+  return `listing:${[internship.company, internship.title, internship.location].map(normalizeKeyPart).join('|')}`;
+}
+
+// Merges result lists in order: the first copy of a listing wins, later copies only fill its empty
+// fields, and `sources` lists every source that returned it
+export function mergeInternships(lists) {
+  const merged = new Map();
+  for (const internship of lists.flat()) {
+    const key = dedupeKey(internship);
+    const existing = merged.get(key);
+    if (!existing) {
+      merged.set(key, { ...internship, sources: [...internship.sources] });
+      continue;
+    }
+
+    for (const [field, value] of Object.entries(internship)) {
+      const empty = existing[field] === null || existing[field] === undefined || (Array.isArray(existing[field]) && existing[field].length === 0);
+      if (empty && field !== 'sources') existing[field] = value;
+    }
+    existing.sources = Array.from(new Set([...existing.sources, ...internship.sources]));
+  }
+  return Array.from(merged.values());
+}
+
+// Where internships come from. A source implements `fetch(filters, options)`, resolving to raw
+// records, and sets `appliesFilters` when it searches with the filters itself; InternshipScraper
+// filters the results of the others locally. `search()` returns the records as Internship objects.
+export class InternshipSource {
+  constructor(name) {
+    this.name = name;
+    this.appliesFilters = false;
+  }
+
+  async fetch(filters, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement fetch()`);
+  }
+
+  async search(filters, options = {}) {
+    const records = await this.fetch(filters, options);
+    if (!Array.isArray(records)) {
+      throw new Error(`Internship source "${this.name}" returned ${typeof records} instead of a list`);
+    }
+    logger.info(`Internship source ${this.name}: ${records.length} results`);
+    return records.map(record => normalizeInternship(record, this.name));
+  }
+}
+
+// Fixed records for tests and offline runs: `records` given directly, or the `internships` of a
+// fixture file (the mock server's fixtures by default)
+export class FixtureSource extends InternshipSource {
+  constructor(options = {}) {
+    super(options.name || 'fixture');
+    this.records = options.records || null;
+    this.file = options.file || DEFAULT_FIXTURE_FILE;
+  }
+
+  async fetch() {
+    if (this.records) return this.records;
+    const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    return Array.isArray(data) ? data : data.internships || [];
+  }
+}
+
+// "apify", "apify:cached", "file:./exports/internships.csv", "fixture" or "fixture:./my-fixtures.json"
+export function parseSourceSpec(spec) {
+  const value = String(spec || '').trim();
+  const index = value.indexOf(':');
+  return index === -1
+    ? { name: value.toLowerCase(), argument: null }
+    : { name: value.slice(0, index).trim().toLowerCase(), argument: value.slice(index + 1).trim() || null };
+}
+
+export function parseSourceList(value) {
+  return String(value || '').split(',').map(spec => spec.trim()).filter(Boolean);
+}
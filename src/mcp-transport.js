@@ -0,0 +1,90 @@
+import readline from 'readline';
+import { logger } from '../utils/logger.js';
+
+// JSON-RPC 2.0 error codes used by the MCP transports
+export const JSONRPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  RESOURCE_NOT_FOUND: -32002
+};
+
+export class JsonRpcError extends Error {
+  constructor(code, message, data = undefined) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+export function jsonRpcResult(id, result) {
+  return { jsonrpc: '2.0', id, result };
+}
+
+export function jsonRpcError(id, code, message, data = undefined) {
+  const error = { code, message };
+  if (data !== undefined) {
+    error.data = data;
+  }
+  return { jsonrpc: '2.0', id: id ?? null, error };
+}
+
+// Newline-delimited JSON-RPC over stdin/stdout, as described by the MCP stdio transport.
+// stdout is reserved for protocol messages, so logging must go to stderr while this runs.
+export class StdioTransport {
+  constructor(input = process.stdin, output = process.stdout) {
+    this.input = input;
+    this.output = output;
+    this.rl = null;
+    this.onClose = null;
+  }
+
+  start(handleMessage) {
+    this.rl = readline.createInterface({ input: this.input, terminal: false });
+
+    this.rl.on('line', async (line) => {
+      if (!line.trim()) return;
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        this.send(jsonRpcError(null, JSONRPC_ERRORS.PARSE_ERROR, 'Parse error'));
+        return;
+      }
+
+      try {
+        const response = await handleMessage(message);
+        if (response) {
+          this.send(response);
+        }
+      } catch (error) {
+        logger.error('MCP: Unhandled transport error:', error);
+        this.send(jsonRpcError(message?.id, JSONRPC_ERRORS.INTERNAL_ERROR, error.message));
+      }
+    });
+
+    this.rl.on('close', () => {
+      logger.info('MCP: stdin closed, stopping stdio transport');
+      if (this.onClose) {
+        this.onClose();
+      }
+    });
+
+    logger.info('MCP: stdio transport listening');
+  }
+
+  send(message) {
+    this.output.write(JSON.stringify(message) + '\n');
+  }
+
+  close() {
+    if (this.rl) {
+      this.rl.close();
+      this.rl = null;
+    }
+  }
+}
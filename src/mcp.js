@@ -1,9 +1,46 @@
+import fs from 'fs/promises';
 import { logger } from '../utils/logger.js';
+import { describeProfile } from './selectors.js';
+import { EXTRACTION_STRATEGIES } from './network-capture.js';
+import { TEMPLATE_VARIABLES } from './templates.js';
+import { previewMessage } from './send-preview.js';
+import { OUTBOX_STATUSES } from './outbox.js';
+import { ApprovalPolicy, DRAFT_STATUSES } from './drafts.js';
+import { ReplySuggester, MAX_SUGGESTIONS } from './reply-suggestions.js';
+import { SendPolicyError } from './send-policy.js';
+import {
+  StdioTransport,
+  JsonRpcError,
+  JSONRPC_ERRORS,
+  jsonRpcResult,
+  jsonRpcError
+} from './mcp-transport.js';
+
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const CONVERSATION_URI_PREFIX = 'internshala://conversation/';
+const EXPORT_URI_PREFIX = 'internshala://export/';
+const MAX_INLINE_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+
+// Sends refused by the send policy say which rules failed and when to try again
+function policyViolation(error) {
+  return error instanceof SendPolicyError ? { policy_violation: error.toJSON() } : {};
+}
 
 export class MCPServer {
-  constructor(bot) {
+  constructor(bot, options = {}) {
     this.bot = bot;
+    // Sends from MCP clients wait as drafts for a human unless the policy allows them
+    this.approval = new ApprovalPolicy(options.approval);
+    // `options.model` swaps the configured LLM for another one, e.g. a local stub
+    this.replySuggester = new ReplySuggester(bot.storage, { model: options.model });
     this.tools = this.initializeTools();
+    this.transport = null;
+    this.ready = null;
+    this.browserQueue = Promise.resolve();
+    this.onBotMessage = null;
+    this.listenTimers = new Map();
+    this.clientInfo = null;
+    this.protocolVersion = null;
   }
 
   initializeTools() {
@@ -22,11 +59,17 @@ export class MCPServer {
               type: 'number',
               description: 'Maximum number of messages to return (optional)',
               default: 100
+            },
+            strategy: {
+              type: 'string',
+              enum: EXTRACTION_STRATEGIES,
+              description: 'How to extract messages: "dom" scrapes the page, "network" parses the chat API responses (falls back to the page). Defaults to EXTRACTION_STRATEGY or "dom"'
             }
           },
           required: ['conversation_id']
         },
-        handler: this.fetchHistory.bind(this)
+        handler: this.fetchHistory.bind(this),
+        usesBrowser: true
       },
 
       listen_live: {
@@ -50,9 +93,24 @@ export class MCPServer {
         handler: this.listenLive.bind(this)
       },
 
+      stop_listening: {
+        name: 'stop_listening',
+        description: 'Stop the live listener for a conversation, or all listeners if no ID is given',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            conversation_id: {
+              type: 'string',
+              description: 'The ID of the conversation to stop listening to (optional)'
+            }
+          }
+        },
+        handler: this.stopListening.bind(this)
+      },
+
       send_message: {
         name: 'send_message',
-        description: 'Send a message to a specific conversation',
+        description: 'Send a message to a specific conversation. Unless the approval policy allows the conversation, the message is held as a draft for a human to approve and a draft_id is returned (see list_drafts). The first call returns the rendered preview (of the message or template) with confirmation_required; call again with confirm: true to send it. Sends over the send policy limits (hourly and per-conversation caps, quiet hours, length, repeated text, unconfirmed first contact) fail with policy_violation listing the rules and retry_at',
         inputSchema: {
           type: 'object',
           properties: {
@@ -62,12 +120,36 @@ export class MCPServer {
             },
             message: {
               type: 'string',
-              description: 'The message text to send'
+              description: 'The message text to send (or use template)'
+            },
+            template: {
+              type: 'string',
+              description: 'Name of a message template to render and send instead of message'
+            },
+            variables: {
+              type: 'object',
+              description: 'Template variable values; override those taken from the conversation and profile',
+              additionalProperties: { type: 'string' }
+            },
+            confirm: {
+              type: 'boolean',
+              description: 'Send the message after reviewing its preview',
+              default: false
+            },
+            idempotency_key: {
+              type: 'string',
+              description: 'Any unique string for this message; retrying with the same key never posts it twice'
+            },
+            confirm_first_contact: {
+              type: 'boolean',
+              description: 'Allow this to be the first message sent to the conversation (refused otherwise by the send policy)',
+              default: false
             }
           },
-          required: ['conversation_id', 'message']
+          required: ['conversation_id']
         },
-        handler: this.sendMessage.bind(this)
+        handler: this.sendMessage.bind(this),
+        usesBrowser: true
       },
 
       get_conversations: {
@@ -83,34 +165,293 @@ export class MCPServer {
             }
           }
         },
-        handler: this.getConversations.bind(this)
+        handler: this.getConversations.bind(this),
+        usesBrowser: true
       },
 
       search_messages: {
         name: 'search_messages',
-        description: 'Search for messages containing specific text',
+        description: 'Full-text search over stored messages, ranked by relevance, with optional structured filters',
         inputSchema: {
           type: 'object',
           properties: {
             query: {
               type: 'string',
-              description: 'Text to search for in messages'
+              description: 'Search terms. Supports "exact phrases", AND / OR / NOT (or -term), prefix* and parentheses. Leave empty to match every message and rely on filters'
             },
             conversation_id: {
               type: 'string',
               description: 'Limit search to specific conversation (optional)'
             },
+            conversation_name: {
+              type: 'string',
+              description: 'Only conversations whose name contains this text (e.g. the company)'
+            },
+            sender: {
+              type: 'string',
+              description: 'Only messages whose sender name contains this text'
+            },
+            type: {
+              type: 'string',
+              enum: ['sent', 'received'],
+              description: 'Only messages you sent or only messages you received'
+            },
+            since: {
+              type: 'string',
+              description: 'Only messages at or after this date (YYYY-MM-DD, ISO timestamp, or relative like 7d / 12h / 2w)'
+            },
+            until: {
+              type: 'string',
+              description: 'Only messages at or before this date (a plain date includes the whole day)'
+            },
+            has_links: {
+              type: 'boolean',
+              description: 'Only messages with (true) or without (false) an http(s) link'
+            },
+            has_attachments: {
+              type: 'boolean',
+              description: 'Only messages with (true) or without (false) attachments'
+            },
+            min_length: {
+              type: 'number',
+              description: 'Minimum message length in characters'
+            },
+            sort: {
+              type: 'string',
+              enum: ['relevance', 'newest', 'oldest'],
+              description: 'Result order (default: relevance with a query, newest without)'
+            },
+            cursor: {
+              type: 'string',
+              description: 'next_cursor from a previous call with the same query and filters, to fetch the next page'
+            },
             limit: {
               type: 'number',
               description: 'Maximum number of results to return',
               default: 50
+            },
+            export_csv: {
+              type: 'boolean',
+              description: 'Also export the results (with relevance scores) to CSV',
+              default: false
             }
-          },
-          required: ['query']
+          }
         },
         handler: this.searchMessages.bind(this)
       },
 
+      get_attachment: {
+        name: 'get_attachment',
+        description: 'Get an archived chat attachment (name, size, MIME type, SHA-256 and local path), optionally with its content',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            attachment_id: {
+              type: 'string',
+              description: 'Attachment ID from a message\'s attachments list'
+            },
+            conversation_id: {
+              type: 'string',
+              description: 'Conversation the attachment belongs to (faster lookup; optional)'
+            },
+            include_content: {
+              type: 'boolean',
+              description: 'Also return the file content as base64 (files up to 5 MB)',
+              default: false
+            }
+          },
+          required: ['attachment_id']
+        },
+        handler: this.getAttachment.bind(this)
+      },
+
+      list_templates: {
+        name: 'list_templates',
+        description: 'List saved message templates and the variables they use',
+        inputSchema: {
+          type: 'object',
+          properties: {}
+        },
+        handler: this.listTemplates.bind(this)
+      },
+
+      render_template: {
+        name: 'render_template',
+        description: 'Render a message template for a conversation without sending it. company, role and recruiter_name come from the conversation, other values from the profile or variables',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            template: {
+              type: 'string',
+              description: 'Template name (see list_templates)'
+            },
+            body: {
+              type: 'string',
+              description: 'Ad-hoc template text with {{placeholders}}, instead of a saved template'
+            },
+            conversation_id: {
+              type: 'string',
+              description: 'Conversation to fill the template for (optional)'
+            },
+            variables: {
+              type: 'object',
+              description: 'Variable values that override the conversation and profile',
+              additionalProperties: { type: 'string' }
+            }
+          }
+        },
+        handler: this.renderTemplate.bind(this)
+      },
+
+      schedule_message: {
+        name: 'schedule_message',
+        description: 'Queue a message or rendered template in the outbox; the bot daemon sends it at send_at. Needs the same approval as send_message (a draft is returned until a human approves it). The first call returns the preview; call again with confirm: true to queue it',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            conversation_id: {
+              type: 'string',
+              description: 'The ID of the conversation to send the message to'
+            },
+            send_at: {
+              type: 'string',
+              description: 'When to send: ISO timestamp (wall-clock times use CHAT_TIMEZONE), "30m", "2h", "3d", or "tomorrow 9:00 AM"'
+            },
+            message: {
+              type: 'string',
+              description: 'The message text (or use template)'
+            },
+            template: {
+              type: 'string',
+              description: 'Name of a message template to render instead of message'
+            },
+            variables: {
+              type: 'object',
+              description: 'Template variable values; override those taken from the conversation and profile',
+              additionalProperties: { type: 'string' }
+            },
+            confirm: {
+              type: 'boolean',
+              description: 'Queue the message after reviewing its preview',
+              default: false
+            },
+            confirm_first_contact: {
+              type: 'boolean',
+              description: 'Allow this to be the first message sent to the conversation',
+              default: false
+            }
+          },
+          required: ['conversation_id', 'send_at']
+        },
+        handler: this.scheduleMessage.bind(this)
+      },
+
+      list_outbox: {
+        name: 'list_outbox',
+        description: 'List scheduled messages in the outbox with their status, send time, attempts and last error',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            status: {
+              type: 'string',
+              enum: OUTBOX_STATUSES,
+              description: 'Only messages with this status'
+            },
+            conversation_id: {
+              type: 'string',
+              description: 'Only messages for this conversation'
+            }
+          }
+        },
+        handler: this.listOutbox.bind(this)
+      },
+
+      edit_outbox_message: {
+        name: 'edit_outbox_message',
+        description: 'Change the text and/or send time of a pending or failed scheduled message. Editing a failed message queues it again',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Outbox message ID (see list_outbox)'
+            },
+            message: {
+              type: 'string',
+              description: 'New message text'
+            },
+            send_at: {
+              type: 'string',
+              description: 'New send time, in the same formats as schedule_message'
+            }
+          },
+          required: ['id']
+        },
+        handler: this.editOutboxMessage.bind(this)
+      },
+
+      cancel_outbox_message: {
+        name: 'cancel_outbox_message',
+        description: 'Cancel a pending or failed scheduled message',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Outbox message ID (see list_outbox)'
+            }
+          },
+          required: ['id']
+        },
+        handler: this.cancelOutboxMessage.bind(this)
+      },
+
+      list_drafts: {
+        name: 'list_drafts',
+        description: 'List messages waiting for (or decided by) human approval, with their status: pending, sending, sent, scheduled, failed or rejected',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            status: {
+              type: 'string',
+              enum: DRAFT_STATUSES,
+              description: 'Only drafts with this status'
+            },
+            conversation_id: {
+              type: 'string',
+              description: 'Only drafts for this conversation'
+            }
+          }
+        },
+        handler: this.listDrafts.bind(this)
+      },
+
+      suggest_reply: {
+        name: 'suggest_reply',
+        description: 'Propose replies to a conversation from its stored history, the internship details and the profile. Suggestions are saved as drafts for a human to approve; nothing is sent.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            conversation_id: {
+              type: 'string',
+              description: 'The conversation to reply to (its history must have been fetched)'
+            },
+            count: {
+              type: 'number',
+              minimum: 1,
+              maximum: MAX_SUGGESTIONS,
+              description: `How many alternative replies to propose (default: ${MAX_SUGGESTIONS})`
+            },
+            instructions: {
+              type: 'string',
+              description: 'Optional guidance for the replies, e.g. "decline politely" or "ask about the stipend"'
+            }
+          },
+          required: ['conversation_id']
+        },
+        handler: this.suggestReply.bind(this)
+      },
+
       get_bot_status: {
         name: 'get_bot_status',
         description: 'Get current status and statistics of the bot',
@@ -127,7 +468,7 @@ export class MCPServer {
     try {
       logger.info(`MCP: Fetching history for conversation ${params.conversation_id}`);
       
-      const history = await this.bot.fetchHistory(params.conversation_id);
+      const history = await this.bot.fetchHistory(params.conversation_id, { strategy: params.strategy });
       
       // Apply limit if specified
       const limitedHistory = params.limit ? history.slice(-params.limit) : history;
@@ -156,24 +497,26 @@ export class MCPServer {
     try {
       logger.info(`MCP: Starting live listener for conversation ${params.conversation_id}`);
       
-      // Start listening in background
-      const listenPromise = this.bot.startListening(params.conversation_id);
+      // Opens a dedicated page and keeps listening in the background
+      const listener = await this.bot.startListening(params.conversation_id);
       
       // Set timeout if duration specified
+      this.clearListenTimer(params.conversation_id);
       if (params.duration) {
-        setTimeout(() => {
-          this.bot.stopListening();
-          logger.info(`MCP: Stopped listening after ${params.duration} seconds`);
-        }, params.duration * 1000);
+        this.listenTimers.set(params.conversation_id, setTimeout(async () => {
+          this.listenTimers.delete(params.conversation_id);
+          await this.bot.stopListening(params.conversation_id);
+          logger.info(`MCP: Stopped listening to ${params.conversation_id} after ${params.duration} seconds`);
+        }, params.duration * 1000));
       }
       
       return {
         success: true,
         data: {
           conversation_id: params.conversation_id,
-          status: 'listening',
+          status: listener.status,
           duration: params.duration || 'indefinite',
-          started_at: new Date().toISOString()
+          started_at: listener.started_at
         }
       };
       
@@ -187,18 +530,99 @@ export class MCPServer {
     }
   }
 
+  async stopListening(params) {
+    try {
+      logger.info(`MCP: Stopping live listener${params.conversation_id ? ` for conversation ${params.conversation_id}` : 's'}`);
+      
+      const stopped = params.conversation_id
+        ? [params.conversation_id].filter(id => this.bot.getListenerStatus(id))
+        : this.bot.getListenerStatus().map(listener => listener.conversation_id);
+      
+      stopped.forEach(id => this.clearListenTimer(id));
+      await this.bot.stopListening(params.conversation_id || null);
+      
+      return {
+        success: true,
+        data: {
+          stopped: stopped,
+          active_listeners: this.bot.getListenerStatus(),
+          stopped_at: new Date().toISOString()
+        }
+      };
+      
+    } catch (error) {
+      logger.error('MCP: Failed to stop live listener:', error);
+      return {
+        success: false,
+        error: error.message,
+        conversation_id: params.conversation_id
+      };
+    }
+  }
+
+  clearListenTimer(conversationId) {
+    const timer = this.listenTimers.get(conversationId);
+    if (timer) {
+      clearTimeout(timer);
+      this.listenTimers.delete(conversationId);
+    }
+  }
+
   async sendMessage(params) {
     try {
       logger.info(`MCP: Sending message to conversation ${params.conversation_id}`);
       
-      const messageData = await this.bot.sendMessage(params.conversation_id, params.message);
+      const preview = await previewMessage(this.bot.storage, params.conversation_id, {
+        message: params.message,
+        template: params.template,
+        variables: params.variables || {}
+      });
+      
+      if (!preview.ready) {
+        return {
+          success: false,
+          error: `Template variables have no value: ${preview.missing.join(', ')}`,
+          preview
+        };
+      }
+      
+      // Every message is shown to the client as it will be posted before anything is sent
+      if (params.confirm !== true) {
+        return {
+          success: true,
+          data: { sent: false, confirmation_required: true, preview }
+        };
+      }
+      
+      if (this.approval.requiresApproval(params.conversation_id)) {
+        const draft = await this.bot.storage.drafts.create({
+          conversationId: params.conversation_id,
+          conversationName: preview.conversation_name,
+          text: preview.text,
+          template: params.template || null,
+          idempotencyKey: params.idempotency_key
+        });
+        
+        return {
+          success: true,
+          data: { sent: false, approval_required: true, draft_id: draft.id, draft }
+        };
+      }
+      
+      const messageData = await this.bot.sendMessage(params.conversation_id, preview.text, {
+        idempotencyKey: params.idempotency_key,
+        confirmFirstContact: params.confirm_first_contact === true
+      });
       
       return {
         success: true,
         data: {
+          sent: true,
           conversation_id: params.conversation_id,
           message: messageData,
-          sent_at: new Date().toISOString()
+          idempotency_key: messageData.idempotency_key,
+          deduplicated: messageData.deduplicated,
+          sent_at: messageData.timestamp
         }
       };
       
@@ -208,7 +632,9 @@ export class MCPServer {
         success: false,
         error: error.message,
         conversation_id: params.conversation_id,
-        message: params.message
+        message: params.message,
+        idempotency_key: params.idempotency_key,
+        ...policyViolation(error)
       };
     }
   }
@@ -217,31 +643,8 @@ export class MCPServer {
     try {
       logger.info('MCP: Getting conversations list');
       
-      // Navigate to chat page to get conversations
-      await this.bot.navigateToChat();
-      
-      // Extract conversation list from page
-      const conversations = await this.bot.page.evaluate((limit) => {
-        const conversationElements = document.querySelectorAll(
-          '.conversation-item, .chat-item, .contact-item, .message-thread'
-        );
-        
-        return Array.from(conversationElements).map((el, index) => {
-          const nameElement = el.querySelector('.name, .contact-name, .sender-name, .title');
-          const lastMessageElement = el.querySelector('.last-message, .preview, .snippet');
-          const timeElement = el.querySelector('.time, .timestamp, .date');
-          
-          return {
-            id: el.getAttribute('data-id') || 
-                el.getAttribute('data-conversation-id') || 
-                `conv_${index}`,
-            name: nameElement?.textContent?.trim() || 'Unknown Contact',
-            last_message: lastMessageElement?.textContent?.trim() || '',
-            last_activity: timeElement?.textContent?.trim() || '',
-            url: el.querySelector('a')?.href || ''
-          };
-        }).slice(0, limit || 20);
-      }, params.limit);
+      // Navigate to the inbox and scroll through the conversation list
+      const conversations = await this.bot.getConversations(params.limit || 20);
       
       return {
         success: true,
@@ -263,43 +666,25 @@ export class MCPServer {
 
   async searchMessages(params) {
     try {
-      logger.info(`MCP: Searching messages for query: "${params.query}"`);
+      logger.info(`MCP: Searching messages for query: "${params.query || ''}"`);
       
-      const historyData = await this.bot.storage.loadChatHistory();
-      const results = [];
+      const { results, total, sort, next_cursor } = await this.bot.storage.searchMessages(params.query || '', params);
       
-      for (const [conversationId, conversation] of Object.entries(historyData)) {
-        // Skip if conversation_id filter is specified and doesn't match
-        if (params.conversation_id && conversationId !== params.conversation_id) {
-          continue;
-        }
-        
-        const matchingMessages = conversation.messages.filter(message =>
-          message.text.toLowerCase().includes(params.query.toLowerCase())
-        );
-        
-        for (const message of matchingMessages) {
-          results.push({
-            conversation_id: conversationId,
-            message: message,
-            match_context: this.getMatchContext(message.text, params.query)
-          });
-        }
+      let csvPath = null;
+      if (params.export_csv && results.length > 0) {
+        csvPath = await this.bot.storage.csvExporter.exportSearchResultsToCSV(results, params.query || '');
       }
       
-      // Sort by timestamp (most recent first)
-      results.sort((a, b) => new Date(b.message.timestamp) - new Date(a.message.timestamp));
-      
-      // Apply limit
-      const limitedResults = results.slice(0, params.limit || 50);
-      
       return {
         success: true,
         data: {
           query: params.query,
-          results: limitedResults,
-          total_matches: results.length,
-          returned_count: limitedResults.length,
+          results: results,
+          total_matches: total,
+          returned_count: results.length,
+          sort: sort,
+          next_cursor: next_cursor,
+          csv_path: csvPath,
           searched_at: new Date().toISOString()
         }
       };
@@ -314,6 +699,291 @@ export class MCPServer {
     }
   }
 
+  async getAttachment(params) {
+    try {
+      logger.info(`MCP: Getting attachment ${params.attachment_id}`);
+      
+      const attachment = await this.bot.storage.getAttachment(params.attachment_id, params.conversation_id || null);
+      if (!attachment) {
+        return {
+          success: false,
+          error: `Attachment not found: ${params.attachment_id}`,
+          attachment_id: params.attachment_id
+        };
+      }
+      
+      const data = { attachment };
+      if (params.include_content) {
+        if (attachment.size > MAX_INLINE_ATTACHMENT_BYTES) {
+          throw new Error(`Attachment is ${attachment.size} bytes; content is only returned for files up to ${MAX_INLINE_ATTACHMENT_BYTES} bytes (read it from ${attachment.path})`);
+        }
+        data.content_base64 = (await fs.readFile(attachment.path)).toString('base64');
+      }
+      
+      return {
+        success: true,
+        data
+      };
+      
+    } catch (error) {
+      logger.error('MCP: Failed to get attachment:', error);
+      return {
+        success: false,
+        error: error.message,
+        attachment_id: params.attachment_id
+      };
+    }
+  }
+
+  async listTemplates(params) {
+    try {
+      logger.info('MCP: Listing message templates');
+      
+      return {
+        success: true,
+        data: {
+          templates: await this.bot.storage.templates.list(),
+          automatic_variables: TEMPLATE_VARIABLES,
+          profile: await this.bot.storage.templates.getProfile()
+        }
+      };
+      
+    } catch (error) {
+      logger.error('MCP: Failed to list templates:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async renderTemplate(params) {
+    try {
+      logger.info(`MCP: Rendering template ${params.template || '(ad-hoc)'} for conversation ${params.conversation_id || '-'}`);
+      
+      const preview = await this.bot.storage.renderTemplate(params.conversation_id || null, {
+        template: params.template || null,
+        body: params.body || null,
+        variables: params.variables || {}
+      });
+      
+      return {
+        success: true,
+        data: preview
+      };
+      
+    } catch (error) {
+      logger.error('MCP: Failed to render template:', error);
+      return {
+        success: false,
+        error: error.message,
+        template: params.template
+      };
+    }
+  }
+
+  async scheduleMessage(params) {
+    try {
+      logger.info(`MCP: Scheduling message to conversation ${params.conversation_id}`);
+      
+      const outbox = this.bot.storage.outbox;
+      const sendAt = outbox.resolveSendAt(params.send_at);
+      const preview = await previewMessage(this.bot.storage, params.conversation_id, {
+        message: params.message,
+        template: params.template,
+        variables: params.variables || {}
+      });
+      
+      if (!preview.ready) {
+        return {
+          success: false,
+          error: `Template variables have no value: ${preview.missing.join(', ')}`,
+          preview
+        };
+      }
+      
+      if (params.confirm !== true) {
+        return {
+          success: true,
+          data: { queued: false, confirmation_required: true, send_at: sendAt.toISOString(), preview }
+        };
+      }
+      
+      if (this.approval.requiresApproval(params.conversation_id)) {
+        const draft = await this.bot.storage.drafts.create({
+          conversationId: params.conversation_id,
+          conversationName: preview.conversation_name,
+          text: preview.text,
+          template: params.template || null,
+          sendAt
+        });
+        
+        return {
+          success: true,
+          data: { queued: false, approval_required: true, draft_id: draft.id, draft }
+        };
+      }
+      
+      await this.bot.policy.preflight(params.conversation_id, preview.text, {
+        confirmFirstContact: params.confirm_first_contact === true
+      });
+      
+      const entry = await outbox.queue({
+        conversationId: params.conversation_id,
+        text: preview.text,
+        sendAt,
+        template: params.template || null,
+        confirmFirstContact: params.confirm_first_contact === true
+      });
+      
+      return {
+        success: true,
+        data: { queued: true, entry }
+      };
+      
+    } catch (error) {
+      logger.error('MCP: Failed to schedule message:', error);
+      return {
+        success: false,
+        error: error.message,
+        conversation_id: params.conversation_id,
+        ...policyViolation(error)
+      };
+    }
+  }
+
+  async listOutbox(params) {
+    try {
+      logger.info('MCP: Listing outbox');
+      
+      const entries = await this.bot.storage.outbox.list({
+        status: params.status || null,
+        conversationId: params.conversation_id || null
+      });
+      
+      return {
+        success: true,
+        data: {
+          entries,
+          count: entries.length,
+          counts: await this.bot.storage.outbox.counts()
+        }
+      };
+      
+    } catch (error) {
+      logger.error('MCP: Failed to list outbox:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async editOutboxMessage(params) {
+    try {
+      logger.info(`MCP: Editing outbox message ${params.id}`);
+      
+      // New text would be a message nobody approved
+      const current = await this.bot.storage.outbox.get(params.id);
+      if (params.message !== undefined && current && this.approval.requiresApproval(current.conversation_id)) {
+        return {
+          success: false,
+          error: 'Changing the text of a queued message needs approval; cancel it and schedule the new text instead',
+          id: params.id
+        };
+      }
+      
+      const entry = await this.bot.storage.outbox.edit(params.id, {
+        text: params.message,
+        sendAt: params.send_at
+      });
+      
+      return {
+        success: true,
+        data: { entry }
+      };
+      
+    } catch (error) {
+      logger.error('MCP: Failed to edit outbox message:', error);
+      return {
+        success: false,
+        error: error.message,
+        id: params.id
+      };
+    }
+  }
+
+  async cancelOutboxMessage(params) {
+    try {
+      logger.info(`MCP: Cancelling outbox message ${params.id}`);
+      
+      const entry = await this.bot.storage.outbox.cancel(params.id);
+      
+      return {
+        success: true,
+        data: { entry }
+      };
+      
+    } catch (error) {
+      logger.error('MCP: Failed to cancel outbox message:', error);
+      return {
+        success: false,
+        error: error.message,
+        id: params.id
+      };
+    }
+  }
+
+  async listDrafts(params) {
+    try {
+      logger.info('MCP: Listing drafts');
+      
+      const drafts = await this.bot.storage.drafts.list({
+        status: params.status || null,
+        conversationId: params.conversation_id || null
+      });
+      
+      return {
+        success: true,
+        data: {
+          drafts,
+          count: drafts.length,
+          approval: this.approval.describe()
+        }
+      };
+      
+    } catch (error) {
+      logger.error('MCP: Failed to list drafts:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async suggestReply(params) {
+    try {
+      logger.info(`MCP: Suggesting replies for conversation ${params.conversation_id}`);
+      
+      const result = await this.replySuggester.suggest(params.conversation_id, {
+        count: params.count ?? MAX_SUGGESTIONS,
+        instructions: params.instructions || null
+      });
+      
+      return {
+        success: true,
+        data: { ...result, sent: false, approval_required: true }
+      };
+      
+    } catch (error) {
+      logger.error('MCP: Failed to suggest replies:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   async getBotStatus(params) {
     try {
       logger.info('MCP: Getting bot status');
@@ -328,14 +998,21 @@ export class MCPServer {
             page_active: this.bot.page !== null,
             listening: this.bot.isListening,
             current_conversation: this.bot.currentConversation,
+            listeners: this.bot.getListenerStatus(),
             initialized_at: this.bot.initializedAt || null
           },
           storage: storageStats,
+          outbox: await this.bot.storage.outbox.counts(),
+          approval: { ...this.approval.describe(), drafts: await this.bot.storage.drafts.counts() },
+          send_policy: { ...this.bot.policy.describe(), ...await this.bot.policy.usage() },
           capabilities: {
             stealth_mode: true,
             captcha_solving: !!process.env.ANTICAPTCHA_API_KEY,
             auto_login: !!(process.env.USER_EMAIL && process.env.USER_PASSWORD),
-            live_listening: true
+            live_listening: true,
+            reply_suggestions: this.replySuggester.nlp.modelName,
+            max_listeners: this.bot.maxListeners,
+            selector_profile: describeProfile(this.bot.selectors)
           },
           checked_at: new Date().toISOString()
         }
@@ -350,27 +1027,167 @@ export class MCPServer {
     }
   }
 
-  getMatchContext(text, query, contextLength = 50) {
-    const queryIndex = text.toLowerCase().indexOf(query.toLowerCase());
-    if (queryIndex === -1) return text;
-    
-    const start = Math.max(0, queryIndex - contextLength);
-    const end = Math.min(text.length, queryIndex + query.length + contextLength);
-    
-    let context = text.substring(start, end);
-    
-    if (start > 0) context = '...' + context;
-    if (end < text.length) context = context + '...';
-    
-    return context;
-  }
-
   // MCP Server Protocol Implementation
-  start() {
+  start(options = {}) {
     logger.info('MCP Server started - Tools available:');
     Object.keys(this.tools).forEach(toolName => {
       logger.info(`  - ${toolName}: ${this.tools[toolName].description}`);
     });
+
+    // Tool calls wait for this (e.g. browser launch + login) before running
+    this.ready = options.ready || null;
+
+    if (options.transport === 'stdio') {
+      this.transport = new StdioTransport();
+      this.transport.onClose = options.onClose || null;
+      this.transport.start(message => this.handleMessage(message));
+
+      // Push live messages to the client as they arrive
+      this.onBotMessage = event => this.transport?.send(this.buildMessageNotification(event));
+      this.bot.events?.on('message', this.onBotMessage);
+    }
+  }
+
+  stop() {
+    if (this.onBotMessage) {
+      this.bot.events?.off('message', this.onBotMessage);
+      this.onBotMessage = null;
+    }
+
+    if (this.transport) {
+      this.transport.close();
+      this.transport = null;
+    }
+  }
+
+  async handleMessage(message) {
+    if (Array.isArray(message)) {
+      if (message.length === 0) {
+        return jsonRpcError(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request: empty batch');
+      }
+      const responses = await Promise.all(message.map(item => this.handleMessage(item)));
+      const filtered = responses.filter(Boolean);
+      return filtered.length > 0 ? filtered : null;
+    }
+
+    const isNotification = message && typeof message === 'object' && !('id' in message);
+
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      // Responses from the client (we never send requests) are silently ignored
+      if (message && message.jsonrpc === '2.0' && ('result' in message || 'error' in message)) {
+        return null;
+      }
+      return jsonRpcError(message?.id, JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request');
+    }
+
+    try {
+      const result = await this.dispatch(message.method, message.params || {});
+      return isNotification ? null : jsonRpcResult(message.id, result);
+
+    } catch (error) {
+      if (isNotification) {
+        logger.warn(`MCP: Notification ${message.method} failed: ${error.message}`);
+        return null;
+      }
+      if (error instanceof JsonRpcError) {
+        return jsonRpcError(message.id, error.code, error.message, error.data);
+      }
+      logger.error(`MCP: Request ${message.method} failed:`, error);
+      return jsonRpcError(message.id, JSONRPC_ERRORS.INTERNAL_ERROR, error.message);
+    }
+  }
+
+  async dispatch(method, params) {
+    switch (method) {
+      case 'initialize':
+        return this.handleInitialize(params);
+      case 'notifications/initialized':
+      case 'notifications/cancelled':
+        return null;
+      case 'ping':
+      case 'logging/setLevel':
+        return {};
+      case 'tools/list':
+        return { tools: this.getAllToolSchemas() };
+      case 'tools/call':
+        return await this.handleToolsCall(params);
+      case 'resources/list':
+        return { resources: await this.listResources() };
+      case 'resources/templates/list':
+        return { resourceTemplates: this.getResourceTemplates() };
+      case 'resources/read':
+        return await this.readResource(params);
+      default:
+        throw new JsonRpcError(JSONRPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  handleInitialize(params) {
+    this.clientInfo = params.clientInfo || null;
+    this.protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+      ? params.protocolVersion
+      : SUPPORTED_PROTOCOL_VERSIONS[0];
+
+    logger.info(`MCP: Client connected: ${this.clientInfo?.name || 'unknown'} (protocol ${this.protocolVersion})`);
+
+    return {
+      protocolVersion: this.protocolVersion,
+      capabilities: {
+        tools: { listChanged: false },
+        resources: { subscribe: false, listChanged: false },
+        logging: {}
+      },
+      serverInfo: {
+        name: 'internshala-bot',
+        version: '1.0.0'
+      }
+    };
+  }
+
+  // Live messages are delivered as MCP logging notifications so any client can surface them
+  buildMessageNotification(event) {
+    return {
+      jsonrpc: '2.0',
+      method: 'notifications/message',
+      params: {
+        level: 'info',
+        logger: 'internshala.messages',
+        data: event
+      }
+    };
+  }
+
+  async handleToolsCall(params) {
+    const toolName = params.name;
+    const args = params.arguments || {};
+
+    if (typeof toolName !== 'string' || !this.tools[toolName]) {
+      throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${toolName}`, {
+        available_tools: Object.keys(this.tools)
+      });
+    }
+
+    if (typeof args !== 'object' || Array.isArray(args)) {
+      throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, 'Tool arguments must be an object');
+    }
+
+    const missing = (this.tools[toolName].inputSchema.required || []).filter(key => args[key] === undefined);
+    if (missing.length > 0) {
+      throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Missing required arguments: ${missing.join(', ')}`);
+    }
+
+    const result = await this.handleToolCall(toolName, args);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result.success ? result.data : result, null, 2)
+        }
+      ],
+      structuredContent: result,
+      isError: !result.success
+    };
   }
 
   async handleToolCall(toolName, params) {
@@ -383,8 +1200,14 @@ export class MCPServer {
     }
     
     try {
+      if (this.ready) {
+        await this.ready;
+      }
+
       logger.info(`MCP: Executing tool ${toolName} with params:`, params);
-      const result = await this.tools[toolName].handler(params);
+      const result = this.tools[toolName].usesBrowser
+        ? await this.runWithBrowser(() => this.tools[toolName].handler(params))
+        : await this.tools[toolName].handler(params);
       logger.info(`MCP: Tool ${toolName} completed successfully`);
       return result;
       
@@ -399,6 +1222,105 @@ export class MCPServer {
     }
   }
 
+  // Read-only resources: stored conversations and exported CSV files (no browser needed)
+  async listResources() {
+    const resources = [];
+
+    const historyData = await this.bot.storage.loadChatHistory();
+    for (const [conversationId, conversation] of Object.entries(historyData)) {
+      resources.push({
+        uri: `${CONVERSATION_URI_PREFIX}${encodeURIComponent(conversationId)}`,
+        name: `Conversation ${conversationId}`,
+        description: `${conversation.messageCount || 0} stored messages, last updated ${conversation.lastUpdated || 'never'}`,
+        mimeType: 'application/json'
+      });
+    }
+
+    const files = await this.bot.storage.csvExporter.listExportedFiles();
+    for (const file of files) {
+      resources.push({
+        uri: `${EXPORT_URI_PREFIX}${encodeURIComponent(file.filename)}`,
+        name: file.filename,
+        description: `CSV export modified ${file.modified.toISOString()}`,
+        mimeType: 'text/csv',
+        size: file.size
+      });
+    }
+
+    return resources;
+  }
+
+  getResourceTemplates() {
+    return [
+      {
+        uriTemplate: `${CONVERSATION_URI_PREFIX}{conversation_id}`,
+        name: 'Stored conversation',
+        description: 'Messages stored locally for a conversation',
+        mimeType: 'application/json'
+      },
+      {
+        uriTemplate: `${EXPORT_URI_PREFIX}{filename}`,
+        name: 'Exported CSV file',
+        description: 'A CSV file from the exports directory',
+        mimeType: 'text/csv'
+      }
+    ];
+  }
+
+  async readResource(params) {
+    const uri = params.uri;
+
+    if (typeof uri !== 'string') {
+      throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, 'Missing required parameter: uri');
+    }
+
+    if (uri.startsWith(CONVERSATION_URI_PREFIX)) {
+      const conversationId = decodeURIComponent(uri.slice(CONVERSATION_URI_PREFIX.length));
+      const historyData = await this.bot.storage.loadChatHistory();
+
+      if (!historyData[conversationId]) {
+        throw new JsonRpcError(JSONRPC_ERRORS.RESOURCE_NOT_FOUND, 'Resource not found', { uri });
+      }
+
+      return {
+        contents: [{
+          uri,
+          mimeType: 'application/json',
+          text: JSON.stringify({ conversation_id: conversationId, ...historyData[conversationId] }, null, 2)
+        }]
+      };
+    }
+
+    if (uri.startsWith(EXPORT_URI_PREFIX)) {
+      const filename = decodeURIComponent(uri.slice(EXPORT_URI_PREFIX.length));
+
+      // Only files the exporter lists are readable, which rules out path traversal
+      const files = await this.bot.storage.csvExporter.listExportedFiles();
+      const file = files.find(f => f.filename === filename);
+
+      if (!file) {
+        throw new JsonRpcError(JSONRPC_ERRORS.RESOURCE_NOT_FOUND, 'Resource not found', { uri });
+      }
+
+      return {
+        contents: [{
+          uri,
+          mimeType: 'text/csv',
+          text: await fs.readFile(file.path, 'utf8')
+        }]
+      };
+    }
+
+    throw new JsonRpcError(JSONRPC_ERRORS.RESOURCE_NOT_FOUND, 'Resource not found', { uri });
+  }
+
+  // Tools that drive the shared page run one at a time so concurrent clients don't navigate over each other
+  runWithBrowser(task) {
+    const run = this.browserQueue.then(task, task);
+    this.browserQueue = run.catch(() => {});
+    return run;
+  }
+
   getToolSchema(toolName) {
     if (!this.tools[toolName]) {
       return null;
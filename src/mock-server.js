@@ -0,0 +1,781 @@
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { logger } from '../utils/logger.js';
+import { TimestampResolver } from './timestamps.js';
+
+const DEFAULT_FIXTURES = fileURLToPath(new URL('../fixtures/internshala-mock.json', import.meta.url));
+const SESSION_COOKIE = 'mock_session';
+const MAX_BODY_SIZE = 1024 * 1024;
+const THREAD_PAGE_SIZE = 6;
+const INBOX_PAGE_SIZE = 2;
+const LISTING_PAGE_SIZE = 8;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+class MockHttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'MockHttpError';
+    this.status = status;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// JSON that is safe to inline in a <script> block
+function inlineJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Offline stand-in for the parts of internshala.com the bot uses: student login, dashboard, chat inbox,
+// chat threads (older messages load when the thread is scrolled to the top, new ones are polled) and
+// internship listings. Markup matches selectors/default.json and the chat API returns JSON in the shape
+// the network extraction strategy understands. Point the bot at it with INTERNSHALA_BASE_URL.
+export class MockInternshalaServer {
+  constructor(options = {}) {
+    this.host = options.host || '127.0.0.1';
+    this.port = parseInt(options.port ?? process.env.MOCK_PORT ?? 4010);
+    this.fixturesFile = options.fixtures || DEFAULT_FIXTURES;
+    // Delay on chat API responses, so loading states and lazy history behave like the real site
+    this.latency = parseInt(options.latency ?? 150);
+    this.timestamps = new TimestampResolver({ timeZone: options.timeZone });
+
+    this.server = null;
+    this.sessions = new Set();
+    this.state = null;
+
+    this.routes = [
+      { method: 'GET', pattern: /^\/$/, handler: this.home.bind(this) },
+      { method: 'GET', pattern: /^\/login\/student$/, handler: this.loginPage.bind(this) },
+      { method: 'POST', pattern: /^\/login\/student$/, handler: this.login.bind(this) },
+      { method: 'GET', pattern: /^\/logout$/, handler: this.logout.bind(this) },
+      { method: 'GET', pattern: /^\/student\/dashboard$/, handler: this.dashboard.bind(this), auth: true },
+      { method: 'GET', pattern: /^\/chat$/, handler: this.inboxPage.bind(this), auth: true },
+      { method: 'GET', pattern: /^\/chat\/api\/conversations$/, handler: this.listConversations.bind(this), auth: true },
+      { method: 'GET', pattern: /^\/chat\/api\/conversations\/([^/]+)\/messages$/, handler: this.listMessages.bind(this), auth: true },
+      { method: 'POST', pattern: /^\/chat\/api\/conversations\/([^/]+)\/messages$/, handler: this.postMessage.bind(this), auth: true },
+      { method: 'GET', pattern: /^\/chat\/attachments\/([^/]+)\/([^/]+)\/([^/]+)$/, handler: this.attachment.bind(this), auth: true },
+      { method: 'GET', pattern: /^\/chat\/([^/]+)$/, handler: this.threadPage.bind(this), auth: true },
+      { method: 'GET', pattern: /^\/internships((?:\/(?!page-)[^/]+)*)(?:\/page-(\d+))?\/?$/, handler: this.listingPage.bind(this) },
+      { method: 'GET', pattern: /^\/internship\/detail\/([^/]+)$/, handler: this.detailPage.bind(this) },
+      // Test controls
+      { method: 'GET', pattern: /^\/__mock\/state$/, handler: this.getState.bind(this) },
+      { method: 'POST', pattern: /^\/__mock\/reset$/, handler: this.reset.bind(this) },
+      { method: 'POST', pattern: /^\/__mock\/conversations\/([^/]+)\/messages$/, handler: this.injectMessage.bind(this) }
+    ];
+  }
+
+  get baseUrl() {
+    return `http://${this.host}:${this.port}`;
+  }
+
+  async start() {
+    await this.loadFixtures();
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    // Reflect the real port when started with port 0
+    this.port = this.server.address().port;
+    logger.info(`Mock Internshala server listening on ${this.baseUrl}`);
+    return this.baseUrl;
+  }
+
+  async stop() {
+    if (this.server) {
+      this.server.closeAllConnections?.();
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+      logger.info('Mock Internshala server stopped');
+    }
+  }
+
+  // Fixture times are given as minutes before startup so "Today" / "Yesterday" labels stay meaningful
+  async loadFixtures() {
+    const fixtures = JSON.parse(await fs.readFile(this.fixturesFile, 'utf8'));
+    const now = Date.now();
+
+    this.state = {
+      student: fixtures.student,
+      internships: fixtures.internships || [],
+      conversations: (fixtures.conversations || []).map(conversation => ({
+        id: conversation.id,
+        name: conversation.name,
+        title: conversation.title || '',
+        messages: conversation.messages.map(message => ({
+          id: message.id,
+          from: message.from === 'student' ? 'student' : 'employer',
+          sender: message.from === 'student' ? fixtures.student.name : message.sender || conversation.name,
+          text: message.text,
+          sent_at: new Date(now - (message.minutes_ago || 0) * 60000).toISOString(),
+          attachments: (message.attachments || []).map(attachment => ({ ...attachment }))
+        }))
+      })),
+      sent: []
+    };
+    this.sessions.clear();
+  }
+
+  // Adds a message from the employer, as if they had just replied; open threads pick it up on their next poll
+  pushIncomingMessage(conversationId, text, sender = null) {
+    const conversation = this.findConversation(conversationId);
+    const message = {
+      id: `m-${crypto.randomUUID().slice(0, 8)}`,
+      from: 'employer',
+      sender: sender || conversation.messages.find(m => m.from === 'employer')?.sender || conversation.name,
+      text,
+      sent_at: new Date().toISOString(),
+      attachments: []
+    };
+    conversation.messages.push(message);
+    return message;
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, this.baseUrl);
+
+    try {
+      const route = this.routes.find(r => r.method === req.method && r.pattern.test(url.pathname));
+      if (!route) {
+        throw new MockHttpError(404, 'Not found');
+      }
+
+      if (route.auth && !this.isLoggedIn(req)) {
+        if (url.pathname.includes('/api/')) {
+          throw new MockHttpError(401, 'Login required');
+        }
+        this.redirect(res, '/login/student');
+        return;
+      }
+
+      const params = url.pathname.match(route.pattern).slice(1).map(value => value === undefined ? undefined : decodeURIComponent(value));
+      await route.handler(req, res, { params, query: url.searchParams });
+
+    } catch (error) {
+      const status = error instanceof MockHttpError ? error.status : 500;
+      if (status === 500) {
+        logger.error(`Mock server: ${req.method} ${url.pathname} failed:`, error);
+      }
+      if (!res.headersSent) {
+        if (url.pathname.includes('/api/') || url.pathname.startsWith('/__mock/')) {
+          this.sendJson(res, status, { success: false, error: error.message });
+        } else {
+          this.sendHtml(res, this.layout('Error', `<div class="error_page"><h1>${status}</h1><p>${escapeHtml(error.message)}</p></div>`), status);
+        }
+      } else {
+        res.end();
+      }
+    }
+  }
+
+  // Helpers
+
+  isLoggedIn(req) {
+    const cookies = Object.fromEntries((req.headers.cookie || '').split(';').map(part => {
+      const [name, ...value] = part.trim().split('=');
+      return [name, value.join('=')];
+    }));
+    return this.sessions.has(cookies[SESSION_COOKIE]);
+  }
+
+  async readBody(req) {
+    let body = '';
+    for await (const chunk of req) {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        throw new MockHttpError(413, 'Request body too large');
+      }
+    }
+
+    const type = req.headers['content-type'] || '';
+    if (type.includes('application/json')) {
+      try {
+        return JSON.parse(body || '{}');
+      } catch {
+        throw new MockHttpError(400, 'Invalid JSON body');
+      }
+    }
+    return Object.fromEntries(new URLSearchParams(body));
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  sendHtml(res, html, status = 200, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+    res.end(html);
+  }
+
+  redirect(res, location, headers = {}) {
+    res.writeHead(302, { Location: location, ...headers });
+    res.end();
+  }
+
+  delay() {
+    return new Promise(resolve => setTimeout(resolve, this.latency));
+  }
+
+  findConversation(conversationId) {
+    const conversation = this.state.conversations.find(c => c.id === conversationId);
+    if (!conversation) {
+      throw new MockHttpError(404, `Conversation not found: ${conversationId}`);
+    }
+    return conversation;
+  }
+
+  // Chat API shape: server ids, HTML bodies, sender objects and ISO timestamps
+  toApiMessage(conversation, message) {
+    return {
+      message_id: message.id,
+      conversation_id: conversation.id,
+      message: escapeHtml(message.text).replace(/\n/g, '<br>'),
+      sender: { name: message.sender, type: message.from },
+      is_sender: message.from === 'student',
+      created_at: message.sent_at,
+      attachments: message.attachments.map(attachment => ({
+        file_name: attachment.name,
+        mime_type: attachment.mime_type,
+        size: Buffer.byteLength(attachment.content || ''),
+        url: `/chat/attachments/${encodeURIComponent(conversation.id)}/${encodeURIComponent(message.id)}/${encodeURIComponent(attachment.name)}`
+      }))
+    };
+  }
+
+  dayLabel(iso) {
+    const day = this.timestamps.zonedParts(new Date(iso));
+    const today = this.timestamps.today();
+    const yesterday = this.timestamps.shiftDay(today, -1);
+    const same = other => other.year === day.year && other.month === day.month && other.day === day.day;
+    if (same(today)) return 'Today';
+    if (same(yesterday)) return 'Yesterday';
+    return `${day.day} ${MONTHS[day.month]} ${day.year}`;
+  }
+
+  layout(title, body, script = '') {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} | Internshala (mock)</title>
+<style>
+  body { font-family: sans-serif; margin: 0; }
+  header { background: #008bdc; color: #fff; padding: 10px 20px; }
+  header a { color: #fff; margin-right: 15px; }
+  main { padding: 20px; }
+  .chat-container { height: 420px; overflow-y: auto; border: 1px solid #ddd; padding: 10px; }
+  .message_container { display: flex; margin: 8px 0; }
+  .message_container.message_sender { justify-content: flex-end; }
+  .message_inner { max-width: 70%; min-height: 48px; padding: 8px 12px; border-radius: 8px; background: #f1f1f1; }
+  .message_inner.message_sender { background: #d7efff; }
+  .date_separator { text-align: center; color: #888; margin: 12px 0; }
+  .chat_list_item { display: block; padding: 10px; border-bottom: 1px solid #eee; color: inherit; text-decoration: none; }
+  .individual_internship { border: 1px solid #eee; padding: 12px; margin-bottom: 10px; }
+</style>
+</head>
+<body>
+<header><a href="/">Internshala</a><a href="/internships">Internships</a><a href="/chat">Chats</a></header>
+<main>
+${body}
+</main>
+${script ? `<script>\n${script}\n</script>` : ''}
+</body>
+</html>`;
+  }
+
+  // Pages
+
+  async home(req, res) {
+    this.redirect(res, this.isLoggedIn(req) ? '/student/dashboard' : '/login/student');
+  }
+
+  async loginPage(req, res, { error = null } = {}) {
+    if (this.isLoggedIn(req)) {
+      this.redirect(res, '/student/dashboard');
+      return;
+    }
+
+    this.sendHtml(res, this.layout('Login', `
+<div class="login-container">
+  <h1>Student Login</h1>
+  ${error ? `<div class="login-error">${escapeHtml(error)}</div>` : ''}
+  <form method="post" action="/login/student" id="login-form">
+    <input type="email" id="email" name="email" placeholder="Email" required>
+    <input type="password" id="password" name="password" placeholder="Password" required>
+    <button type="submit" id="login_submit">Login</button>
+  </form>
+</div>`), error ? 401 : 200);
+  }
+
+  async login(req, res) {
+    const body = await this.readBody(req);
+    const { email, password } = this.state.student;
+
+    if (body.email !== email || body.password !== password) {
+      await this.loginPage(req, res, { error: 'Incorrect email or password' });
+      return;
+    }
+
+    const token = crypto.randomUUID();
+    this.sessions.add(token);
+    this.redirect(res, '/student/dashboard', {
+      'Set-Cookie': `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Lax`
+    });
+  }
+
+  async logout(req, res) {
+    this.redirect(res, '/login/student', {
+      'Set-Cookie': `${SESSION_COOKIE}=; Path=/; Max-Age=0`
+    });
+  }
+
+  async dashboard(req, res) {
+    this.sendHtml(res, this.layout('Dashboard', `
+<div class="dashboard-container student-dashboard">
+  <h1>Welcome, <span class="student-name">${escapeHtml(this.state.student.name)}</span></h1>
+  <div class="user-profile">${escapeHtml(this.state.student.email)}</div>
+  <a href="/chat">Go to chats</a>
+</div>`));
+  }
+
+  inboxSummary(conversation) {
+    const last = conversation.messages[conversation.messages.length - 1];
+    return {
+      conversation_id: conversation.id,
+      name: conversation.name,
+      title: conversation.title,
+      last_message: last?.text || '',
+      last_message_at: last?.sent_at || null
+    };
+  }
+
+  sortedConversations() {
+    return [...this.state.conversations].sort((a, b) => {
+      const last = conversation => conversation.messages[conversation.messages.length - 1]?.sent_at || '';
+      return last(b).localeCompare(last(a));
+    });
+  }
+
+  inboxItem(summary) {
+    const time = summary.last_message_at ? this.dayLabel(summary.last_message_at) : '';
+    return `<a class="chat_list_item" data-conversation-id="${escapeHtml(summary.conversation_id)}" href="/chat/${encodeURIComponent(summary.conversation_id)}">
+    <div class="name">${escapeHtml(summary.name)}</div>
+    <div class="internship_title">${escapeHtml(summary.title)}</div>
+    <div class="last_message">${escapeHtml(summary.last_message)}</div>
+    <div class="last_message_time">${escapeHtml(time)}</div>
+  </a>`;
+  }
+
+  async inboxPage(req, res) {
+    const conversations = this.sortedConversations();
+    const firstPage = conversations.slice(0, INBOX_PAGE_SIZE).map(c => this.inboxItem(this.inboxSummary(c))).join('\n  ');
+    const hasMore = conversations.length > INBOX_PAGE_SIZE;
+
+    const script = `
+const list = document.getElementById('conversation_list');
+const button = document.getElementById('load_more_conversations');
+let offset = ${INBOX_PAGE_SIZE};
+button.addEventListener('click', async () => {
+  button.disabled = true;
+  const response = await fetch('/chat/api/conversations?offset=' + offset + '&limit=${INBOX_PAGE_SIZE}');
+  const data = await response.json();
+  list.insertAdjacentHTML('beforeend', data.html);
+  offset += data.conversations.length;
+  button.disabled = false;
+  if (!data.has_more) button.style.display = 'none';
+});`;
+
+    this.sendHtml(res, this.layout('Chats', `
+<h1>Chats</h1>
+<div class="chat_list" id="conversation_list">
+  ${firstPage}
+</div>
+<button type="button" id="load_more_conversations"${hasMore ? '' : ' style="display:none"'}>Load more</button>`, script));
+  }
+
+  async threadPage(req, res, { params }) {
+    const conversation = this.findConversation(params[0]);
+
+    const script = `
+(() => {
+  const conversationId = ${inlineJson(conversation.id)};
+  const timeZone = ${inlineJson(this.timestamps.timeZone)};
+  const api = '/chat/api/conversations/' + encodeURIComponent(conversationId) + '/messages';
+  const chat = document.querySelector('.chat-container');
+  const history = document.getElementById('history');
+  const loading = document.querySelector('.chat-loading');
+  const input = document.getElementById('message-input');
+  const sendButton = document.querySelector('.send-btn');
+
+  let oldestId = null;
+  let newestId = null;
+  let hasMore = true;
+  let busy = false;
+
+  const dayKey = iso => new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(iso));
+  const dayLabel = iso => {
+    const key = dayKey(iso);
+    if (key === dayKey(new Date().toISOString())) return 'Today';
+    if (key === dayKey(new Date(Date.now() - 86400000).toISOString())) return 'Yesterday';
+    return new Intl.DateTimeFormat('en-GB', { timeZone, day: 'numeric', month: 'short', year: 'numeric' }).format(new Date(iso));
+  };
+  const clock = iso => new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', minute: '2-digit' })
+    .format(new Date(iso)).replace(/\\s+/g, ' ');
+
+  const separator = iso => {
+    const element = document.createElement('div');
+    element.className = 'date_separator';
+    element.dataset.day = dayKey(iso);
+    element.textContent = dayLabel(iso);
+    return element;
+  };
+
+  const bubble = message => {
+    const side = message.is_sender ? 'message_sender' : 'message_receiver';
+    const wrapper = document.createElement('div');
+    wrapper.className = 'message_container ' + side;
+    wrapper.dataset.id = message.message_id;
+    wrapper.dataset.day = dayKey(message.created_at);
+
+    const inner = document.createElement('div');
+    inner.className = 'message_inner ' + side;
+    inner.dataset.id = message.message_id;
+    inner.innerHTML =
+      (message.is_sender ? '' : '<span class="sender-name"></span>') +
+      '<div class="message-text">' + message.message + '</div>' +
+      message.attachments.map(() => '<div class="attachment"><a></a></div>').join('') +
+      '<time class="time"></time>';
+    if (!message.is_sender) inner.querySelector('.sender-name').textContent = message.sender.name;
+    inner.querySelectorAll('.attachment a').forEach((link, index) => {
+      link.href = message.attachments[index].url;
+      link.textContent = message.attachments[index].file_name;
+    });
+    const time = inner.querySelector('.time');
+    time.textContent = clock(message.created_at);
+    time.setAttribute('title', message.created_at);
+
+    wrapper.appendChild(inner);
+    return wrapper;
+  };
+
+  const append = messages => {
+    for (const message of messages) {
+      const last = history.querySelector('.message_container:last-of-type');
+      if (!last || last.dataset.day !== dayKey(message.created_at)) history.appendChild(separator(message.created_at));
+      history.appendChild(bubble(message));
+      newestId = message.message_id;
+      if (!oldestId) oldestId = message.message_id;
+    }
+  };
+
+  const prepend = messages => {
+    if (messages.length === 0) return;
+    const fragment = document.createDocumentFragment();
+    let day = null;
+    for (const message of messages) {
+      const key = dayKey(message.created_at);
+      if (key !== day) fragment.appendChild(separator(message.created_at));
+      day = key;
+      fragment.appendChild(bubble(message));
+    }
+    // The batch may end on the day the loaded history starts with; keep a single separator
+    const first = history.firstElementChild;
+    if (first && first.classList.contains('date_separator') && first.dataset.day === day) first.remove();
+    history.insertBefore(fragment, history.firstChild);
+    oldestId = messages[0].message_id;
+  };
+
+  const loadOlder = async () => {
+    if (busy || !hasMore) return;
+    busy = true;
+    loading.style.display = '';
+    const fromBottom = chat.scrollHeight - chat.scrollTop;
+    const response = await fetch(api + '?limit=${THREAD_PAGE_SIZE}' + (oldestId ? '&before=' + encodeURIComponent(oldestId) : ''));
+    const data = await response.json();
+    if (oldestId) prepend(data.messages); else append(data.messages);
+    hasMore = data.has_more;
+    loading.style.display = 'none';
+    chat.scrollTop = chat.scrollHeight - fromBottom;
+    busy = false;
+    if (hasMore && chat.scrollHeight <= chat.clientHeight) loadOlder();
+  };
+
+  const poll = async () => {
+    if (!newestId) return;
+    const response = await fetch(api + '?after=' + encodeURIComponent(newestId));
+    if (!response.ok) return;
+    const data = await response.json();
+    if (data.messages.length > 0) {
+      const atBottom = chat.scrollHeight - chat.scrollTop - chat.clientHeight < 40;
+      append(data.messages);
+      if (atBottom) chat.scrollTop = chat.scrollHeight;
+    }
+  };
+
+  const send = async () => {
+    const text = input.value.trim();
+    if (!text) return;
+    input.value = '';
+    const response = await fetch(api, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: text })
+    });
+    const data = await response.json();
+    await poll();
+    if (data.message && !history.querySelector('[data-id="' + CSS.escape(data.message.message_id) + '"]')) append([data.message]);
+    chat.scrollTop = chat.scrollHeight;
+  };
+
+  chat.addEventListener('scroll', () => {
+    if (chat.scrollTop < 40) loadOlder();
+  });
+  sendButton.addEventListener('click', send);
+  input.addEventListener('keydown', event => {
+    if (event.key === 'Enter' && !event.shiftKey) {
+      event.preventDefault();
+      send();
+    }
+  });
+
+  loadOlder().then(() => {
+    chat.scrollTop = chat.scrollHeight;
+    setInterval(poll, 1000);
+  });
+})();`;
+
+    this.sendHtml(res, this.layout(conversation.name, `
+<div class="chat_header">
+  <h2 class="name">${escapeHtml(conversation.name)}</h2>
+  <div class="internship_title">${escapeHtml(conversation.title)}</div>
+</div>
+<div class="chat-container" id="chat_box">
+  <div class="chat-loading" style="display:none">Loading...</div>
+  <div id="history"></div>
+</div>
+<div class="chat-input">
+  <textarea id="message-input" placeholder="Type your message"></textarea>
+  <button type="button" class="send-btn">Send</button>
+</div>`, script));
+  }
+
+  // Chat API
+
+  async listConversations(req, res, { query }) {
+    await this.delay();
+    const offset = parseInt(query.get('offset') || 0);
+    const limit = parseInt(query.get('limit') || INBOX_PAGE_SIZE);
+    const conversations = this.sortedConversations();
+    const page = conversations.slice(offset, offset + limit).map(c => this.inboxSummary(c));
+
+    this.sendJson(res, 200, {
+      success: true,
+      conversations: page,
+      has_more: offset + limit < conversations.length,
+      html: page.map(summary => this.inboxItem(summary)).join('\n')
+    });
+  }
+
+  // ?before=<id> pages back through history, ?after=<id> returns anything newer (polling)
+  async listMessages(req, res, { params, query }) {
+    await this.delay();
+    const conversation = this.findConversation(params[0]);
+    const messages = conversation.messages;
+    const limit = parseInt(query.get('limit') || THREAD_PAGE_SIZE);
+
+    let page;
+    let hasMore = false;
+    if (query.has('after')) {
+      const index = messages.findIndex(m => m.id === query.get('after'));
+      page = index === -1 ? [] : messages.slice(index + 1);
+    } else {
+      const end = query.has('before') ? messages.findIndex(m => m.id === query.get('before')) : messages.length;
+      if (end === -1) {
+        throw new MockHttpError(400, `Unknown message: ${query.get('before')}`);
+      }
+      page = messages.slice(Math.max(0, end - limit), end);
+      hasMore = end - limit > 0;
+    }
+
+    this.sendJson(res, 200, {
+      success: true,
+      conversation_id: conversation.id,
+      messages: page.map(message => this.toApiMessage(conversation, message)),
+      has_more: hasMore
+    });
+  }
+
+  async postMessage(req, res, { params }) {
+    await this.delay();
+    const conversation = this.findConversation(params[0]);
+    const body = await this.readBody(req);
+
+    if (typeof body.message !== 'string' || !body.message.trim()) {
+      throw new MockHttpError(400, 'Message text is required');
+    }
+
+    const message = {
+      id: `m-${crypto.randomUUID().slice(0, 8)}`,
+      from: 'student',
+      sender: this.state.student.name,
+      text: body.message.trim(),
+      sent_at: new Date().toISOString(),
+      attachments: []
+    };
+    conversation.messages.push(message);
+    this.state.sent.push({ conversation_id: conversation.id, ...message });
+
+    this.sendJson(res, 201, { success: true, message: this.toApiMessage(conversation, message) });
+  }
+
+  async attachment(req, res, { params }) {
+    const [conversationId, messageId, name] = params;
+    const message = this.findConversation(conversationId).messages.find(m => m.id === messageId);
+    const attachment = message?.attachments.find(a => a.name === name);
+    if (!attachment) {
+      throw new MockHttpError(404, 'Attachment not found');
+    }
+
+    const content = Buffer.from(attachment.content || '');
+    res.writeHead(200, {
+      'Content-Type': attachment.mime_type || 'application/octet-stream',
+      'Content-Length': content.length,
+      'Content-Disposition': `attachment; filename="${attachment.name}"`
+    });
+    res.end(content);
+  }
+
+  // Internship listings
+
+  detailPath(internship) {
+    return `/internship/detail/${slugify(internship.title)}-internship-at-${slugify(internship.company)}${internship.id}`;
+  }
+
+  // /internships followed by any of /[work-from-home-][<category>-]internship[-in-<city>], /part-time-true
+  // and /stipend-<minimum>, then an optional /page-N
+  async listingPage(req, res, { params }) {
+    const [filterPath = '', pageNumber] = params;
+    let internships = this.state.internships;
+
+    for (const segment of filterPath.split('/').filter(Boolean)) {
+      const search = segment.match(/^(work-from-home-)?(?:([a-z0-9-]+?)-)?internships?(?:-in-([a-z0-9-]+))?$/);
+      const stipend = segment.match(/^stipend-(\d+)$/);
+      if (search) {
+        const [, workFromHome, category, city] = search;
+        if (workFromHome) internships = internships.filter(i => i.location === 'Work From Home');
+        if (category) internships = internships.filter(i => i.category === category);
+        if (city) internships = internships.filter(i => slugify(i.location) === city);
+      } else if (segment === 'part-time-true') {
+        internships = internships.filter(i => i.part_time);
+      } else if (stipend) {
+        internships = internships.filter(i => parseInt(String(i.stipend).replace(/,/g, '').match(/\d+/)?.[0] || 0) >= parseInt(stipend[1]));
+      } else {
+        throw new MockHttpError(404, 'Not found');
+      }
+    }
+
+    const totalPages = Math.max(1, Math.ceil(internships.length / LISTING_PAGE_SIZE));
+    const page = parseInt(pageNumber || 1);
+    if (page > totalPages) {
+      throw new MockHttpError(404, 'Page not found');
+    }
+
+    const base = `/internships${filterPath}`;
+    const cards = internships.slice((page - 1) * LISTING_PAGE_SIZE, page * LISTING_PAGE_SIZE).map(internship => `
+<div class="individual_internship" internshipid="${escapeHtml(internship.id)}" data-href="${this.detailPath(internship)}">
+  <h3 class="job-internship-name"><a class="job-title-href" href="${this.detailPath(internship)}">${escapeHtml(internship.title)}</a></h3>
+  <p class="company-name">${escapeHtml(internship.company)}</p>
+  <div class="row-1-item locations"><span><a>${escapeHtml(internship.location)}</a></span></div>
+  <div class="row-1-item"><i class="ic-16-money"></i><span class="stipend">${escapeHtml(internship.stipend)}</span></div>
+  <div class="row-1-item"><i class="ic-16-calendar"></i><span class="duration">${escapeHtml(internship.duration)}</span></div>
+  ${internship.apply_by ? `<div class="apply_by"><span>Apply By</span><div class="item_body">${escapeHtml(internship.apply_by)}</div></div>` : ''}
+  ${internship.posted ? `<div class="status-container"><span class="status status-success">${escapeHtml(internship.posted)}</span></div>` : ''}
+  ${internship.part_time ? '<div class="part_time_badge">Part time</div>' : ''}
+  ${internship.actively_hiring ? '<div class="actively-hiring-badge">Actively hiring</div>' : ''}
+</div>`).join('');
+
+    this.sendHtml(res, this.layout('Internships', `
+<h1>${internships.length} Internships</h1>
+<div id="internship_list_container_1">${cards || '<div class="no_results">No internships found</div>'}</div>
+<div id="pagination">
+  ${page > 1 ? `<a id="navigation-backward" href="${base}/page-${page - 1}">Previous</a>` : ''}
+  <span id="pageNumber">${page}</span> of <span id="total_pages">${totalPages}</span>
+  ${page < totalPages ? `<a id="navigation-forward" href="${base}/page-${page + 1}">Next</a>` : ''}
+</div>`));
+  }
+
+  async detailPage(req, res, { params }) {
+    const internship = this.state.internships.find(i => params[0] === this.detailPath(i).split('/').pop());
+    if (!internship) {
+      throw new MockHttpError(404, 'Internship not found');
+    }
+
+    this.sendHtml(res, this.layout(`${internship.title} internship at ${internship.company}`, `
+<div class="detail_view" internshipid="${escapeHtml(internship.id)}">
+  <h1 class="heading_4_5 profile">${escapeHtml(internship.title)}</h1>
+  <div class="company_name"><a>${escapeHtml(internship.company)}</a></div>
+  <div id="location_names"><span><a>${escapeHtml(internship.location)}</a></span></div>
+  <div class="other_detail_item start_date"><span>Start date</span><div class="item_body">${escapeHtml(internship.start)}</div></div>
+  <div class="other_detail_item duration"><span>Duration</span><div class="item_body">${escapeHtml(internship.duration)}</div></div>
+  <div class="other_detail_item stipend_container"><span>Stipend</span><span class="stipend">${escapeHtml(internship.stipend)}</span></div>
+  ${internship.apply_by ? `<div class="other_detail_item apply_by"><span>Apply By</span><div class="item_body">${escapeHtml(internship.apply_by)}</div></div>` : ''}
+  ${internship.applicants !== undefined ? `<div class="applications_message">${escapeHtml(internship.applicants)} applicants</div>` : ''}
+  <div class="internship_details">
+    <h2 class="about_heading">About the internship</h2>
+    <div class="text-container">${escapeHtml(internship.description)}</div>
+    <h3 class="skills_heading">Skill(s) required</h3>
+    <div class="round_tabs_container">${(internship.skills || []).map(skill => `<span class="round_tabs">${escapeHtml(skill)}</span>`).join('')}</div>
+    ${internship.who_can_apply ? `<h3 class="who_can_apply_heading">Who can apply</h3><div class="text-container who_can_apply">${escapeHtml(internship.who_can_apply)}</div>` : ''}
+    ${internship.perks?.length ? `<h3 class="perks_heading">Perks</h3><div class="round_tabs_container">${internship.perks.map(perk => `<span class="round_tabs">${escapeHtml(perk)}</span>`).join('')}</div>` : ''}
+    ${internship.openings !== undefined ? `<h3 class="openings_heading">Number of openings</h3><div class="text-container openings">${escapeHtml(internship.openings)}</div>` : ''}
+  </div>
+  <button type="button" id="easy_apply_button" class="btn btn-large">Apply now</button>
+</div>`));
+  }
+
+  // Test controls
+
+  async getState(req, res) {
+    this.sendJson(res, 200, {
+      success: true,
+      data: {
+        base_url: this.baseUrl,
+        sessions: this.sessions.size,
+        conversations: this.state.conversations.map(c => ({ id: c.id, name: c.name, message_count: c.messages.length })),
+        sent: this.state.sent
+      }
+    });
+  }
+
+  async reset(req, res) {
+    await this.loadFixtures();
+    this.sendJson(res, 200, { success: true });
+  }
+
+  async injectMessage(req, res, { params }) {
+    const body = await this.readBody(req);
+    if (typeof body.text !== 'string' || !body.text.trim()) {
+      throw new MockHttpError(400, 'Body must include a non-empty "text" string');
+    }
+
+    const conversation = this.findConversation(params[0]);
+    const message = this.pushIncomingMessage(conversation.id, body.text.trim(), body.sender);
+    this.sendJson(res, 201, { success: true, message: this.toApiMessage(conversation, message) });
+  }
+}
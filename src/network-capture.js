@@ -0,0 +1,262 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { TimestampResolver, PRECISION } from './timestamps.js';
+
+export const EXTRACTION_STRATEGIES = ['dom', 'network'];
+
+// Field names seen in chat APIs for each part of a message, in order of preference
+const ID_FIELDS = ['id', 'message_id', 'msg_id', '_id', 'uuid'];
+const TEXT_FIELDS = ['message', 'text', 'body', 'content', 'message_text', 'msg'];
+const TIME_FIELDS = ['created_at', 'createdAt', 'sent_at', 'sentAt', 'timestamp', 'time', 'date', 'created_on'];
+const SENDER_FIELDS = ['sender_name', 'senderName', 'sender', 'from', 'author', 'user', 'user_name', 'name'];
+const SENDER_NAME_FIELDS = ['name', 'full_name', 'fullName', 'display_name', 'first_name'];
+const SENDER_TYPE_FIELDS = ['sender_type', 'senderType', 'user_type', 'from_type'];
+// On a nested sender object `type` and `role` describe the sender rather than the message
+const SENDER_OBJECT_TYPE_FIELDS = ['type', 'role', 'user_type'];
+const OWN_FLAGS = ['is_sender', 'is_own', 'is_mine', 'is_self', 'sent_by_me', 'from_me', 'self', 'outgoing', 'mine'];
+const OWN_SENDER_TYPES = ['student', 'candidate', 'self', 'me', 'sent', 'outgoing'];
+const CONVERSATION_FIELDS = ['conversation_id', 'conversationId', 'chat_id', 'chatId', 'thread_id', 'room_id'];
+const ATTACHMENT_FIELDS = ['attachments', 'files', 'attachment', 'file'];
+const ATTACHMENT_URL_FIELDS = ['url', 'file_url', 'download_url', 'link', 'src', 'path'];
+const ATTACHMENT_NAME_FIELDS = ['name', 'file_name', 'filename', 'original_name', 'title'];
+
+const MAX_DEPTH = 8;
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function pick(object, fields) {
+  for (const field of fields) {
+    const value = object[field];
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  return undefined;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Chat APIs often return the rendered HTML of a message
+function toPlainText(value) {
+  return String(value)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#\d+|#x[\da-f]+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1));
+        // fromCodePoint throws past the last Unicode code point (&#99999999;)
+        return point <= 0x10FFFF ? String.fromCodePoint(point) : entity;
+      }
+      return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+    })
+    .trim();
+}
+
+function textHash(text) {
+  return crypto.createHash('sha1').update(text).digest('hex').slice(0, 12);
+}
+
+function looksLikeMessage(item) {
+  if (!isPlainObject(item)) return false;
+  const content = typeof pick(item, TEXT_FIELDS) === 'string' || pick(item, ATTACHMENT_FIELDS) !== undefined;
+  return content && (pick(item, ID_FIELDS) !== undefined || pick(item, TIME_FIELDS) !== undefined);
+}
+
+// Captures the JSON the chat UI fetches (page 'response' events) and turns any message lists in it into
+// our Message shape, with the server's ids, senders and timestamps. Payload formats aren't documented, so
+// message lists are found structurally: arrays of objects with a text field plus an id or a time.
+export class ChatNetworkCapture {
+  constructor(options = {}) {
+    this.urlPattern = options.urlPattern || new RegExp(process.env.CHAT_API_PATTERN || 'api|chat', 'i');
+    this.timestamps = options.timestamps || new TimestampResolver();
+    this.conversationId = null;
+    this.payloads = [];
+    this.pending = new Set();
+  }
+
+  get active() {
+    return this.conversationId !== null;
+  }
+
+  begin(conversationId) {
+    this.conversationId = String(conversationId);
+    this.payloads = [];
+    this.pending.clear();
+  }
+
+  // Stops capturing and returns the messages parsed from everything seen since begin()
+  async end() {
+    await Promise.allSettled(Array.from(this.pending));
+
+    const conversationId = this.conversationId;
+    const payloads = this.payloads;
+    this.conversationId = null;
+    this.payloads = [];
+
+    return this.extractMessages(payloads, conversationId);
+  }
+
+  handleResponse(response) {
+    if (!this.active || !this.urlPattern.test(response.url())) return;
+
+    const contentType = response.headers()['content-type'] || '';
+    if (!contentType.includes('json')) return;
+
+    const task = response.json()
+      .then(body => this.payloads.push({ url: response.url(), body }))
+      .catch(error => logger.debug(`Could not read JSON from ${response.url()}: ${error.message}`))
+      .finally(() => this.pending.delete(task));
+    this.pending.add(task);
+  }
+
+  // Payloads whose URL names the conversation win; the rest (e.g. inbox previews) are only used when
+  // none of those contained messages
+  extractMessages(payloads, conversationId) {
+    const specific = payloads.filter(payload => conversationId && payload.url.includes(conversationId));
+    const general = payloads.filter(payload => !specific.includes(payload));
+
+    let messages = specific.flatMap(payload => this.parsePayload(payload.body, conversationId, payload.url));
+    if (messages.length === 0) {
+      messages = general.flatMap(payload => this.parsePayload(payload.body, conversationId, payload.url));
+    }
+
+    const unique = new Map();
+    let previous = null;
+    for (const message of messages) {
+      // Same rule as DOM extraction: no usable time means just after the message before it
+      if (!message.timestamp) {
+        message.timestamp = new Date(previous ? new Date(previous).getTime() + 1000 : Date.now()).toISOString();
+      }
+      previous = message.timestamp;
+      unique.set(message.id, message);
+    }
+
+    const sorted = Array.from(unique.values());
+    sorted.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    logger.info(`Parsed ${sorted.length} messages from ${payloads.length} captured chat API responses`);
+    return sorted;
+  }
+
+  parsePayload(body, conversationId = null, baseUrl = undefined) {
+    const messages = [];
+
+    const visit = (node, depth) => {
+      if (depth > MAX_DEPTH || node === null || typeof node !== 'object') return;
+
+      if (Array.isArray(node)) {
+        const candidates = node.filter(looksLikeMessage);
+        if (candidates.length > 0 && candidates.length >= node.length / 2) {
+          for (const item of candidates) {
+            const message = this.toMessage(item, conversationId, baseUrl);
+            if (message) messages.push(message);
+          }
+          return;
+        }
+        node.forEach(child => visit(child, depth + 1));
+        return;
+      }
+
+      Object.values(node).forEach(child => visit(child, depth + 1));
+    };
+
+    visit(body, 0);
+    return messages;
+  }
+
+  toMessage(item, conversationId = null, baseUrl = undefined) {
+    const itemConversation = pick(item, CONVERSATION_FIELDS);
+    if (conversationId && itemConversation !== undefined && String(itemConversation) !== conversationId) {
+      return null;
+    }
+
+    const attachments = this.parseAttachments(item, baseUrl);
+    // File-only messages read as their file names, like the link text the DOM strategy sees
+    const text = toPlainText(pick(item, TEXT_FIELDS) ?? '') ||
+                 attachments.map(attachment => attachment.name || attachment.url).join(', ');
+    if (!text) return null;
+
+    const own = this.isOwnMessage(item);
+    const rawTime = pick(item, TIME_FIELDS);
+    const time = this.parseTime(rawTime);
+    const id = pick(item, ID_FIELDS);
+
+    const message = {
+      // Without a server id, the same message in two responses gets the same id, and two messages sent at once don't
+      id: id !== undefined ? String(id) : `${conversationId || 'msg'}_${rawTime}_${textHash(text)}`,
+      text,
+      sender: this.senderName(item) || (own ? 'me' : 'other'),
+      timestamp: time ? time.toISOString() : null,
+      raw_time: rawTime !== undefined ? String(rawTime) : null,
+      timestamp_precision: time ? PRECISION.EXACT : PRECISION.ESTIMATED,
+      type: own ? 'sent' : 'received',
+      source: 'network'
+    };
+
+    if (attachments.length > 0) {
+      message.attachments = attachments;
+    }
+    return message;
+  }
+
+  // Epoch seconds or milliseconds, or any date string TimestampResolver understands (chat timezone)
+  parseTime(value) {
+    if (value === undefined) return null;
+
+    if (typeof value === 'number' || /^\d{9,13}$/.test(String(value))) {
+      const number = Number(value);
+      return new Date(number < 1e12 ? number * 1000 : number);
+    }
+
+    const resolved = this.timestamps.resolve(String(value), { assumeDay: false });
+    return resolved?.timestamp || null;
+  }
+
+  senderName(item) {
+    const sender = pick(item, SENDER_FIELDS);
+    if (typeof sender === 'string') return sender.trim();
+    if (isPlainObject(sender)) {
+      const name = pick(sender, SENDER_NAME_FIELDS);
+      return typeof name === 'string' ? name.trim() : null;
+    }
+    return null;
+  }
+
+  isOwnMessage(item) {
+    const sender = isPlainObject(item.sender) ? item.sender : {};
+
+    for (const source of [item, sender]) {
+      const flag = pick(source, OWN_FLAGS);
+      if (flag !== undefined) return flag === true || flag === 1 || flag === '1' || flag === 'true';
+    }
+
+    const type = pick(item, SENDER_TYPE_FIELDS) ?? pick(sender, SENDER_OBJECT_TYPE_FIELDS);
+    if (typeof type === 'string') return OWN_SENDER_TYPES.includes(type.toLowerCase());
+
+    return false;
+  }
+
+  // Relative URLs are resolved against the API response they came from
+  parseAttachments(item, baseUrl = undefined) {
+    const value = pick(item, ATTACHMENT_FIELDS);
+    if (!value) return [];
+
+    const entries = Array.isArray(value) ? value : [value];
+    const absolute = url => {
+      try {
+        return new URL(url, baseUrl).href;
+      } catch {
+        return null;
+      }
+    };
+
+    return entries
+      .map(entry => {
+        if (typeof entry === 'string') return { name: null, url: absolute(entry) };
+        if (!isPlainObject(entry)) return null;
+        const url = pick(entry, ATTACHMENT_URL_FIELDS);
+        return typeof url === 'string' ? { name: pick(entry, ATTACHMENT_NAME_FIELDS) || null, url: absolute(url) } : null;
+      })
+      .filter(attachment => attachment?.url && /^https?:/i.test(attachment.url));
+  }
+}
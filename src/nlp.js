@@ -1,25 +1,59 @@
 import { logger } from '../utils/logger.js';
 import { SmartMatcher } from './smart-matching.js';
+import { TimestampResolver } from './timestamps.js';
 
+const COMMAND_SYSTEM_PROMPT = 'You are a command interpreter for an Internshala chat automation bot. Convert natural language to structured commands.';
+
+// Gemini or OpenAI, whichever key is set. `options.model` replaces both with any object that has
+// `complete(prompt, { system, maxTokens, temperature })` resolving to the reply text, e.g. a local stub.
 export class NLPProcessor {
-  constructor() {
+  constructor(options = {}) {
+    this.model = options.model || null;
     this.geminiApiKey = process.env.GEMINI_API_KEY;
     this.openaiApiKey = process.env.OPENAI_API_KEY;
     this.smartMatcher = new SmartMatcher();
     
-    if (!this.geminiApiKey && !this.openaiApiKey) {
+    if (!this.hasModel()) {
       logger.warn('No LLM API key found. Natural language processing will be limited.');
     }
   }
 
+  hasModel() {
+    return !!(this.model || this.geminiApiKey || this.openaiApiKey);
+  }
+
+  get modelName() {
+    if (this.model) return this.model.name || 'custom';
+    if (this.geminiApiKey) return 'gemini';
+    if (this.openaiApiKey) return 'openai';
+    return null;
+  }
+
+  // Raw text completion from whichever model is configured
+  async complete(prompt, options = {}) {
+    const settings = { system: null, maxTokens: 200, temperature: 0.1, ...options };
+    
+    if (this.model) {
+      return this.model.complete(prompt, settings);
+    } else if (this.geminiApiKey) {
+      return this.completeWithGemini(prompt, settings);
+    } else if (this.openaiApiKey) {
+      return this.completeWithOpenAI(prompt, settings);
+    }
+    throw new Error('No LLM configured (set GEMINI_API_KEY or OPENAI_API_KEY)');
+  }
+
   async processNaturalLanguage(userInput, availableCommands = []) {
     try {
       logger.info(`🧠 Processing natural language: "${userInput}"`);
       
-      if (this.geminiApiKey) {
-        return await this.processWithGemini(userInput, availableCommands);
-      } else if (this.openaiApiKey) {
-        return await this.processWithOpenAI(userInput, availableCommands);
+      if (this.hasModel()) {
+        const response = await this.complete(this.buildPrompt(userInput, availableCommands), {
+          system: COMMAND_SYSTEM_PROMPT,
+          maxTokens: 200,
+          temperature: 0.1
+        });
+        return this.parseAIResponse(response);
       } else {
         return this.fallbackProcessing(userInput);
       }
@@ -29,9 +63,7 @@ export class NLPProcessor {
     }
   }
 
-  async processWithGemini(userInput, availableCommands) {
-    const prompt = this.buildPrompt(userInput, availableCommands);
-    
+  async completeWithGemini(prompt, { system, maxTokens, temperature }) {
     const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent?key=${this.geminiApiKey}`, {
       method: 'POST',
       headers: {
@@ -40,9 +72,13 @@ export class NLPProcessor {
       body: JSON.stringify({
         contents: [{
           parts: [{
-            text: prompt
+            text: system ? `${system}\n\n${prompt}` : prompt
           }]
-        }]
+        }],
+        generationConfig: {
+          maxOutputTokens: maxTokens,
+          temperature
+        }
       })
     });
 
@@ -51,18 +87,16 @@ export class NLPProcessor {
     }
 
     const data = await response.json();
-    const result = data.candidates[0]?.content?.parts[0]?.text;
+    const result = data.candidates?.[0]?.content?.parts?.[0]?.text;
     
     if (result) {
-      return this.parseAIResponse(result);
+      return result;
     } else {
       throw new Error('No response from Gemini');
     }
   }
 
-  async processWithOpenAI(userInput, availableCommands) {
-    const prompt = this.buildPrompt(userInput, availableCommands);
-    
+  async completeWithOpenAI(prompt, { system, maxTokens, temperature }) {
     const response = await fetch('https://api.openai.com/v1/chat/completions', {
       method: 'POST',
       headers: {
@@ -72,17 +106,14 @@ export class NLPProcessor {
       body: JSON.stringify({
         model: 'gpt-3.5-turbo',
         messages: [
-          {
-            role: 'system',
-            content: 'You are a command interpreter for an Internshala chat automation bot. Convert natural language to structured commands.'
-          },
+          ...(system ? [{ role: 'system', content: system }] : []),
           {
             role: 'user',
             content: prompt
           }
         ],
-        max_tokens: 200,
-        temperature: 0.1
+        max_tokens: maxTokens,
+        temperature
       })
     });
 
@@ -91,10 +122,10 @@ export class NLPProcessor {
     }
 
     const data = await response.json();
-    const result = data.choices[0]?.message?.content;
+    const result = data.choices?.[0]?.message?.content;
     
     if (result) {
-      return this.parseAIResponse(result);
+      return result;
     } else {
       throw new Error('No response from OpenAI');
     }
@@ -113,8 +144,9 @@ Available Commands:
 - conversations: List available conversations
 - history <conv_id>: Fetch chat history for conversation
 - send <conv_id> <message>: Send message to conversation
+- template <conv_id> <template_name>: Fill a saved message template for a conversation and preview it before sending
 - listen <conv_id>: Start listening for new messages
-- search <query>: Search messages
+- search <query>: Search messages (optional "filters" object, see below)
 - quit: Exit the program
 
 User Input: "${userInput}"
@@ -127,11 +159,17 @@ Analyze the user's intent and respond with ONLY a JSON object in this format:
   "interpretation": "What the user wants to do"
 }
 
+For "search", the query parameter may be empty and you may add a "filters" object with any of:
+conversation_name, sender, type ("sent" or "received"), since / until (YYYY-MM-DD or relative like "7d", "12h", "2w"),
+has_links (true/false), has_attachments (true/false), min_length (number), sort ("relevance", "newest", "oldest").
+
 Examples:
 - "show me all my chats" → {"command": "conversations", "parameters": [], "confidence": 0.9, "interpretation": "User wants to see all conversations"}
 - "send hello to conversation 123" → {"command": "send", "parameters": ["123", "hello"], "confidence": 0.95, "interpretation": "User wants to send 'hello' to conversation 123"}
+- "send the follow_up template to conv_789" → {"command": "template", "parameters": ["conv_789", "follow_up"], "confidence": 0.9, "interpretation": "User wants to send the follow_up template to conversation conv_789"}
 - "get chat history for conv_456" → {"command": "history", "parameters": ["conv_456"], "confidence": 0.9, "interpretation": "User wants chat history for conversation conv_456"}
 - "search for internship messages" → {"command": "search", "parameters": ["internship"], "confidence": 0.85, "interpretation": "User wants to search for messages containing 'internship'"}
+- "what did recruiters send me last week with a link" → {"command": "search", "parameters": [""], "filters": {"type": "received", "since": "7d", "has_links": true}, "confidence": 0.85, "interpretation": "User wants received messages from the last 7 days that contain a link"}
 - "start listening to conversation abc123" → {"command": "listen", "parameters": ["abc123"], "confidence": 0.9, "interpretation": "User wants to listen for new messages in conversation abc123"}
 
 Respond with ONLY the JSON object, no other text.
@@ -154,6 +192,9 @@ Respond with ONLY the JSON object, no other text.
       if (!parsed.command || !Array.isArray(parsed.parameters)) {
         throw new Error('Invalid response structure');
       }
+      if (parsed.filters !== undefined && (typeof parsed.filters !== 'object' || Array.isArray(parsed.filters))) {
+        delete parsed.filters;
+      }
       
       logger.info(`🎯 AI interpreted: ${parsed.interpretation} (confidence: ${parsed.confidence})`);
       return parsed;
@@ -170,8 +211,28 @@ Respond with ONLY the JSON object, no other text.
     
     const input = userInput.toLowerCase().trim();
     
+    // "last week", "with a link", "that I sent" and the like only narrow a message search, even
+    // without a search keyword ("what did recruiters send me last week with a link")
+    const search = this.extractSearchFilters(input);
+    if (Object.keys(search.filters).length > 0 && !/\b(?:internships?|template|extract)\b/.test(input)) {
+      return {
+        command: 'search',
+        parameters: this.extractSearchQuery(search.remainder),
+        filters: search.filters,
+        confidence: 0.7,
+        interpretation: 'Fallback interpretation: search command detected'
+      };
+    }
+    
     // Simple keyword-based matching
     const patterns = [
+      {
+        // Checked first: template requests also mention "send", "chat" or "message"
+        keywords: ['template'],
+        command: 'template',
+        parameters: this.extractTemplateParameters(input),
+        confidence: 0.8
+      },
       {
         keywords: ['extract', 'chat', 'messages', 'download chat', 'get messages'],
         command: 'extract_chats',
@@ -229,7 +290,8 @@ Respond with ONLY the JSON object, no other text.
       {
         keywords: ['search', 'find', 'look for'],
         command: 'search',
-        parameters: this.extractSearchQuery(input),
+        parameters: this.extractSearchQuery(this.extractSearchFilters(input).remainder),
+        filters: this.extractSearchFilters(input).filters,
         confidence: 0.7
       },
       {
@@ -251,6 +313,7 @@ Respond with ONLY the JSON object, no other text.
         return {
           command: pattern.command,
           parameters: pattern.parameters,
+          ...(pattern.filters ? { filters: pattern.filters } : {}),
           confidence: pattern.confidence,
           interpretation: `Fallback interpretation: ${pattern.command} command detected`
         };
@@ -309,6 +372,24 @@ Respond with ONLY the JSON object, no other text.
     return [];
   }
 
+  // [conv_id, template_name] from "send the follow_up template to conv_123", "use template thank_you for abc"
+  extractTemplateParameters(input) {
+    const templatePatterns = [
+      [/([\w-]+)\s+template\s+(?:to|for|in|with)\s+(?:conversation\s+|conv\s+|chat\s+)?([\w-]+)/i, m => [m[2], m[1]]],
+      [/template\s+"?([\w-]+)"?\s+(?:to|for|in|with)\s+(?:conversation\s+|conv\s+|chat\s+)?([\w-]+)/i, m => [m[2], m[1]]],
+      [/(?:to|for|message|tell)\s+(?:conversation\s+|conv\s+|chat\s+)?([\w-]+)\s+(?:using|with)\s+(?:the\s+)?([\w-]+)\s+template/i, m => [m[1], m[2]]]
+    ];
+
+    for (const [pattern, toParameters] of templatePatterns) {
+      const match = input.match(pattern);
+      if (match && !['the', 'a', 'my'].includes(match[1])) {
+        return toParameters(match);
+      }
+    }
+
+    return [];
+  }
+
   extractSearchQuery(input) {
     // Extract search query
     const searchPatterns = [
@@ -319,6 +400,7 @@ Respond with ONLY the JSON object, no other text.
       /find\s+messages?\s+about\s+(.+)/i,
       /look\s+for\s+messages?\s+containing\s+(.+)/i,
       /search\s+for\s+(.+)/i,
+      /search\s+(.+)/i,
       /find\s+(.+)/i
     ];
 
@@ -332,6 +414,48 @@ Respond with ONLY the JSON object, no other text.
     return [];
   }
 
+  // Pulls search_messages filters out of phrases like "last week", "with a link", "that I sent".
+  // Returns the filters plus the input with those phrases removed, for extractSearchQuery.
+  extractSearchFilters(input, now = new Date()) {
+    const filters = {};
+    let remainder = input;
+
+    // Calendar days in the chat timezone, matching how search reads YYYY-MM-DD
+    const timestamps = new TimestampResolver({ now: () => now });
+    const localDate = date => timestamps.formatDate(date);
+    const daysAgo = days => timestamps.toInstant(timestamps.shiftDay(timestamps.today(), -days));
+
+    const rules = [
+      [/\b(?:in\s+the\s+)?(?:last|past)\s+(\d+)\s+(hour|day|week)s?\b/i, m => { filters.since = `${m[1]}${m[2][0].toLowerCase()}`; }],
+      [/\b(?:last|past)\s+week\b/i, () => { filters.since = '7d'; }],
+      [/\b(?:last|past)\s+month\b/i, () => { filters.since = '30d'; }],
+      [/\bthis\s+week\b/i, () => { filters.since = localDate(daysAgo((timestamps.zonedParts(now).weekday + 6) % 7)); }],
+      [/\byesterday\b/i, () => { filters.since = filters.until = localDate(daysAgo(1)); }],
+      [/\btoday\b/i, () => { filters.since = localDate(now); }],
+      [/\b(?:since|after)\s+(\d{4}-\d{2}-\d{2})\b/i, m => { filters.since = m[1]; }],
+      [/\b(?:before|until)\s+(\d{4}-\d{2}-\d{2})\b/i, m => { filters.until = m[1]; }],
+      [/\bwith(?:\s+an?)?\s+links?\b|\bcontaining\s+(?:an?\s+)?links?\b/i, () => { filters.has_links = true; }],
+      [/\bwith(?:\s+an?)?\s+(?:attachments?|files?)\b/i, () => { filters.has_attachments = true; }],
+      [/\b(?:longer|more)\s+than\s+(\d+)\s+(?:characters|chars)\b/i, m => { filters.min_length = parseInt(m[1]); }],
+      [/\b(?:from|in)\s+(?:conversation|chat)\s+(?:with\s+)?"([^"]+)"/i, m => { filters.conversation_name = m[1]; }],
+      [/\bfrom\s+"([^"]+)"/i, m => { filters.sender = m[1]; }],
+      [/\b(?:that\s+)?i\s+sent\b|\bsent\s+by\s+me\b|\bmy\s+(?:own\s+)?(?:messages|replies)\b/i, () => { filters.type = 'sent'; }],
+      [/\b(?:recruiters?|companies|employers?|hr)\s+(?:sent|send)(?:\s+me)?\b|\b(?:sent|send)\s+(?:to\s+)?me\b|\breceived\b/i, () => { filters.type = 'received'; }],
+      [/\b(?:newest|latest|most\s+recent)\s+first\b/i, () => { filters.sort = 'newest'; }],
+      [/\boldest\s+first\b/i, () => { filters.sort = 'oldest'; }]
+    ];
+
+    for (const [pattern, apply] of rules) {
+      const match = remainder.match(pattern);
+      if (match) {
+        apply(match);
+        remainder = remainder.replace(pattern, ' ');
+      }
+    }
+
+    return { filters, remainder: remainder.replace(/\s+/g, ' ').trim() };
+  }
+
   // Smart conversation ID suggestions
   async suggestConversationId(userInput, availableConversations = []) {
     if (availableConversations.length === 0) {
@@ -372,6 +496,10 @@ Respond with ONLY the JSON object, no other text.
       suggestions.push('💡 Try: "send hello to conv_123" or "tell conv_123 your message here"');
     }
 
+    if (command === 'template' && parameters.length < 2) {
+      suggestions.push('💡 Try: "send the follow_up template to conv_123"');
+    }
+
     if (command === 'search' && parameters.length === 0) {
       suggestions.push('💡 Try: "search for internship" or "find messages about interview"');
     }
@@ -0,0 +1,86 @@
+import { logger } from '../utils/logger.js';
+import { SendPolicyError } from './send-policy.js';
+
+const DEFAULT_INTERVAL_SECONDS = 30;
+
+// Sends due outbox messages from inside the long-running bot (the `serve` daemon). Each send goes
+// through `runExclusive` (the MCP server's browser queue) so it never navigates the page while a tool
+// call is using it.
+export class OutboxWorker {
+  constructor(bot, options = {}) {
+    this.bot = bot;
+    this.outbox = bot.storage.outbox;
+    this.interval = parseInt(options.interval ?? process.env.OUTBOX_POLL_SECONDS ?? DEFAULT_INTERVAL_SECONDS) * 1000;
+    this.runExclusive = options.runExclusive || (task => task());
+    this.timer = null;
+    this.running = null;
+  }
+
+  async start() {
+    await this.outbox.recoverInterrupted();
+    this.timer = setInterval(() => this.tick(), this.interval);
+    logger.info(`Outbox worker started (checking every ${this.interval / 1000}s)`);
+    await this.tick();
+  }
+
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      await this.running;
+      logger.info('Outbox worker stopped');
+    }
+  }
+
+  // Overlapping ticks are skipped while a previous batch is still sending
+  tick() {
+    if (!this.running) {
+      this.running = this.sendDue().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async sendDue() {
+    while (this.timer) {
+      let entry;
+      try {
+        entry = await this.outbox.claimNext();
+      } catch (error) {
+        logger.error('Outbox: failed to read due messages:', error);
+        return;
+      }
+      if (!entry) return;
+
+      logger.info(`Outbox: sending ${entry.id} to ${entry.conversation_id} (attempt ${entry.attempts}/${entry.max_attempts})`);
+      let message;
+      try {
+        message = await this.runExclusive(() => this.bot.sendMessage(entry.conversation_id, entry.text, {
+          idempotencyKey: entry.idempotency_key,
+          confirmFirstContact: entry.confirm_first_contact === true
+        }));
+      } catch (error) {
+        try {
+          if (error instanceof SendPolicyError) {
+            await this.outbox.markBlocked(entry.id, error);
+          } else {
+            await this.outbox.markFailed(entry.id, error);
+          }
+        } catch (recordError) {
+          logger.error(`Outbox: could not record failure of ${entry.id}:`, recordError);
+        }
+        continue;
+      }
+
+      // If this can't be recorded the entry stays "sending" and is retried on the next start, which
+      // finds its idempotency key already sent and doesn't post it again
+      try {
+        await this.outbox.markSent(entry.id, message);
+        logger.info(`Outbox: sent ${entry.id}`);
+      } catch (error) {
+        logger.error(`Outbox: ${entry.id} was sent but could not be marked as sent:`, error);
+      }
+    }
+  }
+}
@@ -0,0 +1,263 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { TimestampResolver } from './timestamps.js';
+
+// "sending" is held only while the worker is posting a message
+export const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed', 'cancelled'];
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 5 * 60 * 1000;
+// Small clock differences shouldn't reject "now"
+const PAST_TOLERANCE_MS = 60 * 1000;
+const DEFAULT_CLOCK = { hour: 9, minute: 0, second: 0 };
+const RELATIVE_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// When to send: an ISO timestamp (wall-clock values are read in CHAT_TIMEZONE), "30m" / "in 2h" / "3d" / "1w",
+// or "today" / "tomorrow" / "YYYY-MM-DD" with an optional time ("tomorrow 9:30 AM"; 9 AM when omitted)
+export function parseSendAt(value, timestamps = new TimestampResolver()) {
+  if (value instanceof Date) {
+    return value;
+  }
+
+  const text = String(value ?? '').trim();
+  if (!text) {
+    throw new Error('A send time is required');
+  }
+
+  const absolute = timestamps.parseAbsolute(text);
+  if (absolute) {
+    return absolute;
+  }
+
+  const relative = text.match(/^(?:in\s+)?(\d+)\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?|w|weeks?)$/i);
+  if (relative) {
+    return new Date(timestamps.now().getTime() + Number(relative[1]) * RELATIVE_UNITS[relative[2][0].toLowerCase()]);
+  }
+
+  const dayAndTime = text.match(/^(today|tomorrow|\d{4}-\d{2}-\d{2})(?:\s+(?:at\s+)?(.+))?$/i);
+  if (dayAndTime) {
+    const dayLabel = dayAndTime[1].toLowerCase();
+    const day = dayLabel === 'tomorrow'
+      ? timestamps.shiftDay(timestamps.today(), 1)
+      : timestamps.parseDay(dayLabel);
+    // parseClock needs minutes, so "9am" is read as "9:00 am"
+    const clockText = dayAndTime[2]?.replace(/^(\d{1,2})\s*([ap]\.?m\.?)$/i, '$1:00 $2');
+    const clock = clockText ? timestamps.parseClock(clockText) : DEFAULT_CLOCK;
+
+    if (day && clock) {
+      return timestamps.toInstant({ ...day, hour: clock.hour, minute: clock.minute, second: clock.second });
+    }
+  }
+
+  throw new Error(`Could not understand send time "${text}" (use an ISO timestamp, "30m", "2h", "3d", or "tomorrow 9:00 AM")`);
+}
+
+// Messages queued to be sent later, kept by the storage backend (outbox.json or the outbox table).
+// Entries move pending -> sending -> sent, or back to pending with a later next_attempt_at until
+// max_attempts is used up and they end as failed. Pending and failed entries can be edited (which
+// re-queues a failed one) or cancelled.
+export class Outbox {
+  constructor(getBackend, options = {}) {
+    this.getBackend = getBackend;
+    this.timestamps = options.timestamps || new TimestampResolver();
+    this.maxAttempts = parseInt(options.maxAttempts ?? process.env.OUTBOX_MAX_ATTEMPTS ?? DEFAULT_MAX_ATTEMPTS);
+    this.retryDelay = options.retryDelay ?? RETRY_DELAY_MS;
+  }
+
+  resolveSendAt(value) {
+    const sendAt = parseSendAt(value, this.timestamps);
+    if (sendAt.getTime() < this.timestamps.now().getTime() - PAST_TOLERANCE_MS) {
+      throw new Error(`Send time ${sendAt.toISOString()} is in the past`);
+    }
+    return sendAt;
+  }
+
+  async queue({ conversationId, text, sendAt, template = null, maxAttempts = null, confirmFirstContact = false }) {
+    if (!conversationId) {
+      throw new Error('A conversation ID is required');
+    }
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('Message text is required');
+    }
+
+    const now = new Date().toISOString();
+    const id = `ob_${crypto.randomBytes(6).toString('hex')}`;
+    const entry = {
+      id,
+      conversation_id: String(conversationId),
+      text,
+      // Passed to InternshalaBot.sendMessage, so retries of this entry can never post it twice
+      idempotency_key: id,
+      template,
+      // Lets the send policy post the first message to a conversation (given when queueing)
+      confirm_first_contact: confirmFirstContact === true,
+      send_at: this.resolveSendAt(sendAt).toISOString(),
+      status: 'pending',
+      attempts: 0,
+      max_attempts: maxAttempts || this.maxAttempts,
+      next_attempt_at: null,
+      last_error: null,
+      message_id: null,
+      created_at: now,
+      updated_at: now,
+      sent_at: null
+    };
+
+    const backend = await this.getBackend();
+    await backend.saveOutboxEntry(entry);
+    logger.info(`Queued message ${entry.id} for ${entry.conversation_id} at ${entry.send_at}`);
+    return entry;
+  }
+
+  async list({ status = null, conversationId = null } = {}) {
+    if (status && !OUTBOX_STATUSES.includes(status)) {
+      throw new Error(`Unknown outbox status "${status}" (expected one of: ${OUTBOX_STATUSES.join(', ')})`);
+    }
+
+    const backend = await this.getBackend();
+    return (await backend.loadOutbox())
+      .filter(entry => !status || entry.status === status)
+      .filter(entry => !conversationId || entry.conversation_id === String(conversationId))
+      .sort((a, b) => a.send_at.localeCompare(b.send_at));
+  }
+
+  async get(id) {
+    return (await this.list()).find(entry => entry.id === id) || null;
+  }
+
+  async counts() {
+    const counts = Object.fromEntries(OUTBOX_STATUSES.map(status => [status, 0]));
+    for (const entry of await this.list()) {
+      counts[entry.status] = (counts[entry.status] || 0) + 1;
+    }
+    return counts;
+  }
+
+  // Applies `change` to a stored entry, provided it is in one of the allowed statuses
+  async transition(id, allowed, change) {
+    const backend = await this.getBackend();
+    return backend.updateOutboxEntry(id, entry => {
+      if (!entry) {
+        throw new Error(`Outbox message not found: ${id}`);
+      }
+      if (!allowed.includes(entry.status)) {
+        throw new Error(`Outbox message ${id} is ${entry.status}; only ${allowed.join(' or ')} messages can be changed this way`);
+      }
+      return { ...entry, ...change(entry), updated_at: new Date().toISOString() };
+    });
+  }
+
+  async edit(id, { text = undefined, sendAt = undefined, confirmFirstContact = undefined } = {}) {
+    if (text === undefined && sendAt === undefined && confirmFirstContact === undefined) {
+      throw new Error('Nothing to change (give a new text and/or send time)');
+    }
+    if (text !== undefined && (typeof text !== 'string' || !text.trim())) {
+      throw new Error('Message text cannot be empty');
+    }
+    const newSendAt = sendAt !== undefined ? this.resolveSendAt(sendAt).toISOString() : undefined;
+
+    const entry = await this.transition(id, ['pending', 'failed'], current => ({
+      // New text is a different message, so it gets its own idempotency key
+      ...(text !== undefined ? { text, template: null, idempotency_key: `${id}_${crypto.randomBytes(3).toString('hex')}` } : {}),
+      ...(newSendAt ? { send_at: newSendAt } : {}),
+      ...(confirmFirstContact !== undefined ? { confirm_first_contact: confirmFirstContact === true } : {}),
+      // Editing a failed message queues it again with a fresh set of attempts
+      ...(current.status === 'failed' ? { status: 'pending', attempts: 0, last_error: null } : {}),
+      next_attempt_at: null
+    }));
+    logger.info(`Edited outbox message ${id}`);
+    return entry;
+  }
+
+  async cancel(id) {
+    const entry = await this.transition(id, ['pending', 'failed'], () => ({ status: 'cancelled', next_attempt_at: null }));
+    logger.info(`Cancelled outbox message ${id}`);
+    return entry;
+  }
+
+  dueAt(entry) {
+    return entry.next_attempt_at || entry.send_at;
+  }
+
+  // Moves the earliest due pending message to "sending" and returns it (null when nothing is due). One
+  // at a time, so a crash never leaves unsent messages claimed. The status check happens inside the
+  // backend update, so a message claimed or cancelled in the meantime is skipped.
+  async claimNext(now = new Date()) {
+    const due = (await this.list({ status: 'pending' }))
+      .filter(entry => new Date(this.dueAt(entry)) <= now)
+      .sort((a, b) => this.dueAt(a).localeCompare(this.dueAt(b)));
+    const backend = await this.getBackend();
+
+    for (const { id } of due) {
+      const entry = await backend.updateOutboxEntry(id, current => current?.status === 'pending'
+        ? { ...current, status: 'sending', attempts: current.attempts + 1, updated_at: new Date().toISOString() }
+        : null);
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  async markSent(id, message) {
+    return this.transition(id, ['sending'], () => ({
+      status: 'sent',
+      sent_at: new Date().toISOString(),
+      message_id: message?.id ?? null,
+      last_error: null,
+      next_attempt_at: null
+    }));
+  }
+
+  // Retries after a growing delay until max_attempts is reached
+  async markFailed(id, error) {
+    const entry = await this.transition(id, ['sending'], current => {
+      if (current.attempts < current.max_attempts) {
+        const delay = this.retryDelay * Math.pow(2, current.attempts - 1);
+        return {
+          status: 'pending',
+          last_error: error.message,
+          next_attempt_at: new Date(Date.now() + delay).toISOString()
+        };
+      }
+      return { status: 'failed', last_error: error.message, next_attempt_at: null };
+    });
+
+    if (entry.status === 'failed') {
+      logger.error(`Outbox message ${id} failed after ${entry.attempts} attempts: ${error.message}`);
+    } else {
+      logger.warn(`Outbox message ${id} failed (attempt ${entry.attempts}/${entry.max_attempts}), retrying at ${entry.next_attempt_at}: ${error.message}`);
+    }
+    return entry;
+  }
+
+  // A send the policy refused. When waiting clears it (caps, quiet hours) the entry goes back to pending
+  // for then, without using up an attempt; otherwise retrying can't help and it fails straight away.
+  async markBlocked(id, error) {
+    const entry = await this.transition(id, ['sending'], current => error.retryAt
+      ? { status: 'pending', attempts: current.attempts - 1, last_error: error.message, next_attempt_at: error.retryAt }
+      : { status: 'failed', last_error: error.message, next_attempt_at: null });
+
+    if (entry.status === 'failed') {
+      logger.error(`Outbox message ${id} was refused by the send policy: ${error.message}`);
+    } else {
+      logger.warn(`Outbox message ${id} held until ${entry.next_attempt_at}: ${error.message}`);
+    }
+    return entry;
+  }
+
+  // A "sending" entry was left by a process that stopped mid-send. It is retried like a failed attempt;
+  // the idempotency key makes the bot check the conversation first, so it is never posted twice.
+  async recoverInterrupted() {
+    const interrupted = await this.list({ status: 'sending' });
+    for (const { id } of interrupted) {
+      await this.transition(id, ['sending'], current => ({
+        status: current.attempts < current.max_attempts ? 'pending' : 'failed',
+        last_error: 'Interrupted while sending',
+        next_attempt_at: null
+      }));
+    }
+    if (interrupted.length > 0) {
+      logger.warn(`Recovered ${interrupted.length} outbox message(s) interrupted while sending`);
+    }
+    return interrupted.length;
+  }
+}
@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import { SearchQueryError } from './search-index.js';
+import { TimestampResolver } from './timestamps.js';
+
+// Structured message filters shared by the search_messages tool, GET /search, the CLI and NLP search.
+// Params use the tool's snake_case names.
+export const SEARCH_FILTER_PARAMS = [
+  'conversation_id', 'conversation_name', 'sender', 'type', 'since', 'until',
+  'has_links', 'has_attachments', 'min_length'
+];
+
+export const SORT_ORDERS = ['relevance', 'newest', 'oldest'];
+
+const MESSAGE_TYPES = ['sent', 'received'];
+// Same rule as the "Contains Links" CSV column
+const LINK_PATTERN = /https?:\/\/[^\s]+/;
+const RELATIVE_DATE_PATTERN = /^(\d+)\s*([hdw])$/i;
+const RELATIVE_UNITS_MS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// Accepts ISO dates/times or a relative age like "7d", "12h", "2w". Dates without an offset are read in
+// the chat timezone (CHAT_TIMEZONE). A date-only `until` covers that whole day.
+export function parseDateFilter(value, name, endOfDay = false, now = new Date()) {
+  if (value instanceof Date) return value;
+
+  const text = String(value).trim();
+  const relative = text.match(RELATIVE_DATE_PATTERN);
+  if (relative) {
+    return new Date(now.getTime() - parseInt(relative[1]) * RELATIVE_UNITS_MS[relative[2].toLowerCase()]);
+  }
+
+  const timestamps = new TimestampResolver({ now: () => now });
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const day = timestamps.parseDay(text);
+    if (day) {
+      return endOfDay
+        ? new Date(timestamps.toInstant(timestamps.shiftDay(day, 1)).getTime() - 1)
+        : timestamps.toInstant(day);
+    }
+  }
+
+  const date = timestamps.parseAbsolute(text) || new Date(text);
+  if (isNaN(date.getTime())) {
+    throw new SearchQueryError(`Invalid ${name} date: "${value}" (use YYYY-MM-DD, an ISO timestamp or e.g. 7d)`);
+  }
+  return date;
+}
+
+function parseBoolean(value, name) {
+  if (value === true || value === 'true' || value === '1' || value === 'yes') return true;
+  if (value === false || value === 'false' || value === '0' || value === 'no') return false;
+  throw new SearchQueryError(`${name} must be true or false`);
+}
+
+export function normalizeSearchFilters(params = {}) {
+  const filters = {};
+  const has = name => params[name] !== undefined && params[name] !== null && params[name] !== '';
+
+  if (has('conversation_id')) filters.conversationId = String(params.conversation_id);
+  if (has('conversation_name')) filters.conversationName = String(params.conversation_name).toLowerCase();
+  if (has('sender')) filters.sender = String(params.sender).toLowerCase().trim();
+
+  if (has('type')) {
+    if (!MESSAGE_TYPES.includes(params.type)) {
+      throw new SearchQueryError(`type must be one of: ${MESSAGE_TYPES.join(', ')}`);
+    }
+    filters.type = params.type;
+  }
+
+  if (has('since')) filters.since = parseDateFilter(params.since, 'since');
+  if (has('until')) filters.until = parseDateFilter(params.until, 'until', true);
+  if (filters.since && filters.until && filters.since > filters.until) {
+    throw new SearchQueryError('since must be before until');
+  }
+
+  if (has('has_links')) filters.hasLinks = parseBoolean(params.has_links, 'has_links');
+  if (has('has_attachments')) filters.hasAttachments = parseBoolean(params.has_attachments, 'has_attachments');
+
+  if (has('min_length')) {
+    const minLength = Number(params.min_length);
+    if (!Number.isInteger(minLength) || minLength < 0) {
+      throw new SearchQueryError('min_length must be a non-negative integer');
+    }
+    filters.minLength = minLength;
+  }
+
+  return filters;
+}
+
+export function normalizeSort(sort, query) {
+  if (!sort) return query && query.trim() ? 'relevance' : 'newest';
+  if (!SORT_ORDERS.includes(sort)) {
+    throw new SearchQueryError(`sort must be one of: ${SORT_ORDERS.join(', ')}`);
+  }
+  return sort;
+}
+
+export function createMessageFilter(filters) {
+  return (message, conversation) => {
+    if (filters.conversationId && conversation.id !== filters.conversationId) return false;
+    if (filters.conversationName && !(conversation.name || '').toLowerCase().includes(filters.conversationName)) return false;
+    // Matches from the start of a word, so "me" doesn't match "HR Acme"
+    if (filters.sender && !` ${(message.sender || '').toLowerCase()}`.includes(` ${filters.sender}`)) return false;
+    if (filters.type && message.type !== filters.type) return false;
+
+    if (filters.since || filters.until) {
+      const timestamp = new Date(message.timestamp);
+      if (isNaN(timestamp.getTime())) return false;
+      if (filters.since && timestamp < filters.since) return false;
+      if (filters.until && timestamp > filters.until) return false;
+    }
+
+    if (filters.hasLinks !== undefined && LINK_PATTERN.test(message.text || '') !== filters.hasLinks) return false;
+    if (filters.hasAttachments !== undefined && (message.attachments?.length > 0) !== filters.hasAttachments) return false;
+    if (filters.minLength !== undefined && (message.text || '').length < filters.minLength) return false;
+
+    return true;
+  };
+}
+
+// Cursors are opaque offsets tied to the search that produced them, so a cursor can't be replayed
+// against a different query or filter set
+export function searchFingerprint(query, params, sort) {
+  const relevant = { query: query || '', sort };
+  for (const name of SEARCH_FILTER_PARAMS) {
+    if (params[name] !== undefined && params[name] !== null && params[name] !== '') {
+      relevant[name] = String(params[name]);
+    }
+  }
+  return crypto.createHash('sha1').update(JSON.stringify(relevant)).digest('hex').slice(0, 12);
+}
+
+export function encodeCursor(offset, fingerprint) {
+  return Buffer.from(JSON.stringify({ o: offset, f: fingerprint })).toString('base64url');
+}
+
+export function decodeCursor(cursor, fingerprint) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new SearchQueryError('Invalid cursor');
+  }
+
+  if (!Number.isInteger(decoded?.o) || decoded.o < 0) {
+    throw new SearchQueryError('Invalid cursor');
+  }
+  if (decoded.f !== fingerprint) {
+    throw new SearchQueryError('Cursor belongs to a different search; repeat the original query and filters');
+  }
+  return decoded.o;
+}
@@ -0,0 +1,556 @@
+// In-memory full-text index over stored chat messages.
+//
+// Query syntax:
+//   offer letter            both terms (implicit AND)
+//   "offer letter"          exact phrase
+//   offer OR stipend        either term
+//   offer NOT rejected      exclude (also: offer -rejected)
+//   assign*                 prefix match
+//   (offer OR stipend) AND "joining date"
+//
+// Terms are lowercased and Porter-stemmed, so "deadlines" matches "deadline". Prefixes are matched
+// against the words as written, so "applica*" finds "application" although its stem is "applic".
+// Hits are ranked with BM25.
+
+export class SearchQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SearchQueryError';
+  }
+}
+
+// Porter stemmer (https://tartarus.org/martin/PorterStemmer/)
+const STEP2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al',
+  entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al',
+  iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+const STEP3_SUFFIXES = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' };
+
+const CONSONANT = '[^aeiou]';
+const VOWEL = '[aeiouy]';
+const CONSONANTS = CONSONANT + '[^aeiouy]*';
+const VOWELS = VOWEL + '[aeiou]*';
+const MEASURE_GT_0 = new RegExp('^(' + CONSONANTS + ')?' + VOWELS + CONSONANTS);
+const MEASURE_EQ_1 = new RegExp('^(' + CONSONANTS + ')?' + VOWELS + CONSONANTS + '(' + VOWELS + ')?$');
+const MEASURE_GT_1 = new RegExp('^(' + CONSONANTS + ')?' + VOWELS + CONSONANTS + VOWELS + CONSONANTS);
+const HAS_VOWEL = new RegExp('^(' + CONSONANTS + ')?' + VOWEL);
+const ENDS_CVC = new RegExp('^' + CONSONANTS + VOWEL + '[^aeiouwxy]$');
+
+export function stem(word) {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+
+  let w = word;
+  const startsWithY = w[0] === 'y';
+  if (startsWithY) w = 'Y' + w.slice(1);
+
+  // Step 1a: plurals
+  if (/^(.+?)(ss|i)es$/.test(w)) {
+    w = w.replace(/^(.+?)(ss|i)es$/, '$1$2');
+  } else if (/^(.+?)([^s])s$/.test(w)) {
+    w = w.replace(/^(.+?)([^s])s$/, '$1$2');
+  }
+
+  // Step 1b: -ed / -ing
+  let match;
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) {
+      w += 'e';
+    } else if (/([^aeiouylsz])\1$/.test(w)) {
+      w = w.slice(0, -1);
+    } else if (ENDS_CVC.test(w)) {
+      w += 'e';
+    }
+  }
+
+  // Step 1c: y -> i
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1] + 'i';
+  }
+
+  // Step 2
+  if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = match[1] + STEP2_SUFFIXES[match[2]];
+  }
+
+  // Step 3
+  if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = match[1] + STEP3_SUFFIXES[match[2]];
+  }
+
+  // Step 4
+  if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+    if (MEASURE_GT_1.test(match[1])) w = match[1];
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (MEASURE_GT_1.test(match[1] + match[2])) w = match[1] + match[2];
+  }
+
+  // Step 5
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const base = match[1];
+    if (MEASURE_GT_1.test(base) || (MEASURE_EQ_1.test(base) && !ENDS_CVC.test(base))) w = base;
+  }
+  if (/ll$/.test(w) && MEASURE_GT_1.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  if (startsWithY) w = 'y' + w.slice(1);
+  return w;
+}
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Lowercased, stemmed terms (and the lowercased words they came from) with their character offsets
+// in the original text
+export function tokenize(text) {
+  const tokens = [];
+  const normalized = String(text || '').toLowerCase().replace(/['’]/g, '');
+  const source = String(text || '');
+  let position = 0;
+
+  for (const match of normalized.matchAll(WORD_PATTERN)) {
+    tokens.push({ term: stem(match[0]), word: match[0], position: position++, offset: match.index, length: match[0].length });
+  }
+
+  // Offsets refer to the text with apostrophes removed; map them back for context snippets
+  if (normalized.length !== source.length) {
+    const offsets = [];
+    for (let i = 0; i < source.length; i++) {
+      if (!/['’]/.test(source[i])) offsets.push(i);
+    }
+    for (const token of tokens) {
+      const start = offsets[token.offset];
+      const end = offsets[token.offset + token.length - 1];
+      token.offset = start;
+      token.length = end - start + 1;
+    }
+  }
+
+  return tokens;
+}
+
+function lexQuery(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      i++;
+    } else if (char === '"') {
+      const end = query.indexOf('"', i + 1);
+      const text = end === -1 ? query.slice(i + 1) : query.slice(i + 1, end);
+      tokens.push({ type: 'phrase', text });
+      i = end === -1 ? query.length : end + 1;
+    } else if (char === '-' && i + 1 < query.length && !/[\s)]/.test(query[i + 1])) {
+      tokens.push({ type: 'NOT' });
+      i++;
+    } else {
+      let end = i;
+      while (end < query.length && !/[\s()"]/.test(query[end])) end++;
+      const word = query.slice(i, end);
+      i = end;
+
+      if (word === 'AND' || word === '&&') {
+        tokens.push({ type: 'AND' });
+      } else if (word === 'OR' || word === '||') {
+        tokens.push({ type: 'OR' });
+      } else if (word === 'NOT') {
+        tokens.push({ type: 'NOT' });
+      } else {
+        tokens.push({ type: 'word', text: word.replace(/^\+/, '') });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+// Parses a query into a tree of term / prefix / phrase / and / or / not nodes
+export function parseQuery(query) {
+  const tokens = lexQuery(String(query || ''));
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const startsOperand = token => token && ['word', 'phrase', 'NOT', '('].includes(token.type);
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      index++;
+      if (!startsOperand(peek())) throw new SearchQueryError('Expected a term after OR');
+      children.push(parseAnd());
+    }
+    return simplify('or', children);
+  }
+
+  function parseAnd() {
+    const children = [parseUnary()];
+    while (peek() && (peek().type === 'AND' || startsOperand(peek()))) {
+      if (peek().type === 'AND') {
+        index++;
+        if (!startsOperand(peek())) throw new SearchQueryError('Expected a term after AND');
+      }
+      children.push(parseUnary());
+    }
+    return simplify('and', children);
+  }
+
+  function parseUnary() {
+    if (peek() && peek().type === 'NOT') {
+      index++;
+      if (!startsOperand(peek())) throw new SearchQueryError('Expected a term after NOT');
+      const child = parseUnary();
+      return child ? { type: 'not', child } : null;
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[index++];
+
+    if (!token) throw new SearchQueryError('Unexpected end of query');
+
+    if (token.type === '(') {
+      const node = parseOr();
+      if (!peek() || peek().type !== ')') throw new SearchQueryError('Missing closing parenthesis');
+      index++;
+      return node;
+    }
+
+    if (token.type === 'phrase') {
+      return phraseNode(token.text);
+    }
+
+    if (token.type === 'word') {
+      if (token.text.endsWith('*')) {
+        const prefix = token.text.replace(/\*+$/, '').toLowerCase().replace(/['’]/g, '');
+        if (/^[\p{L}\p{N}]+$/u.test(prefix)) {
+          return { type: 'prefix', prefix };
+        }
+      }
+      // Words with punctuation ("e-mail", "c-105") are matched as phrases of their parts
+      return phraseNode(token.text);
+    }
+
+    throw new SearchQueryError(`Unexpected "${token.type}" in query`);
+  }
+
+  if (tokens.length === 0) throw new SearchQueryError('Search query is empty');
+
+  const tree = parseOr();
+  if (index < tokens.length) {
+    throw new SearchQueryError(tokens[index].type === ')' ? 'Unbalanced closing parenthesis' : 'Could not parse query');
+  }
+  if (!tree) throw new SearchQueryError('Search query has no searchable terms');
+
+  return tree;
+}
+
+function phraseNode(text) {
+  const terms = tokenize(text).map(token => token.term);
+  if (terms.length === 0) return null;
+  if (terms.length === 1) return { type: 'term', term: terms[0] };
+  return { type: 'phrase', terms };
+}
+
+function simplify(type, children) {
+  const kept = children.filter(Boolean);
+  if (kept.length === 0) return null;
+  if (kept.length === 1) return kept[0];
+  return { type, children: kept };
+}
+
+export class SearchIndex {
+  constructor(options = {}) {
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.contextLength = options.contextLength ?? 50;
+    this.clear();
+  }
+
+  clear() {
+    this.docs = new Map();
+    this.postings = new Map();
+    // Unstemmed word -> (docId -> occurrences), for prefix queries
+    this.words = new Map();
+    this.conversations = new Map();
+    this.conversationInfo = new Map();
+    this.totalLength = 0;
+    this.nextDocId = 0;
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  addMessage(conversationId, message) {
+    const tokens = tokenize(message.text);
+    const docId = this.nextDocId++;
+
+    for (const token of tokens) {
+      let postings = this.postings.get(token.term);
+      if (!postings) {
+        postings = new Map();
+        this.postings.set(token.term, postings);
+      }
+      if (!postings.has(docId)) postings.set(docId, []);
+      postings.get(docId).push(token.position);
+
+      let occurrences = this.words.get(token.word);
+      if (!occurrences) {
+        occurrences = new Map();
+        this.words.set(token.word, occurrences);
+      }
+      occurrences.set(docId, (occurrences.get(docId) || 0) + 1);
+    }
+
+    this.docs.set(docId, {
+      conversationId,
+      message,
+      length: tokens.length,
+      terms: [...new Set(tokens.map(token => token.term))],
+      words: [...new Set(tokens.map(token => token.word))]
+    });
+    this.totalLength += tokens.length;
+
+    if (!this.conversations.has(conversationId)) this.conversations.set(conversationId, []);
+    this.conversations.get(conversationId).push(docId);
+
+    return docId;
+  }
+
+  indexConversation(conversationId, messages, info = null) {
+    const previousInfo = this.conversationInfo.get(conversationId);
+    this.removeConversation(conversationId);
+    this.setConversationInfo(conversationId, info || previousInfo || {});
+    for (const message of messages) {
+      this.addMessage(conversationId, message);
+    }
+  }
+
+  removeConversation(conversationId) {
+    for (const docId of this.conversations.get(conversationId) || []) {
+      const doc = this.docs.get(docId);
+      for (const term of doc.terms) {
+        const postings = this.postings.get(term);
+        postings.delete(docId);
+        if (postings.size === 0) this.postings.delete(term);
+      }
+      for (const word of doc.words) {
+        const occurrences = this.words.get(word);
+        occurrences.delete(docId);
+        if (occurrences.size === 0) this.words.delete(word);
+      }
+      this.totalLength -= doc.length;
+      this.docs.delete(docId);
+    }
+    this.conversations.delete(conversationId);
+    this.conversationInfo.delete(conversationId);
+  }
+
+  setConversationInfo(conversationId, info) {
+    this.conversationInfo.set(conversationId, { name: info.name || null });
+  }
+
+  getConversationInfo(conversationId) {
+    return { id: conversationId, ...this.conversationInfo.get(conversationId) };
+  }
+
+  // options: filter(message, { id, name }), sort ('relevance' | 'newest' | 'oldest'), offset, limit.
+  // An empty query matches every message, so filters can be used on their own.
+  search(query, options = {}) {
+    const tree = query && query.trim() ? parseQuery(query) : null;
+    const matches = tree ? this.evaluate(tree) : this.allDocs();
+    const highlightTerms = tree ? this.collectTerms(tree) : { exact: new Set(), prefixes: [] };
+
+    const hits = [];
+    for (const [docId, score] of matches) {
+      const doc = this.docs.get(docId);
+      if (options.filter && !options.filter(doc.message, this.getConversationInfo(doc.conversationId))) continue;
+      hits.push({ doc, score, time: new Date(doc.message.timestamp || 0).getTime() || 0 });
+    }
+
+    const sort = options.sort || (tree ? 'relevance' : 'newest');
+    if (sort === 'oldest') {
+      hits.sort((a, b) => a.time - b.time);
+    } else if (sort === 'newest') {
+      hits.sort((a, b) => b.time - a.time);
+    } else {
+      // Best match first; ties go to the most recent message
+      hits.sort((a, b) => b.score - a.score || b.time - a.time);
+    }
+
+    const offset = options.offset || 0;
+    const page = hits.slice(offset, options.limit ? offset + options.limit : undefined);
+
+    return {
+      total: hits.length,
+      results: page.map(({ doc, score }) => ({
+        conversation_id: doc.conversationId,
+        conversation_name: this.getConversationInfo(doc.conversationId).name || null,
+        message: doc.message,
+        match_context: this.getMatchContext(doc.message.text, highlightTerms),
+        relevance_score: Math.round(score * 10000) / 10000
+      }))
+    };
+  }
+
+
+  evaluate(node) {
+    switch (node.type) {
+      case 'term':
+        return this.scoreTerm(node.term);
+
+      case 'prefix': {
+        // Stems can be shorter than the prefix ("application" -> "applic"), so expand against the words
+        const scores = new Map();
+        for (const [word, occurrences] of this.words) {
+          if (!word.startsWith(node.prefix)) continue;
+          for (const [docId, count] of occurrences) {
+            scores.set(docId, Math.max(scores.get(docId) || 0, this.bm25(occurrences.size, count, docId)));
+          }
+        }
+        return scores;
+      }
+
+      case 'phrase':
+        return this.scorePhrase(node.terms);
+
+      case 'and': {
+        const positives = node.children.filter(child => child.type !== 'not');
+        const negatives = node.children.filter(child => child.type === 'not');
+
+        let scores = positives.length > 0 ? this.evaluate(positives[0]) : this.allDocs();
+        for (const child of positives.slice(1)) {
+          const childScores = this.evaluate(child);
+          const next = new Map();
+          for (const [docId, score] of scores) {
+            if (childScores.has(docId)) next.set(docId, score + childScores.get(docId));
+          }
+          scores = next;
+        }
+
+        for (const child of negatives) {
+          for (const docId of this.evaluate(child.child).keys()) {
+            scores.delete(docId);
+          }
+        }
+        return scores;
+      }
+
+      case 'or': {
+        const scores = new Map();
+        for (const child of node.children) {
+          for (const [docId, score] of this.evaluate(child)) {
+            scores.set(docId, (scores.get(docId) || 0) + score);
+          }
+        }
+        return scores;
+      }
+
+      case 'not': {
+        const scores = this.allDocs();
+        for (const docId of this.evaluate(node.child).keys()) {
+          scores.delete(docId);
+        }
+        return scores;
+      }
+
+      default:
+        throw new SearchQueryError(`Unknown query node: ${node.type}`);
+    }
+  }
+
+  allDocs() {
+    return new Map([...this.docs.keys()].map(docId => [docId, 0]));
+  }
+
+  bm25(documentFrequency, termFrequency, docId) {
+    const docCount = this.docs.size;
+    const averageLength = this.totalLength / docCount || 1;
+    const idf = Math.log(1 + (docCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+    const length = this.docs.get(docId).length;
+
+    return idf * (termFrequency * (this.k1 + 1)) /
+      (termFrequency + this.k1 * (1 - this.b + this.b * length / averageLength));
+  }
+
+  scoreTerm(term) {
+    const scores = new Map();
+    const postings = this.postings.get(term) || new Map();
+    for (const [docId, positions] of postings) {
+      scores.set(docId, this.bm25(postings.size, positions.length, docId));
+    }
+    return scores;
+  }
+
+  scorePhrase(terms) {
+    const scores = new Map();
+    const postings = terms.map(term => this.postings.get(term));
+    if (postings.some(list => !list)) return scores;
+
+    // Walk the first term's documents and check the other terms follow at consecutive positions
+    const [first, ...rest] = postings;
+    for (const [docId, positions] of first) {
+      if (!rest.every(list => list.has(docId))) continue;
+
+      const occurrences = positions.filter(start =>
+        rest.every((list, offset) => list.get(docId).includes(start + offset + 1))
+      ).length;
+
+      if (occurrences > 0) {
+        const score = postings.reduce((total, list) => total + this.bm25(list.size, occurrences, docId), 0);
+        scores.set(docId, score);
+      }
+    }
+    return scores;
+  }
+
+  collectTerms(node, terms = { exact: new Set(), prefixes: [] }) {
+    switch (node.type) {
+      case 'term':
+        terms.exact.add(node.term);
+        break;
+      case 'phrase':
+        node.terms.forEach(term => terms.exact.add(term));
+        break;
+      case 'prefix':
+        terms.prefixes.push(node.prefix);
+        break;
+      case 'and':
+      case 'or':
+        node.children.forEach(child => this.collectTerms(child, terms));
+        break;
+      // Excluded terms are never highlighted
+    }
+    return terms;
+  }
+
+  getMatchContext(text, terms) {
+    text = text || '';
+    const hit = tokenize(text).find(token =>
+      terms.exact.has(token.term) || terms.prefixes.some(prefix => token.word.startsWith(prefix))
+    );
+
+    if (!hit) {
+      return text.length > this.contextLength * 2 ? text.substring(0, this.contextLength * 2) + '...' : text;
+    }
+
+    const start = Math.max(0, hit.offset - this.contextLength);
+    const end = Math.min(text.length, hit.offset + hit.length + this.contextLength);
+
+    let context = text.substring(start, end);
+    if (start > 0) context = '...' + context;
+    if (end < text.length) context = context + '...';
+
+    return context;
+  }
+}
@@ -0,0 +1,134 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { describeProfile } from './selectors.js';
+
+// Checks the active selector profile against the live site: for every group it records which selector
+// of each key matched first and how many nodes it found. A group where nothing matches gets a snapshot
+// (HTML, screenshot and the group's report) under data/diagnostics/ for fixing the profile.
+export class SelectorDoctor {
+  constructor(bot, options = {}) {
+    this.bot = bot;
+    this.profile = bot.selectors;
+    this.snapshotDir = options.snapshotDir || path.join(bot.storage.dataDir, 'diagnostics');
+  }
+
+  async run(options = {}) {
+    const page = this.bot.page;
+    const report = {
+      profile: describeProfile(this.profile),
+      source: this.profile.source,
+      checked_at: new Date().toISOString(),
+      groups: []
+    };
+
+    // The login form is only visible before the saved session is restored
+    await page.goto(`${this.bot.baseUrl}/login/student`, { waitUntil: 'networkidle' });
+    if (await this.bot.auth.isAlreadyLoggedIn(page)) {
+      report.groups.push(this.skipped('login', page, 'already logged in'));
+    } else {
+      report.groups.push(await this.checkGroup(page, 'login'));
+    }
+
+    await this.bot.login();
+
+    await this.bot.navigateToChat();
+    report.groups.push(await this.checkGroup(page, 'inbox'));
+
+    let conversationId = options.conversationId;
+    if (!conversationId) {
+      const [first] = await this.bot.chat.discoverConversations(page, this.bot.stealth, { limit: 1, maxScrollAttempts: 1 });
+      conversationId = first?.id;
+    }
+
+    if (conversationId) {
+      await this.bot.navigateToChat(conversationId);
+      report.conversation_id = conversationId;
+      for (const group of ['thread', 'message', 'composer']) {
+        report.groups.push(await this.checkGroup(page, group));
+      }
+    } else {
+      for (const group of ['thread', 'message', 'composer']) {
+        report.groups.push(this.skipped(group, page, 'no conversation found in the inbox (pass --conversation)'));
+      }
+    }
+
+    await page.goto(`${this.bot.baseUrl}/internships`, { waitUntil: 'domcontentloaded' });
+    report.groups.push(await this.checkGroup(page, 'listing'));
+
+    const detailLink = await page.locator('a[href*="/internship/detail/"]').first().getAttribute('href', { timeout: 5000 }).catch(() => null);
+    if (detailLink) {
+      await page.goto(new URL(detailLink, page.url()).href, { waitUntil: 'domcontentloaded' });
+      report.groups.push(await this.checkGroup(page, 'detail'));
+    } else {
+      report.groups.push(this.skipped('detail', page, 'no internship found in the listings'));
+    }
+
+    report.ok = report.groups.every(group => group.skipped || group.matched);
+    return report;
+  }
+
+  async checkGroup(page, group) {
+    logger.info(`Checking ${group} selectors on ${page.url()}`);
+
+    const keys = [];
+    for (const [key, selectors] of Object.entries(this.profile[group])) {
+      const tried = [];
+      for (const selector of selectors) {
+        try {
+          tried.push({ selector, count: await page.locator(selector).count() });
+        } catch (error) {
+          tried.push({ selector, count: 0, error: error.message.split('\n')[0] });
+        }
+      }
+
+      const match = tried.find(entry => entry.count > 0);
+      keys.push({
+        key,
+        matched: match ? match.selector : null,
+        count: match ? match.count : 0,
+        tried
+      });
+    }
+
+    const result = {
+      group,
+      url: page.url(),
+      matched: keys.some(key => key.matched),
+      keys
+    };
+
+    if (!result.matched) {
+      logger.warn(`No ${group} selector matched on ${page.url()}`);
+      result.snapshot = await this.saveSnapshot(page, result);
+    }
+
+    return result;
+  }
+
+  skipped(group, page, reason) {
+    return { group, url: page.url(), skipped: reason, keys: [] };
+  }
+
+  async saveSnapshot(page, result) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const dir = path.join(this.snapshotDir, `${timestamp}_${result.group}`);
+
+    try {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, 'page.html'), await page.content(), 'utf8');
+      await page.screenshot({ path: path.join(dir, 'screenshot.png'), fullPage: true });
+      await fs.writeFile(path.join(dir, 'report.json'), JSON.stringify({
+        profile: describeProfile(this.profile),
+        ...result
+      }, null, 2));
+
+      logger.info(`Saved diagnostic snapshot to ${dir}`);
+      return dir;
+
+    } catch (error) {
+      logger.error('Failed to save diagnostic snapshot:', error);
+      return null;
+    }
+  }
+}
@@ -0,0 +1,78 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const SELECTOR_GROUPS = ['login', 'inbox', 'thread', 'message', 'composer', 'listing', 'detail'];
+
+const PROFILES_DIR = fileURLToPath(new URL('../selectors/', import.meta.url));
+const DEFAULT_PROFILE = 'default';
+
+// A bare name is looked up in selectors/; anything that looks like a path is read from disk
+function resolveProfilePath(nameOrPath, baseDir) {
+  if (nameOrPath.endsWith('.json') || nameOrPath.includes('/') || nameOrPath.includes('\\')) {
+    return path.resolve(baseDir, nameOrPath);
+  }
+  return path.join(PROFILES_DIR, `${nameOrPath}.json`);
+}
+
+function validateProfile(profile, file, base) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new Error(`Selector profile ${file} must be a JSON object`);
+  }
+
+  for (const [group, entries] of Object.entries(profile)) {
+    if (!SELECTOR_GROUPS.includes(group)) continue;
+
+    for (const [key, selectors] of Object.entries(entries)) {
+      // Catches typos in overrides, which would otherwise be ignored silently
+      if (base && !(key in base[group])) {
+        throw new Error(`Selector profile ${file}: unknown key ${group}.${key}`);
+      }
+      if (!Array.isArray(selectors) || selectors.length === 0 || !selectors.every(s => typeof s === 'string' && s.trim())) {
+        throw new Error(`Selector profile ${file}: ${group}.${key} must be a non-empty array of selector strings`);
+      }
+    }
+  }
+}
+
+// Profiles are JSON files with a name, a version and any of the selector groups. Every profile except
+// "default" extends another one ("default" unless `extends` says otherwise) and only lists the keys it
+// changes; a listed key replaces the inherited selector list. SELECTOR_PROFILE picks the profile.
+export function loadSelectorProfile(nameOrPath = process.env.SELECTOR_PROFILE || DEFAULT_PROFILE, baseDir = process.cwd(), seen = []) {
+  const file = resolveProfilePath(nameOrPath, baseDir);
+  if (seen.includes(file)) {
+    throw new Error(`Selector profile ${file} extends itself`);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load selector profile "${nameOrPath}": ${error.message}`);
+  }
+
+  const isDefault = file === resolveProfilePath(DEFAULT_PROFILE, baseDir);
+  const parentName = raw.extends !== undefined ? raw.extends : (isDefault ? null : DEFAULT_PROFILE);
+  const base = parentName ? loadSelectorProfile(parentName, path.dirname(file), [...seen, file]) : null;
+
+  validateProfile(raw, file, base);
+
+  const profile = {
+    name: raw.name || path.basename(file, '.json'),
+    version: raw.version ?? null,
+    source: file,
+    extends: base ? [base.name, ...base.extends] : []
+  };
+
+  for (const group of SELECTOR_GROUPS) {
+    profile[group] = { ...(base?.[group] || {}), ...(raw[group] || {}) };
+  }
+
+  return profile;
+}
+
+export function describeProfile(profile) {
+  const version = profile.version !== null ? ` v${profile.version}` : '';
+  const parents = profile.extends.length > 0 ? ` (extends ${profile.extends.join(' > ')})` : '';
+  return `${profile.name}${version}${parents}`;
+}
@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+
+// Sent keys are remembered this long; a retry after that could post again
+const RETENTION_DAYS = 30;
+
+// Idempotency keys of outgoing messages, kept by the storage backend (sends.json or the sends table).
+// A key is recorded before its message is typed, together with a baseline of the matching messages
+// already in the thread, and marked sent with the confirmed message afterwards. That's what lets
+// InternshalaBot.sendMessage tell, on a retry, whether an attempt that crashed or timed out reached
+// the conversation after all.
+export class SendLedger {
+  constructor(getBackend) {
+    this.getBackend = getBackend;
+  }
+
+  static newKey() {
+    return `send_${crypto.randomUUID()}`;
+  }
+
+  async list() {
+    const backend = await this.getBackend();
+    return backend.loadSends();
+  }
+
+  async get(key) {
+    return (await this.list()).find(entry => entry.key === key) || null;
+  }
+
+  // Returns the entry for `key`, creating it on first use. A key can't be reused for a different message.
+  async begin(key, conversationId, text) {
+    const backend = await this.getBackend();
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    await backend.deleteSends(cutoff);
+
+    let entry = null;
+    await backend.updateSend(key, existing => {
+      if (existing) {
+        if (existing.conversation_id !== String(conversationId) || existing.text !== text) {
+          throw new Error(`Idempotency key "${key}" was already used for a different message`);
+        }
+        entry = existing;
+        return null;
+      }
+
+      const now = new Date().toISOString();
+      entry = {
+        key,
+        conversation_id: String(conversationId),
+        text,
+        status: 'pending',
+        attempts: 0,
+        baseline: null,
+        message: null,
+        last_error: null,
+        created_at: now,
+        updated_at: now
+      };
+      return entry;
+    });
+    return entry;
+  }
+
+  async change(key, fields) {
+    const backend = await this.getBackend();
+    return backend.updateSend(key, entry => {
+      if (!entry) {
+        throw new Error(`Unknown idempotency key "${key}"`);
+      }
+      return { ...entry, ...fields(entry), updated_at: new Date().toISOString() };
+    });
+  }
+
+  // Recorded just before the message is typed; from here on the outcome is unknown until confirmed
+  async markAttempt(key, baseline) {
+    return this.change(key, entry => ({ status: 'sending', attempts: entry.attempts + 1, baseline, last_error: null }));
+  }
+
+  async markSent(key, message) {
+    return this.change(key, () => ({ status: 'sent', message, last_error: null }));
+  }
+
+  async markFailed(key, error) {
+    return this.change(key, () => ({ status: 'failed', last_error: error.message }));
+  }
+}
@@ -0,0 +1,192 @@
+import { logger } from '../utils/logger.js';
+import { TimestampResolver } from './timestamps.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULTS = {
+  maxPerHour: 20,
+  maxPerConversation: 5,
+  conversationWindowHours: 24,
+  maxLength: 2000
+};
+
+// Ledger entries that may have reached the site: confirmed sends and attempts still in flight
+const COUNTED_SENDS = ['sent', 'sending'];
+
+function parseLimit(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const limit = parseInt(value);
+  return Number.isInteger(limit) && limit >= 0 ? limit : fallback;
+}
+
+function parseFlag(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  return !['false', '0', 'off', 'no'].includes(String(value).toLowerCase());
+}
+
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// "22:00-08:00" -> minutes since midnight; a window that ends before it starts runs over midnight
+export function parseQuietHours(value) {
+  const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+
+  const [start, end] = [[match[1], match[2]], [match[3], match[4]]].map(([hour, minute]) => Number(hour) * 60 + Number(minute));
+  if (start >= 24 * 60 || end > 24 * 60 || Number(match[2]) > 59 || Number(match[4]) > 59 || start === end) return null;
+  return { start, end, label: `${match[1].padStart(2, '0')}:${match[2]}-${match[3].padStart(2, '0')}:${match[4]}` };
+}
+
+// A send refused by SendPolicy. `violations` lists every rule that failed as { rule, message, ... };
+// `retryAt` is set when all of them clear on their own by then (caps and quiet hours), null otherwise.
+export class SendPolicyError extends Error {
+  constructor(violations) {
+    super(`Send blocked by policy: ${violations.map(violation => violation.message).join('; ')}`);
+    this.name = 'SendPolicyError';
+    this.code = 'SEND_POLICY_VIOLATION';
+    this.violations = violations;
+
+    const waits = violations.map(violation => violation.retry_at);
+    this.retryAt = waits.every(Boolean) ? waits.sort().at(-1) : null;
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, violations: this.violations, retry_at: this.retryAt };
+  }
+}
+
+// Limits on what the bot may post, checked by InternshalaBot.sendMessage before every send (CLI, MCP,
+// HTTP, outbox and approved drafts alike). Recent sends come from the send ledger and earlier messages
+// from the stored chat history. A limit of 0 turns that rule off.
+export class SendPolicy {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.timestamps = options.timestamps || new TimestampResolver();
+    this.maxPerHour = parseLimit(options.maxPerHour ?? process.env.SEND_MAX_PER_HOUR, DEFAULTS.maxPerHour);
+    this.maxPerConversation = parseLimit(options.maxPerConversation ?? process.env.SEND_MAX_PER_CONVERSATION, DEFAULTS.maxPerConversation);
+    this.conversationWindowHours = parseLimit(options.conversationWindowHours ?? process.env.SEND_CONVERSATION_WINDOW_HOURS, DEFAULTS.conversationWindowHours) || DEFAULTS.conversationWindowHours;
+    this.maxLength = parseLimit(options.maxLength ?? process.env.SEND_MAX_LENGTH, DEFAULTS.maxLength);
+    this.blockDuplicates = parseFlag(options.blockDuplicates ?? process.env.SEND_BLOCK_DUPLICATES, true);
+    this.confirmFirstContact = parseFlag(options.confirmFirstContact ?? process.env.SEND_CONFIRM_FIRST_CONTACT, true);
+
+    const quietHours = options.quietHours ?? process.env.SEND_QUIET_HOURS ?? '';
+    this.quietHours = quietHours ? parseQuietHours(quietHours) : null;
+    if (quietHours && !this.quietHours) {
+      logger.warn(`Ignoring quiet hours "${quietHours}" (expected HH:MM-HH:MM, e.g. 22:00-08:00)`);
+    }
+  }
+
+  describe() {
+    return {
+      max_per_hour: this.maxPerHour || null,
+      max_per_conversation: this.maxPerConversation || null,
+      conversation_window_hours: this.conversationWindowHours,
+      max_length: this.maxLength || null,
+      quiet_hours: this.quietHours ? `${this.quietHours.label} ${this.timestamps.timeZone}` : null,
+      block_duplicates: this.blockDuplicates,
+      confirm_first_contact: this.confirmFirstContact
+    };
+  }
+
+  // End of the quiet period `now` falls in, or null outside quiet hours
+  quietUntil(now) {
+    if (!this.quietHours) return null;
+
+    const { start, end } = this.quietHours;
+    const parts = this.timestamps.zonedParts(now);
+    const minute = parts.hour * 60 + parts.minute;
+    const quiet = start < end ? minute >= start && minute < end : minute >= start || minute < end;
+    if (!quiet) return null;
+
+    // Over midnight, the evening part of the window ends on the next day
+    const day = start > end && minute >= start
+      ? this.timestamps.shiftDay(parts, 1)
+      : { year: parts.year, month: parts.month, day: parts.day };
+    return this.timestamps.toInstant({ ...day, hour: Math.floor(end / 60), minute: end % 60 });
+  }
+
+  // Sends in the ledger since `since`, oldest first, leaving out the one being checked
+  async recentSends(since, { excludeKey = null, conversationId = null } = {}) {
+    return (await this.storage.sends.list())
+      .filter(entry => entry.key !== excludeKey && COUNTED_SENDS.includes(entry.status))
+      .filter(entry => !conversationId || entry.conversation_id === String(conversationId))
+      .filter(entry => new Date(entry.updated_at) >= since)
+      .sort((a, b) => a.updated_at.localeCompare(b.updated_at));
+  }
+
+  // A full window frees up when its oldest send drops out of it
+  capViolation(rule, sends, limit, windowMs, message) {
+    if (!limit || sends.length < limit) return null;
+    const freesAt = new Date(new Date(sends[sends.length - limit].updated_at).getTime() + windowMs);
+    return { rule, message, limit, count: sends.length, retry_at: freesAt.toISOString() };
+  }
+
+  // Returns the rules `text` would break in this conversation. `key` is the send's idempotency key, so a
+  // retry isn't counted against itself; `retry` marks a key that was attempted before, which the
+  // idempotency check handles, so it isn't refused as a duplicate of its own earlier attempt.
+  async evaluate(conversationId, text, { key = null, retry = false, confirmFirstContact = false, now = this.timestamps.now() } = {}) {
+    const violations = [];
+
+    if (this.maxLength && text.length > this.maxLength) {
+      violations.push({ rule: 'max_length', message: `Message is ${text.length} characters; the limit is ${this.maxLength}`, limit: this.maxLength, length: text.length });
+    }
+
+    const quietUntil = this.quietUntil(now);
+    if (quietUntil) {
+      violations.push({ rule: 'quiet_hours', message: `Quiet hours (${this.quietHours.label}) last until ${quietUntil.toISOString()}`, retry_at: quietUntil.toISOString() });
+    }
+
+    const hourly = await this.recentSends(new Date(now.getTime() - HOUR_MS), { excludeKey: key });
+    const hourlyViolation = this.capViolation('hourly_cap', hourly, this.maxPerHour, HOUR_MS, `${hourly.length} messages were sent in the last hour; the limit is ${this.maxPerHour}`);
+    if (hourlyViolation) violations.push(hourlyViolation);
+
+    const windowMs = this.conversationWindowHours * HOUR_MS;
+    const inConversation = await this.recentSends(new Date(now.getTime() - windowMs), { excludeKey: key, conversationId });
+    const conversationViolation = this.capViolation('conversation_cap', inConversation, this.maxPerConversation, windowMs,
+      `${inConversation.length} messages were sent to this conversation in the last ${this.conversationWindowHours}h; the limit is ${this.maxPerConversation}`);
+    if (conversationViolation) violations.push(conversationViolation);
+
+    if (this.blockDuplicates || this.confirmFirstContact) {
+      const conversation = await this.storage.loadChatHistory(conversationId);
+      const ledger = await this.recentSends(new Date(0), { excludeKey: key, conversationId });
+      const ownTexts = [
+        ...conversation.messages.filter(message => message.type === 'sent').map(message => message.text),
+        ...ledger.map(entry => entry.text)
+      ];
+
+      if (this.blockDuplicates && !retry && ownTexts.some(own => normalizeText(own) === normalizeText(text))) {
+        violations.push({ rule: 'duplicate_text', message: 'The same text was already sent to this conversation' });
+      }
+      if (this.confirmFirstContact && !confirmFirstContact && ownTexts.length === 0) {
+        violations.push({ rule: 'first_contact', message: 'This would be the first message sent to this conversation; confirm first contact to send it' });
+      }
+    }
+
+    return { allowed: violations.length === 0, violations };
+  }
+
+  async enforce(conversationId, text, options = {}) {
+    const { violations } = await this.evaluate(conversationId, text, options);
+    if (violations.length > 0) {
+      throw new SendPolicyError(violations);
+    }
+  }
+
+  // For messages queued to be sent later: refuses now what waiting can't fix (length, duplicates, first
+  // contact). Caps and quiet hours are checked again when the message is actually sent.
+  async preflight(conversationId, text, options = {}) {
+    const { violations } = await this.evaluate(conversationId, text, options);
+    const lasting = violations.filter(violation => !violation.retry_at);
+    if (lasting.length > 0) {
+      throw new SendPolicyError(lasting);
+    }
+  }
+
+  // Current usage against the caps, for status displays
+  async usage(now = this.timestamps.now()) {
+    return {
+      sent_last_hour: (await this.recentSends(new Date(now.getTime() - HOUR_MS))).length,
+      quiet_until: this.quietUntil(now)?.toISOString() || null
+    };
+  }
+}
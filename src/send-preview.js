@@ -0,0 +1,67 @@
+import readline from 'readline';
+
+// What a send will post: either a literal message or a rendered template. Same shape as
+// StorageManager.renderTemplate() so every send path can preview and check it the same way.
+export async function previewMessage(storage, conversationId, { message = null, template = null, variables = {} } = {}) {
+  if (template) {
+    return storage.renderTemplate(conversationId, { template, variables });
+  }
+
+  if (typeof message !== 'string' || !message.trim()) {
+    throw new Error('Either a message or a template is required');
+  }
+
+  const conversation = await storage.loadChatHistory(conversationId);
+  return {
+    conversation_id: conversationId,
+    conversation_name: conversation.name || null,
+    template: null,
+    text: message,
+    variables: {},
+    missing: [],
+    ready: true
+  };
+}
+
+export function formatPreview(preview) {
+  const target = preview.conversation_name
+    ? `${preview.conversation_id} (${preview.conversation_name})`
+    : preview.conversation_id;
+  const lines = [
+    `To:       ${target}`,
+    ...(preview.template ? [`Template: ${preview.template}`] : []),
+    '',
+    ...preview.text.split('\n').map(line => `  ${line}`)
+  ];
+
+  if (preview.missing.length > 0) {
+    lines.push('', `Missing values for: ${preview.missing.join(', ')} (pass them with --var name=value or set them in your profile)`);
+  }
+  return lines.join('\n');
+}
+
+// Prints the preview and asks before sending. Nothing is sent from a non-interactive shell unless
+// `assumeYes` is set, and never while placeholders are unfilled.
+export async function confirmSend(preview, { assumeYes = false, input = process.stdin, output = process.stdout } = {}) {
+  output.write(`\n${formatPreview(preview)}\n\n`);
+
+  if (!preview.ready) {
+    output.write('Not sending: the message still has unfilled placeholders.\n');
+    return false;
+  }
+  if (assumeYes) {
+    return true;
+  }
+  if (!input.isTTY) {
+    output.write('Not sending: confirmation needs an interactive terminal (use --yes to skip it).\n');
+    return false;
+  }
+
+  const rl = readline.createInterface({ input, output });
+  try {
+    const answer = await new Promise(resolve => rl.question('Send this message? (y/N) ', resolve));
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    rl.close();
+  }
+}
@@ -0,0 +1,6 @@
+export const DEFAULT_BASE_URL = 'https://internshala.com';
+
+// INTERNSHALA_BASE_URL points the bot at another host, e.g. the offline mock server
+export function getBaseUrl(baseUrl = process.env.INTERNSHALA_BASE_URL) {
+  return (baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
@@ -234,10 +234,12 @@ export class StealthManager {
       // Random typing speed
       const typingDelay = Math.floor(Math.random() * 150) + 50;
       
-      // Occasionally make "mistakes" and correct them
+      // Occasionally make "mistakes" and correct them (retyping what was deleted, so the text is unchanged)
       if (Math.random() < 0.02 && i > 0) {
         await page.keyboard.press('Backspace');
         await this.randomDelay(100, 200);
+        await page.keyboard.type(text[i - 1]);
+        await this.randomDelay(typingDelay, typingDelay + 50);
       }
       
       await page.keyboard.type(char);
@@ -0,0 +1,294 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { buildWatermark, emptyConversation, isDuplicateMessage, isKnownMessage, internshipKey } from './storage-utils.js';
+
+// Original file-per-collection storage. Every write rewrites the whole file, so writes are queued
+// to keep concurrent listeners in this process from overwriting each other.
+export class JsonStorageBackend {
+  constructor(dataDir) {
+    this.name = 'json';
+    this.chatHistoryFile = path.join(dataDir, 'chat_history.json');
+    this.sessionsFile = path.join(dataDir, 'sessions.json');
+    this.internshipsFile = path.join(dataDir, 'internships.json');
+    this.outboxFile = path.join(dataDir, 'outbox.json');
+    this.sendsFile = path.join(dataDir, 'sends.json');
+    this.draftsFile = path.join(dataDir, 'drafts.json');
+    this.writeQueue = Promise.resolve();
+  }
+
+  async init() {}
+
+  async close() {
+    await this.writeQueue;
+  }
+
+  files() {
+    return [this.chatHistoryFile, this.sessionsFile, this.internshipsFile, this.outboxFile, this.sendsFile, this.draftsFile];
+  }
+
+  async readJson(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  async writeJson(file, data) {
+    await fs.writeFile(file, JSON.stringify(data, null, 2));
+  }
+
+  // Serialized read-modify-write on one file
+  update(file, mutate) {
+    const run = this.writeQueue.then(async () => {
+      const data = await this.readJson(file);
+      const result = await mutate(data);
+      await this.writeJson(file, data);
+      return result;
+    });
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Changes whenever chat history is written, by this process or another one
+  async dataVersion() {
+    try {
+      return (await fs.stat(this.chatHistoryFile)).mtimeMs;
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+  }
+
+  // Conversations
+  async loadAllConversations() {
+    return this.readJson(this.chatHistoryFile);
+  }
+
+  async loadConversation(conversationId) {
+    const historyData = await this.readJson(this.chatHistoryFile);
+    return historyData[conversationId] || null;
+  }
+
+  async saveConversation(conversationId, messages) {
+    return this.update(this.chatHistoryFile, historyData => {
+      historyData[conversationId] = {
+        ...historyData[conversationId],
+        messages: messages,
+        lastUpdated: new Date().toISOString(),
+        messageCount: messages.length,
+        watermark: buildWatermark(messages)
+      };
+    });
+  }
+
+  async appendMessage(conversationId, message) {
+    return this.update(this.chatHistoryFile, historyData => {
+      const conversation = historyData[conversationId] || emptyConversation();
+
+      if (conversation.messages.some(m => isDuplicateMessage(m, message))) {
+        return false;
+      }
+
+      conversation.messages.push(message);
+      conversation.lastUpdated = new Date().toISOString();
+      conversation.messageCount = conversation.messages.length;
+      conversation.watermark = buildWatermark(conversation.messages);
+      historyData[conversationId] = conversation;
+      return true;
+    });
+  }
+
+  async mergeMessages(conversationId, messages) {
+    return this.update(this.chatHistoryFile, historyData => {
+      const conversation = historyData[conversationId] || emptyConversation();
+
+      const added = [];
+      for (const message of messages) {
+        const known = [...conversation.messages, ...added].some(m => isKnownMessage(m, message));
+        if (!known) {
+          added.push(message);
+        }
+      }
+
+      conversation.messages.push(...added);
+      conversation.lastUpdated = new Date().toISOString();
+      conversation.messageCount = conversation.messages.length;
+      conversation.watermark = buildWatermark(conversation.messages);
+      historyData[conversationId] = conversation;
+
+      return { added: added.length, total: conversation.messageCount };
+    });
+  }
+
+  async saveConversationInfo(conversationId, info) {
+    return this.update(this.chatHistoryFile, historyData => {
+      historyData[conversationId] = {
+        ...(historyData[conversationId] || emptyConversation()),
+        name: info.name,
+        ...(info.role ? { role: info.role } : {})
+      };
+    });
+  }
+
+  async deleteConversations(conversationIds) {
+    return this.update(this.chatHistoryFile, historyData => {
+      let deleted = 0;
+      for (const conversationId of conversationIds) {
+        if (historyData[conversationId]) {
+          delete historyData[conversationId];
+          deleted++;
+        }
+      }
+      return deleted;
+    });
+  }
+
+  async replaceAllConversations(historyData) {
+    return this.update(this.chatHistoryFile, data => {
+      Object.keys(data).forEach(key => delete data[key]);
+      Object.assign(data, historyData);
+    });
+  }
+
+  // Sessions
+  async loadAllSessions() {
+    return this.readJson(this.sessionsFile);
+  }
+
+  async saveSession(sessionId, session) {
+    return this.update(this.sessionsFile, sessions => {
+      sessions[sessionId] = session;
+    });
+  }
+
+  async deleteSessions(sessionIds) {
+    return this.update(this.sessionsFile, sessions => {
+      let deleted = 0;
+      for (const sessionId of sessionIds) {
+        if (sessions[sessionId]) {
+          delete sessions[sessionId];
+          deleted++;
+        }
+      }
+      return deleted;
+    });
+  }
+
+  async replaceAllSessions(sessionData) {
+    return this.update(this.sessionsFile, sessions => {
+      Object.keys(sessions).forEach(key => delete sessions[key]);
+      Object.assign(sessions, sessionData);
+    });
+  }
+
+  // Internships
+  async loadInternships() {
+    return Object.values(await this.readJson(this.internshipsFile));
+  }
+
+  async saveInternships(internships) {
+    return this.update(this.internshipsFile, stored => {
+      for (const internship of internships) {
+        const key = internshipKey(internship);
+        stored[key] = { ...stored[key], ...internship };
+      }
+      return internships.length;
+    });
+  }
+
+  // Outbox
+  async loadOutbox() {
+    return Object.values(await this.readJson(this.outboxFile));
+  }
+
+  async saveOutboxEntry(entry) {
+    return this.update(this.outboxFile, outbox => {
+      outbox[entry.id] = entry;
+    });
+  }
+
+  // `change` gets the stored entry (or null) and returns its replacement, or null to leave it as is
+  async updateOutboxEntry(id, change) {
+    return this.update(this.outboxFile, outbox => {
+      const updated = change(outbox[id] || null);
+      if (updated) {
+        outbox[id] = updated;
+      }
+      return updated;
+    });
+  }
+
+  // Send records (idempotency keys), keyed by key
+  async loadSends() {
+    return Object.values(await this.readJson(this.sendsFile));
+  }
+
+  // `change` gets the stored record (or null) and returns its replacement, or null to leave it as is
+  async updateSend(key, change) {
+    return this.update(this.sendsFile, sends => {
+      const updated = change(sends[key] || null);
+      if (updated) {
+        sends[key] = updated;
+      }
+      return updated;
+    });
+  }
+
+  // Forgets sent records last updated before `cutoff` (ISO timestamp)
+  async deleteSends(cutoff) {
+    return this.update(this.sendsFile, sends => {
+      let deleted = 0;
+      for (const [key, entry] of Object.entries(sends)) {
+        if (entry.status === 'sent' && entry.updated_at < cutoff) {
+          delete sends[key];
+          deleted++;
+        }
+      }
+      return deleted;
+    });
+  }
+
+  // Drafts waiting for approval, keyed by id
+  async loadDrafts() {
+    return Object.values(await this.readJson(this.draftsFile));
+  }
+
+  // Stores a new draft unless one with the same idempotency key exists, which is returned instead
+  async addDraft(draft) {
+    return this.update(this.draftsFile, drafts => {
+      const existing = Object.values(drafts).find(d => d.idempotency_key === draft.idempotency_key);
+      if (existing) {
+        return existing;
+      }
+      drafts[draft.id] = draft;
+      return null;
+    });
+  }
+
+  async updateDraft(id, change) {
+    return this.update(this.draftsFile, drafts => {
+      const updated = change(drafts[id] || null);
+      if (updated) {
+        drafts[id] = updated;
+      }
+      return updated;
+    });
+  }
+
+  async getStats() {
+    const historyData = await this.loadAllConversations();
+    const sessions = await this.loadAllSessions();
+    const internships = await this.readJson(this.internshipsFile);
+    const outbox = await this.readJson(this.outboxFile);
+
+    return {
+      conversations: Object.keys(historyData).length,
+      totalMessages: Object.values(historyData).reduce((total, conv) => total + (conv.messageCount || 0), 0),
+      sessions: Object.keys(sessions).length,
+      internships: Object.keys(internships).length,
+      outbox: Object.keys(outbox).length
+    };
+  }
+}
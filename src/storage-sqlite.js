@@ -0,0 +1,559 @@
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { buildWatermark, isDuplicateMessage, isKnownMessage, internshipKey } from './storage-utils.js';
+
+// Ordered schema migrations; each runs once inside a transaction
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'conversations, messages, sessions, internships, outbox, sends and drafts',
+    sql: `
+      CREATE TABLE conversations (
+        id TEXT PRIMARY KEY,
+        name TEXT,
+        role TEXT,
+        last_updated TEXT,
+        message_count INTEGER NOT NULL DEFAULT 0,
+        watermark TEXT
+      );
+
+      CREATE TABLE messages (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+        message_id TEXT,
+        text TEXT NOT NULL DEFAULT '',
+        sender TEXT,
+        type TEXT,
+        timestamp TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_messages_conversation ON messages(conversation_id, seq);
+      CREATE INDEX idx_messages_timestamp ON messages(timestamp);
+      CREATE INDEX idx_messages_conversation_timestamp ON messages(conversation_id, timestamp);
+
+      CREATE TABLE sessions (
+        id TEXT PRIMARY KEY,
+        timestamp TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_sessions_timestamp ON sessions(timestamp);
+
+      CREATE TABLE internships (
+        id TEXT PRIMARY KEY,
+        title TEXT,
+        company TEXT,
+        location TEXT,
+        stipend TEXT,
+        job_url TEXT,
+        scraped_at TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_internships_scraped_at ON internships(scraped_at);
+
+      CREATE TABLE outbox (
+        id TEXT PRIMARY KEY,
+        conversation_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        send_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_outbox_status_send_at ON outbox(status, send_at);
+
+      CREATE TABLE sends (
+        key TEXT PRIMARY KEY,
+        conversation_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_sends_status_updated_at ON sends(status, updated_at);
+
+      CREATE TABLE drafts (
+        id TEXT PRIMARY KEY,
+        conversation_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        idempotency_key TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_drafts_idempotency_key ON drafts(idempotency_key);
+      CREATE INDEX idx_drafts_status ON drafts(status, created_at);
+    `
+  }
+];
+
+// better-sqlite3 when installed, otherwise Node's built-in node:sqlite (Node 22.5+). Both share the
+// prepare/run/get/all/exec API used below.
+async function openDatabase(file) {
+  try {
+    const { default: Database } = await import('better-sqlite3');
+    return new Database(file);
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND') throw error;
+  }
+
+  try {
+    const { DatabaseSync } = await import('node:sqlite');
+    return new DatabaseSync(file);
+  } catch {
+    throw new Error('SQLite storage requires the better-sqlite3 package. Run: npm install better-sqlite3');
+  }
+}
+
+export class SqliteStorageBackend {
+  constructor(dataDir) {
+    this.name = 'sqlite';
+    this.dbFile = path.join(dataDir, 'internshala.db');
+    this.db = null;
+    this.createdSchema = false;
+  }
+
+  async init() {
+    this.db = await openDatabase(this.dbFile);
+    this.db.exec('PRAGMA journal_mode = WAL');
+    this.db.exec('PRAGMA busy_timeout = 5000');
+    this.db.exec('PRAGMA foreign_keys = ON');
+    this.migrate();
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  files() {
+    return [this.dbFile, `${this.dbFile}-wal`];
+  }
+
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        description TEXT,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    const applied = new Set(this.db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version));
+    this.createdSchema = applied.size === 0;
+
+    for (const migration of MIGRATIONS) {
+      if (applied.has(migration.version)) continue;
+
+      this.transaction(() => {
+        this.db.exec(migration.sql);
+        this.db.prepare('INSERT INTO schema_migrations (version, description, applied_at) VALUES (?, ?, ?)')
+          .run(migration.version, migration.description, new Date().toISOString());
+      });
+      logger.info(`Applied storage migration ${migration.version}: ${migration.description}`);
+    }
+  }
+
+  // BEGIN IMMEDIATE takes the write lock up front so other writers wait (busy_timeout) instead of failing mid-way
+  transaction(fn) {
+    this.db.exec('BEGIN IMMEDIATE');
+    try {
+      const result = fn();
+      this.db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  // Only changes when another connection commits; our own writes don't move it
+  async dataVersion() {
+    return this.db.prepare('PRAGMA data_version').get().data_version;
+  }
+
+  // Conversations
+  rowToConversation(row, messages) {
+    const conversation = {
+      messages,
+      lastUpdated: row.last_updated,
+      messageCount: row.message_count
+    };
+    if (row.watermark) {
+      conversation.watermark = JSON.parse(row.watermark);
+    }
+    if (row.name) {
+      conversation.name = row.name;
+    }
+    if (row.role) {
+      conversation.role = row.role;
+    }
+    return conversation;
+  }
+
+  loadMessages(conversationId) {
+    return this.db.prepare('SELECT data FROM messages WHERE conversation_id = ? ORDER BY seq')
+      .all(conversationId)
+      .map(row => JSON.parse(row.data));
+  }
+
+  async loadAllConversations() {
+    const historyData = {};
+    for (const row of this.db.prepare('SELECT * FROM conversations ORDER BY id').all()) {
+      historyData[row.id] = this.rowToConversation(row, this.loadMessages(row.id));
+    }
+    return historyData;
+  }
+
+  async loadConversation(conversationId) {
+    const row = this.db.prepare('SELECT * FROM conversations WHERE id = ?').get(conversationId);
+    return row ? this.rowToConversation(row, this.loadMessages(conversationId)) : null;
+  }
+
+  insertMessage(conversationId, message) {
+    this.db.prepare(`
+      INSERT INTO messages (conversation_id, message_id, text, sender, type, timestamp, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      conversationId,
+      message.id ?? null,
+      message.text ?? '',
+      message.sender ?? null,
+      message.type ?? null,
+      message.timestamp ?? null,
+      JSON.stringify(message)
+    );
+  }
+
+  ensureConversation(conversationId) {
+    this.db.prepare('INSERT OR IGNORE INTO conversations (id, message_count) VALUES (?, 0)').run(conversationId);
+  }
+
+  touchConversation(conversationId, lastMessage) {
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM messages WHERE conversation_id = ?').get(conversationId);
+    const watermark = lastMessage ? buildWatermark([lastMessage]) : null;
+
+    this.db.prepare(`
+      UPDATE conversations
+      SET last_updated = ?, message_count = ?, watermark = COALESCE(?, watermark)
+      WHERE id = ?
+    `).run(new Date().toISOString(), count, watermark ? JSON.stringify(watermark) : null, conversationId);
+
+    return count;
+  }
+
+  async saveConversation(conversationId, messages) {
+    this.transaction(() => {
+      this.ensureConversation(conversationId);
+      this.db.prepare('DELETE FROM messages WHERE conversation_id = ?').run(conversationId);
+      this.db.prepare('UPDATE conversations SET watermark = NULL WHERE id = ?').run(conversationId);
+      messages.forEach(message => this.insertMessage(conversationId, message));
+      this.touchConversation(conversationId, messages[messages.length - 1]);
+    });
+  }
+
+  // Only rows with the same text can be duplicates, so the 5-second check runs on a small candidate set
+  findDuplicates(conversationId, message) {
+    return this.db.prepare('SELECT data FROM messages WHERE conversation_id = ? AND (text = ? OR message_id = ?)')
+      .all(conversationId, message.text ?? '', message.id ?? null)
+      .map(row => JSON.parse(row.data));
+  }
+
+  async appendMessage(conversationId, message) {
+    return this.transaction(() => {
+      this.ensureConversation(conversationId);
+
+      if (this.findDuplicates(conversationId, message).some(m => isDuplicateMessage(m, message))) {
+        return false;
+      }
+
+      this.insertMessage(conversationId, message);
+      this.touchConversation(conversationId, message);
+      return true;
+    });
+  }
+
+  async mergeMessages(conversationId, messages) {
+    return this.transaction(() => {
+      this.ensureConversation(conversationId);
+
+      const added = [];
+      for (const message of messages) {
+        const known = this.findDuplicates(conversationId, message).some(m => isKnownMessage(m, message)) ||
+          added.some(m => isKnownMessage(m, message));
+        if (!known) {
+          this.insertMessage(conversationId, message);
+          added.push(message);
+        }
+      }
+
+      const total = this.touchConversation(conversationId, added[added.length - 1]);
+      return { added: added.length, total };
+    });
+  }
+
+  async saveConversationInfo(conversationId, info) {
+    this.db.prepare(`
+      INSERT INTO conversations (id, message_count, name, role) VALUES (?, 0, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET name = excluded.name, role = COALESCE(excluded.role, role)
+    `).run(conversationId, info.name ?? null, info.role ?? null);
+  }
+
+  async deleteConversations(conversationIds) {
+    return this.transaction(() => {
+      let deleted = 0;
+      for (const conversationId of conversationIds) {
+        this.db.prepare('DELETE FROM messages WHERE conversation_id = ?').run(conversationId);
+        deleted += this.db.prepare('DELETE FROM conversations WHERE id = ?').run(conversationId).changes;
+      }
+      return deleted;
+    });
+  }
+
+  async replaceAllConversations(historyData) {
+    this.transaction(() => {
+      this.db.exec('DELETE FROM messages; DELETE FROM conversations;');
+      for (const [conversationId, conversation] of Object.entries(historyData)) {
+        this.importConversation(conversationId, conversation);
+      }
+    });
+  }
+
+  // Keeps the original lastUpdated/watermark of imported data instead of stamping "now"
+  importConversation(conversationId, conversation) {
+    const messages = conversation.messages || [];
+    this.ensureConversation(conversationId);
+
+    const existing = this.loadMessages(conversationId);
+    let added = 0;
+    for (const message of messages) {
+      if (!existing.some(m => isKnownMessage(m, message))) {
+        this.insertMessage(conversationId, message);
+        existing.push(message);
+        added++;
+      }
+    }
+
+    const watermark = conversation.watermark || buildWatermark(existing);
+    this.db.prepare('UPDATE conversations SET last_updated = ?, message_count = ?, watermark = ?, name = COALESCE(?, name), role = COALESCE(?, role) WHERE id = ?')
+      .run(conversation.lastUpdated ?? new Date().toISOString(), existing.length,
+        watermark ? JSON.stringify(watermark) : null, conversation.name ?? null, conversation.role ?? null, conversationId);
+
+    return added;
+  }
+
+  // Sessions
+  async loadAllSessions() {
+    const sessions = {};
+    for (const row of this.db.prepare('SELECT id, data FROM sessions').all()) {
+      sessions[row.id] = JSON.parse(row.data);
+    }
+    return sessions;
+  }
+
+  async saveSession(sessionId, session) {
+    this.db.prepare('INSERT OR REPLACE INTO sessions (id, timestamp, data) VALUES (?, ?, ?)')
+      .run(sessionId, session.timestamp ?? null, JSON.stringify(session));
+  }
+
+  async deleteSessions(sessionIds) {
+    return this.transaction(() => sessionIds.reduce((deleted, sessionId) =>
+      deleted + this.db.prepare('DELETE FROM sessions WHERE id = ?').run(sessionId).changes, 0));
+  }
+
+  async replaceAllSessions(sessionData) {
+    this.transaction(() => {
+      this.db.exec('DELETE FROM sessions');
+      for (const [sessionId, session] of Object.entries(sessionData)) {
+        this.db.prepare('INSERT INTO sessions (id, timestamp, data) VALUES (?, ?, ?)')
+          .run(sessionId, session.timestamp ?? null, JSON.stringify(session));
+      }
+    });
+  }
+
+  // Internships
+  async loadInternships() {
+    return this.db.prepare('SELECT data FROM internships ORDER BY scraped_at DESC')
+      .all()
+      .map(row => JSON.parse(row.data));
+  }
+
+  async saveInternships(internships) {
+    return this.transaction(() => {
+      for (const internship of internships) {
+        const id = internshipKey(internship);
+        const existing = this.db.prepare('SELECT data FROM internships WHERE id = ?').get(id);
+        const merged = existing ? { ...JSON.parse(existing.data), ...internship } : internship;
+
+        this.db.prepare(`
+          INSERT OR REPLACE INTO internships (id, title, company, location, stipend, job_url, scraped_at, data)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+          id,
+          merged.title ?? null,
+          merged.company ?? null,
+          merged.location ?? null,
+          merged.stipend ?? null,
+          merged.job_url ?? null,
+          merged.scraped_at ?? new Date().toISOString(),
+          JSON.stringify(merged)
+        );
+      }
+      return internships.length;
+    });
+  }
+
+  // Outbox
+  async loadOutbox() {
+    return this.db.prepare('SELECT data FROM outbox ORDER BY send_at')
+      .all()
+      .map(row => JSON.parse(row.data));
+  }
+
+  writeOutboxEntry(entry) {
+    this.db.prepare('INSERT OR REPLACE INTO outbox (id, conversation_id, status, send_at, data) VALUES (?, ?, ?, ?, ?)')
+      .run(entry.id, entry.conversation_id, entry.status, entry.send_at, JSON.stringify(entry));
+  }
+
+  async saveOutboxEntry(entry) {
+    this.writeOutboxEntry(entry);
+  }
+
+  // Read and write happen in one transaction, so two processes can't both claim a due message
+  async updateOutboxEntry(id, change) {
+    return this.transaction(() => {
+      const row = this.db.prepare('SELECT data FROM outbox WHERE id = ?').get(id);
+      const updated = change(row ? JSON.parse(row.data) : null);
+      if (updated) {
+        this.writeOutboxEntry(updated);
+      }
+      return updated;
+    });
+  }
+
+  // Send records
+  async loadSends() {
+    return this.db.prepare('SELECT data FROM sends ORDER BY updated_at')
+      .all()
+      .map(row => JSON.parse(row.data));
+  }
+
+  writeSend(entry) {
+    this.db.prepare('INSERT OR REPLACE INTO sends (key, conversation_id, status, updated_at, data) VALUES (?, ?, ?, ?, ?)')
+      .run(entry.key, entry.conversation_id, entry.status, entry.updated_at, JSON.stringify(entry));
+  }
+
+  // Read and write happen in one transaction, so a key is only ever created once
+  async updateSend(key, change) {
+    return this.transaction(() => {
+      const row = this.db.prepare('SELECT data FROM sends WHERE key = ?').get(key);
+      const updated = change(row ? JSON.parse(row.data) : null);
+      if (updated) {
+        this.writeSend(updated);
+      }
+      return updated;
+    });
+  }
+
+  async deleteSends(cutoff) {
+    return this.db.prepare("DELETE FROM sends WHERE status = 'sent' AND updated_at < ?").run(cutoff).changes;
+  }
+
+  importSends(entries) {
+    for (const entry of entries) {
+      this.db.prepare('INSERT OR IGNORE INTO sends (key, conversation_id, status, updated_at, data) VALUES (?, ?, ?, ?, ?)')
+        .run(entry.key, entry.conversation_id, entry.status, entry.updated_at, JSON.stringify(entry));
+    }
+    return entries.length;
+  }
+
+  // Drafts
+  async loadDrafts() {
+    return this.db.prepare('SELECT data FROM drafts ORDER BY created_at')
+      .all()
+      .map(row => JSON.parse(row.data));
+  }
+
+  writeDraft(draft) {
+    this.db.prepare('INSERT OR REPLACE INTO drafts (id, conversation_id, status, idempotency_key, created_at, data) VALUES (?, ?, ?, ?, ?, ?)')
+      .run(draft.id, draft.conversation_id, draft.status, draft.idempotency_key, draft.created_at, JSON.stringify(draft));
+  }
+
+  async addDraft(draft) {
+    return this.transaction(() => {
+      const row = this.db.prepare('SELECT data FROM drafts WHERE idempotency_key = ?').get(draft.idempotency_key);
+      if (row) {
+        return JSON.parse(row.data);
+      }
+      this.writeDraft(draft);
+      return null;
+    });
+  }
+
+  async updateDraft(id, change) {
+    return this.transaction(() => {
+      const row = this.db.prepare('SELECT data FROM drafts WHERE id = ?').get(id);
+      const updated = change(row ? JSON.parse(row.data) : null);
+      if (updated) {
+        this.writeDraft(updated);
+      }
+      return updated;
+    });
+  }
+
+  importDrafts(drafts) {
+    for (const draft of drafts) {
+      this.db.prepare('INSERT OR IGNORE INTO drafts (id, conversation_id, status, idempotency_key, created_at, data) VALUES (?, ?, ?, ?, ?, ?)')
+        .run(draft.id, draft.conversation_id, draft.status, draft.idempotency_key, draft.created_at, JSON.stringify(draft));
+    }
+    return drafts.length;
+  }
+
+  // Copies everything from another backend (the JSON files) into this database; safe to re-run
+  async importFrom(source) {
+    const historyData = await source.loadAllConversations();
+    const sessions = await source.loadAllSessions();
+    const internships = await source.loadInternships();
+    const outbox = await source.loadOutbox();
+    const sends = await source.loadSends();
+    const drafts = await source.loadDrafts();
+
+    const result = this.transaction(() => {
+      let messages = 0;
+      for (const [conversationId, conversation] of Object.entries(historyData)) {
+        messages += this.importConversation(conversationId, conversation);
+      }
+      for (const [sessionId, session] of Object.entries(sessions)) {
+        this.db.prepare('INSERT OR IGNORE INTO sessions (id, timestamp, data) VALUES (?, ?, ?)')
+          .run(sessionId, session.timestamp ?? null, JSON.stringify(session));
+      }
+      for (const entry of outbox) {
+        this.db.prepare('INSERT OR IGNORE INTO outbox (id, conversation_id, status, send_at, data) VALUES (?, ?, ?, ?, ?)')
+          .run(entry.id, entry.conversation_id, entry.status, entry.send_at, JSON.stringify(entry));
+      }
+      return {
+        conversations: Object.keys(historyData).length,
+        messages,
+        sessions: Object.keys(sessions).length,
+        outbox: outbox.length,
+        sends: this.importSends(sends),
+        drafts: this.importDrafts(drafts)
+      };
+    });
+
+    if (internships.length > 0) {
+      await this.saveInternships(internships);
+    }
+
+    return { ...result, internships: internships.length };
+  }
+
+  async getStats() {
+    const count = table => this.db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
+
+    return {
+      conversations: count('conversations'),
+      totalMessages: count('messages'),
+      sessions: count('sessions'),
+      internships: count('internships'),
+      outbox: count('outbox')
+    };
+  }
+}
@@ -0,0 +1,35 @@
+// Helpers shared by StorageManager and the storage backends
+
+// Same text within 5 seconds is treated as the same message
+export function isDuplicateMessage(a, b) {
+  return a.text === b.text &&
+    Math.abs(new Date(a.timestamp) - new Date(b.timestamp)) < 5000;
+}
+
+// Stable ids (from the site) match directly; generated ones fall back to the text/time rule
+export function isKnownMessage(existing, message) {
+  return (message.id && existing.id === message.id) || isDuplicateMessage(existing, message);
+}
+
+// Last message we have for a conversation; incremental sync stops scrolling once it is back in view
+export function buildWatermark(messages) {
+  const last = messages[messages.length - 1];
+  if (!last) return null;
+
+  return {
+    lastMessageId: last.id || null,
+    lastMessageText: last.text || '',
+    lastTimestamp: last.timestamp || null,
+    lastSender: last.sender || null,
+    syncedAt: new Date().toISOString()
+  };
+}
+
+export function emptyConversation() {
+  return { messages: [], lastUpdated: null, messageCount: 0 };
+}
+
+export function internshipKey(internship) {
+  return internship.job_url || internship.apply_url || internship.id ||
+    `${internship.company || 'unknown'}_${internship.title || ''}_${internship.location || ''}`;
+}
@@ -2,16 +2,84 @@ import fs from 'fs/promises';
 import path from 'path';
 import { logger } from '../utils/logger.js';
 import { CSVExporter } from './csv-exporter.js';
+import { JsonStorageBackend } from './storage-json.js';
+import { SqliteStorageBackend } from './storage-sqlite.js';
+import { SearchIndex } from './search-index.js';
+import { AttachmentArchive } from './attachments.js';
+import { TemplateLibrary } from './templates.js';
+import { Outbox } from './outbox.js';
+import { SendLedger } from './send-ledger.js';
+import { DraftQueue } from './drafts.js';
+import { createMessageFilter, decodeCursor, encodeCursor, normalizeSearchFilters, normalizeSort, searchFingerprint } from './search-filters.js';
+import { buildWatermark, emptyConversation } from './storage-utils.js';
 
+export { isDuplicateMessage, buildWatermark } from './storage-utils.js';
+
+export function createStorageBackend(type, dataDir) {
+  switch (type) {
+    case 'json':
+      return new JsonStorageBackend(dataDir);
+    case 'sqlite':
+      return new SqliteStorageBackend(dataDir);
+    default:
+      throw new Error(`Unknown storage backend: ${type} (expected "json" or "sqlite")`);
+  }
+}
+
+// Cookies stay in a JSON file; conversations, sessions, internships, the outbox, send records and drafts go
+// through a pluggable backend chosen with STORAGE_BACKEND ("json", the default, or "sqlite").
 export class StorageManager {
-  constructor() {
-    this.dataDir = './data';
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || './data';
     this.cookiesFile = path.join(this.dataDir, 'cookies.json');
-    this.chatHistoryFile = path.join(this.dataDir, 'chat_history.json');
-    this.sessionsFile = path.join(this.dataDir, 'sessions.json');
     this.csvExporter = new CSVExporter();
+    this.attachments = new AttachmentArchive(path.join(this.dataDir, 'attachments'));
+    this.templates = new TemplateLibrary(this.dataDir);
+    this.outbox = new Outbox(() => this.getBackend());
+    this.sends = new SendLedger(() => this.getBackend());
+    this.drafts = new DraftQueue(() => this.getBackend());
+    
+    this.backend = createStorageBackend(options.backend || process.env.STORAGE_BACKEND || 'json', this.dataDir);
+    this.searchIndex = null;
+    this.searchIndexVersion = null;
+    this.ready = this.initialize();
+    // Surfaced on first use; avoids an unhandled rejection if nothing touches storage
+    this.ready.catch(() => {});
+  }
+
+  async initialize() {
+    await this.ensureDataDirectory();
+    await this.backend.init();
+    
+    // A brand-new database picks up whatever the JSON files already hold
+    if (this.backend.name === 'sqlite' && this.backend.createdSchema) {
+      const result = await this.migrateFromJson();
+      if (result.conversations > 0 || result.sessions > 0) {
+        logger.info(`Imported existing JSON data into SQLite: ${result.conversations} conversations, ${result.messages} messages`);
+      }
+    }
+    
+    logger.debug(`Storage backend: ${this.backend.name}`);
+  }
+
+  async getBackend() {
+    await this.ready;
+    return this.backend;
+  }
+
+  async close() {
+    await this.ready.catch(() => {});
+    await this.backend.close();
+  }
+
+  async migrateFromJson() {
+    if (this.backend.name !== 'sqlite') {
+      throw new Error('Migration target must be the sqlite backend (set STORAGE_BACKEND=sqlite)');
+    }
     
-    this.ensureDataDirectory();
+    const result = await this.backend.importFrom(new JsonStorageBackend(this.dataDir));
+    this.searchIndex = null;
+    return result;
   }
 
   async ensureDataDirectory() {
@@ -78,24 +146,9 @@ export class StorageManager {
   // Chat history management
   async saveChatHistory(conversationId, messages) {
     try {
-      let historyData = {};
-      
-      // Load existing history
-      try {
-        const existingData = await fs.readFile(this.chatHistoryFile, 'utf8');
-        historyData = JSON.parse(existingData);
-      } catch (error) {
-        // File doesn't exist or is invalid, start fresh
-      }
-      
-      // Update conversation history
-      historyData[conversationId] = {
-        messages: messages,
-        lastUpdated: new Date().toISOString(),
-        messageCount: messages.length
-      };
-      
-      await fs.writeFile(this.chatHistoryFile, JSON.stringify(historyData, null, 2));
+      const backend = await this.getBackend();
+      await backend.saveConversation(conversationId, messages);
+      await this.updateSearchIndex(index => index.indexConversation(conversationId, messages));
       logger.info(`Saved ${messages.length} messages for conversation ${conversationId}`);
       
       // Also export to CSV
@@ -105,7 +158,7 @@ export class StorageManager {
           logger.success(`📊 Chat history also exported to CSV: ${csvPath}`);
         }
       } catch (csvError) {
-        logger.warn('Failed to export to CSV, but JSON saved successfully:', csvError.message);
+        logger.warn('Failed to export to CSV, but chat history saved successfully:', csvError.message);
       }
       
     } catch (error) {
@@ -115,74 +168,169 @@ export class StorageManager {
 
   async loadChatHistory(conversationId = null) {
     try {
-      const data = await fs.readFile(this.chatHistoryFile, 'utf8');
-      const historyData = JSON.parse(data);
+      const backend = await this.getBackend();
       
       if (conversationId) {
-        return historyData[conversationId] || { messages: [], lastUpdated: null, messageCount: 0 };
+        return (await backend.loadConversation(conversationId)) || emptyConversation();
       }
       
-      return historyData;
+      return await backend.loadAllConversations();
       
     } catch (error) {
-      if (error.code !== 'ENOENT') {
-        logger.error('Failed to load chat history:', error);
-      }
-      return conversationId ? { messages: [], lastUpdated: null, messageCount: 0 } : {};
+      logger.error('Failed to load chat history:', error);
+      return conversationId ? emptyConversation() : {};
     }
   }
 
   async appendMessage(conversationId, message) {
     try {
-      const historyData = await this.loadChatHistory();
-      
-      if (!historyData[conversationId]) {
-        historyData[conversationId] = {
-          messages: [],
-          lastUpdated: null,
-          messageCount: 0
-        };
-      }
+      const backend = await this.getBackend();
+      const appended = await backend.appendMessage(conversationId, message);
       
-      // Check for duplicate messages
-      const existingMessage = historyData[conversationId].messages.find(m => 
-        m.text === message.text && 
-        Math.abs(new Date(m.timestamp) - new Date(message.timestamp)) < 5000
-      );
-      
-      if (!existingMessage) {
-        historyData[conversationId].messages.push(message);
-        historyData[conversationId].lastUpdated = new Date().toISOString();
-        historyData[conversationId].messageCount = historyData[conversationId].messages.length;
-        
-        await fs.writeFile(this.chatHistoryFile, JSON.stringify(historyData, null, 2));
+      if (appended) {
+        await this.updateSearchIndex(index => index.addMessage(conversationId, message));
         logger.debug(`Appended new message to conversation ${conversationId}`);
       }
       
+      return appended;
+      
     } catch (error) {
       logger.error('Failed to append message:', error);
+      return false;
     }
   }
 
-  // Session management
-  async saveSession(sessionData) {
+  // Display names come from the inbox; they make conversations findable by name in search.
+  // The internship title (role), when the inbox shows one, is kept for message templates.
+  async saveConversationNames(conversations) {
     try {
-      let sessions = {};
+      const backend = await this.getBackend();
+      for (const conversation of conversations) {
+        if (!conversation.id || !conversation.name) continue;
+        await backend.saveConversationInfo(conversation.id, { name: conversation.name, role: conversation.role || null });
+        await this.updateSearchIndex(index => index.setConversationInfo(conversation.id, { name: conversation.name }));
+      }
       
-      try {
-        const existingData = await fs.readFile(this.sessionsFile, 'utf8');
-        sessions = JSON.parse(existingData);
-      } catch (error) {
-        // File doesn't exist, start fresh
+    } catch (error) {
+      logger.error('Failed to save conversation names:', error);
+    }
+  }
+
+  async getWatermark(conversationId) {
+    const conversation = await this.loadChatHistory(conversationId);
+    return conversation.watermark || buildWatermark(conversation.messages);
+  }
+
+  // Adds only messages we don't have yet, keeping everything already stored
+  async mergeMessages(conversationId, messages) {
+    try {
+      const backend = await this.getBackend();
+      const result = await backend.mergeMessages(conversationId, messages);
+      if (result.added > 0) {
+        const conversation = await backend.loadConversation(conversationId);
+        await this.updateSearchIndex(index => index.indexConversation(conversationId, conversation.messages));
+      }
+      
+      logger.info(`Merged ${result.added} new messages into conversation ${conversationId} (${result.total} total)`);
+      return result;
+      
+    } catch (error) {
+      logger.error('Failed to merge messages:', error);
+      throw error;
+    }
+  }
+
+  // Full-text search (query syntax in search-index.js) narrowed by structured filters (search-filters.js).
+  // `params` uses the search_messages tool's names: sender, type, since, until, has_links, sort, cursor, limit, ...
+  async searchMessages(query, params = {}) {
+    const filters = normalizeSearchFilters(params);
+    const sort = normalizeSort(params.sort, query);
+    const fingerprint = searchFingerprint(query, params, sort);
+    const offset = params.cursor ? decodeCursor(params.cursor, fingerprint) : 0;
+    const limit = params.limit || 50;
+    
+    const index = await this.getSearchIndex();
+    const { results, total } = index.search(query, {
+      filter: createMessageFilter(filters),
+      sort,
+      offset,
+      limit
+    });
+    
+    const nextOffset = offset + results.length;
+    return {
+      results,
+      total,
+      sort,
+      next_cursor: nextOffset < total ? encodeCursor(nextOffset, fingerprint) : null
+    };
+  }
+
+  // Built on first search, then kept current by our own writes. A write from another process
+  // (e.g. `sync` while the daemon runs) changes the backend's data version and forces a rebuild.
+  async getSearchIndex() {
+    const backend = await this.getBackend();
+    const version = await backend.dataVersion();
+    
+    if (!this.searchIndex || version !== this.searchIndexVersion) {
+      const index = new SearchIndex();
+      const historyData = await backend.loadAllConversations();
+      for (const [conversationId, conversation] of Object.entries(historyData)) {
+        index.indexConversation(conversationId, conversation.messages || [], { name: conversation.name });
       }
       
+      this.searchIndex = index;
+      this.searchIndexVersion = version;
+      logger.debug(`Built search index over ${index.size} messages`);
+    }
+    
+    return this.searchIndex;
+  }
+
+  async updateSearchIndex(update) {
+    if (!this.searchIndex) return;
+    update(this.searchIndex);
+    this.searchIndexVersion = await this.backend.dataVersion();
+  }
+
+  // Attachments
+  // Archived attachment metadata; without a conversation ID every conversation's archive is searched
+  async getAttachment(attachmentId, conversationId = null) {
+    try {
+      return await this.attachments.find(attachmentId, conversationId);
+    } catch (error) {
+      logger.error('Failed to look up attachment:', error);
+      return null;
+    }
+  }
+
+  async listAttachments(conversationId) {
+    try {
+      return await this.attachments.list(conversationId);
+    } catch (error) {
+      logger.error('Failed to list attachments:', error);
+      return [];
+    }
+  }
+
+  // Fills a message template for a conversation from its stored metadata and the template profile
+  async renderTemplate(conversationId, { template = null, body = null, variables = {} } = {}) {
+    const conversation = conversationId ? await this.loadChatHistory(conversationId) : null;
+    const result = await this.templates.render({ template, body, conversation, variables });
+    return { conversation_id: conversationId || null, conversation_name: conversation?.name || null, ...result };
+  }
+
+  // Session management
+  async saveSession(sessionData) {
+    try {
+      const backend = await this.getBackend();
+      
       const sessionId = sessionData.id || Date.now().toString();
-      sessions[sessionId] = {
+      await backend.saveSession(sessionId, {
         ...sessionData,
         timestamp: new Date().toISOString()
-      };
+      });
       
-      await fs.writeFile(this.sessionsFile, JSON.stringify(sessions, null, 2));
       logger.info(`Saved session: ${sessionId}`);
       
       return sessionId;
@@ -195,8 +343,8 @@ export class StorageManager {
 
   async loadSession(sessionId = null) {
     try {
-      const data = await fs.readFile(this.sessionsFile, 'utf8');
-      const sessions = JSON.parse(data);
+      const backend = await this.getBackend();
+      const sessions = await backend.loadAllSessions();
       
       if (sessionId) {
         return sessions[sessionId] || null;
@@ -215,21 +363,46 @@ export class StorageManager {
       return sessions[mostRecent];
       
     } catch (error) {
-      if (error.code !== 'ENOENT') {
-        logger.error('Failed to load session:', error);
-      }
+      logger.error('Failed to load session:', error);
       return null;
     }
   }
 
+  // Internship records (search results, later enriched)
+  async saveInternships(internships) {
+    try {
+      const backend = await this.getBackend();
+      const saved = await backend.saveInternships(internships);
+      logger.info(`Saved ${saved} internships`);
+      return saved;
+      
+    } catch (error) {
+      logger.error('Failed to save internships:', error);
+      return 0;
+    }
+  }
+
+  async loadInternships() {
+    try {
+      const backend = await this.getBackend();
+      return await backend.loadInternships();
+      
+    } catch (error) {
+      logger.error('Failed to load internships:', error);
+      return [];
+    }
+  }
+
   // Backup and export
   async exportData(outputPath = './internshala_backup.json') {
     try {
+      const backend = await this.getBackend();
       const exportData = {
         timestamp: new Date().toISOString(),
         cookies: await this.loadCookies(),
         chatHistory: await this.loadChatHistory(),
-        sessions: await this.loadSession()
+        sessions: await backend.loadAllSessions(),
+        internships: await backend.loadInternships()
       };
       
       await fs.writeFile(outputPath, JSON.stringify(exportData, null, 2));
@@ -242,6 +415,7 @@ export class StorageManager {
 
   async importData(inputPath) {
     try {
+      const backend = await this.getBackend();
       const data = await fs.readFile(inputPath, 'utf8');
       const importData = JSON.parse(data);
       
@@ -250,11 +424,16 @@ export class StorageManager {
       }
       
       if (importData.chatHistory) {
-        await fs.writeFile(this.chatHistoryFile, JSON.stringify(importData.chatHistory, null, 2));
+        await backend.replaceAllConversations(importData.chatHistory);
+        this.searchIndex = null;
       }
       
       if (importData.sessions) {
-        await fs.writeFile(this.sessionsFile, JSON.stringify(importData.sessions, null, 2));
+        await backend.replaceAllSessions(importData.sessions);
+      }
+      
+      if (importData.internships) {
+        await backend.saveInternships(importData.internships);
       }
       
       logger.info(`Data imported from: ${inputPath}`);
@@ -267,42 +446,31 @@ export class StorageManager {
   // Cleanup old data
   async cleanup(maxAge = 30) {
     try {
+      const backend = await this.getBackend();
       const maxAgeMs = maxAge * 24 * 60 * 60 * 1000; // Convert days to milliseconds
       const cutoffDate = new Date(Date.now() - maxAgeMs);
       
       // Clean up old chat history
-      const historyData = await this.loadChatHistory();
-      let cleanedConversations = 0;
-      
-      for (const [conversationId, conversation] of Object.entries(historyData)) {
-        if (conversation.lastUpdated && new Date(conversation.lastUpdated) < cutoffDate) {
-          delete historyData[conversationId];
-          cleanedConversations++;
-        }
-      }
-      
-      if (cleanedConversations > 0) {
-        await fs.writeFile(this.chatHistoryFile, JSON.stringify(historyData, null, 2));
+      const historyData = await backend.loadAllConversations();
+      const staleConversations = Object.entries(historyData)
+        .filter(([, conversation]) => conversation.lastUpdated && new Date(conversation.lastUpdated) < cutoffDate)
+        .map(([conversationId]) => conversationId);
+      
+      if (staleConversations.length > 0) {
+        const cleanedConversations = await backend.deleteConversations(staleConversations);
+        await this.updateSearchIndex(index => staleConversations.forEach(id => index.removeConversation(id)));
         logger.info(`Cleaned up ${cleanedConversations} old conversations`);
       }
       
       // Clean up old sessions
-      const sessions = await this.loadSession();
-      if (sessions) {
-        const sessionData = JSON.parse(await fs.readFile(this.sessionsFile, 'utf8'));
-        let cleanedSessions = 0;
-        
-        for (const [sessionId, session] of Object.entries(sessionData)) {
-          if (session.timestamp && new Date(session.timestamp) < cutoffDate) {
-            delete sessionData[sessionId];
-            cleanedSessions++;
-          }
-        }
-        
-        if (cleanedSessions > 0) {
-          await fs.writeFile(this.sessionsFile, JSON.stringify(sessionData, null, 2));
-          logger.info(`Cleaned up ${cleanedSessions} old sessions`);
-        }
+      const sessionData = await backend.loadAllSessions();
+      const staleSessions = Object.entries(sessionData)
+        .filter(([, session]) => session.timestamp && new Date(session.timestamp) < cutoffDate)
+        .map(([sessionId]) => sessionId);
+      
+      if (staleSessions.length > 0) {
+        const cleanedSessions = await backend.deleteSessions(staleSessions);
+        logger.info(`Cleaned up ${cleanedSessions} old sessions`);
       }
       
     } catch (error) {
@@ -313,11 +481,14 @@ export class StorageManager {
   // Get storage statistics
   async getStats() {
     try {
+      const backend = await this.getBackend();
       const stats = {
+        backend: backend.name,
         cookies: 0,
         conversations: 0,
         totalMessages: 0,
         sessions: 0,
+        internships: 0,
         diskUsage: 0
       };
       
@@ -327,33 +498,17 @@ export class StorageManager {
         stats.cookies = cookies.length;
       }
       
-      // Chat history stats
-      const historyData = await this.loadChatHistory();
-      stats.conversations = Object.keys(historyData).length;
-      stats.totalMessages = Object.values(historyData).reduce((total, conv) => total + conv.messageCount, 0);
-      
-      // Session stats
-      try {
-        const sessionData = await fs.readFile(this.sessionsFile, 'utf8');
-        const sessions = JSON.parse(sessionData);
-        stats.sessions = Object.keys(sessions).length;
-      } catch (error) {
-        // No sessions file
-      }
+      // Chat history, session and internship stats
+      Object.assign(stats, await backend.getStats());
       
       // Disk usage
-      try {
-        const files = [this.cookiesFile, this.chatHistoryFile, this.sessionsFile];
-        for (const file of files) {
-          try {
-            const fileStat = await fs.stat(file);
-            stats.diskUsage += fileStat.size;
-          } catch (error) {
-            // File doesn't exist
-          }
+      for (const file of [this.cookiesFile, ...backend.files()]) {
+        try {
+          const fileStat = await fs.stat(file);
+          stats.diskUsage += fileStat.size;
+        } catch (error) {
+          // File doesn't exist
         }
-      } catch (error) {
-        // Error calculating disk usage
       }
       
       return stats;
@@ -363,4 +518,4 @@ export class StorageManager {
       return null;
     }
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,217 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+// Variables filled in automatically; anything else in a template comes from the profile or the caller
+export const TEMPLATE_VARIABLES = {
+  company: 'Conversation name from the chat inbox',
+  role: 'Internship title shown in the chat inbox',
+  recruiter_name: 'Name of the last recruiter who wrote in the conversation',
+  my_name: 'my_name from your profile'
+};
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][\w]*)\s*\}\}/g;
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+// Written to templates.json the first time the library is used
+const DEFAULT_TEMPLATES = {
+  follow_up: {
+    description: 'Polite follow-up on an application',
+    body: 'Hi {{recruiter_name}}, I hope you are doing well. I wanted to follow up on my application for the {{role}} internship at {{company}}. Please let me know if you need anything else from me. Thank you, {{my_name}}'
+  },
+  thank_you: {
+    description: 'Thank-you note after an interview or assignment',
+    body: 'Hi {{recruiter_name}}, thank you for your time and for considering me for the {{role}} internship at {{company}}. I look forward to hearing from you. Regards, {{my_name}}'
+  },
+  availability: {
+    description: 'Share availability for an interview',
+    body: 'Hi {{recruiter_name}}, thank you for reaching out about the {{role}} internship. I am available {{availability}}. Please let me know what works best for you. Regards, {{my_name}}'
+  }
+};
+
+export function templateVariables(body) {
+  return Array.from(new Set(Array.from(body.matchAll(PLACEHOLDER), match => match[1])));
+}
+
+// Unfilled placeholders are left in the text and reported in `missing` so a preview shows what's absent
+export function renderTemplate(body, variables = {}) {
+  const missing = new Set();
+  const text = body.replace(PLACEHOLDER, (placeholder, name) => {
+    const value = variables[name];
+    if (value === undefined || value === null || String(value).trim() === '') {
+      missing.add(name);
+      return placeholder;
+    }
+    return String(value).trim();
+  });
+
+  return { text, used: templateVariables(body), missing: Array.from(missing) };
+}
+
+// Recruiters' display names often carry a role or company suffix: "Priya (HR, Acme Analytics)", "Rahul - Pixel Forge"
+function personName(sender) {
+  return sender.replace(/\s*[([].*$/, '').replace(/\s+[-|–].*$/, '').trim();
+}
+
+function recruiterName(messages = []) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const { type, sender } = messages[i];
+    if (type === 'received' && sender && !['other', 'me', 'Unknown'].includes(sender)) {
+      return personName(sender) || null;
+    }
+  }
+  return null;
+}
+
+// Local message templates with {{placeholders}}, plus the profile fields used to fill them, in
+// data/templates.json. Placeholders are filled from conversation metadata (see TEMPLATE_VARIABLES),
+// then the profile, then any values passed explicitly, which win.
+export class TemplateLibrary {
+  constructor(dataDir = './data') {
+    this.file = path.join(dataDir, 'templates.json');
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      return { profile: data.profile || {}, templates: data.templates || {} };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { profile: {}, templates: structuredClone(DEFAULT_TEMPLATES) };
+      }
+      throw error;
+    }
+  }
+
+  update(change) {
+    const run = this.writeQueue.then(async () => {
+      const data = await this.load();
+      const result = await change(data);
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.writeFile(this.file, JSON.stringify(data, null, 2));
+      return result;
+    });
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  toEntry(name, template) {
+    return {
+      name,
+      description: template.description || '',
+      body: template.body,
+      variables: templateVariables(template.body),
+      updated_at: template.updated_at || null
+    };
+  }
+
+  async list() {
+    const { templates } = await this.load();
+    return Object.entries(templates)
+      .map(([name, template]) => this.toEntry(name, template))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async get(name) {
+    const { templates } = await this.load();
+    if (!templates[name]) {
+      const available = Object.keys(templates).sort().join(', ') || 'none';
+      throw new Error(`Unknown template "${name}" (available: ${available})`);
+    }
+    return this.toEntry(name, templates[name]);
+  }
+
+  async save(name, body, description = undefined) {
+    if (!NAME_PATTERN.test(name || '')) {
+      throw new Error(`Invalid template name "${name}" (letters, digits, "-" and "_", up to 64 characters)`);
+    }
+    if (typeof body !== 'string' || !body.trim()) {
+      throw new Error('Template body must be a non-empty string');
+    }
+
+    return this.update(data => {
+      const existing = data.templates[name] || {};
+      data.templates[name] = {
+        description: description ?? existing.description ?? '',
+        body: body.trim(),
+        updated_at: new Date().toISOString()
+      };
+      logger.info(`Saved template ${name}`);
+      return this.toEntry(name, data.templates[name]);
+    });
+  }
+
+  async remove(name) {
+    return this.update(data => {
+      if (!data.templates[name]) return false;
+      delete data.templates[name];
+      logger.info(`Deleted template ${name}`);
+      return true;
+    });
+  }
+
+  async getProfile() {
+    return (await this.load()).profile;
+  }
+
+  // Empty values remove a field
+  async updateProfile(fields) {
+    return this.update(data => {
+      for (const [key, value] of Object.entries(fields)) {
+        if (!/^[A-Za-z_]\w*$/.test(key)) {
+          throw new Error(`Invalid profile field "${key}" (use letters, digits and "_")`);
+        }
+        if (value === null || value === undefined || String(value).trim() === '') {
+          delete data.profile[key];
+        } else {
+          data.profile[key] = String(value).trim();
+        }
+      }
+      return data.profile;
+    });
+  }
+
+  // `conversation` is a stored conversation ({ name, role, messages }) or null
+  async buildVariables(conversation, overrides = {}) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new Error('Template variables must be an object of name/value pairs');
+    }
+
+    const profile = await this.getProfile();
+    const fromConversation = {
+      company: conversation?.name || null,
+      role: conversation?.role || null,
+      recruiter_name: recruiterName(conversation?.messages)
+    };
+
+    const variables = {};
+    for (const source of [fromConversation, profile, overrides]) {
+      for (const [key, value] of Object.entries(source)) {
+        if (value !== null && value !== undefined && String(value).trim() !== '') {
+          variables[key] = String(value);
+        }
+      }
+    }
+    return variables;
+  }
+
+  // Renders a saved template (`template`) or an ad-hoc `body` for a conversation
+  async render({ template = null, body = null, conversation = null, variables = {} }) {
+    const source = template ? (await this.get(template)).body : body;
+    if (typeof source !== 'string' || !source.trim()) {
+      throw new Error('Either a template name or a template body is required');
+    }
+
+    const values = await this.buildVariables(conversation, variables);
+    const rendered = renderTemplate(source, values);
+
+    return {
+      template,
+      text: rendered.text,
+      variables: Object.fromEntries(rendered.used.filter(name => name in values).map(name => [name, values[name]])),
+      missing: rendered.missing,
+      ready: rendered.missing.length === 0
+    };
+  }
+}
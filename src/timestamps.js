@@ -0,0 +1,339 @@
+// Turns the time labels Internshala shows ("Today", "Yesterday", "12 Sep", "12:47 AM", "2 hours ago")
+// into absolute timestamps. Wall-clock labels are read in a configurable timezone (CHAT_TIMEZONE,
+// default Asia/Kolkata) rather than the machine's, so exports don't shift when the bot runs elsewhere.
+
+export const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const MONTHS = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+const WEEKDAYS = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+const UNIT_MS = { second: 1000, minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000, week: 7 * 24 * 60 * 60 * 1000 };
+const UNIT_ALIASES = { sec: 'second', secs: 'second', min: 'minute', mins: 'minute', hr: 'hour', hrs: 'hour', mo: 'month', yr: 'year' };
+
+const CLOCK_12H = /\b(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*([ap])\.?\s*m\b\.?/i;
+const CLOCK_24H = /\b([01]?\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?\b/;
+const RELATIVE = /\b(\d+|an?|one)\s*(seconds?|secs?|minutes?|mins?|hours?|hrs?|days?|weeks?|months?|mo|years?|yr)\s+ago\b/i;
+const ISO_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(z|[+-]\d{2}:?\d{2})?$/i;
+
+// How a timestamp was obtained, from most to least trustworthy
+export const PRECISION = {
+  EXACT: 'exact',         // full date and time from the page
+  MINUTE: 'minute',       // day label + clock time
+  RELATIVE: 'relative',   // "2 hours ago"
+  DAY: 'day',             // day label only, set to midnight
+  ESTIMATED: 'estimated'  // nothing usable; placed between its neighbours
+};
+
+export class TimestampResolver {
+  constructor(options = {}) {
+    this.timeZone = options.timeZone || process.env.CHAT_TIMEZONE || DEFAULT_TIMEZONE;
+    this.now = options.now || (() => new Date());
+
+    try {
+      this.formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: this.timeZone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      });
+    } catch (error) {
+      throw new Error(`Unknown timezone "${this.timeZone}" (set CHAT_TIMEZONE to an IANA name such as Asia/Kolkata)`);
+    }
+  }
+
+  // Wall-clock fields of an instant in the configured timezone (month is 0-based)
+  zonedParts(date) {
+    const parts = {};
+    for (const { type, value } of this.formatter.formatToParts(date)) {
+      parts[type] = value;
+    }
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month) - 1,
+      day: Number(parts.day),
+      hour: Number(parts.hour) % 24,
+      minute: Number(parts.minute),
+      second: Number(parts.second),
+      weekday: WEEKDAYS[parts.weekday.toLowerCase()]
+    };
+  }
+
+  offsetAt(ms) {
+    const parts = this.zonedParts(new Date(ms));
+    const wall = Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second);
+    return wall - Math.floor(ms / 1000) * 1000;
+  }
+
+  // Instant for a wall-clock time in the configured timezone. The offset is re-read at the first guess
+  // so times next to a DST change land on the right side of it.
+  toInstant({ year, month, day, hour = 0, minute = 0, second = 0 }) {
+    const wall = Date.UTC(year, month, day, hour, minute, second);
+    const guess = wall - this.offsetAt(wall);
+    return new Date(wall - this.offsetAt(guess));
+  }
+
+  today() {
+    const { year, month, day } = this.zonedParts(this.now());
+    return { year, month, day };
+  }
+
+  shiftDay({ year, month, day }, days) {
+    const date = new Date(Date.UTC(year, month, day + days));
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() };
+  }
+
+  formatDate(value) {
+    const parts = this.zonedParts(new Date(value));
+    const pad = n => String(n).padStart(2, '0');
+    return `${parts.year}-${pad(parts.month + 1)}-${pad(parts.day)}`;
+  }
+
+  formatTime(value) {
+    const parts = this.zonedParts(new Date(value));
+    const pad = n => String(n).padStart(2, '0');
+    return `${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`;
+  }
+
+  // "Today", "Yesterday", "Monday", "12 Sep", "Sep 12, 2024", "12/09/2024", "2024-09-12" -> { year, month, day }
+  // `clock` is the time shown with the label, if any, so a yearless date can be placed before now.
+  parseDay(text, clock = null) {
+    if (!text) return null;
+    const value = String(text).trim().toLowerCase().replace(/[,.]+$/, '').replace(/\s+/g, ' ');
+    if (!value) return null;
+
+    const today = this.today();
+    if (value === 'today') return today;
+    if (value === 'yesterday') return this.shiftDay(today, -1);
+
+    const weekday = value.match(/^(sun|mon|tue|wed|thu|fri|sat)[a-z]*$/);
+    if (weekday) {
+      // Chat apps say "Today" for today, so a bare weekday is always in the past week
+      const todayWeekday = this.zonedParts(this.now()).weekday;
+      const back = (todayWeekday - WEEKDAYS[weekday[1]] + 7) % 7 || 7;
+      return this.shiftDay(today, -back);
+    }
+
+    let match;
+    let year = null;
+    let month = null;
+    let day = null;
+
+    if ((match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+      [year, month, day] = [Number(match[1]), Number(match[2]) - 1, Number(match[3])];
+    } else if ((match = value.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{2}|\d{4})$/))) {
+      // Day first, as Internshala (India) formats numeric dates
+      [day, month, year] = [Number(match[1]), Number(match[2]) - 1, this.fullYear(match[3])];
+    } else if ((match = value.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s-]([a-z]{3})[a-z]*\.?(?:,?[\s-]'?(\d{2}|\d{4}))?$/))) {
+      [day, month, year] = [Number(match[1]), MONTHS[match[2]], match[3] ? this.fullYear(match[3]) : null];
+    } else if ((match = value.match(/^([a-z]{3})[a-z]*\.? (\d{1,2})(?:st|nd|rd|th)?(?:,? '?(\d{2}|\d{4}))?$/))) {
+      [month, day, year] = [MONTHS[match[1]], Number(match[2]), match[3] ? this.fullYear(match[3]) : null];
+    } else {
+      return null;
+    }
+
+    if (month === undefined || month === null) return null;
+
+    // Labels without a year refer to the most recent such date that isn't in the future
+    if (year === null) {
+      year = today.year;
+      if (month > today.month || (month === today.month && day > today.day)) year--;
+      // Today's date with a time still to come is last year's: today's messages are labelled "Today"
+      else if (clock && month === today.month && day === today.day && this.toInstant({ year, month, day, ...clock }) > this.now()) year--;
+    }
+
+    const check = new Date(Date.UTC(year, month, day));
+    if (check.getUTCMonth() !== month || check.getUTCDate() !== day) return null;
+
+    return { year, month, day };
+  }
+
+  fullYear(text) {
+    const year = Number(text);
+    return text.length === 2 ? 2000 + year : year;
+  }
+
+  // "12:47 AM", "3.05 pm", "14:05" -> { hour, minute, second, match }
+  parseClock(text) {
+    if (!text) return null;
+    const value = String(text);
+
+    let match = value.match(CLOCK_12H);
+    if (match) {
+      let hour = Number(match[1]);
+      if (hour < 1 || hour > 12 || Number(match[2]) > 59) return null;
+      const pm = match[4].toLowerCase() === 'p';
+      hour = (hour % 12) + (pm ? 12 : 0);
+      return { hour, minute: Number(match[2]), second: Number(match[3] || 0), match: match[0] };
+    }
+
+    match = value.match(CLOCK_24H);
+    if (match) {
+      return { hour: Number(match[1]), minute: Number(match[2]), second: Number(match[3] || 0), match: match[0] };
+    }
+
+    return null;
+  }
+
+  // "just now", "5 mins ago", "an hour ago", "2 weeks ago" -> Date
+  parseRelative(text) {
+    if (!text) return null;
+    const value = String(text).trim().toLowerCase();
+    const now = this.now();
+
+    if (/^(just now|now|a moment ago|moments ago|few seconds ago|a few seconds ago)$/.test(value)) {
+      return new Date(now);
+    }
+
+    const match = value.match(RELATIVE);
+    if (!match) return null;
+
+    const amount = /^\d+$/.test(match[1]) ? Number(match[1]) : 1;
+    const raw = match[2].toLowerCase();
+    const unit = UNIT_ALIASES[raw] || raw.replace(/s$/, '');
+
+    if (unit === 'month' || unit === 'year') {
+      const parts = this.zonedParts(now);
+      return this.toInstant({
+        ...parts,
+        year: parts.year - (unit === 'year' ? amount : 0),
+        month: parts.month - (unit === 'month' ? amount : 0)
+      });
+    }
+
+    return new Date(now.getTime() - amount * UNIT_MS[unit]);
+  }
+
+  // Full timestamps. Offsets are honoured; ISO values without one are wall-clock times in our timezone.
+  parseAbsolute(text) {
+    const value = String(text).trim();
+    const match = value.match(ISO_DATE_TIME);
+    if (!match) return null;
+
+    if (match[7]) {
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? null : date;
+    }
+
+    return this.toInstant({
+      year: Number(match[1]),
+      month: Number(match[2]) - 1,
+      day: Number(match[3]),
+      hour: Number(match[4]),
+      minute: Number(match[5]),
+      second: Number(match[6] || 0)
+    });
+  }
+
+  // Resolves one label. `day` is the nearest day separator above the message, used when the label
+  // itself is only a clock time. Returns { timestamp: Date, precision } or null.
+  // With options.assumeDay false, a clock time with no day at all comes back as { clock } for the caller.
+  resolve(text, options = {}) {
+    const value = text ? String(text).trim() : '';
+    const assumeDay = options.assumeDay !== false;
+
+    if (value) {
+      const absolute = this.parseAbsolute(value);
+      if (absolute) return { timestamp: absolute, precision: PRECISION.EXACT };
+
+      const relative = this.parseRelative(value);
+      if (relative) return { timestamp: relative, precision: PRECISION.RELATIVE };
+    }
+
+    const clock = this.parseClock(value);
+    const dayText = clock ? value.replace(clock.match, ' ').replace(/\s*(,|at)\s*$/i, '').trim() : value;
+    const day = this.parseDay(dayText, clock) || this.parseDay(options.day, clock);
+
+    if (clock && day) {
+      // "Today 11:00 PM" read in the morning can only be a clock or label error; keep it out of the future
+      const now = this.now();
+      const timestamp = this.toInstant({ ...day, ...clock });
+      return { timestamp: timestamp > now ? new Date(now) : timestamp, precision: PRECISION.MINUTE };
+    }
+
+    if (clock) {
+      if (!assumeDay) return { clock };
+      return { timestamp: this.placeClock(clock, this.today(), this.now()), precision: PRECISION.MINUTE };
+    }
+
+    if (day) {
+      return { timestamp: this.toInstant(day), precision: PRECISION.DAY };
+    }
+
+    return null;
+  }
+
+  // A bare clock time on `day`, moved back a day at a time until it is not after `notAfter`
+  placeClock(clock, day, notAfter) {
+    let candidate = this.toInstant({ ...day, ...clock });
+    for (let i = 0; i < 7 && candidate > notAfter; i++) {
+      day = this.shiftDay(day, -1);
+      candidate = this.toInstant({ ...day, ...clock });
+    }
+    return candidate;
+  }
+
+  // Fills `timestamp` and `timestamp_precision` on messages in display order (oldest first) from their
+  // `raw_time` and `day_label`. A message that already carries a valid timestamp and no raw label keeps it.
+  resolveMessages(messages) {
+    const now = this.now();
+    const resolved = messages.map(message => {
+      if (!message.raw_time && !message.day_label && message.timestamp && !isNaN(new Date(message.timestamp).getTime())) {
+        return { timestamp: new Date(message.timestamp), precision: message.timestamp_precision || PRECISION.EXACT };
+      }
+      return this.resolve(message.raw_time, { day: message.day_label, assumeDay: false });
+    });
+
+    // Clock times with no day separator: walk back from the newest message, stepping to the previous
+    // day whenever a time would land after the message that follows it
+    let notAfter = now;
+    let anchorDay = this.today();
+    for (let i = resolved.length - 1; i >= 0; i--) {
+      const entry = resolved[i];
+      if (entry?.clock) {
+        const timestamp = this.placeClock(entry.clock, anchorDay, notAfter);
+        resolved[i] = { timestamp, precision: PRECISION.MINUTE };
+      }
+      if (resolved[i]?.timestamp) {
+        notAfter = resolved[i].timestamp;
+        const { year, month, day } = this.zonedParts(notAfter);
+        anchorDay = { year, month, day };
+      }
+    }
+
+    // Anything still unknown sits one second after the previous known message (or before the next one).
+    // A day label alone means midnight, which must not jump ahead of an earlier message from that day.
+    for (let i = 0; i < resolved.length; i++) {
+      if (resolved[i]?.precision === PRECISION.DAY && i > 0) {
+        const previous = resolved[i - 1].timestamp;
+        if (previous >= resolved[i].timestamp && this.formatDate(previous) === this.formatDate(resolved[i].timestamp)) {
+          resolved[i] = { timestamp: new Date(previous.getTime() + 1000), precision: PRECISION.ESTIMATED };
+        }
+        continue;
+      }
+      if (resolved[i]?.timestamp) continue;
+
+      const previous = resolved.slice(0, i).reverse().find(entry => entry?.timestamp);
+      const nextIndex = resolved.findIndex((entry, j) => j > i && entry?.timestamp);
+      let timestamp;
+      if (previous) {
+        timestamp = new Date(previous.timestamp.getTime() + 1000);
+      } else if (nextIndex !== -1) {
+        timestamp = new Date(resolved[nextIndex].timestamp.getTime() - (nextIndex - i) * 1000);
+      } else {
+        timestamp = new Date(now.getTime() - (resolved.length - 1 - i) * 1000);
+      }
+      resolved[i] = { timestamp, precision: PRECISION.ESTIMATED };
+    }
+
+    messages.forEach((message, i) => {
+      message.timestamp = resolved[i].timestamp.toISOString();
+      message.timestamp_precision = resolved[i].precision;
+    });
+
+    return messages;
+  }
+}
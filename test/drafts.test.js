@@ -0,0 +1,178 @@
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { DraftError, DraftNotFoundError } from '../src/drafts.js';
+import { EventBus } from '../src/event-bus.js';
+import { HttpServer } from '../src/http-server.js';
+import { BACKENDS, createTempStorage } from './helpers.js';
+
+for (const { name, skip } of BACKENDS) {
+  describe(`DraftQueue (${name} backend)`, { skip }, () => {
+    let temp;
+    let drafts;
+    let sends;
+    const send = async (conversationId, text, options) => {
+      sends.push({ conversationId, text, ...options });
+      return { id: `m-${sends.length}` };
+    };
+
+    beforeEach(async () => {
+      temp = await createTempStorage(name);
+      drafts = temp.storage.drafts;
+      sends = [];
+    });
+
+    afterEach(() => temp.cleanup());
+
+    test('returns the existing draft for a repeated idempotency key', async () => {
+      const first = await drafts.create({ conversationId: 'c-1', text: 'Hello', idempotencyKey: 'client-1' });
+      const again = await drafts.create({ conversationId: 'c-1', text: 'Hello', idempotencyKey: 'client-1' });
+      assert.equal(again.id, first.id);
+      assert.equal((await drafts.list()).length, 1);
+
+      await assert.rejects(drafts.create({ conversationId: 'c-1', text: 'Other', idempotencyKey: 'client-1' }), DraftError);
+    });
+
+    test('sends an approved draft with its idempotency key', async () => {
+      const draft = await drafts.create({ conversationId: 'c-1', text: 'Hello' });
+      const approved = await drafts.approve(draft.id, { send, confirmFirstContact: true });
+
+      assert.equal(approved.status, 'sent');
+      assert.equal(approved.message_id, 'm-1');
+      assert.deepEqual(sends, [{ conversationId: 'c-1', text: 'Hello', idempotencyKey: draft.id, confirmFirstContact: true }]);
+      await assert.rejects(drafts.approve(draft.id, { send }), /is sent/);
+    });
+
+    test('sends edited text under a new key', async () => {
+      const draft = await drafts.create({ conversationId: 'c-1', text: 'Hello' });
+      const approved = await drafts.approve(draft.id, { text: 'Hello there', send });
+
+      assert.equal(approved.edited, true);
+      assert.equal(sends[0].text, 'Hello there');
+      assert.notEqual(sends[0].idempotencyKey, draft.idempotency_key);
+    });
+
+    test('queues a draft with a send time in the outbox', async () => {
+      const sendAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      const draft = await drafts.create({ conversationId: 'c-1', text: 'Later', sendAt });
+      const scheduled = await drafts.approve(draft.id, { send, outbox: temp.storage.outbox });
+
+      assert.equal(scheduled.status, 'scheduled');
+      const entry = await temp.storage.outbox.get(scheduled.outbox_id);
+      assert.equal(entry.text, 'Later');
+      assert.equal(entry.send_at, sendAt);
+      assert.deepEqual(sends, []);
+    });
+
+    test('leaves a draft failed when its send fails, to be approved again', async () => {
+      const draft = await drafts.create({ conversationId: 'c-1', text: 'Hello' });
+      await assert.rejects(drafts.approve(draft.id, { send: async () => { throw new Error('offline'); } }), /offline/);
+
+      const failed = await drafts.get(draft.id);
+      assert.equal(failed.status, 'failed');
+      assert.equal(failed.last_error, 'offline');
+      assert.equal((await drafts.approve(draft.id, { send })).status, 'sent');
+    });
+
+    test('rejects the other drafts of a group when one is approved', async () => {
+      const a = await drafts.create({ conversationId: 'c-1', text: 'Option A', source: 'suggestion', group: 'sg_1' });
+      const b = await drafts.create({ conversationId: 'c-1', text: 'Option B', source: 'suggestion', group: 'sg_1' });
+      await drafts.approve(a.id, { send });
+
+      const other = await drafts.get(b.id);
+      assert.equal(other.status, 'rejected');
+      assert.match(other.reason, new RegExp(a.id));
+    });
+
+    test('reports unknown drafts', async () => {
+      await assert.rejects(drafts.reject('dr_missing'), DraftNotFoundError);
+    });
+  });
+}
+
+describe('Draft routes over HTTP', () => {
+  let temp;
+  let server;
+  let baseUrl;
+
+  async function start(options) {
+    const bot = { storage: temp.storage, events: new EventBus(), sendMessage: async () => ({ id: 'm-1' }) };
+    server = new HttpServer(bot, { runWithBrowser: run => run() }, { port: 0, ...options });
+    await server.start();
+    baseUrl = `http://127.0.0.1:${server.port}`;
+  }
+
+  function post(path, token) {
+    return fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...(token ? { authorization: `Bearer ${token}` } : {}) },
+      body: '{}'
+    });
+  }
+
+  beforeEach(async () => {
+    temp = await createTempStorage();
+  });
+
+  afterEach(async () => {
+    await server?.stop();
+    await temp.cleanup();
+  });
+
+  test('are disabled without APPROVAL_TOKEN', async () => {
+    await start({ apiToken: 'api-secret', approvalToken: null });
+    const draft = await temp.storage.drafts.create({ conversationId: 'c-1', text: 'Hello' });
+
+    const response = await post(`/drafts/${draft.id}/reject`, 'api-secret');
+    assert.equal(response.status, 403);
+    assert.equal((await temp.storage.drafts.get(draft.id)).status, 'pending');
+  });
+
+  test('refuse the API token and accept the approval token', async () => {
+    await start({ apiToken: 'api-secret', approvalToken: 'approval-secret' });
+    const draft = await temp.storage.drafts.create({ conversationId: 'c-1', text: 'Hello' });
+
+    assert.equal((await post(`/drafts/${draft.id}/approve`, 'api-secret')).status, 401);
+    assert.equal((await temp.storage.drafts.get(draft.id)).status, 'pending');
+
+    const response = await post(`/drafts/${draft.id}/approve`, 'approval-secret');
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).data.draft.status, 'sent');
+  });
+
+  test('refuse a token of the right length with other bytes', async () => {
+    await start({ apiToken: 'api-secret', approvalToken: 'approval-secret' });
+    const draft = await temp.storage.drafts.create({ conversationId: 'c-1', text: 'Hello' });
+
+    // Written by hand so the header goes out as one Latin-1 byte per character: the server reads the
+    // same string length as the token, but with more UTF-8 bytes
+    const status = await new Promise((resolve, reject) => {
+      const socket = net.connect(server.port, '127.0.0.1');
+      let response = '';
+      socket.on('data', chunk => { response += chunk; });
+      socket.on('end', () => resolve(Number(response.split(' ')[1])));
+      socket.on('error', reject);
+      socket.end(Buffer.from([
+        `POST /drafts/${draft.id}/approve HTTP/1.1`,
+        'Host: 127.0.0.1',
+        'Authorization: Bearer approval-secre\u00e9',
+        'Content-Type: application/json',
+        'Content-Length: 2',
+        'Connection: close',
+        '',
+        '{}'
+      ].join('\r\n'), 'latin1'));
+    });
+    assert.equal(status, 401);
+    assert.equal((await temp.storage.drafts.get(draft.id)).status, 'pending');
+  });
+
+  test('need the approval token even when the API is open', async () => {
+    await start({ apiToken: null, approvalToken: 'approval-secret' });
+    const draft = await temp.storage.drafts.create({ conversationId: 'c-1', text: 'Hello' });
+
+    assert.equal((await post(`/drafts/${draft.id}/reject`)).status, 401);
+    assert.equal((await post(`/drafts/${draft.id}/reject`, 'approval-secret')).status, 200);
+    assert.equal((await temp.storage.drafts.get(draft.id)).status, 'rejected');
+  });
+});
@@ -0,0 +1,63 @@
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChatManager } from '../src/chat.js';
+import { EventBus } from '../src/event-bus.js';
+import { BACKENDS, createTempStorage } from './helpers.js';
+
+const message = (id, text, timestamp) => ({ id, text, sender: 'Acme HR', type: 'received', timestamp });
+
+for (const { name, skip } of BACKENDS) {
+  describe(`Live messages (${name} backend)`, { skip }, () => {
+    let temp;
+    let events;
+    let published;
+    const chat = new ChatManager();
+
+    beforeEach(async () => {
+      temp = await createTempStorage(name);
+      events = new EventBus();
+      published = [];
+      events.on('message', event => published.push(event));
+    });
+
+    afterEach(() => temp.cleanup());
+
+    test('publishes a new message once it is stored', async () => {
+      const event = await chat.recordLiveMessage(temp.storage, events, 'c-1', message('m-1', 'Are you free for a call?', '2026-09-12T10:00:00.000Z'));
+
+      assert.deepEqual(published, [event]);
+      assert.equal(event.conversation_id, 'c-1');
+      assert.equal(event.message_id, 'm-1');
+      assert.equal(event.text, 'Are you free for a call?');
+      assert.equal((await temp.storage.loadChatHistory('c-1')).messages.length, 1);
+    });
+
+    test('does not publish a message storage already has', async () => {
+      await chat.recordLiveMessage(temp.storage, events, 'c-1', message('m-1', 'Are you free for a call?', '2026-09-12T10:00:00.000Z'));
+      // Seen again after a re-render, a moment later
+      const again = await chat.recordLiveMessage(temp.storage, events, 'c-1', message('m-1', 'Are you free for a call?', '2026-09-12T10:00:02.000Z'));
+
+      assert.equal(again, null);
+      assert.equal(published.length, 1);
+    });
+
+    test('does not publish messages stored before the listener started', async () => {
+      // More history than any in-memory window would remember
+      const backend = await temp.storage.getBackend();
+      const history = Array.from({ length: 150 }, (_, i) => message(`m-${i}`, `Message ${i}`, new Date(Date.UTC(2026, 8, 12, 10, i)).toISOString()));
+      await backend.saveConversation('c-1', history);
+
+      assert.equal(await chat.recordLiveMessage(temp.storage, events, 'c-1', { ...history[0] }), null);
+      assert.ok(await chat.recordLiveMessage(temp.storage, events, 'c-1', message('m-150', 'Message 150', '2026-09-12T13:00:00.000Z')));
+      assert.deepEqual(published.map(event => event.message_id), ['m-150']);
+    });
+
+    test('publishes the same text again later in the conversation', async () => {
+      await chat.recordLiveMessage(temp.storage, events, 'c-1', message('m-1', 'Thanks', '2026-09-12T10:00:00.000Z'));
+      await chat.recordLiveMessage(temp.storage, events, 'c-1', message('m-2', 'Thanks', '2026-09-12T11:00:00.000Z'));
+      await chat.recordLiveMessage(temp.storage, events, 'c-2', message('m-3', 'Thanks', '2026-09-12T11:00:00.000Z'));
+
+      assert.deepEqual(published.map(event => event.message_id), ['m-1', 'm-2', 'm-3']);
+    });
+  });
+}
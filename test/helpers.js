@@ -0,0 +1,35 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { StorageManager } from '../src/storage.js';
+
+async function canImport(specifier) {
+  try {
+    await import(specifier);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// better-sqlite3 is optional and node:sqlite needs Node 22.5+, so SQLite runs are skipped without either
+export const sqliteAvailable = await canImport('better-sqlite3') || await canImport('node:sqlite');
+
+export const BACKENDS = [
+  { name: 'json', skip: false },
+  { name: 'sqlite', skip: !sqliteAvailable && 'No SQLite driver (install better-sqlite3 or use Node 22.5+)' }
+];
+
+// A StorageManager on a fresh temporary data directory; `cleanup` closes it and removes the directory
+export async function createTempStorage(backend = 'json') {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'internshala-test-'));
+  const storage = new StorageManager({ dataDir, backend });
+  return {
+    storage,
+    dataDir,
+    cleanup: async () => {
+      await storage.close();
+      await fs.rm(dataDir, { recursive: true, force: true });
+    }
+  };
+}
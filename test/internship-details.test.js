@@ -0,0 +1,155 @@
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHTML } from 'linkedom';
+import { InternshipEnricher } from '../src/internship-details.js';
+import { createTempStorage } from './helpers.js';
+
+const FIXTURES = './fixtures/details';
+const BASE_URL = 'http://127.0.0.1:4010';
+const HOUR = 60 * 60 * 1000;
+
+// As in the listing test: enough of a Playwright page to replay saved HTML with linkedom
+function fakePage() {
+  let document = null;
+  return {
+    loads: 0,
+    async setContent(html) {
+      document = parseHTML(html).document;
+      this.loads++;
+    },
+    async evaluate(fn, arg) {
+      const previous = globalThis.document;
+      globalThis.document = document;
+      try {
+        return fn(arg);
+      } finally {
+        globalThis.document = previous;
+      }
+    },
+    async close() {}
+  };
+}
+
+function listing(id, slug, fields = {}) {
+  return {
+    id,
+    source: 'internshala',
+    title: 'Data Science',
+    company: 'Acme Analytics',
+    job_url: `${BASE_URL}/internship/detail/${slug}`,
+    apply_by: null,
+    ...fields
+  };
+}
+
+const DATA_SCIENCE = listing('1001', 'data-science-internship-at-acme-analytics1001', { apply_by: "30 Nov' 26" });
+const MACHINE_LEARNING = listing('1005', 'machine-learning-internship-at-neuron-ai1005', { title: 'Machine Learning', company: 'Neuron AI' });
+// Listed, but no saved page, so reading its details fails
+const MISSING = listing('1099', 'closed-internship-at-gone1099', { title: 'Closed', company: 'Gone' });
+
+describe('InternshipEnricher', () => {
+  let temp;
+  let page;
+  let enricher;
+
+  beforeEach(async () => {
+    temp = await createTempStorage();
+    page = fakePage();
+    enricher = new InternshipEnricher(temp.storage, {
+      bot: { context: { newPage: async () => page } },
+      htmlDir: FIXTURES,
+      cacheHours: 24,
+      requestDelaySeconds: 60
+    });
+  });
+
+  afterEach(() => temp.cleanup());
+
+  test('fills in the detail fields from the saved pages', async () => {
+    const statuses = [];
+    const [dataScience, machineLearning] = await enricher.enrich([DATA_SCIENCE, MACHINE_LEARNING], {
+      onProgress: progress => statuses.push(progress.status)
+    });
+
+    assert.deepEqual(statuses, ['fetched', 'fetched']);
+    assert.equal(dataScience.description, 'Build forecasting models and dashboards for retail clients.');
+    assert.deepEqual(dataScience.skills, ['Python', 'Machine Learning', 'SQL']);
+    assert.deepEqual(dataScience.perks, ['Certificate', 'Flexible work hours']);
+    assert.equal(dataScience.openings, 2);
+    assert.equal(dataScience.applicants, 146);
+    assert.equal(dataScience.start_date, 'Immediately');
+    assert.equal(dataScience.who_can_apply, 'Students available for 3 months who know Python and SQL');
+    assert.equal(dataScience.details_error, null);
+    assert.ok(dataScience.details_fetched_at);
+    // Listing fields the page doesn't have are kept
+    assert.equal(dataScience.company, 'Acme Analytics');
+
+    assert.ok(machineLearning.description);
+    assert.equal(page.loads, 2);
+
+    const stored = await temp.storage.loadInternships();
+    assert.deepEqual(stored.find(record => record.id === '1001').skills, dataScience.skills);
+  });
+
+  test('skips internships without a page', async () => {
+    const statuses = [];
+    const [result] = await enricher.enrich([{ ...DATA_SCIENCE, job_url: null }], { onProgress: progress => statuses.push(progress.status) });
+    assert.deepEqual(statuses, ['skipped']);
+    assert.equal(result.details_fetched_at, undefined);
+    assert.equal(page.loads, 0);
+  });
+
+  test('takes fresh details from storage and fetches stale ones again', async () => {
+    await enricher.enrich([DATA_SCIENCE, MACHINE_LEARNING]);
+    const backend = await temp.storage.getBackend();
+    const [dataScience, machineLearning] = await backend.loadInternships().then(records => ['1001', '1005'].map(id => records.find(record => record.id === id)));
+    await backend.saveInternships([
+      { ...dataScience, description: 'Stored description', details_fetched_at: new Date(Date.now() - HOUR).toISOString() },
+      { ...machineLearning, details_fetched_at: new Date(Date.now() - 25 * HOUR).toISOString() }
+    ]);
+    page.loads = 0;
+
+    const statuses = [];
+    const [cached] = await enricher.enrich([DATA_SCIENCE, MACHINE_LEARNING], { onProgress: progress => statuses.push(progress.status) });
+    assert.deepEqual(statuses, ['cached', 'fetched']);
+    assert.equal(cached.description, 'Stored description');
+    assert.equal(page.loads, 1);
+
+    assert.ok(enricher.isFresh({ details_fetched_at: new Date(Date.now() - 23 * HOUR).toISOString() }));
+    assert.ok(!enricher.isFresh({ details_fetched_at: new Date(Date.now() - 25 * HOUR).toISOString() }));
+    assert.ok(!enricher.isFresh({}));
+
+    // refresh ignores the cache
+    statuses.length = 0;
+    await enricher.enrich([DATA_SCIENCE], { refresh: true, onProgress: progress => statuses.push(progress.status) });
+    assert.deepEqual(statuses, ['fetched']);
+  });
+
+  test('records a failed page and keeps the details fetched before', async () => {
+    const statuses = [];
+    const [failed, dataScience] = await enricher.enrich([MISSING, DATA_SCIENCE], { onProgress: progress => statuses.push(progress.status) });
+    assert.deepEqual(statuses, ['failed', 'fetched']);
+    assert.match(failed.details_error, /ENOENT/);
+    assert.equal(failed.details_fetched_at, undefined);
+    assert.ok(dataScience.description);
+
+    // Stale details, then a page that can no longer be read
+    const backend = await temp.storage.getBackend();
+    const stored = (await backend.loadInternships()).find(record => record.id === '1001');
+    const fetchedAt = new Date(Date.now() - 48 * HOUR).toISOString();
+    await backend.saveInternships([{ ...stored, details_fetched_at: fetchedAt }]);
+
+    const offline = new InternshipEnricher(temp.storage, { bot: enricher.bot, htmlDir: './fixtures/no-such-dir', cacheHours: 24 });
+    const [kept] = await offline.enrich([{ ...DATA_SCIENCE, title: 'Data Science (Remote)' }]);
+
+    assert.match(kept.details_error, /ENOENT/);
+    assert.equal(kept.title, 'Data Science (Remote)');
+    assert.deepEqual(kept.skills, stored.skills);
+    assert.equal(kept.description, stored.description);
+    assert.equal(kept.details_fetched_at, fetchedAt);
+
+    const saved = (await backend.loadInternships()).find(record => record.id === '1001');
+    assert.deepEqual(saved.skills, stored.skills);
+    assert.match(saved.details_error, /ENOENT/);
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ApifyError, ApifyRunError } from '../src/apify-client.js';
+import { ApifySource } from '../src/internship-source-apify.js';
+
+const ITEMS = [
+  { title: 'Data Science', company_name: 'Acme Analytics', location: 'Pune', stipend: '₹ 10,000-15,000 /month', url: 'https://internshala.com/internship/detail/ds-1' },
+  { profile: 'Content Writing', company: 'GreenLeaf NGO', location: 'Work From Home', stipend: 'Unpaid' }
+];
+
+// Plays back `statuses` one getRun call at a time (the last one repeats); an Error in the list is thrown
+function stubClient({ statuses = ['SUCCEEDED'], items = ITEMS } = {}) {
+  return {
+    calls: [],
+    async startRun(actorId, input, options) {
+      this.calls.push(['startRun', actorId, input, options]);
+      return { id: 'run-1', status: 'READY', defaultDatasetId: 'dataset-1' };
+    },
+    async getRun(runId) {
+      this.calls.push(['getRun', runId]);
+      const status = statuses.length > 1 ? statuses.shift() : statuses[0];
+      if (status instanceof Error) throw status;
+      return { id: runId, status, statusMessage: status === 'FAILED' ? 'Actor crashed' : null, defaultDatasetId: 'dataset-1' };
+    },
+    async abortRun(runId) {
+      this.calls.push(['abortRun', runId]);
+      return { id: runId, status: 'ABORTING' };
+    },
+    async getDatasetItems(datasetId) {
+      this.calls.push(['getDatasetItems', datasetId]);
+      return items;
+    }
+  };
+}
+
+const callNames = client => client.calls.map(([name]) => name);
+
+describe('ApifySource', () => {
+  test('runs the actor with the filters and returns its dataset as internships', async () => {
+    const client = stubClient({ statuses: ['RUNNING', 'RUNNING', 'SUCCEEDED'] });
+    const source = new ApifySource({ client, actorId: 'someone/scraper', runTimeoutSeconds: 30, pollInterval: 1 });
+    const progress = [];
+
+    const results = await source.search(
+      { job_category: ' Data Science ', location: 'Pune', minimum_stipend: '₹10,000', maximum_results: '20' },
+      { onProgress: update => progress.push(update.status) }
+    );
+
+    const [, actorId, input, options] = client.calls[0];
+    assert.equal(actorId, 'someone/scraper');
+    assert.deepEqual(input, {
+      maximum_results: 20,
+      job_category: 'Data Science',
+      work_from_home: false,
+      location: 'Pune',
+      part_time: false,
+      minimum_stipend: '10000',
+      pages_to_scrape: 5
+    });
+    assert.deepEqual(options, { timeoutSecs: 30 });
+    assert.deepEqual(progress, ['RUNNING', 'RUNNING', 'SUCCEEDED']);
+    assert.deepEqual(client.calls.at(-1), ['getDatasetItems', 'dataset-1']);
+
+    assert.equal(results.length, 2);
+    assert.equal(results[0].company, 'Acme Analytics');
+    assert.equal(results[0].stipend_amount, 10000);
+    assert.equal(results[0].job_url, 'https://internshala.com/internship/detail/ds-1');
+    assert.equal(results[1].title, 'Content Writing');
+    assert.equal(results[1].work_from_home, true);
+    assert.equal(results[1].stipend_amount, 0);
+    assert.ok(results.every(result => result.source === 'apify'));
+  });
+
+  test('drops the location of work-from-home searches', () => {
+    const source = new ApifySource({ client: stubClient() });
+    assert.equal(source.buildActorInput({ work_from_home: true, location: 'Delhi' }).location, '');
+  });
+
+  test('fails with the run when the actor fails', async () => {
+    const client = stubClient({ statuses: ['RUNNING', 'FAILED'] });
+    const source = new ApifySource({ client, pollInterval: 1 });
+
+    await assert.rejects(source.fetch({}, { onProgress: () => {} }), error => {
+      assert.ok(error instanceof ApifyRunError);
+      assert.match(error.message, /run-1 failed: Actor crashed/);
+      assert.equal(error.run.status, 'FAILED');
+      return true;
+    });
+    assert.ok(!callNames(client).includes('getDatasetItems'));
+  });
+
+  test('aborts a run that outlasts the timeout', async () => {
+    const client = stubClient({ statuses: ['RUNNING'] });
+    const source = new ApifySource({ client, runTimeoutSeconds: 0.05, pollInterval: 10 });
+
+    await assert.rejects(source.fetch({}, { onProgress: () => {} }), error => {
+      assert.ok(error instanceof ApifyRunError);
+      assert.match(error.message, /Timed out .* run-1 \(aborted\)/);
+      return true;
+    });
+    assert.deepEqual(client.calls.find(([name]) => name === 'abortRun'), ['abortRun', 'run-1']);
+    assert.ok(!callNames(client).includes('getDatasetItems'));
+  });
+
+  test('retries failed status polls, but not refused ones', async () => {
+    const flaky = stubClient({ statuses: [new ApifyError('socket hang up'), 'SUCCEEDED'] });
+    await new ApifySource({ client: flaky, pollInterval: 1 }).fetch({}, { onProgress: () => {} });
+    assert.deepEqual(callNames(flaky), ['startRun', 'getRun', 'getRun', 'getDatasetItems']);
+
+    const refused = stubClient({ statuses: [new ApifyError('Unauthorized', { status: 401 })] });
+    await assert.rejects(new ApifySource({ client: refused, pollInterval: 1 }).fetch({}, { onProgress: () => {} }), /Could not read the status of run run-1/);
+    assert.deepEqual(callNames(refused), ['startRun', 'getRun']);
+  });
+
+  test('reads a cached dataset without starting a run', async () => {
+    const client = stubClient();
+    const source = new ApifySource({ client, mode: 'cached', datasetId: 'cached-1' });
+
+    assert.equal(source.appliesFilters, false);
+    assert.equal((await source.fetch({})).length, 2);
+    assert.deepEqual(client.calls, [['getDatasetItems', 'cached-1']]);
+  });
+
+  test('rejects unknown modes', () => {
+    assert.throws(() => new ApifySource({ client: stubClient(), mode: 'offline' }), /Unknown Apify mode "offline"/);
+  });
+});
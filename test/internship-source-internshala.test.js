@@ -0,0 +1,105 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHTML } from 'linkedom';
+import { buildSearchPath, InternshalaSource, snapshotName } from '../src/internship-source-internshala.js';
+
+const FIXTURES = './fixtures/listings';
+const BASE_URL = 'http://127.0.0.1:4010';
+
+// Enough of a Playwright page for replaying saved listings: setContent parses the HTML with linkedom and
+// evaluate runs the scraping function against it, so the parser is tested without a browser
+function fakePage() {
+  let document = null;
+  return {
+    loads: 0,
+    async setContent(html) {
+      document = parseHTML(html).document;
+      this.loads++;
+    },
+    async evaluate(fn, arg) {
+      const previous = globalThis.document;
+      globalThis.document = document;
+      try {
+        return fn(arg);
+      } finally {
+        globalThis.document = previous;
+      }
+    },
+    async close() {}
+  };
+}
+
+function replaySource(page) {
+  // A bot with a browser context, so no browser is launched
+  const bot = { context: { newPage: async () => page } };
+  return new InternshalaSource({ bot, htmlDir: FIXTURES, baseUrl: BASE_URL, requestDelaySeconds: 60 });
+}
+
+describe('Internshala listing pages', () => {
+  test('builds search paths from the filters', () => {
+    assert.equal(buildSearchPath({}), '/internships');
+    assert.equal(buildSearchPath({ job_category: 'Data Science' }, 2), '/internships/data-science-internship/page-2');
+    assert.equal(
+      buildSearchPath({ work_from_home: true, location: 'Pune', job_category: 'Web Development', part_time: true, minimum_stipend: '₹10,000' }),
+      '/internships/work-from-home-web-development-internship/part-time-true/stipend-10000'
+    );
+    assert.equal(buildSearchPath({ location: 'New Delhi' }), '/internships/internship-in-new-delhi');
+  });
+
+  test('names saved pages after the URL path', () => {
+    assert.equal(snapshotName(`${BASE_URL}/internships/hr-internship/page-2`), 'internships_hr-internship_page-2.html');
+    assert.equal(snapshotName(`${BASE_URL}/`), 'index.html');
+  });
+
+  test('reads every card of the saved pages, following pagination', async () => {
+    const page = fakePage();
+    const pages = [];
+    const results = await replaySource(page).search({ pages_to_scrape: 5 }, { onProgress: progress => pages.push(progress.page) });
+
+    // Two pages by #total_pages, read back to back despite the 60s request delay
+    assert.deepEqual(pages, [1, 2]);
+    assert.equal(page.loads, 2);
+    assert.equal(results.length, 12);
+    assert.equal(new Set(results.map(result => result.id)).size, 12);
+
+    for (const result of results) {
+      assert.ok(result.title && result.company, `incomplete card ${JSON.stringify(result)}`);
+      assert.ok(result.job_url.startsWith(`${BASE_URL}/internship/detail/`), result.job_url);
+      assert.equal(result.source, 'internshala');
+    }
+  });
+
+  test('reads the fields of a card', async () => {
+    const results = await replaySource(fakePage()).search({ job_category: 'Data Science' });
+    const card = results.find(result => result.id === '1001');
+
+    assert.equal(card.title, 'Data Science');
+    assert.equal(card.company, 'Acme Analytics');
+    assert.equal(card.location, 'Work From Home');
+    assert.equal(card.work_from_home, true);
+    assert.equal(card.stipend, '₹ 15,000 /month');
+    assert.equal(card.stipend_amount, 15000);
+    assert.equal(card.duration, '3 Months');
+    assert.equal(card.apply_by, "30 Nov' 26");
+    assert.equal(card.actively_hiring, true);
+  });
+
+  test('stops at the result limit', async () => {
+    const page = fakePage();
+    const results = await replaySource(page).search({ maximum_results: 3 });
+    assert.equal(results.length, 3);
+    assert.equal(page.loads, 1);
+  });
+
+  test('reads part-time badges and work-from-home pages', async () => {
+    const results = await replaySource(fakePage()).search({ work_from_home: true });
+    assert.ok(results.length > 0);
+    assert.ok(results.every(result => result.work_from_home === true));
+    assert.ok(results.some(result => result.part_time === true));
+    assert.ok(results.some(result => result.part_time === null));
+  });
+
+  test('reports a search without a saved first page', async () => {
+    await assert.rejects(replaySource(fakePage()).search({ job_category: 'Astronomy' }), /No saved listing page for .*astronomy-internship/);
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FileSource, parseCSV } from '../src/internship-source-file.js';
+import { InternshipScraper } from '../src/internship-scraper.js';
+import { FixtureSource, InternshipSource, mergeInternships, normalizeInternship, parseSourceSpec, parseStipendAmount } from '../src/internship-sources.js';
+
+describe('normalizeInternship', () => {
+  test('maps field aliases onto the Internship model', () => {
+    const internship = normalizeInternship({
+      profile: 'Web  Development',
+      companyName: 'Pixel Forge',
+      city: 'Remote',
+      salary: '₹ 8,000 - 12,000 /month',
+      skills_required: 'HTML; CSS, JavaScript',
+      applicant_count: '1,234 applicants',
+      activelyHiring: 'yes',
+      detail_url: 'https://internshala.com/internship/detail/web-1'
+    }, 'file');
+
+    assert.equal(internship.title, 'Web Development');
+    assert.equal(internship.company, 'Pixel Forge');
+    assert.equal(internship.work_from_home, true);
+    assert.equal(internship.stipend_amount, 8000);
+    assert.deepEqual(internship.skills, ['HTML', 'CSS', 'JavaScript']);
+    assert.equal(internship.applicants, 1234);
+    assert.equal(internship.actively_hiring, true);
+    assert.equal(internship.job_url, 'https://internshala.com/internship/detail/web-1');
+    assert.deepEqual(internship.sources, ['file']);
+  });
+
+  test('treats export placeholders as missing', () => {
+    const internship = normalizeInternship({ title: 'Design', company: 'Not specified', duration: 'N/A' }, 'file');
+    assert.equal(internship.company, null);
+    assert.equal(internship.duration, null);
+    assert.equal(internship.part_time, null);
+  });
+
+  test('reads monthly stipends only', () => {
+    assert.equal(parseStipendAmount('Unpaid'), 0);
+    assert.equal(parseStipendAmount('₹ 10,000-15,000 /month'), 10000);
+    assert.equal(parseStipendAmount('₹ 5,000 lump sum'), null);
+    assert.equal(parseStipendAmount('₹ 2,000 /week'), null);
+    assert.equal(parseStipendAmount(''), null);
+  });
+});
+
+describe('mergeInternships', () => {
+  const from = (source, raw) => normalizeInternship(raw, source);
+
+  test('keeps the first copy and fills its empty fields from later ones', () => {
+    const merged = mergeInternships([
+      [from('apify', { title: 'Data Science', company: 'Acme', job_url: 'https://internshala.com/internship/detail/ds-1/' })],
+      [
+        from('internshala', { title: 'Data Science (renamed)', company: 'Acme', duration: '3 Months', job_url: 'https://www.internshala.com/internship/detail/ds-1' }),
+        from('internshala', { title: 'Marketing', company: 'Acme', location: 'Delhi' })
+      ]
+    ]);
+
+    assert.equal(merged.length, 2);
+    assert.equal(merged[0].title, 'Data Science');
+    assert.equal(merged[0].duration, '3 Months');
+    assert.deepEqual(merged[0].sources, ['apify', 'internshala']);
+    assert.deepEqual(merged[1].sources, ['internshala']);
+  });
+
+  test('matches listings without a page on company, title and location', () => {
+    const merged = mergeInternships([
+      [from('a', { title: 'Content Writing', company: 'GreenLeaf NGO', location: 'Work From Home' })],
+      [from('b', { title: 'content writing', company: 'Greenleaf  NGO', location: 'work from home' })]
+    ]);
+    assert.equal(merged.length, 1);
+    assert.deepEqual(merged[0].sources, ['a', 'b']);
+  });
+});
+
+describe('sources', () => {
+  test('parses source specs', () => {
+    assert.deepEqual(parseSourceSpec('Apify:cached'), { name: 'apify', argument: 'cached' });
+    assert.deepEqual(parseSourceSpec('file:C:/exports/a.csv'), { name: 'file', argument: 'C:/exports/a.csv' });
+    assert.deepEqual(parseSourceSpec('fixture'), { name: 'fixture', argument: null });
+  });
+
+  test('reads the mock server fixtures by default', async () => {
+    const results = await new FixtureSource().search({});
+    assert.equal(results.length, 12);
+    assert.ok(results.every(result => result.source === 'fixture' && result.title));
+  });
+
+  test('parses quoted CSV fields', () => {
+    const rows = parseCSV('\uFEFFTitle,Company,Apply URL\r\n"Design, UI","Say ""hi"" Ltd",https://example.com/a\n\n"Multi\nline",B,\n');
+    assert.deepEqual(rows, [
+      { title: 'Design, UI', company: 'Say "hi" Ltd', apply_url: 'https://example.com/a' },
+      { title: 'Multi\nline', company: 'B', apply_url: '' }
+    ]);
+  });
+
+  test('reads JSON and CSV files and refuses other types', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'internshala-sources-'));
+    try {
+      await fs.writeFile(path.join(dir, 'list.json'), JSON.stringify({ internships: [{ title: 'A' }] }));
+      await fs.writeFile(path.join(dir, 'list.csv'), 'Title,Company\nB,Acme\n');
+      await fs.writeFile(path.join(dir, 'list.txt'), 'C');
+
+      assert.deepEqual(await new FileSource({ file: path.join(dir, 'list.json') }).fetch(), [{ title: 'A' }]);
+      assert.deepEqual(await new FileSource({ file: path.join(dir, 'list.csv') }).fetch(), [{ title: 'B', company: 'Acme' }]);
+      await assert.rejects(new FileSource({ file: path.join(dir, 'list.txt') }).fetch(), /Unsupported internship file/);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+    assert.throws(() => new FileSource({}), /needs a path/);
+  });
+});
+
+describe('InternshipScraper', () => {
+  class FailingSource extends InternshipSource {
+    async fetch() {
+      throw new Error('service unavailable');
+    }
+  }
+
+  const records = [
+    { title: 'Data Science', company: 'Acme', location: 'Pune', stipend: '₹ 15,000 /month' },
+    { title: 'Data Analyst', company: 'Beta', location: 'Mumbai', stipend: '₹ 5,000 /month' },
+    { title: 'Marketing', company: 'Gamma', location: 'Pune', stipend: '₹ 20,000 /month' }
+  ];
+
+  test('filters and merges the results of every source', async () => {
+    const scraper = new InternshipScraper({
+      sources: [
+        new FixtureSource({ name: 'one', records }),
+        new FixtureSource({ name: 'two', records: [records[0]] })
+      ]
+    });
+
+    const results = await scraper.runScraper({ job_category: 'data', location: 'pune', minimum_stipend: '10000', maximum_results: 50 });
+    assert.deepEqual(results.map(result => [result.title, result.sources]), [['Data Science', ['one', 'two']]]);
+  });
+
+  test('skips a failing source when another one answers', async () => {
+    const scraper = new InternshipScraper({ sources: [new FailingSource('down'), new FixtureSource({ name: 'up', records })] });
+    const results = await scraper.runScraper({ maximum_results: 2 });
+    assert.equal(results.length, 2);
+
+    const alone = new InternshipScraper({ sources: [new FailingSource('down')] });
+    await assert.rejects(alone.runScraper({}), /service unavailable/);
+  });
+
+  test('rejects unknown source specs', () => {
+    assert.throws(() => new InternshipScraper().createSource('linkedin'), /Unknown internship source "linkedin"/);
+  });
+});
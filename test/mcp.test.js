@@ -0,0 +1,145 @@
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'node:stream';
+import { MCPServer } from '../src/mcp.js';
+import { JSONRPC_ERRORS, StdioTransport } from '../src/mcp-transport.js';
+import { createTempStorage } from './helpers.js';
+
+// A client on the other end of the stdio transport: writes lines to its input and reads
+// one JSON-RPC message per line from its output
+function connect(server) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const transport = new StdioTransport(input, output);
+  transport.start(message => server.handleMessage(message));
+
+  const received = [];
+  const waiting = [];
+  let buffer = '';
+  output.on('data', chunk => {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const message = JSON.parse(buffer.slice(0, newline));
+      buffer = buffer.slice(newline + 1);
+      if (waiting.length > 0) waiting.shift()(message);
+      else received.push(message);
+    }
+  });
+
+  return {
+    transport,
+    write(line) {
+      input.write(line + '\n');
+    },
+    next() {
+      return received.length > 0 ? Promise.resolve(received.shift()) : new Promise(resolve => waiting.push(resolve));
+    },
+    async request(id, method, params) {
+      this.write(JSON.stringify({ jsonrpc: '2.0', id, method, ...(params ? { params } : {}) }));
+      return this.next();
+    }
+  };
+}
+
+describe('MCP over stdio', () => {
+  let temp;
+  let client;
+
+  beforeEach(async () => {
+    temp = await createTempStorage();
+    const backend = await temp.storage.getBackend();
+    await backend.saveConversation('c-1', [
+      { id: 'm-1', text: 'Your application was shortlisted', sender: 'Acme HR', type: 'received', timestamp: '2026-01-05T10:00:00.000Z' }
+    ]);
+    client = connect(new MCPServer({ storage: temp.storage }));
+  });
+
+  afterEach(async () => {
+    client.transport.close();
+    await temp.cleanup();
+  });
+
+  test('answers the initialize handshake', async () => {
+    const response = await client.request(1, 'initialize', {
+      protocolVersion: '2025-03-26',
+      capabilities: {},
+      clientInfo: { name: 'test-client', version: '1.0.0' }
+    });
+
+    assert.equal(response.jsonrpc, '2.0');
+    assert.equal(response.id, 1);
+    assert.equal(response.result.protocolVersion, '2025-03-26');
+    assert.equal(response.result.serverInfo.name, 'internshala-bot');
+    assert.ok(response.result.capabilities.tools);
+
+    // Unknown versions get the newest one the server speaks
+    const other = await client.request(2, 'initialize', { protocolVersion: '1999-01-01' });
+    assert.equal(other.result.protocolVersion, '2025-06-18');
+  });
+
+  test('answers nothing to notifications', async () => {
+    client.write(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }));
+    client.write(JSON.stringify({ jsonrpc: '2.0', method: 'no/such/notification' }));
+    client.write('');
+
+    // The first line back answers the ping, so neither notification was answered
+    assert.deepEqual(await client.request('p-1', 'ping'), { jsonrpc: '2.0', id: 'p-1', result: {} });
+  });
+
+  test('lists and calls tools', async () => {
+    const list = await client.request(1, 'tools/list');
+    const search = list.result.tools.find(tool => tool.name === 'search_messages');
+    assert.ok(search.description);
+    assert.equal(search.inputSchema.type, 'object');
+    assert.ok(list.result.tools.every(tool => !('handler' in tool)));
+
+    const call = await client.request(2, 'tools/call', { name: 'search_messages', arguments: { query: 'applica*' } });
+    assert.equal(call.result.isError, false);
+    assert.equal(call.result.structuredContent.data.total_matches, 1);
+    assert.equal(JSON.parse(call.result.content[0].text).results[0].message.id, 'm-1');
+  });
+
+  test('answers batches in one line', async () => {
+    client.write(JSON.stringify([
+      { jsonrpc: '2.0', id: 1, method: 'ping' },
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { jsonrpc: '2.0', id: 2, method: 'ping' }
+    ]));
+    assert.deepEqual((await client.next()).map(response => response.id), [1, 2]);
+  });
+
+  test('reports malformed JSON', async () => {
+    client.write('{"jsonrpc": "2.0", "id": 1, "method": ');
+    assert.deepEqual(await client.next(), { jsonrpc: '2.0', id: null, error: { code: JSONRPC_ERRORS.PARSE_ERROR, message: 'Parse error' } });
+
+    // The transport keeps reading after a bad line
+    assert.equal((await client.request(2, 'ping')).id, 2);
+  });
+
+  test('reports invalid requests and unknown methods', async () => {
+    client.write(JSON.stringify({ id: 1, method: 'ping' }));
+    assert.equal((await client.next()).error.code, JSONRPC_ERRORS.INVALID_REQUEST);
+
+    const unknown = await client.request(2, 'tools/destroy');
+    assert.equal(unknown.id, 2);
+    assert.equal(unknown.error.code, JSONRPC_ERRORS.METHOD_NOT_FOUND);
+    assert.match(unknown.error.message, /tools\/destroy/);
+  });
+
+  test('reports invalid tool params', async () => {
+    const unknownTool = await client.request(1, 'tools/call', { name: 'format_disk', arguments: {} });
+    assert.equal(unknownTool.error.code, JSONRPC_ERRORS.INVALID_PARAMS);
+    assert.ok(unknownTool.error.data.available_tools.includes('search_messages'));
+
+    const missing = await client.request(2, 'tools/call', { name: 'fetch_history', arguments: {} });
+    assert.equal(missing.error.code, JSONRPC_ERRORS.INVALID_PARAMS);
+    assert.match(missing.error.message, /conversation_id/);
+
+    const notObject = await client.request(3, 'tools/call', { name: 'search_messages', arguments: ['applica*'] });
+    assert.equal(notObject.error.code, JSONRPC_ERRORS.INVALID_PARAMS);
+
+    const noUri = await client.request(4, 'resources/read', {});
+    assert.equal(noUri.error.code, JSONRPC_ERRORS.INVALID_PARAMS);
+  });
+});
@@ -0,0 +1,102 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { chromium } from 'playwright';
+import { InternshalaBot } from '../src/bot.js';
+import { MockInternshalaServer } from '../src/mock-server.js';
+import { StorageManager } from '../src/storage.js';
+
+// End to end against the mock server in a real browser; skipped until `npm run install-playwright` has run
+const browserMissing = !fs.existsSync(chromium.executablePath());
+
+function nextMessage(events, conversationId, timeoutMs = 15000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      events.off('message', onMessage);
+      reject(new Error(`No live message for ${conversationId} within ${timeoutMs}ms`));
+    }, timeoutMs);
+    const onMessage = event => {
+      if (event.conversation_id !== conversationId) return;
+      clearTimeout(timer);
+      events.off('message', onMessage);
+      resolve(event);
+    };
+    events.on('message', onMessage);
+  });
+}
+
+describe('InternshalaBot against the mock server', { skip: browserMissing && 'Chromium is not installed' }, () => {
+  let server;
+  let bot;
+  let dataDir;
+  // The bot reads its credentials from the environment; put back what was there for the other suites
+  const savedEnv = { USER_EMAIL: process.env.USER_EMAIL, USER_PASSWORD: process.env.USER_PASSWORD };
+
+  before(async () => {
+    server = new MockInternshalaServer({ port: 0, latency: 0 });
+    const baseUrl = await server.start();
+    dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'internshala-e2e-'));
+    process.env.USER_EMAIL = 'student@example.com';
+    process.env.USER_PASSWORD = 'mock-password';
+
+    bot = new InternshalaBot({ baseUrl, storage: new StorageManager({ dataDir, backend: 'json' }) });
+    await bot.initialize();
+  });
+
+  after(async () => {
+    await bot?.cleanup();
+    await server?.stop();
+    if (dataDir) await fs.promises.rm(dataDir, { recursive: true, force: true });
+    for (const [name, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  test('logs in with the student credentials', async () => {
+    await bot.login();
+    assert.equal(await bot.isLoggedIn(), true);
+    assert.equal(server.sessions.size, 1);
+  });
+
+  test('fetches and stores a full history', async () => {
+    const history = await bot.fetchHistory('c-1001');
+    assert.equal(history.length, 14);
+    assert.match(history[0].text, /^Hi! Thanks for applying/);
+
+    const stored = await bot.storage.loadChatHistory('c-1001');
+    assert.equal(stored.messages.length, 14);
+  });
+
+  test('reads the same history with the network strategy', async () => {
+    const history = await bot.fetchHistory('c-1002', { strategy: 'network' });
+    assert.equal(history.length, 4);
+  });
+
+  test('sends a message once per idempotency key', async () => {
+    const options = { idempotencyKey: 'test-send-1', confirmFirstContact: true };
+    const sent = await bot.sendMessage('c-1003', 'Sharing the writing samples now.', options);
+    assert.equal(sent.deduplicated, false);
+
+    const again = await bot.sendMessage('c-1003', 'Sharing the writing samples now.', options);
+    assert.equal(again.deduplicated, true);
+    assert.equal(again.id, sent.id);
+
+    assert.deepEqual(server.state.sent.map(message => message.text), ['Sharing the writing samples now.']);
+  });
+
+  test('publishes messages pushed while listening', async () => {
+    await bot.startListening('c-1002');
+    try {
+      const received = nextMessage(bot.events, 'c-1002');
+      server.pushIncomingMessage('c-1002', 'Can you start on Monday?');
+      const event = await received;
+      assert.equal(event.text, 'Can you start on Monday?');
+      assert.equal(event.type, 'received');
+    } finally {
+      await bot.stopListening('c-1002');
+    }
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChatNetworkCapture } from '../src/network-capture.js';
+import { PRECISION, TimestampResolver } from '../src/timestamps.js';
+
+const API_URL = 'https://internshala.com/chat/api/conversations/c-1/messages';
+
+const capture = () => new ChatNetworkCapture({ timestamps: new TimestampResolver({ timeZone: 'Asia/Kolkata' }) });
+
+describe('ChatNetworkCapture.toMessage', () => {
+  test('reads the fields of a message', () => {
+    const message = capture().toMessage({
+      id: 42,
+      message: 'Hello<br>Please share your <b>resume</b> &amp; portfolio&#33;',
+      created_at: '2026-09-12T10:30:00Z',
+      sender: { name: ' Acme HR ', type: 'employer' }
+    }, 'c-1');
+
+    assert.deepEqual(message, {
+      id: '42',
+      text: 'Hello\nPlease share your resume & portfolio!',
+      sender: 'Acme HR',
+      timestamp: '2026-09-12T10:30:00.000Z',
+      raw_time: '2026-09-12T10:30:00Z',
+      timestamp_precision: PRECISION.EXACT,
+      type: 'received',
+      source: 'network'
+    });
+  });
+
+  test('tells own messages by flag or sender type', () => {
+    const chat = capture();
+    assert.equal(chat.toMessage({ id: 1, text: 'Hi', is_sender: 1 }).type, 'sent');
+    assert.equal(chat.toMessage({ id: 1, text: 'Hi', is_sender: false, sender_type: 'student' }).type, 'received');
+    assert.equal(chat.toMessage({ id: 1, text: 'Hi', sender_type: 'Student' }).type, 'sent');
+    assert.equal(chat.toMessage({ id: 1, text: 'Hi', sender: { role: 'candidate' } }).type, 'sent');
+
+    const own = chat.toMessage({ id: 1, text: 'Hi', outgoing: 'true' });
+    assert.equal(own.sender, 'me');
+  });
+
+  test('reads epoch and wall-clock times', () => {
+    const chat = capture();
+    assert.equal(chat.toMessage({ id: 1, text: 'Hi', time: 1789203000 }).timestamp, '2026-09-12T08:50:00.000Z');
+    assert.equal(chat.toMessage({ id: 1, text: 'Hi', time: '1789203000000' }).timestamp, '2026-09-12T08:50:00.000Z');
+    // No offset, so a wall-clock time in the chat timezone
+    assert.equal(chat.toMessage({ id: 1, text: 'Hi', sent_at: '2026-09-12 14:20' }).timestamp, '2026-09-12T08:50:00.000Z');
+
+    const unknown = chat.toMessage({ id: 1, text: 'Hi', time: 'sometime' });
+    assert.equal(unknown.timestamp, null);
+    assert.equal(unknown.raw_time, 'sometime');
+    assert.equal(unknown.timestamp_precision, PRECISION.ESTIMATED);
+  });
+
+  test('keeps entities that are not characters', () => {
+    const message = capture().toMessage({ id: 1, text: 'A &#99999999; B &#x1F600; &bogus; &lt;3' });
+    assert.equal(message.text, 'A &#99999999; B 😀 &bogus; <3');
+  });
+
+  test('gives id-less messages sent at the same time different ids', () => {
+    const chat = capture();
+    const first = chat.toMessage({ text: 'Yes', time: '2026-09-12T10:30:00Z' }, 'c-1');
+    const second = chat.toMessage({ text: 'Now', time: '2026-09-12T10:30:00Z' }, 'c-1');
+    const again = chat.toMessage({ text: 'Yes', time: '2026-09-12T10:30:00Z' }, 'c-1');
+
+    assert.match(first.id, /^c-1_2026-09-12T10:30:00Z_[\da-f]{12}$/);
+    assert.notEqual(first.id, second.id);
+    assert.equal(first.id, again.id);
+  });
+
+  test('reads attachments, and file-only messages as their names', () => {
+    const message = capture().toMessage({
+      id: 7,
+      message: '',
+      attachments: [
+        { file_name: 'offer.pdf', url: '/chat/attachments/c-1/7/offer.pdf' },
+        'https://cdn.example.com/brief.docx',
+        { name: 'script', url: 'javascript:alert(1)' }
+      ]
+    }, 'c-1', API_URL);
+
+    assert.equal(message.text, 'offer.pdf, https://cdn.example.com/brief.docx');
+    assert.deepEqual(message.attachments, [
+      { name: 'offer.pdf', url: 'https://internshala.com/chat/attachments/c-1/7/offer.pdf' },
+      { name: null, url: 'https://cdn.example.com/brief.docx' }
+    ]);
+  });
+
+  test('drops messages of other conversations and empty ones', () => {
+    const chat = capture();
+    assert.equal(chat.toMessage({ id: 1, text: 'Hi', conversation_id: 'c-2' }, 'c-1'), null);
+    assert.ok(chat.toMessage({ id: 1, text: 'Hi', conversation_id: 'c-2' }));
+    assert.equal(chat.toMessage({ id: 1, text: '<p> </p>' }), null);
+  });
+});
+
+describe('ChatNetworkCapture.parsePayload', () => {
+  test('finds message lists anywhere in the response', () => {
+    const body = {
+      success: true,
+      data: {
+        conversation: { id: 'c-1', title: 'Data Science at Acme' },
+        page: { messages: [
+          { id: 'm-1', message: 'First', created_at: '2026-09-12T10:00:00Z' },
+          { id: 'm-2', message: 'Second', created_at: '2026-09-12T10:05:00Z', is_sender: true }
+        ] }
+      }
+    };
+
+    const messages = capture().parsePayload(body, 'c-1', API_URL);
+    assert.deepEqual(messages.map(message => [message.id, message.text, message.type]), [
+      ['m-1', 'First', 'received'],
+      ['m-2', 'Second', 'sent']
+    ]);
+  });
+
+  test('ignores arrays that are mostly not messages', () => {
+    const body = {
+      tags: [{ id: 1, name: 'Data' }, { id: 2, name: 'Remote' }, { id: 3, text: 'Looks like a message' }],
+      items: [[{ id: 'm-1', text: 'Nested list' }]]
+    };
+    assert.deepEqual(capture().parsePayload(body).map(message => message.id), ['m-1']);
+    assert.deepEqual(capture().parsePayload('not json'), []);
+  });
+
+  test('skips other conversations in an inbox payload', () => {
+    const body = [
+      { id: 'm-1', text: 'For us', chat_id: 'c-1' },
+      { id: 'm-2', text: 'For someone else', chat_id: 'c-2' }
+    ];
+    assert.deepEqual(capture().parsePayload(body, 'c-1').map(message => message.id), ['m-1']);
+  });
+});
+
+describe('ChatNetworkCapture.extractMessages', () => {
+  test('prefers payloads for the conversation, then dedupes and sorts them', () => {
+    const payloads = [
+      { url: 'https://internshala.com/chat/api/conversations', body: [{ id: 'preview', text: 'Inbox preview', time: 1789203000 }] },
+      { url: API_URL, body: [
+        { id: 'm-2', text: 'Later', time: 1789203600 },
+        { id: 'm-1', text: 'Earlier', time: 1789203000 }
+      ] },
+      { url: `${API_URL}?page=2`, body: [{ id: 'm-1', text: 'Earlier', time: 1789203000 }] },
+      // Same time and length, no ids: both kept
+      { url: `${API_URL}?page=3`, body: [{ text: 'Yes', time: 1789204200 }, { text: 'Now', time: 1789204200 }] }
+    ];
+
+    const messages = capture().extractMessages(payloads, 'c-1');
+    assert.deepEqual(messages.map(message => message.text), ['Earlier', 'Later', 'Yes', 'Now']);
+  });
+});
@@ -0,0 +1,149 @@
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Outbox, parseSendAt } from '../src/outbox.js';
+import { TimestampResolver } from '../src/timestamps.js';
+import { BACKENDS, createTempStorage } from './helpers.js';
+
+const timestamps = new TimestampResolver({ timeZone: 'UTC' });
+const later = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+describe('parseSendAt', () => {
+  test('reads relative times', () => {
+    const before = Date.now();
+    const sendAt = parseSendAt('in 2h', timestamps).getTime();
+    assert.ok(sendAt >= before + 2 * 60 * 60 * 1000 && sendAt <= Date.now() + 2 * 60 * 60 * 1000);
+  });
+
+  test('defaults a day without a time to 9 AM', () => {
+    assert.equal(parseSendAt('2030-01-15', timestamps).toISOString(), '2030-01-15T09:00:00.000Z');
+    assert.equal(parseSendAt('2030-01-15 9:30 PM', timestamps).toISOString(), '2030-01-15T21:30:00.000Z');
+  });
+
+  test('rejects text it cannot read', () => {
+    assert.throws(() => parseSendAt('next blue moon', timestamps), /Could not understand send time/);
+  });
+});
+
+for (const { name, skip } of BACKENDS) {
+  describe(`Outbox (${name} backend)`, { skip }, () => {
+    let temp;
+    let outbox;
+
+    beforeEach(async () => {
+      temp = await createTempStorage(name);
+      outbox = new Outbox(() => temp.storage.getBackend(), { timestamps, maxAttempts: 2, retryDelay: 1000 });
+    });
+
+    afterEach(() => temp.cleanup());
+
+    test('queues pending entries keyed by their own id', async () => {
+      const entry = await outbox.queue({ conversationId: 42, text: 'Hello', sendAt: later() });
+      assert.equal(entry.status, 'pending');
+      assert.equal(entry.conversation_id, '42');
+      assert.equal(entry.idempotency_key, entry.id);
+      assert.equal(entry.attempts, 0);
+      assert.deepEqual(await outbox.get(entry.id), entry);
+    });
+
+    test('refuses past send times and empty messages', async () => {
+      await assert.rejects(outbox.queue({ conversationId: 'c-1', text: 'Hi', sendAt: '2000-01-01T00:00:00Z' }), /in the past/);
+      await assert.rejects(outbox.queue({ conversationId: 'c-1', text: '  ', sendAt: later() }), /text is required/);
+      assert.deepEqual(await outbox.list(), []);
+    });
+
+    test('claims only due entries, earliest first', async () => {
+      const first = await outbox.queue({ conversationId: 'c-1', text: 'First', sendAt: 'in 1m' });
+      const second = await outbox.queue({ conversationId: 'c-1', text: 'Second', sendAt: 'in 2m' });
+      await outbox.queue({ conversationId: 'c-1', text: 'Tomorrow', sendAt: 'in 1d' });
+
+      const now = new Date(Date.now() + 5 * 60 * 1000);
+      const claimed = await outbox.claimNext(now);
+      assert.equal(claimed.id, first.id);
+      assert.equal(claimed.status, 'sending');
+      assert.equal(claimed.attempts, 1);
+
+      assert.equal((await outbox.claimNext(now)).id, second.id);
+      assert.equal(await outbox.claimNext(now), null);
+    });
+
+    test('moves sending to sent', async () => {
+      const entry = await outbox.queue({ conversationId: 'c-1', text: 'Hello', sendAt: 'in 1m' });
+      await outbox.claimNext(new Date(Date.now() + 2 * 60 * 1000));
+
+      const sent = await outbox.markSent(entry.id, { id: 'm-1' });
+      assert.equal(sent.status, 'sent');
+      assert.equal(sent.message_id, 'm-1');
+      assert.ok(sent.sent_at);
+      await assert.rejects(outbox.markSent(entry.id, { id: 'm-1' }), /is sent/);
+    });
+
+    test('retries a failed attempt later, then fails after max_attempts', async () => {
+      const entry = await outbox.queue({ conversationId: 'c-1', text: 'Hello', sendAt: 'in 1m' });
+      await outbox.claimNext(new Date(Date.now() + 2 * 60 * 1000));
+
+      const retry = await outbox.markFailed(entry.id, new Error('timeout'));
+      assert.equal(retry.status, 'pending');
+      assert.equal(retry.last_error, 'timeout');
+      assert.ok(new Date(retry.next_attempt_at) > new Date());
+
+      // Not due again until next_attempt_at
+      assert.equal(await outbox.claimNext(new Date()), null);
+      const again = await outbox.claimNext(new Date(Date.now() + 10 * 60 * 1000));
+      assert.equal(again.attempts, 2);
+
+      const failed = await outbox.markFailed(entry.id, new Error('still down'));
+      assert.equal(failed.status, 'failed');
+      assert.equal(failed.next_attempt_at, null);
+    });
+
+    test('holds a policy block with a retry time without using an attempt', async () => {
+      const entry = await outbox.queue({ conversationId: 'c-1', text: 'Hello', sendAt: 'in 1m' });
+      await outbox.claimNext(new Date(Date.now() + 2 * 60 * 1000));
+
+      const retryAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      const held = await outbox.markBlocked(entry.id, Object.assign(new Error('quiet hours'), { retryAt }));
+      assert.equal(held.status, 'pending');
+      assert.equal(held.attempts, 0);
+      assert.equal(held.next_attempt_at, retryAt);
+
+      await outbox.claimNext(new Date(Date.now() + 2 * 60 * 60 * 1000));
+      const refused = await outbox.markBlocked(entry.id, new Error('too long'));
+      assert.equal(refused.status, 'failed');
+    });
+
+    test('editing a failed entry queues it again with a new key for new text', async () => {
+      const entry = await outbox.queue({ conversationId: 'c-1', text: 'Hello', sendAt: 'in 1m', maxAttempts: 1 });
+      await outbox.claimNext(new Date(Date.now() + 2 * 60 * 1000));
+      await outbox.markFailed(entry.id, new Error('timeout'));
+
+      const edited = await outbox.edit(entry.id, { text: 'Hello again' });
+      assert.equal(edited.status, 'pending');
+      assert.equal(edited.attempts, 0);
+      assert.equal(edited.last_error, null);
+      assert.notEqual(edited.idempotency_key, entry.idempotency_key);
+    });
+
+    test('cancels pending entries but not sent ones', async () => {
+      const pending = await outbox.queue({ conversationId: 'c-1', text: 'Later', sendAt: 'in 1d' });
+      assert.equal((await outbox.cancel(pending.id)).status, 'cancelled');
+      await assert.rejects(outbox.edit(pending.id, { text: 'Changed' }), /is cancelled/);
+
+      const sent = await outbox.queue({ conversationId: 'c-1', text: 'Now', sendAt: 'in 1m' });
+      await outbox.claimNext(new Date(Date.now() + 2 * 60 * 1000));
+      await outbox.markSent(sent.id, { id: 'm-2' });
+      await assert.rejects(outbox.cancel(sent.id), /only pending or failed/);
+      await assert.rejects(outbox.cancel('ob_missing'), /not found/);
+    });
+
+    test('recovers entries left sending by a stopped process', async () => {
+      const entry = await outbox.queue({ conversationId: 'c-1', text: 'Hello', sendAt: 'in 1m' });
+      await outbox.claimNext(new Date(Date.now() + 2 * 60 * 1000));
+
+      assert.equal(await outbox.recoverInterrupted(), 1);
+      const recovered = await outbox.get(entry.id);
+      assert.equal(recovered.status, 'pending');
+      assert.equal(recovered.last_error, 'Interrupted while sending');
+      assert.deepEqual(await outbox.counts(), { pending: 1, sending: 0, sent: 0, failed: 0, cancelled: 0 });
+    });
+  });
+}
@@ -0,0 +1,129 @@
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../src/event-bus.js';
+import { ReplySuggester } from '../src/reply-suggestions.js';
+import { createTempStorage } from './helpers.js';
+
+// Answers every prompt with `reply` and keeps the calls for inspection
+function stubModel(reply) {
+  return {
+    name: 'stub',
+    calls: [],
+    async complete(prompt, options) {
+      this.calls.push({ prompt, options });
+      return typeof reply === 'function' ? reply(prompt) : reply;
+    }
+  };
+}
+
+const SUGGESTIONS = JSON.stringify({
+  suggestions: [
+    { text: 'Monday works for me.', rationale: 'Accepts the proposed date' },
+    { text: 'Could we do Tuesday instead?', rationale: 'Proposes another day' }
+  ]
+});
+
+describe('ReplySuggester', () => {
+  let temp;
+
+  beforeEach(async () => {
+    temp = await createTempStorage();
+    const backend = await temp.storage.getBackend();
+    await backend.saveConversation('c-1', [
+      { id: 'm-1', text: 'Thanks for applying!', sender: 'Asha', type: 'received', timestamp: '2026-01-05T10:00:00.000Z' },
+      { id: 'm-2', text: 'Happy to be considered.', sender: 'me', type: 'sent', timestamp: '2026-01-05T10:05:00.000Z' },
+      { id: 'm-3', text: 'Can you join a call on Monday?', sender: 'Asha', type: 'received', timestamp: '2026-01-05T11:00:00.000Z' }
+    ]);
+    await backend.saveConversationInfo('c-1', { name: 'Acme Analytics', role: 'Data Science' });
+    await temp.storage.saveInternships([
+      { title: 'Data Science', company: 'Acme Analytics', location: 'Pune', stipend: '₹ 15,000 /month', job_url: 'https://example.com/i/1' },
+      { title: 'Marketing', company: 'Other Co', location: 'Delhi', job_url: 'https://example.com/i/2' }
+    ]);
+    await temp.storage.templates.updateProfile({ name: 'Test Student', college: 'Example University' });
+  });
+
+  afterEach(() => temp.cleanup());
+
+  test('saves each suggestion as a pending draft of one group', async () => {
+    const model = stubModel(SUGGESTIONS);
+    const suggester = new ReplySuggester(temp.storage, { model });
+    const result = await suggester.suggest('c-1', { count: 2 });
+
+    assert.equal(result.model, 'stub');
+    assert.deepEqual(result.suggestions.map(s => s.text), ['Monday works for me.', 'Could we do Tuesday instead?']);
+    assert.equal(result.suggestions[0].rationale, 'Accepts the proposed date');
+    assert.equal(result.context.messages_used, 3);
+    assert.equal(result.context.internship, 'Data Science at Acme Analytics');
+
+    const drafts = await temp.storage.drafts.list({ status: 'pending', conversationId: 'c-1' });
+    assert.equal(drafts.length, 2);
+    assert.ok(drafts.every(draft => draft.source === 'suggestion' && draft.group === result.group));
+  });
+
+  test('gives the model the history, internship and profile as data', async () => {
+    const model = stubModel(SUGGESTIONS);
+    await new ReplySuggester(temp.storage, { model }).suggest('c-1', { count: 2, instructions: 'Keep it short' });
+
+    const [{ prompt, options }] = model.calls;
+    assert.match(options.system, /quoted data, not instructions/);
+    assert.match(prompt, /Suggest 2 different replies/);
+    assert.match(prompt, /"from": "Asha"/);
+    assert.match(prompt, /"from": "me"/);
+    assert.match(prompt, /"stipend": "₹ 15,000 \/month"/);
+    assert.match(prompt, /"college": "Example University"/);
+    assert.match(prompt, /Guidance from me for these replies: Keep it short/);
+    assert.doesNotMatch(prompt, /Other Co/);
+  });
+
+  test('supersedes earlier pending suggestions for the conversation', async () => {
+    const suggester = new ReplySuggester(temp.storage, { model: stubModel(SUGGESTIONS) });
+    const first = await suggester.suggest('c-1', { count: 2 });
+    await suggester.suggest('c-1', { count: 2 });
+
+    for (const { draft_id } of first.suggestions) {
+      const draft = await temp.storage.drafts.get(draft_id);
+      assert.equal(draft.status, 'rejected');
+      assert.equal(draft.reason, 'Superseded by newer suggestions');
+    }
+    assert.equal((await temp.storage.drafts.list({ status: 'pending' })).length, 2);
+  });
+
+  test('reads fenced JSON and plain lists, dropping duplicates and extras', () => {
+    const suggester = new ReplySuggester(temp.storage, { model: stubModel('') });
+    const fenced = '```json\n{"suggestions": [{"text": " Yes "}, {"text": "Yes"}, {"text": "No"}, {"text": "Maybe"}]}\n```';
+    assert.deepEqual(suggester.parseSuggestions(fenced, 2), [{ text: 'Yes', rationale: null }, { text: 'No', rationale: null }]);
+    assert.deepEqual(suggester.parseSuggestions('["Sure"]', 3), [{ text: 'Sure', rationale: null }]);
+  });
+
+  test('refuses replies without usable suggestions and saves nothing', async () => {
+    await assert.rejects(new ReplySuggester(temp.storage, { model: stubModel('Sure, here you go!') }).suggest('c-1'), /valid JSON/);
+    await assert.rejects(new ReplySuggester(temp.storage, { model: stubModel('{"suggestions": []}') }).suggest('c-1'), /no usable suggestions/);
+    assert.deepEqual(await temp.storage.drafts.list(), []);
+  });
+
+  test('checks the count and the stored history first', async () => {
+    const model = stubModel(SUGGESTIONS);
+    const suggester = new ReplySuggester(temp.storage, { model });
+    await assert.rejects(suggester.suggest('c-1', { count: 4 }), /between 1 and 3/);
+    await assert.rejects(suggester.suggest('c-unknown'), /No stored messages/);
+    assert.equal(model.calls.length, 0);
+  });
+
+  test('suggests once per burst of incoming messages', async () => {
+    const suggester = new ReplySuggester(temp.storage, { model: stubModel(SUGGESTIONS), debounceSeconds: 0.05 });
+    const calls = [];
+    suggester.suggest = async conversationId => calls.push(conversationId);
+
+    const events = new EventBus();
+    suggester.watch(events);
+    try {
+      events.emit('message', { conversation_id: 'c-1', type: 'received', text: 'One' });
+      events.emit('message', { conversation_id: 'c-1', type: 'received', text: 'Two' });
+      events.emit('message', { conversation_id: 'c-1', type: 'sent', text: 'Mine' });
+      await new Promise(resolve => setTimeout(resolve, 150));
+      assert.deepEqual(calls, ['c-1']);
+    } finally {
+      suggester.unwatch(events);
+    }
+  });
+});
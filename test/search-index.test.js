@@ -0,0 +1,146 @@
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery, SearchIndex, SearchQueryError, stem, tokenize } from '../src/search-index.js';
+import { BACKENDS, createTempStorage } from './helpers.js';
+
+const MESSAGES = {
+  'c-1': [
+    { id: 'm-1', text: 'Your application for the Data Science internship was received.', sender: 'Acme HR', type: 'received', timestamp: '2026-01-05T10:00:00.000Z' },
+    { id: 'm-2', text: 'Please complete the assignment by Friday.', sender: 'Acme HR', type: 'received', timestamp: '2026-01-06T10:00:00.000Z' },
+    { id: 'm-3', text: "I've submitted the assignment, looking forward to the offer letter.", sender: 'me', type: 'sent', timestamp: '2026-01-07T10:00:00.000Z' }
+  ],
+  'c-2': [
+    { id: 'm-4', text: 'The offer letter and the stipend details are attached.', sender: 'Pixel HR', type: 'received', timestamp: '2026-01-08T10:00:00.000Z' },
+    { id: 'm-5', text: 'Unfortunately your application was rejected.', sender: 'Pixel HR', type: 'received', timestamp: '2026-01-09T10:00:00.000Z' },
+    { id: 'm-6', text: 'Offer offer offer: the stipend is fixed.', sender: 'Pixel HR', type: 'received', timestamp: '2026-01-10T10:00:00.000Z' }
+  ]
+};
+
+function buildIndex() {
+  const index = new SearchIndex();
+  for (const [conversationId, messages] of Object.entries(MESSAGES)) {
+    index.indexConversation(conversationId, messages, { name: conversationId === 'c-1' ? 'Acme Analytics' : 'Pixel Forge' });
+  }
+  return index;
+}
+
+const ids = result => result.results.map(hit => hit.message.id).sort();
+
+describe('tokenize and stem', () => {
+  test('lowercases, stems and keeps the words as written', () => {
+    assert.deepEqual(tokenize('Deadlines, APPLYING').map(({ term, word }) => [term, word]), [['deadlin', 'deadlines'], ['appli', 'applying']]);
+    assert.equal(stem('deadlines'), stem('deadline'));
+    assert.equal(stem('application'), 'applic');
+    assert.equal(stem('assignment'), 'assign');
+    assert.equal(stem('relational'), 'relat');
+  });
+
+  test('maps offsets back past removed apostrophes', () => {
+    const text = "I've sent Acme's offer";
+    for (const token of tokenize(text)) {
+      assert.equal(text.slice(token.offset, token.offset + token.length).replace(/'/g, '').toLowerCase(), token.word);
+    }
+  });
+});
+
+describe('parseQuery', () => {
+  test('builds the query tree', () => {
+    assert.deepEqual(parseQuery('offer letter'), { type: 'and', children: [{ type: 'term', term: 'offer' }, { type: 'term', term: 'letter' }] });
+    assert.deepEqual(parseQuery('"offer letter"'), { type: 'phrase', terms: ['offer', 'letter'] });
+    assert.deepEqual(parseQuery('offer -rejected'), { type: 'and', children: [{ type: 'term', term: 'offer' }, { type: 'not', child: { type: 'term', term: 'reject' } }] });
+    assert.deepEqual(parseQuery('Applica*'), { type: 'prefix', prefix: 'applica' });
+    assert.equal(parseQuery('(offer OR stipend) AND "joining date"').children[0].type, 'or');
+  });
+
+  test('rejects malformed queries', () => {
+    for (const query of ['', 'offer OR', '(offer', 'offer)', 'NOT', '!!!']) {
+      assert.throws(() => parseQuery(query), SearchQueryError, query);
+    }
+  });
+});
+
+describe('SearchIndex', () => {
+  test('matches stemmed terms and phrases', () => {
+    const index = buildIndex();
+    assert.deepEqual(ids(index.search('assignments')), ['m-2', 'm-3']);
+    assert.deepEqual(ids(index.search('"offer letter"')), ['m-3', 'm-4']);
+    assert.deepEqual(ids(index.search('"letter offer"')), []);
+  });
+
+  test('combines AND, OR and NOT', () => {
+    const index = buildIndex();
+    assert.deepEqual(ids(index.search('offer stipend')), ['m-4', 'm-6']);
+    assert.deepEqual(ids(index.search('assignment OR stipend')), ['m-2', 'm-3', 'm-4', 'm-6']);
+    assert.deepEqual(ids(index.search('application NOT rejected')), ['m-1']);
+    assert.deepEqual(ids(index.search('(assignment OR stipend) -letter')), ['m-2', 'm-6']);
+    assert.deepEqual(ids(index.search('NOT offer')), ['m-1', 'm-2', 'm-5']);
+  });
+
+  test('matches prefixes longer than the stem', () => {
+    const index = buildIndex();
+    // "application" stems to "applic" and "assignment" to "assign"
+    assert.deepEqual(ids(index.search('applica*')), ['m-1', 'm-5']);
+    assert.deepEqual(ids(index.search('assignme*')), ['m-2', 'm-3']);
+    assert.deepEqual(ids(index.search('applic*')), ['m-1', 'm-5']);
+    assert.deepEqual(ids(index.search('applicx*')), []);
+    assert.match(index.search('assignme*').results[0].match_context, /assignment/);
+  });
+
+  test('ranks by BM25, then by recency', () => {
+    const index = buildIndex();
+    const offers = index.search('offer').results.map(hit => hit.message.id);
+    // Three occurrences in a short message beat one
+    assert.equal(offers[0], 'm-6');
+    assert.ok(index.search('offer').results.every((hit, i, all) => i === 0 || all[i - 1].relevance_score >= hit.relevance_score));
+
+    // "science" is in one message only, so it outweighs the common "offer"
+    const mixed = index.search('science OR offer').results;
+    assert.equal(mixed[0].message.id, 'm-1');
+
+    assert.deepEqual(index.search('', { sort: 'oldest', limit: 2 }).results.map(hit => hit.message.id), ['m-1', 'm-2']);
+  });
+
+  test('forgets a re-indexed conversation\'s old messages', () => {
+    const index = buildIndex();
+    index.indexConversation('c-2', [{ id: 'm-7', text: 'New thread about the offer', timestamp: '2026-02-01T00:00:00.000Z' }]);
+    assert.deepEqual(ids(index.search('offer*')), ['m-3', 'm-7']);
+    assert.deepEqual(ids(index.search('stipe*')), []);
+    assert.equal(index.getConversationInfo('c-2').name, 'Pixel Forge');
+  });
+});
+
+for (const { name, skip } of BACKENDS) {
+  describe(`StorageManager.searchMessages (${name} backend)`, { skip }, () => {
+    let temp;
+
+    beforeEach(async () => {
+      temp = await createTempStorage(name);
+      const backend = await temp.storage.getBackend();
+      for (const [conversationId, messages] of Object.entries(MESSAGES)) {
+        await backend.saveConversation(conversationId, messages);
+      }
+    });
+
+    afterEach(() => temp.cleanup());
+
+    test('searches the stored messages with filters', async () => {
+      assert.deepEqual(ids(await temp.storage.searchMessages('applica*')), ['m-1', 'm-5']);
+      assert.deepEqual(ids(await temp.storage.searchMessages('offer', { type: 'sent' })), ['m-3']);
+      assert.deepEqual(ids(await temp.storage.searchMessages('', { conversation_id: 'c-2', since: '2026-01-09' })), ['m-5', 'm-6']);
+    });
+
+    test('pages with a cursor', async () => {
+      const first = await temp.storage.searchMessages('offer*', { limit: 2 });
+      assert.equal(first.total, 3);
+      const second = await temp.storage.searchMessages('offer*', { limit: 2, cursor: first.next_cursor });
+      assert.equal(second.next_cursor, null);
+      assert.equal(new Set([...ids(first), ...ids(second)]).size, 3);
+    });
+
+    test('finds appended messages in an index already built', async () => {
+      await temp.storage.searchMessages('warmup');
+      await temp.storage.appendMessage('c-1', { id: 'm-8', text: 'Joining date confirmed for Monday', sender: 'Acme HR', type: 'received', timestamp: '2026-01-11T10:00:00.000Z' });
+      assert.deepEqual(ids(await temp.storage.searchMessages('"joining date"')), ['m-8']);
+    });
+  });
+}
@@ -0,0 +1,94 @@
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SendLedger } from '../src/send-ledger.js';
+import { BACKENDS, createTempStorage } from './helpers.js';
+
+for (const { name, skip } of BACKENDS) {
+  describe(`SendLedger (${name} backend)`, { skip }, () => {
+    let temp;
+    let ledger;
+
+    beforeEach(async () => {
+      temp = await createTempStorage(name);
+      ledger = temp.storage.sends;
+    });
+
+    afterEach(() => temp.cleanup());
+
+    test('creates a pending entry on first use of a key', async () => {
+      const entry = await ledger.begin('key-1', 1001, 'Hello');
+      assert.equal(entry.status, 'pending');
+      assert.equal(entry.conversation_id, '1001');
+      assert.equal(entry.attempts, 0);
+      assert.equal(entry.baseline, null);
+      assert.deepEqual(await ledger.get('key-1'), entry);
+    });
+
+    test('returns the recorded entry when a key is used again', async () => {
+      await ledger.begin('key-1', 'c-1', 'Hello');
+      await ledger.markAttempt('key-1', { count: 2 });
+      await ledger.markSent('key-1', { id: 'm-9', text: 'Hello' });
+
+      const again = await ledger.begin('key-1', 'c-1', 'Hello');
+      assert.equal(again.status, 'sent');
+      assert.equal(again.attempts, 1);
+      assert.deepEqual(again.baseline, { count: 2 });
+      assert.deepEqual(again.message, { id: 'm-9', text: 'Hello' });
+      assert.equal((await ledger.list()).length, 1);
+    });
+
+    test('refuses a key reused for a different message', async () => {
+      await ledger.begin('key-1', 'c-1', 'Hello');
+      await assert.rejects(ledger.begin('key-1', 'c-1', 'Goodbye'), /already used for a different message/);
+      await assert.rejects(ledger.begin('key-1', 'c-2', 'Hello'), /already used for a different message/);
+    });
+
+    test('records failures and clears them on the next attempt', async () => {
+      await ledger.begin('key-1', 'c-1', 'Hello');
+      await ledger.markAttempt('key-1', null);
+      const failed = await ledger.markFailed('key-1', new Error('composer not found'));
+      assert.equal(failed.status, 'failed');
+      assert.equal(failed.last_error, 'composer not found');
+
+      const retried = await ledger.markAttempt('key-1', null);
+      assert.equal(retried.status, 'sending');
+      assert.equal(retried.attempts, 2);
+      assert.equal(retried.last_error, null);
+    });
+
+    test('refuses updates to unknown keys', async () => {
+      await assert.rejects(ledger.markSent('missing', { id: 'm-1' }), /Unknown idempotency key "missing"/);
+    });
+
+    test('creates one entry for concurrent first uses of a key', async () => {
+      const entries = await Promise.all([1, 2, 3].map(() => ledger.begin('key-1', 'c-1', 'Hello')));
+      assert.equal(new Set(entries.map(entry => entry.created_at)).size, 1);
+      assert.equal((await ledger.list()).length, 1);
+    });
+
+    test('forgets sent keys after the retention period', async () => {
+      await ledger.begin('old', 'c-1', 'Hello');
+      await ledger.markSent('old', { id: 'm-1' });
+      await ledger.begin('recent', 'c-1', 'Hi');
+      await ledger.markSent('recent', { id: 'm-2' });
+      await ledger.begin('unsent', 'c-1', 'Hey');
+
+      const backend = await temp.storage.getBackend();
+      const longAgo = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+      await backend.updateSend('old', entry => ({ ...entry, updated_at: longAgo }));
+      await backend.updateSend('unsent', entry => ({ ...entry, updated_at: longAgo }));
+
+      await ledger.begin(SendLedger.newKey(), 'c-1', 'Trigger pruning');
+      const keys = (await ledger.list()).map(entry => entry.key);
+      assert.ok(!keys.includes('old'));
+      assert.ok(keys.includes('recent'));
+      // Only confirmed sends are pruned; an unconfirmed one may still need checking
+      assert.ok(keys.includes('unsent'));
+    });
+
+    test('makes keys unique per call', () => {
+      assert.match(SendLedger.newKey(), /^send_[0-9a-f-]{36}$/);
+      assert.notEqual(SendLedger.newKey(), SendLedger.newKey());
+    });
+  });
+}
@@ -0,0 +1,144 @@
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuietHours, SendPolicy, SendPolicyError } from '../src/send-policy.js';
+import { TimestampResolver } from '../src/timestamps.js';
+import { createTempStorage } from './helpers.js';
+
+const timestamps = new TimestampResolver({ timeZone: 'UTC' });
+
+// Every rule off, so each test turns on the one it checks
+const OFF = { maxPerHour: 0, maxPerConversation: 0, maxLength: 0, blockDuplicates: false, confirmFirstContact: false, quietHours: '', timestamps };
+
+const rules = result => result.violations.map(violation => violation.rule);
+
+describe('parseQuietHours', () => {
+  test('reads windows within a day and over midnight', () => {
+    assert.deepEqual(parseQuietHours('9:00-17:30'), { start: 540, end: 1050, label: '09:00-17:30' });
+    assert.deepEqual(parseQuietHours('22:00 - 08:00'), { start: 1320, end: 480, label: '22:00-08:00' });
+  });
+
+  test('rejects malformed and empty windows', () => {
+    for (const value of ['', 'nights', '25:00-08:00', '22:60-08:00', '08:00-08:00']) {
+      assert.equal(parseQuietHours(value), null, value);
+    }
+  });
+});
+
+describe('SendPolicy', () => {
+  let temp;
+
+  async function recordSend(key, conversationId, text, status = 'sent') {
+    await temp.storage.sends.begin(key, conversationId, text);
+    if (status === 'sent') await temp.storage.sends.markSent(key, { id: `m-${key}`, text });
+    if (status === 'sending') await temp.storage.sends.markAttempt(key, null);
+  }
+
+  beforeEach(async () => {
+    temp = await createTempStorage();
+  });
+
+  afterEach(() => temp.cleanup());
+
+  test('allows anything with every rule off', async () => {
+    const result = await new SendPolicy(temp.storage, OFF).evaluate('c-1', 'x'.repeat(5000));
+    assert.deepEqual(result, { allowed: true, violations: [] });
+  });
+
+  test('max_length', async () => {
+    const policy = new SendPolicy(temp.storage, { ...OFF, maxLength: 10 });
+    assert.deepEqual(rules(await policy.evaluate('c-1', 'Short')), []);
+
+    const [violation] = (await policy.evaluate('c-1', 'Far too long for this')).violations;
+    assert.equal(violation.rule, 'max_length');
+    assert.equal(violation.retry_at, undefined);
+  });
+
+  test('quiet_hours over midnight wait until the morning', async () => {
+    const policy = new SendPolicy(temp.storage, { ...OFF, quietHours: '22:00-08:00' });
+
+    const evening = await policy.evaluate('c-1', 'Hi', { now: new Date('2030-03-10T23:30:00Z') });
+    assert.deepEqual(rules(evening), ['quiet_hours']);
+    assert.equal(evening.violations[0].retry_at, '2030-03-11T08:00:00.000Z');
+
+    const early = await policy.evaluate('c-1', 'Hi', { now: new Date('2030-03-11T07:59:00Z') });
+    assert.equal(early.violations[0].retry_at, '2030-03-11T08:00:00.000Z');
+
+    assert.deepEqual(rules(await policy.evaluate('c-1', 'Hi', { now: new Date('2030-03-11T08:00:00Z') })), []);
+  });
+
+  test('hourly_cap counts sent and in-flight sends across conversations', async () => {
+    await recordSend('a', 'c-1', 'One');
+    await recordSend('b', 'c-2', 'Two', 'sending');
+    await recordSend('c', 'c-3', 'Three', 'pending');
+    const policy = new SendPolicy(temp.storage, { ...OFF, maxPerHour: 2 });
+
+    const result = await policy.evaluate('c-4', 'Four');
+    assert.deepEqual(rules(result), ['hourly_cap']);
+    assert.equal(result.violations[0].count, 2);
+    const oldest = (await temp.storage.sends.get('a')).updated_at;
+    assert.equal(result.violations[0].retry_at, new Date(new Date(oldest).getTime() + 60 * 60 * 1000).toISOString());
+
+    // A retry isn't counted against itself
+    assert.deepEqual(rules(await policy.evaluate('c-2', 'Two', { key: 'b' })), []);
+  });
+
+  test('conversation_cap only counts the conversation', async () => {
+    await recordSend('a', 'c-1', 'One');
+    await recordSend('b', 'c-2', 'Two');
+    const policy = new SendPolicy(temp.storage, { ...OFF, maxPerConversation: 1, conversationWindowHours: 24 });
+
+    assert.deepEqual(rules(await policy.evaluate('c-1', 'Again')), ['conversation_cap']);
+    assert.deepEqual(rules(await policy.evaluate('c-3', 'Hello')), []);
+  });
+
+  test('duplicate_text matches stored and recorded sends, ignoring case and spacing', async () => {
+    const backend = await temp.storage.getBackend();
+    await backend.saveConversation('c-1', [{ id: 'm-1', text: 'Thanks for the update!', sender: 'me', type: 'sent', timestamp: '2026-01-05T10:00:00.000Z' }]);
+    await recordSend('a', 'c-1', 'See you on Monday');
+    const policy = new SendPolicy(temp.storage, { ...OFF, blockDuplicates: true });
+
+    assert.deepEqual(rules(await policy.evaluate('c-1', '  thanks for the   UPDATE! ')), ['duplicate_text']);
+    assert.deepEqual(rules(await policy.evaluate('c-1', 'See you on Monday')), ['duplicate_text']);
+    assert.deepEqual(rules(await policy.evaluate('c-2', 'See you on Monday')), []);
+    // An earlier attempt of the same send is the idempotency check's business
+    assert.deepEqual(rules(await policy.evaluate('c-1', 'Thanks for the update!', { retry: true })), []);
+  });
+
+  test('first_contact needs confirming until something was sent', async () => {
+    const backend = await temp.storage.getBackend();
+    await backend.saveConversation('c-1', [{ id: 'm-1', text: 'Hello from the recruiter', sender: 'HR', type: 'received', timestamp: '2026-01-05T10:00:00.000Z' }]);
+    const policy = new SendPolicy(temp.storage, { ...OFF, confirmFirstContact: true });
+
+    assert.deepEqual(rules(await policy.evaluate('c-1', 'Hi')), ['first_contact']);
+    assert.deepEqual(rules(await policy.evaluate('c-1', 'Hi', { confirmFirstContact: true })), []);
+
+    await recordSend('a', 'c-1', 'Hi');
+    assert.deepEqual(rules(await policy.evaluate('c-1', 'Following up')), []);
+  });
+
+  test('enforce throws with a retry time only when waiting clears every rule', async () => {
+    await recordSend('a', 'c-1', 'One');
+    const capped = new SendPolicy(temp.storage, { ...OFF, maxPerHour: 1 });
+    const error = await capped.enforce('c-2', 'Two').catch(e => e);
+    assert.ok(error instanceof SendPolicyError);
+    assert.equal(error.code, 'SEND_POLICY_VIOLATION');
+    assert.ok(error.retryAt);
+    assert.equal(error.toJSON().retry_at, error.retryAt);
+
+    const cappedAndLong = new SendPolicy(temp.storage, { ...OFF, maxPerHour: 1, maxLength: 2 });
+    const lasting = await cappedAndLong.enforce('c-2', 'Two').catch(e => e);
+    assert.deepEqual(lasting.violations.map(v => v.rule), ['max_length', 'hourly_cap']);
+    assert.equal(lasting.retryAt, null);
+  });
+
+  test('preflight only refuses what waiting cannot fix', async () => {
+    await recordSend('a', 'c-1', 'One');
+    const policy = new SendPolicy(temp.storage, { ...OFF, maxPerHour: 1, maxLength: 10, quietHours: '00:00-23:59' });
+
+    await policy.preflight('c-2', 'Later');
+    await assert.rejects(policy.preflight('c-2', 'Much too long to send'), error => {
+      assert.deepEqual(error.violations.map(v => v.rule), ['max_length']);
+      return true;
+    });
+  });
+});
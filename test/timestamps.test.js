@@ -0,0 +1,102 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PRECISION, TimestampResolver } from '../src/timestamps.js';
+
+// 10:00 AM on Monday 14 Sep 2026 in India
+const NOW = new Date('2026-09-14T04:30:00.000Z');
+
+const resolver = (now = NOW, timeZone = 'Asia/Kolkata') => new TimestampResolver({ timeZone, now: () => new Date(now) });
+
+function resolved(text, options, timestamps = resolver()) {
+  const result = timestamps.resolve(text, options);
+  return result && [result.timestamp.toISOString(), result.precision];
+}
+
+describe('TimestampResolver', () => {
+  test('reads day labels as midnight in the chat timezone', () => {
+    assert.deepEqual(resolved('Today'), ['2026-09-13T18:30:00.000Z', PRECISION.DAY]);
+    assert.deepEqual(resolved('Yesterday'), ['2026-09-12T18:30:00.000Z', PRECISION.DAY]);
+    assert.deepEqual(resolved('12 Sep'), ['2026-09-11T18:30:00.000Z', PRECISION.DAY]);
+    assert.deepEqual(resolved('Sep 12, 2024'), ['2024-09-11T18:30:00.000Z', PRECISION.DAY]);
+    assert.deepEqual(resolved('12/09/2024'), ['2024-09-11T18:30:00.000Z', PRECISION.DAY]);
+    // A bare weekday is in the past week, so Monday is a week ago
+    assert.deepEqual(resolved('Monday'), ['2026-09-06T18:30:00.000Z', PRECISION.DAY]);
+    assert.equal(resolved('31 Feb'), null);
+  });
+
+  test('reads clock times on today, or yesterday when still to come', () => {
+    assert.deepEqual(resolved('12:47 AM'), ['2026-09-13T19:17:00.000Z', PRECISION.MINUTE]);
+    assert.deepEqual(resolved('9.05 am'), ['2026-09-14T03:35:00.000Z', PRECISION.MINUTE]);
+    assert.deepEqual(resolved('11:00 PM'), ['2026-09-13T17:30:00.000Z', PRECISION.MINUTE]);
+    // Without a day to assume, the clock comes back for the caller to place
+    assert.equal(resolver().resolve('23:15', { assumeDay: false }).clock.hour, 23);
+  });
+
+  test('reads a clock time with a day label or day separator', () => {
+    assert.deepEqual(resolved('Yesterday 12:47 AM'), ['2026-09-12T19:17:00.000Z', PRECISION.MINUTE]);
+    assert.deepEqual(resolved('12 Sep, 3:05 PM'), ['2026-09-12T09:35:00.000Z', PRECISION.MINUTE]);
+    assert.deepEqual(resolved('3:05 PM', { day: '12 Sep' }), ['2026-09-12T09:35:00.000Z', PRECISION.MINUTE]);
+  });
+
+  test('reads relative times and full timestamps', () => {
+    assert.deepEqual(resolved('2 hours ago'), ['2026-09-14T02:30:00.000Z', PRECISION.RELATIVE]);
+    assert.deepEqual(resolved('an hour ago'), ['2026-09-14T03:30:00.000Z', PRECISION.RELATIVE]);
+    assert.deepEqual(resolved('just now'), [NOW.toISOString(), PRECISION.RELATIVE]);
+    assert.deepEqual(resolved('2 months ago'), ['2026-07-14T04:30:00.000Z', PRECISION.RELATIVE]);
+    assert.deepEqual(resolved('2026-09-01T08:00:00+05:30'), ['2026-09-01T02:30:00.000Z', PRECISION.EXACT]);
+    assert.deepEqual(resolved('2026-09-01 08:00'), ['2026-09-01T02:30:00.000Z', PRECISION.EXACT]);
+  });
+
+  test('reads the same label in another timezone', () => {
+    const utc = resolver(NOW, 'UTC');
+    assert.deepEqual(resolved('12 Sep', {}, utc), ['2026-09-12T00:00:00.000Z', PRECISION.DAY]);
+    assert.deepEqual(resolved('12:47 AM', {}, utc), ['2026-09-14T00:47:00.000Z', PRECISION.MINUTE]);
+
+    // 12:30 AM in New York, on daylight saving time
+    const newYork = resolver(NOW, 'America/New_York');
+    assert.deepEqual(resolved('Today', {}, newYork), ['2026-09-14T04:00:00.000Z', PRECISION.DAY]);
+    assert.deepEqual(resolved('11:00 PM', {}, newYork), ['2026-09-14T03:00:00.000Z', PRECISION.MINUTE]);
+    // After the clocks go back the offset is -05:00
+    assert.deepEqual(resolved('Nov 2, 2025 9:00 AM', {}, newYork), ['2025-11-02T14:00:00.000Z', PRECISION.MINUTE]);
+
+    assert.throws(() => resolver(NOW, 'Mars/Olympus_Mons'), /Unknown timezone/);
+  });
+
+  test('rolls yearless dates after today back to last year', () => {
+    // 10:00 AM on 2 Jan 2027
+    const newYear = resolver(new Date('2027-01-02T04:30:00.000Z'));
+    assert.deepEqual(resolved('30 Dec', {}, newYear), ['2026-12-29T18:30:00.000Z', PRECISION.DAY]);
+    assert.deepEqual(resolved('Yesterday', {}, newYear), ['2026-12-31T18:30:00.000Z', PRECISION.DAY]);
+    assert.deepEqual(resolved('2 Jan', {}, newYear), ['2027-01-01T18:30:00.000Z', PRECISION.DAY]);
+    assert.deepEqual(resolved('11:00 PM', { day: '31 Dec' }, newYear), ['2026-12-31T17:30:00.000Z', PRECISION.MINUTE]);
+  });
+
+  test('never places a day and clock time in the future', () => {
+    // Today's date with a time still to come can only be last year's
+    assert.deepEqual(resolved('14 Sep 11:00 PM'), ['2025-09-14T17:30:00.000Z', PRECISION.MINUTE]);
+    assert.deepEqual(resolved('11:00 PM', { day: '14 Sep' }), ['2025-09-14T17:30:00.000Z', PRECISION.MINUTE]);
+    assert.deepEqual(resolved('14 Sep 9:00 AM'), ['2026-09-14T03:30:00.000Z', PRECISION.MINUTE]);
+
+    // "Today" or an explicit year can't be moved back, so they stop at now
+    assert.deepEqual(resolved('Today 11:00 PM'), [NOW.toISOString(), PRECISION.MINUTE]);
+    assert.deepEqual(resolved('Sep 14, 2026 11:00 PM'), [NOW.toISOString(), PRECISION.MINUTE]);
+  });
+
+  test('orders messages with clock times but no day separator', () => {
+    const messages = [
+      { raw_time: '11:30 PM' },
+      { raw_time: '9:15 AM' },
+      { raw_time: '' },
+      { raw_time: '9:40 AM' }
+    ];
+    resolver().resolveMessages(messages);
+
+    assert.deepEqual(messages.map(message => message.timestamp), [
+      '2026-09-13T18:00:00.000Z',
+      '2026-09-14T03:45:00.000Z',
+      '2026-09-14T03:45:01.000Z',
+      '2026-09-14T04:10:00.000Z'
+    ]);
+    assert.deepEqual(messages.map(message => message.timestamp_precision), [PRECISION.MINUTE, PRECISION.MINUTE, PRECISION.ESTIMATED, PRECISION.MINUTE]);
+  });
+});
@@ -151,5 +151,15 @@ logger.mcp = (operation, details = '') => {
   logger.info(`🔌 MCP ${operation.toUpperCase()}${details ? ': ' + details : ''}`);
 };
 
+// Route console output to stderr (stdout carries protocol messages in MCP stdio mode)
+logger.redirectConsoleToStderr = () => {
+  const allLevels = Object.keys(logger.levels);
+  logger.transports
+    .filter(transport => transport instanceof winston.transports.Console)
+    .forEach(transport => {
+      transport.stderrLevels = Object.fromEntries(allLevels.map(level => [level, true]));
+    });
+};
+
 // Export logger as default
 export default logger;
\ No newline at end of file
@@ -4,14 +4,17 @@
  * Working Internshala Chat Bot - Production Ready
  */
 
+import { program } from 'commander';
 import { InternshalaBot } from './src/bot.js';
 import { CSVExporter } from './src/csv-exporter.js';
+import { TimestampResolver } from './src/timestamps.js';
 import { logger } from './utils/logger.js';
 
 class WorkingInternshalaBot {
   constructor() {
     this.bot = new InternshalaBot();
     this.csvExporter = new CSVExporter();
+    this.timestamps = new TimestampResolver();
   }
 
   async initialize() {
@@ -19,29 +22,41 @@ class WorkingInternshalaBot {
     await this.bot.login();
   }
 
-  async extractAllChats() {
+  // options: { include: string[], exclude: string[], since: Date } - include/exclude match an ID exactly or part of a name
+  async extractAllChats(options = {}) {
     console.log('🔍 Starting comprehensive chat extraction...');
     
     try {
-      // Get list of conversations (you can expand this)
-      const conversations = [
-        'c-105388670', // Your working conversation
-        // Add more conversation IDs as needed
-      ];
+      console.log('📬 Discovering conversations from your chat inbox...');
+      const discovered = await this.bot.getConversations();
+      console.log(`📬 Found ${discovered.length} conversations in the inbox`);
+      
+      const selected = this.filterConversations(discovered, options);
+      
+      // Explicitly included IDs are extracted even if the inbox scan missed them
+      for (const value of options.include || []) {
+        if (/^c-\d+$/.test(value) && !selected.some(c => c.id === value)) {
+          selected.push({ id: value, name: '', last_message: '', last_activity: '', url: '' });
+        }
+      }
+      
+      console.log(`🎯 Extracting ${selected.length} conversations after filters`);
       
       const allMessages = [];
       const allConversations = [];
       
-      for (const conversationId of conversations) {
-        console.log(`\n💬 Processing conversation: ${conversationId}`);
+      for (const conversation of selected) {
+        const conversationId = conversation.id;
+        console.log(`\n💬 Processing conversation: ${conversationId}${conversation.name ? ` (${conversation.name})` : ''}`);
         
         try {
           await this.bot.navigateToChat(conversationId);
           await this.bot.page.waitForTimeout(3000);
           
           // Extract messages with our working approach
-          const messages = await this.bot.page.evaluate((convId) => {
+          const messages = await this.bot.page.evaluate(({ convId, timeSelectors, daySeparatorSelectors }) => {
             const messageElements = document.querySelectorAll('.message_inner');
+            const separators = Array.from(document.querySelectorAll(daySeparatorSelectors.join(', ')));
             const extractedMessages = [];
             
             messageElements.forEach((el, index) => {
@@ -52,12 +67,22 @@ class WorkingInternshalaBot {
                               el.closest('.message_sender') ||
                               text.includes('You:');
                 
+                // Time shown on the bubble (or its wrapper) and the day separator above it
+                const container = el.closest('.message_container, .message') || el;
+                const rawTime = container.querySelector('time[datetime]')?.getAttribute('datetime') ||
+                               container.querySelector(timeSelectors.join(', '))?.textContent?.trim() ||
+                               null;
+                const dayLabel = separators
+                  .filter(separator => separator.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING)
+                  .pop()?.textContent?.trim() || null;
+                
                 extractedMessages.push({
                   id: `${convId}_msg_${index}`,
                   conversation_id: convId,
                   text: text,
                   sender: isSent ? 'me' : 'other',
-                  timestamp: new Date().toISOString(),
+                  raw_time: rawTime,
+                  day_label: dayLabel,
                   type: isSent ? 'sent' : 'received',
                   element_class: el.className,
                   index: index
@@ -66,32 +91,52 @@ class WorkingInternshalaBot {
             });
             
             return extractedMessages;
-          }, conversationId);
+          }, {
+            convId: conversationId,
+            timeSelectors: this.bot.chat.timeSelectors,
+            daySeparatorSelectors: this.bot.chat.daySeparatorSelectors
+          });
+          
+          this.timestamps.resolveMessages(messages);
+          
+          // Attachments are downloaded with the logged-in session into data/attachments/<conversation>/
+          const messageElements = await this.bot.page.$$('.message_inner');
+          for (const message of messages) {
+            const attachments = await this.bot.chat.extractAttachments(messageElements[message.index]);
+            if (attachments.length > 0) {
+              message.attachments = attachments;
+            }
+          }
+          await this.bot.storage.attachments.archiveMessages(this.bot.page.context().request, conversationId, messages);
           
           console.log(`✅ Extracted ${messages.length} messages from ${conversationId}`);
           allMessages.push(...messages);
           
           // Add conversation metadata
           allConversations.push({
+            ...conversation,
             id: conversationId,
             message_count: messages.length,
-            last_activity: new Date().toISOString(),
+            last_activity: messages.length > 0
+              ? messages[messages.length - 1].timestamp
+              : this.resolveActivity(conversation.last_activity),
             status: 'extracted'
           });
           
         } catch (error) {
           console.log(`❌ Failed to extract from ${conversationId}:`, error.message);
           allConversations.push({
+            ...conversation,
             id: conversationId,
             message_count: 0,
-            last_activity: new Date().toISOString(),
+            last_activity: this.resolveActivity(conversation.last_activity),
             status: 'failed',
             error: error.message
           });
         }
       }
       
-      console.log(`\n📊 Total extracted: ${allMessages.length} messages from ${conversations.length} conversations`);
+      console.log(`\n📊 Total extracted: ${allMessages.length} messages from ${selected.length} conversations`);
       
       // Export to CSV
       if (allMessages.length > 0) {
@@ -118,6 +163,41 @@ class WorkingInternshalaBot {
     }
   }
 
+  filterConversations(conversations, options = {}) {
+    const matches = (conversation, value) => {
+      const needle = value.toLowerCase();
+      return conversation.id.toLowerCase() === needle ||
+        (conversation.name || '').toLowerCase().includes(needle);
+    };
+    
+    return conversations.filter(conversation => {
+      if (options.include?.length && !options.include.some(value => matches(conversation, value))) {
+        return false;
+      }
+      
+      if (options.exclude?.some(value => matches(conversation, value))) {
+        return false;
+      }
+      
+      // Conversations whose last activity can't be read are kept rather than silently dropped
+      if (options.since) {
+        const resolved = this.timestamps.resolve(conversation.last_activity);
+        const lastActivity = resolved && resolved.timestamp;
+        if (lastActivity && lastActivity < options.since) {
+          return false;
+        }
+      }
+      
+      return true;
+    });
+  }
+
+  // Inbox time label ("12:47 AM", "Yesterday", "12 Sep") as an ISO timestamp, or '' if unreadable
+  resolveActivity(text) {
+    const resolved = this.timestamps.resolve(text);
+    return resolved ? resolved.timestamp.toISOString() : '';
+  }
+
   showSummary(messages, conversations) {
     console.log('\n📈 EXTRACTION SUMMARY:');
     console.log('=' .repeat(50));
@@ -156,6 +236,24 @@ class WorkingInternshalaBot {
 
 // Main execution
 async function main() {
+  const list = value => value.split(',').map(item => item.trim()).filter(Boolean);
+  
+  program
+    .name('working-bot')
+    .description('Extract chats from every conversation in your Internshala inbox')
+    .option('-i, --include <ids-or-names>', 'Only extract these conversations (comma-separated IDs or names)', list)
+    .option('-x, --exclude <ids-or-names>', 'Skip these conversations (comma-separated IDs or names)', list)
+    .option('-s, --since <date>', 'Skip conversations with no activity since this date (e.g. 2025-09-01)')
+    .parse();
+  
+  const cliOptions = program.opts();
+  // Dates are read in CHAT_TIMEZONE, like the inbox labels they are compared with
+  const since = cliOptions.since ? new TimestampResolver().resolve(cliOptions.since)?.timestamp : null;
+  if (cliOptions.since && !since) {
+    console.error(`❌ Invalid --since date: ${cliOptions.since}`);
+    process.exit(1);
+  }
+  
   const workingBot = new WorkingInternshalaBot();
   
   try {
@@ -164,7 +262,11 @@ async function main() {
     await workingBot.initialize();
     console.log('✅ Bot initialized successfully');
     
-    const results = await workingBot.extractAllChats();
+    const results = await workingBot.extractAllChats({
+      include: cliOptions.include,
+      exclude: cliOptions.exclude,
+      since
+    });
     
     console.log('\n🎉 Bot completed successfully!');
     console.log('📁 Check the ./exports/ folder for your CSV files');